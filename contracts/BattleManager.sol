@@ -1,15 +1,18 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./Battlecard.sol";
 
 /**
  * @title BattleManager
  * @notice Manages card battles, escrow, and rewards
- * @dev Handles battle flow: create -> join -> reveal rounds -> claim reward
+ * @dev Handles battle flow: create -> join -> reveal lineups -> reveal rounds -> claim reward.
+ *      The owner can pause creating and joining battles; battles under way, claims and refunds keep working.
  */
-contract BattleManager is ReentrancyGuard {
+contract BattleManager is Ownable, Pausable, ReentrancyGuard {
     BattleCard public immutable battleCard;
 
     enum BattleStatus {
@@ -17,7 +20,16 @@ contract BattleManager is ReentrancyGuard {
         ReadyToReveal,
         InProgress,
         Resolved,
-        Cancelled
+        Cancelled,
+        Expired
+    }
+
+    // How a round was decided when both scores were equal
+    enum TieBreak {
+        None,
+        Speed,
+        Rarity,
+        CoinFlip
     }
 
     struct Battle {
@@ -31,14 +43,75 @@ contract BattleManager is ReentrancyGuard {
         BattleStatus status;
         uint256 createdAt;
         address winner;
+        uint256 stake;   // MON each side puts in the pot (0 = cards only)
+        uint16 feeBps;   // Protocol fee snapshotted at creation, taken from decisive pots
+        bool claimed;
+        uint256 revealDeadline; // Block after which an unfinished battle can be resolved as expired
+    }
+
+    // Hidden round order: cards are escrowed in ascending ID order and each side commits to
+    // keccak256(abi.encode(player, lineup, salt)), revealed once both sides have joined
+    struct LineupCommit {
+        bytes32 starterHash;
+        bytes32 opponentHash;
+        bool starterRevealed;
+        bool opponentRevealed;
+        uint256 deadline; // Last block to reveal; a side that misses it forfeits
+    }
+
+    // Ladder record per address; rating is 0 until the first resolved battle
+    struct PlayerStats {
+        uint32 rating;
+        uint32 wins;
+        uint32 losses;
+        uint32 draws;
     }
 
     uint256 public battleCount;
     mapping(uint256 => Battle) public battles;
     mapping(uint256 => mapping(uint256 => bool)) public roundsRevealed; // battleId => roundIndex => revealed
+    mapping(uint256 => LineupCommit) public lineups;
+    // XOR of keccak256(player, salt) over both revealed lineups; seeds tie-break coin flips
+    mapping(uint256 => bytes32) private _coinFlipSeeds;
+
+    // Open challenges (opponent == address(0)) still waiting for a joiner, swap-and-pop indexed
+    uint256[] private _openBattles;
+    mapping(uint256 => uint256) private _openBattleIndex; // battleId => position in _openBattles
 
     // Timeout for battle creation (e.g., 1 hour in blocks, adjust for Monad)
     uint256 public constant BATTLE_TIMEOUT = 3600; // ~1 hour at 1s block time
+    // Time allowed to reveal all rounds once the opponent has joined
+    uint256 public constant REVEAL_TIMEOUT = 3600; // ~1 hour at 1s block time
+    // XP the winning card of each round earns
+    uint32 public constant XP_PER_ROUND_WIN = 10;
+    // Time allowed for both sides to reveal their lineup order once the opponent has joined
+    uint256 public constant LINEUP_REVEAL_TIMEOUT = 300; // ~5 minutes at 1s block time
+
+    // Type advantage multipliers in basis points: typeAdvantage[attacker][defender]
+    uint16 public constant MULTIPLIER_BASE = 10000;     // 1.00x
+    uint16 public constant ADVANTAGE_MULTIPLIER = 12500; // 1.25x default for a favoured matchup
+    uint16 public constant MIN_MULTIPLIER = 5000;       // 0.50x
+    uint16 public constant MAX_MULTIPLIER = 20000;      // 2.00x
+    uint16[4][4] public typeAdvantage;
+
+    // Optional protocol fee on won pots, accrued here and withdrawn to the treasury
+    uint16 public constant MAX_PROTOCOL_FEE_BPS = 500; // 5%
+    uint16 public protocolFeeBps;
+    address public treasury;
+    uint256 public accruedProtocolFees;
+
+    // MON payouts whose transfer failed, withdrawable by the recipient
+    mapping(address => uint256) public pendingPayouts;
+
+    // Owner of each rented card escrowed here; the card always goes back to them
+    mapping(uint256 => address) public cardLenders;
+
+    // Elo ladder, updated whenever a battle resolves
+    uint32 public constant INITIAL_RATING = 1200;
+    uint32 public constant MIN_RATING = 100;
+    uint32 public constant ELO_K = 32;
+    mapping(address => PlayerStats) private _playerStats;
+    address[] private _players; // Every address with at least one resolved battle
 
     // Events
     event BattleCreated(
@@ -59,7 +132,21 @@ contract BattleManager is ReentrancyGuard {
         uint8 indexed roundIndex,
         uint256 starterCardId,
         uint256 opponentCardId,
-        bool starterWon
+        bool starterWon,
+        uint16 starterMultiplier,
+        uint16 opponentMultiplier,
+        TieBreak tieBreak
+    );
+
+    event LineupRevealed(
+        uint256 indexed battleId,
+        address indexed player,
+        uint256[3] lineup
+    );
+
+    event LineupForfeited(
+        uint256 indexed battleId,
+        address indexed forfeiter
     );
 
     event BattleResolved(
@@ -73,29 +160,74 @@ contract BattleManager is ReentrancyGuard {
         uint256 indexed claimedTokenId
     );
 
+    event RatingUpdated(
+        address indexed player,
+        uint256 indexed battleId,
+        uint32 oldRating,
+        uint32 newRating
+    );
+
     event BattleCancelled(uint256 indexed battleId);
 
-    constructor(address _battleCardAddress) {
-        battleCard = BattleCard(_battleCardAddress);
+    event BattleExpired(uint256 indexed battleId, address indexed resolver);
+
+    event EmergencyReturned(uint256 indexed battleId);
+
+    event CardReturned(uint256 indexed battleId, uint256 indexed tokenId, address indexed to);
+
+    event StakePaid(
+        uint256 indexed battleId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event PayoutDeferred(address indexed recipient, uint256 amount);
+
+    event ProtocolFeeUpdated(address indexed treasury, uint16 feeBps);
+
+    event ProtocolFeesWithdrawn(address indexed treasury, uint256 amount);
+
+    event TypeAdvantageUpdated(
+        uint8 indexed attacker,
+        uint8 indexed defender,
+        uint16 multiplier
+    );
+
+    constructor(address _battleCardAddress) Ownable(msg.sender) {
+        battleCard = BattleCard(payable(_battleCardAddress));
+
+        // Default rock-paper-scissors cycle: Cavalry > Mage > Warrior > Cavalry, Prince is neutral
+        for (uint8 attacker = 0; attacker < 4; attacker++) {
+            for (uint8 defender = 0; defender < 4; defender++) {
+                typeAdvantage[attacker][defender] = MULTIPLIER_BASE;
+            }
+        }
+        typeAdvantage[uint8(BattleCard.CharacterType.Cavalry)][uint8(BattleCard.CharacterType.Mage)] = ADVANTAGE_MULTIPLIER;
+        typeAdvantage[uint8(BattleCard.CharacterType.Mage)][uint8(BattleCard.CharacterType.Warrior)] = ADVANTAGE_MULTIPLIER;
+        typeAdvantage[uint8(BattleCard.CharacterType.Warrior)][uint8(BattleCard.CharacterType.Cavalry)] = ADVANTAGE_MULTIPLIER;
     }
 
     /**
-     * @notice Create a new battle challenge
-     * @param opponent The opponent's address
-     * @param myCards Array of exactly 3 token IDs to battle with
+     * @notice Create a new battle challenge, optionally staking MON (sent as msg.value)
+     * @param opponent The opponent's address, or address(0) for an open challenge anyone can accept
+     * @param myCards Array of exactly 3 token IDs to battle with, in ascending order
+     * @param lineupHash Commitment to the round order, see computeLineupHash
      * @return battleId The battle ID
      */
-    function createBattle(address opponent, uint256[3] calldata myCards)
+    function createBattle(address opponent, uint256[3] calldata myCards, bytes32 lineupHash)
         external
+        payable
         nonReentrant
+        whenNotPaused
         returns (uint256)
     {
-        require(opponent != address(0) && opponent != msg.sender, "Invalid opponent");
+        require(opponent != msg.sender, "Invalid opponent");
+        require(lineupHash != bytes32(0), "Missing lineup commitment");
+        _requireAscending(myCards);
 
-        // Validate ownership and escrow cards
+        // Validate ownership (or rental) and escrow cards
         for (uint256 i = 0; i < 3; i++) {
-            require(battleCard.ownerOf(myCards[i]) == msg.sender, "Not owner");
-            battleCard.transferFrom(msg.sender, address(this), myCards[i]);
+            _escrowCard(myCards[i]);
         }
 
         uint256 battleId = battleCount++;
@@ -109,39 +241,190 @@ contract BattleManager is ReentrancyGuard {
             currentRound: 0,
             status: BattleStatus.WaitingForOpponent,
             createdAt: block.number,
-            winner: address(0)
+            winner: address(0),
+            stake: msg.value,
+            feeBps: protocolFeeBps,
+            claimed: false,
+            revealDeadline: 0
         });
+        lineups[battleId].starterHash = lineupHash;
+
+        if (opponent == address(0)) {
+            _openBattleIndex[battleId] = _openBattles.length;
+            _openBattles.push(battleId);
+        }
 
         emit BattleCreated(battleId, msg.sender, opponent, myCards);
         return battleId;
     }
 
     /**
-     * @notice Join an existing battle
+     * @notice Join an existing battle, matching the starter's MON stake (sent as msg.value)
      * @param battleId The battle ID
-     * @param opponentCards Array of exactly 3 token IDs to battle with
+     * @param opponentCards Array of exactly 3 token IDs to battle with, in ascending order
+     * @param lineupHash Commitment to the round order, see computeLineupHash
      */
-    function joinBattle(uint256 battleId, uint256[3] calldata opponentCards)
+    function joinBattle(uint256 battleId, uint256[3] calldata opponentCards, bytes32 lineupHash)
         external
+        payable
         nonReentrant
+        whenNotPaused
     {
         Battle storage battle = battles[battleId];
         require(battle.status == BattleStatus.WaitingForOpponent, "Battle not open");
-        require(battle.opponent == msg.sender, "Not the intended opponent");
+        require(msg.value == battle.stake, "Stake mismatch");
+        if (battle.opponent == address(0)) {
+            // Open challenge: first wallet other than the starter takes the seat
+            require(battle.starter != msg.sender, "Cannot join own battle");
+            battle.opponent = msg.sender;
+            _removeOpenBattle(battleId);
+        } else {
+            require(battle.opponent == msg.sender, "Not the intended opponent");
+        }
         require(block.number <= battle.createdAt + BATTLE_TIMEOUT, "Battle expired");
+        require(lineupHash != bytes32(0), "Missing lineup commitment");
+        _requireAscending(opponentCards);
 
-        // Validate ownership and escrow cards
+        // Validate ownership (or rental) and escrow cards
         for (uint256 i = 0; i < 3; i++) {
-            require(battleCard.ownerOf(opponentCards[i]) == msg.sender, "Not owner");
-            battleCard.transferFrom(msg.sender, address(this), opponentCards[i]);
+            _escrowCard(opponentCards[i]);
         }
 
         battle.opponentCards = opponentCards;
         battle.status = BattleStatus.ReadyToReveal;
+        battle.revealDeadline = block.number + REVEAL_TIMEOUT;
+        lineups[battleId].opponentHash = lineupHash;
+        lineups[battleId].deadline = block.number + LINEUP_REVEAL_TIMEOUT;
 
         emit BattleJoined(battleId, msg.sender, opponentCards);
     }
 
+    /**
+     * @notice Reveal the round order committed to when creating or joining the battle
+     * @param battleId The battle ID
+     * @param lineup The caller's escrowed cards in the order they will fight
+     * @param salt The secret salt used for the commitment
+     */
+    function revealLineup(uint256 battleId, uint256[3] calldata lineup, bytes32 salt) external {
+        Battle storage battle = battles[battleId];
+        LineupCommit storage commit = lineups[battleId];
+        require(battle.status == BattleStatus.ReadyToReveal, "Battle not ready");
+        require(block.number <= commit.deadline, "Lineup deadline passed");
+
+        bytes32 lineupHash = computeLineupHash(msg.sender, lineup, salt);
+        if (msg.sender == battle.starter) {
+            require(!commit.starterRevealed, "Lineup already revealed");
+            require(lineupHash == commit.starterHash, "Lineup mismatch");
+            _requireSameCards(battle.starterCards, lineup);
+            commit.starterRevealed = true;
+            battle.starterCards = lineup;
+        } else if (msg.sender == battle.opponent) {
+            require(!commit.opponentRevealed, "Lineup already revealed");
+            require(lineupHash == commit.opponentHash, "Lineup mismatch");
+            _requireSameCards(battle.opponentCards, lineup);
+            commit.opponentRevealed = true;
+            battle.opponentCards = lineup;
+        } else {
+            revert("Not a participant");
+        }
+        // Each salt was committed before the other side's was known, so neither player (nor
+        // anyone revealing rounds) can steer the coin flips
+        _coinFlipSeeds[battleId] ^= keccak256(abi.encode(msg.sender, salt));
+
+        emit LineupRevealed(battleId, msg.sender, lineup);
+    }
+
+    /**
+     * @notice Settle a battle where a lineup was not revealed in time (anyone can call)
+     * @dev A side that missed the deadline loses the battle to the side that revealed, and the
+     *      winner claims a prize as usual. If neither side revealed, everything is returned.
+     * @param battleId The battle ID
+     */
+    function forfeitUnrevealedLineup(uint256 battleId) external nonReentrant {
+        Battle storage battle = battles[battleId];
+        LineupCommit storage commit = lineups[battleId];
+        require(battle.status == BattleStatus.ReadyToReveal, "Battle not ready");
+        require(block.number > commit.deadline, "Lineup deadline not reached");
+        require(!(commit.starterRevealed && commit.opponentRevealed), "Lineups revealed");
+
+        if (commit.starterRevealed || commit.opponentRevealed) {
+            address forfeiter = commit.starterRevealed ? battle.opponent : battle.starter;
+            battle.winner = commit.starterRevealed ? battle.starter : battle.opponent;
+            battle.status = BattleStatus.Resolved;
+
+            emit LineupForfeited(battleId, forfeiter);
+            emit BattleResolved(battleId, battle.winner);
+            _updateRatings(battleId);
+            return;
+        }
+
+        // Nobody revealed: no one to reward, so unlock both sides
+        battle.status = BattleStatus.Expired;
+        for (uint256 i = 0; i < 3; i++) {
+            _returnCard(battle.starterCards[i], battle.starter);
+            _returnCard(battle.opponentCards[i], battle.opponent);
+        }
+        if (battle.stake > 0) {
+            _sendValue(battleId, battle.starter, battle.stake);
+            _sendValue(battleId, battle.opponent, battle.stake);
+        }
+
+        emit BattleExpired(battleId, msg.sender);
+    }
+
+    /**
+     * @notice Escrow a card the caller owns or is currently renting
+     * @dev Rented cards are pulled from their lender and remembered in cardLenders. A card
+     *      already escrowed here can't enter a second battle, and a lender can't battle with a
+     *      card they have rented out, since it could be won as a prize.
+     */
+    function _escrowCard(uint256 tokenId) internal {
+        address cardOwner = battleCard.ownerOf(tokenId);
+        require(cardOwner != address(this), "Card in battle");
+        address user = battleCard.userOf(tokenId);
+        if (cardOwner == msg.sender) {
+            require(user == address(0) || user == msg.sender, "Card is rented");
+        } else {
+            require(user == msg.sender, "Not owner");
+            require(cardLenders[tokenId] == address(0), "Card in battle");
+            cardLenders[tokenId] = cardOwner;
+        }
+        battleCard.transferFrom(cardOwner, address(this), tokenId);
+    }
+
+    /**
+     * @notice Return an escrowed card to the player who entered it, or to its lender if rented
+     */
+    function _returnCard(uint256 tokenId, address player) internal {
+        address lender = cardLenders[tokenId];
+        if (lender != address(0)) {
+            delete cardLenders[tokenId];
+            player = lender;
+        }
+        battleCard.transferFrom(address(this), player, tokenId);
+    }
+
+    function _hasOwnedCard(uint256[3] memory cards) internal view returns (bool) {
+        for (uint256 i = 0; i < 3; i++) {
+            if (cards[i] != 0 && cardLenders[cards[i]] == address(0)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @notice Commitment a player submits for their round order
+     * @param player The committing player (binds the hash so it can't be replayed by others)
+     * @param lineup Token IDs in round order
+     * @param salt Secret random salt kept by the player until reveal
+     */
+    function computeLineupHash(address player, uint256[3] calldata lineup, bytes32 salt)
+        public
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(player, lineup, salt));
+    }
+
     /**
      * @notice Reveal the next round of battle (anyone can call)
      * @param battleId The battle ID
@@ -150,6 +433,8 @@ contract BattleManager is ReentrancyGuard {
         Battle storage battle = battles[battleId];
         require(battle.status == BattleStatus.ReadyToReveal || battle.status == BattleStatus.InProgress, "Battle not ready");
         require(battle.currentRound < 3, "All rounds complete");
+        require(block.number <= battle.revealDeadline, "Reveal deadline passed");
+        require(lineups[battleId].starterRevealed && lineups[battleId].opponentRevealed, "Lineups not revealed");
         require(!roundsRevealed[battleId][battle.currentRound], "Round already revealed");
 
         uint256 starterCardId = battle.starterCards[battle.currentRound];
@@ -158,15 +443,25 @@ contract BattleManager is ReentrancyGuard {
         BattleCard.Card memory starterCard = battleCard.getCard(starterCardId);
         BattleCard.Card memory opponentCard = battleCard.getCard(opponentCardId);
 
-        // Calculate scores: power + defense/2 + speed
+        // Apply character type advantage to each side's base score
+        uint16 starterMultiplier = typeAdvantage[starterCard.character][opponentCard.character];
+        uint16 opponentMultiplier = typeAdvantage[opponentCard.character][starterCard.character];
+
+        // Calculate scores: (power + defense/2 + speed) * multiplier
         uint256 starterScore;
         uint256 opponentScore;
         unchecked {
-            starterScore = uint256(starterCard.power) + (uint256(starterCard.defense) / 2) + uint256(starterCard.speed);
-            opponentScore = uint256(opponentCard.power) + (uint256(opponentCard.defense) / 2) + uint256(opponentCard.speed);
+            starterScore = (uint256(starterCard.power) + (uint256(starterCard.defense) / 2) + uint256(starterCard.speed)) * starterMultiplier;
+            opponentScore = (uint256(opponentCard.power) + (uint256(opponentCard.defense) / 2) + uint256(opponentCard.speed)) * opponentMultiplier;
         }
 
-        bool starterWon = starterScore > opponentScore;
+        bool starterWon;
+        TieBreak tieBreak;
+        if (starterScore != opponentScore) {
+            starterWon = starterScore > opponentScore;
+        } else {
+            (starterWon, tieBreak) = _breakTie(battleId, battle.currentRound, starterCard, opponentCard);
+        }
         roundsRevealed[battleId][battle.currentRound] = true;
 
         if (starterWon) {
@@ -175,6 +470,12 @@ contract BattleManager is ReentrancyGuard {
             battle.opponentWins++;
         }
 
+        // XP is a bonus: a card contract that hasn't registered this manager must not stall battles.
+        // Otherwise the grant must succeed, so a caller can't starve it of gas and still settle the round.
+        if (battleCard.battleManager() == address(this)) {
+            battleCard.grantXp(starterWon ? starterCardId : opponentCardId, XP_PER_ROUND_WIN);
+        }
+
         battle.currentRound++;
         
         // Check if battle is complete (best of 3)
@@ -189,21 +490,64 @@ contract BattleManager is ReentrancyGuard {
                 battle.winner = address(0);
             }
             emit BattleResolved(battleId, battle.winner);
+            _updateRatings(battleId);
         } else {
             battle.status = BattleStatus.InProgress;
         }
 
-        emit RoundResolved(battleId, battle.currentRound - 1, starterCardId, opponentCardId, starterWon);
+        emit RoundResolved(
+            battleId,
+            battle.currentRound - 1,
+            starterCardId,
+            opponentCardId,
+            starterWon,
+            starterMultiplier,
+            opponentMultiplier,
+            tieBreak
+        );
+    }
+
+    /**
+     * @notice Decide a round whose scores are equal: faster card, then rarer card, then a coin flip
+     * @dev The coin flip is seeded from both players' lineup salts, the battle and the round. It
+     *      is fixed once both lineups are revealed, so it can't be re-rolled by choosing when (or
+     *      from which contract) to call revealRound
+     * @param battleId The battle ID
+     * @param roundIndex The round being revealed (0-2)
+     * @param starterCard The starter's card for this round
+     * @param opponentCard The opponent's card for this round
+     * @return starterWon Whether the starter takes the round
+     * @return tieBreak The rule that decided it
+     */
+    function _breakTie(
+        uint256 battleId,
+        uint8 roundIndex,
+        BattleCard.Card memory starterCard,
+        BattleCard.Card memory opponentCard
+    ) internal view returns (bool starterWon, TieBreak tieBreak) {
+        if (starterCard.speed != opponentCard.speed) {
+            return (starterCard.speed > opponentCard.speed, TieBreak.Speed);
+        }
+        if (starterCard.rarity != opponentCard.rarity) {
+            return (starterCard.rarity > opponentCard.rarity, TieBreak.Rarity);
+        }
+
+        uint256 seed = uint256(
+            keccak256(abi.encodePacked(_coinFlipSeeds[battleId], battleId, roundIndex))
+        );
+        return (seed % 2 == 0, TieBreak.CoinFlip);
     }
 
     /**
      * @notice Claim reward after winning a battle, or retrieve cards in case of a draw
+     * @dev The winner also takes both stakes minus the protocol fee; a draw refunds each stake
      * @param battleId The battle ID
      * @param prizeCardIndex Index (0-2) of opponent card to claim (ignored in draw)
      */
     function claimReward(uint256 battleId, uint8 prizeCardIndex) external nonReentrant {
         Battle storage battle = battles[battleId];
         require(battle.status == BattleStatus.Resolved, "Battle not resolved");
+        require(!battle.claimed, "Already claimed");
         
         // Handle draw case: both players can retrieve their own cards
         if (battle.winner == address(0)) {
@@ -216,17 +560,23 @@ contract BattleManager is ReentrancyGuard {
             // Return starter's cards to starter
             for (uint256 i = 0; i < 3; i++) {
                 if (battle.starterCards[i] != 0) {
-                    battleCard.transferFrom(address(this), battle.starter, battle.starterCards[i]);
+                    _returnCard(battle.starterCards[i], battle.starter);
                 }
             }
             
             // Return opponent's cards to opponent
             for (uint256 i = 0; i < 3; i++) {
                 if (battle.opponentCards[i] != 0) {
-                    battleCard.transferFrom(address(this), battle.opponent, battle.opponentCards[i]);
+                    _returnCard(battle.opponentCards[i], battle.opponent);
                 }
             }
             
+            battle.claimed = true;
+            if (battle.stake > 0) {
+                _sendValue(battleId, battle.starter, battle.stake);
+                _sendValue(battleId, battle.opponent, battle.stake);
+            }
+
             emit CardClaimed(battleId, msg.sender, 0); // 0 indicates draw
             return;
         }
@@ -235,26 +585,49 @@ contract BattleManager is ReentrancyGuard {
         require(battle.winner == msg.sender, "Not the winner");
         require(prizeCardIndex < 3, "Invalid index");
 
-        uint256 prizeTokenId = battle.opponentCards[prizeCardIndex];
+        // The prize comes from the loser's lineup
+        bool starterWon = msg.sender == battle.starter;
+        uint256[3] memory winnerCards = starterWon ? battle.starterCards : battle.opponentCards;
+        uint256[3] memory loserCards = starterWon ? battle.opponentCards : battle.starterCards;
+        address loser = starterWon ? battle.opponent : battle.starter;
+
+        uint256 prizeTokenId = loserCards[prizeCardIndex];
         require(prizeTokenId != 0, "Invalid prize card");
+        // A rented card always goes back to its lender; if the loser only had rented cards,
+        // the winner takes no card
+        if (cardLenders[prizeTokenId] != address(0)) {
+            require(!_hasOwnedCard(loserCards), "Prize card is rented");
+            prizeTokenId = 0;
+        }
+        battle.claimed = true;
 
         // Transfer prize to winner
-        battleCard.transferFrom(address(this), msg.sender, prizeTokenId);
+        if (prizeTokenId != 0) {
+            battleCard.transferFrom(address(this), msg.sender, prizeTokenId);
+        }
 
-        // Return remaining opponent cards to opponent
+        // Return remaining loser cards to the loser (or their lenders)
         for (uint256 i = 0; i < 3; i++) {
-            if (i != prizeCardIndex && battle.opponentCards[i] != 0) {
-                battleCard.transferFrom(address(this), battle.opponent, battle.opponentCards[i]);
+            if (loserCards[i] != prizeTokenId && loserCards[i] != 0) {
+                _returnCard(loserCards[i], loser);
             }
         }
 
-        // Return all starter cards to starter
+        // Return all of the winner's own cards
         for (uint256 i = 0; i < 3; i++) {
-            if (battle.starterCards[i] != 0) {
-                battleCard.transferFrom(address(this), battle.starter, battle.starterCards[i]);
+            if (winnerCards[i] != 0) {
+                _returnCard(winnerCards[i], msg.sender);
             }
         }
 
+        // Pay out the pot, keeping the protocol fee
+        if (battle.stake > 0) {
+            uint256 pot = battle.stake * 2;
+            uint256 fee = (pot * battle.feeBps) / 10000;
+            accruedProtocolFees += fee;
+            _sendValue(battleId, msg.sender, pot - fee);
+        }
+
         emit CardClaimed(battleId, msg.sender, prizeTokenId);
     }
 
@@ -271,14 +644,321 @@ contract BattleManager is ReentrancyGuard {
         // Return starter's cards
         for (uint256 i = 0; i < 3; i++) {
             if (battle.starterCards[i] != 0) {
-                battleCard.transferFrom(address(this), battle.starter, battle.starterCards[i]);
+                _returnCard(battle.starterCards[i], battle.starter);
             }
         }
 
         battle.status = BattleStatus.Cancelled;
+        if (battle.opponent == address(0)) {
+            _removeOpenBattle(battleId);
+        }
+        if (battle.stake > 0) {
+            _sendValue(battleId, battle.starter, battle.stake);
+        }
         emit BattleCancelled(battleId);
     }
 
+    /**
+     * @notice Unlock a battle whose rounds were not all revealed before the deadline (anyone can call)
+     * @dev Nobody is at fault when a permissionless reveal stalls, so every card and stake goes
+     *      back to its owner and rounds revealed so far are discarded
+     * @param battleId The battle ID
+     */
+    function resolveExpired(uint256 battleId) external nonReentrant {
+        Battle storage battle = battles[battleId];
+        require(
+            battle.status == BattleStatus.ReadyToReveal || battle.status == BattleStatus.InProgress,
+            "Battle not in progress"
+        );
+        require(block.number > battle.revealDeadline, "Reveal deadline not reached");
+
+        battle.status = BattleStatus.Expired;
+
+        for (uint256 i = 0; i < 3; i++) {
+            _returnCard(battle.starterCards[i], battle.starter);
+            _returnCard(battle.opponentCards[i], battle.opponent);
+        }
+        if (battle.stake > 0) {
+            _sendValue(battleId, battle.starter, battle.stake);
+            _sendValue(battleId, battle.opponent, battle.stake);
+        }
+
+        emit BattleExpired(battleId, msg.sender);
+    }
+
+    /**
+     * @notice Owner-only: stop new battles from being created or joined
+     * @dev Battles already under way keep playing and paying out as usual: their reveal
+     *      deadline keeps running while paused, so round reveals and claims must stay open
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Owner-only, while paused: send every escrowed card and stake of a battle back
+     * @dev For battles stuck by a bug before they resolve; the battle is cancelled and rented
+     *      cards go back to their lenders. Resolved battles are left to the winner's claim,
+     *      which works while paused, so a decided win and its rating change always stand.
+     * @param battleId The battle ID
+     */
+    function emergencyReturnCards(uint256 battleId) external onlyOwner whenPaused nonReentrant {
+        Battle storage battle = battles[battleId];
+        require(battle.starter != address(0), "Battle not found");
+        require(battle.status != BattleStatus.Resolved, "Battle resolved");
+        require(
+            battle.status != BattleStatus.Cancelled && battle.status != BattleStatus.Expired,
+            "Nothing escrowed"
+        );
+
+        bool opponentJoined = battle.status != BattleStatus.WaitingForOpponent;
+        if (!opponentJoined && battle.opponent == address(0)) {
+            _removeOpenBattle(battleId);
+        }
+        battle.status = BattleStatus.Cancelled;
+        battle.claimed = true;
+
+        for (uint256 i = 0; i < 3; i++) {
+            _emergencyReturn(battleId, battle.starterCards[i], battle.starter);
+            if (opponentJoined) {
+                _emergencyReturn(battleId, battle.opponentCards[i], battle.opponent);
+            }
+        }
+        if (battle.stake > 0) {
+            _sendValue(battleId, battle.starter, battle.stake);
+            if (opponentJoined) {
+                _sendValue(battleId, battle.opponent, battle.stake);
+            }
+        }
+
+        emit EmergencyReturned(battleId);
+    }
+
+    function _emergencyReturn(uint256 battleId, uint256 tokenId, address player) internal {
+        if (tokenId == 0) return;
+        address to = cardLenders[tokenId] != address(0) ? cardLenders[tokenId] : player;
+        _returnCard(tokenId, player);
+        emit CardReturned(battleId, tokenId, to);
+    }
+
+    /**
+     * @notice Withdraw MON payouts that could not be sent directly
+     */
+    function withdrawPayout() external nonReentrant {
+        uint256 amount = pendingPayouts[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        pendingPayouts[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+    }
+
+    /**
+     * @notice Set the treasury and the fee taken from won pots of battles created afterwards
+     * @param _treasury Address that receives withdrawn protocol fees
+     * @param feeBps Fee in basis points (max MAX_PROTOCOL_FEE_BPS)
+     */
+    function setProtocolFee(address _treasury, uint16 feeBps) external onlyOwner {
+        require(feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        require(feeBps == 0 || _treasury != address(0), "Invalid treasury");
+        treasury = _treasury;
+        protocolFeeBps = feeBps;
+        emit ProtocolFeeUpdated(_treasury, feeBps);
+    }
+
+    /**
+     * @notice Send accrued protocol fees to the treasury (anyone can call)
+     */
+    function withdrawProtocolFees() external nonReentrant {
+        uint256 amount = accruedProtocolFees;
+        require(amount > 0, "No fees to withdraw");
+        require(treasury != address(0), "Invalid treasury");
+        accruedProtocolFees = 0;
+        (bool success, ) = payable(treasury).call{value: amount}("");
+        require(success, "Withdrawal failed");
+        emit ProtocolFeesWithdrawn(treasury, amount);
+    }
+
+    /**
+     * @notice Send MON from a battle, deferring to pendingPayouts if the recipient rejects it
+     * @dev Keeps a reverting recipient from blocking the other side's refund or the card transfers
+     */
+    function _sendValue(uint256 battleId, address recipient, uint256 amount) internal {
+        (bool success, ) = payable(recipient).call{value: amount}("");
+        if (!success) {
+            pendingPayouts[recipient] += amount;
+            emit PayoutDeferred(recipient, amount);
+        }
+        emit StakePaid(battleId, recipient, amount);
+    }
+
+    /**
+     * @notice Set the score multiplier one character type gets against another
+     * @param attacker Character type whose score is scaled (0-3)
+     * @param defender Character type it is facing (0-3)
+     * @param multiplier Multiplier in basis points (10000 = 1.00x)
+     */
+    function setTypeAdvantage(uint8 attacker, uint8 defender, uint16 multiplier) external onlyOwner {
+        require(attacker < 4 && defender < 4, "Invalid character type");
+        require(multiplier >= MIN_MULTIPLIER && multiplier <= MAX_MULTIPLIER, "Multiplier out of range");
+
+        typeAdvantage[attacker][defender] = multiplier;
+        emit TypeAdvantageUpdated(attacker, defender, multiplier);
+    }
+
+    /**
+     * @notice Get the full type advantage matrix
+     * @return Multipliers in basis points indexed [attacker][defender]
+     */
+    function getTypeAdvantages() external view returns (uint16[4][4] memory) {
+        return typeAdvantage;
+    }
+
+    /**
+     * @notice Get the IDs of open challenges still waiting for an opponent
+     * @dev Includes expired challenges until their starter cancels them
+     * @return Array of battle IDs
+     */
+    function getOpenBattles() external view returns (uint256[] memory) {
+        return _openBattles;
+    }
+
+    /**
+     * @notice Remove a battle from the open challenge list
+     * @param battleId The battle ID
+     */
+    function _removeOpenBattle(uint256 battleId) internal {
+        uint256 index = _openBattleIndex[battleId];
+        uint256 lastBattleId = _openBattles[_openBattles.length - 1];
+        _openBattles[index] = lastBattleId;
+        _openBattleIndex[lastBattleId] = index;
+        _openBattles.pop();
+        delete _openBattleIndex[battleId];
+    }
+
+    /**
+     * @notice Get a player's ladder record (unrated players report INITIAL_RATING)
+     * @param player The player address
+     */
+    function getPlayerStats(address player) external view returns (PlayerStats memory stats) {
+        stats = _playerStats[player];
+        if (stats.rating == 0) {
+            stats.rating = INITIAL_RATING;
+        }
+    }
+
+    /**
+     * @notice Get every address that has played a resolved battle
+     */
+    function getPlayers() external view returns (address[] memory) {
+        return _players;
+    }
+
+    /**
+     * @dev Apply the Elo update for a just-resolved battle (winner == address(0) is a draw)
+     */
+    function _updateRatings(uint256 battleId) internal {
+        Battle storage battle = battles[battleId];
+        PlayerStats storage starter = _loadPlayer(battle.starter);
+        PlayerStats storage opponent = _loadPlayer(battle.opponent);
+
+        uint256 starterScore = 5000; // Basis points: 10000 win, 5000 draw, 0 loss
+        if (battle.winner == battle.starter) {
+            starterScore = 10000;
+            starter.wins++;
+            opponent.losses++;
+        } else if (battle.winner == battle.opponent) {
+            starterScore = 0;
+            starter.losses++;
+            opponent.wins++;
+        } else {
+            starter.draws++;
+            opponent.draws++;
+        }
+
+        // Zero-sum: whatever the starter gains, the opponent loses
+        uint256 expected = _expectedScore(starter.rating, opponent.rating);
+        int256 delta = (int256(uint256(ELO_K)) * (int256(starterScore) - int256(expected))) / 10000;
+
+        uint32 starterOld = starter.rating;
+        uint32 opponentOld = opponent.rating;
+        starter.rating = _applyDelta(starterOld, delta);
+        opponent.rating = _applyDelta(opponentOld, -delta);
+
+        emit RatingUpdated(battle.starter, battleId, starterOld, starter.rating);
+        emit RatingUpdated(battle.opponent, battleId, opponentOld, opponent.rating);
+    }
+
+    /**
+     * @dev Get a player's stats, registering them on the ladder the first time
+     */
+    function _loadPlayer(address player) internal returns (PlayerStats storage stats) {
+        stats = _playerStats[player];
+        if (stats.rating == 0) {
+            stats.rating = INITIAL_RATING;
+            _players.push(player);
+        }
+    }
+
+    /**
+     * @dev Elo expected score 1 / (1 + 10^((rb - ra) / 400)) in basis points, from a
+     *      25-point lookup table with linear interpolation; gaps beyond 400 are capped
+     */
+    function _expectedScore(uint32 ratingA, uint32 ratingB) internal pure returns (uint256) {
+        uint16[17] memory table = [
+            uint16(5000), 5359, 5715, 6063, 6401, 6725, 7034, 7325, 7597,
+            7850, 8083, 8296, 8490, 8666, 8823, 8965, 9091
+        ];
+        uint256 gap = ratingA > ratingB ? ratingA - ratingB : ratingB - ratingA;
+        if (gap > 400) {
+            gap = 400;
+        }
+        uint256 index = gap / 25;
+        uint256 score = table[index];
+        if (index < 16) {
+            score += ((uint256(table[index + 1]) - table[index]) * (gap % 25)) / 25;
+        }
+        return ratingA >= ratingB ? score : 10000 - score;
+    }
+
+    /**
+     * @dev Add a signed rating change, never dropping below MIN_RATING
+     */
+    function _applyDelta(uint32 rating, int256 delta) internal pure returns (uint32) {
+        int256 updated = int256(uint256(rating)) + delta;
+        if (updated < int256(uint256(MIN_RATING))) {
+            return MIN_RATING;
+        }
+        return uint32(uint256(updated));
+    }
+
+    /**
+     * @dev Escrowed cards must be listed in strictly ascending ID order so the escrow itself
+     *      reveals nothing about the committed round order (and can't contain duplicates)
+     */
+    function _requireAscending(uint256[3] calldata cards) internal pure {
+        require(cards[0] < cards[1] && cards[1] < cards[2], "Cards must be ascending");
+    }
+
+    /**
+     * @dev Check a revealed lineup is a reordering of the (ascending, distinct) escrowed cards
+     */
+    function _requireSameCards(uint256[3] storage escrowed, uint256[3] calldata lineup) internal view {
+        for (uint256 i = 0; i < 3; i++) {
+            bool found = false;
+            for (uint256 j = 0; j < 3; j++) {
+                if (lineup[i] == escrowed[j]) {
+                    found = true;
+                }
+            }
+            require(found, "Lineup card not escrowed");
+        }
+        require(lineup[0] != lineup[1] && lineup[0] != lineup[2] && lineup[1] != lineup[2], "Duplicate lineup card");
+    }
+
     /**
      * @notice Get battle details
      * @param battleId The battle ID
@@ -2,17 +2,41 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./CardRenderer.sol";
 
 /**
  * @title BattleCard
  * @notice ERC721 NFT contract for Monad Battle Cards
  * @dev Gas-optimized card storage with uint16 stats and uint8 enums
  */
-contract BattleCard is ERC721, Ownable, ReentrancyGuard {
-    uint256 public constant MINT_FEE = 0.001 ether;
+contract BattleCard is ERC721, ERC2981, Ownable, Pausable, ReentrancyGuard {
+    uint256 public mintFee = 0.001 ether;
+    // Cap on cards from paid packs (0 = uncapped). Fusion only ever shrinks the supply, so it isn't counted.
+    uint256 public maxSupply;
+    // Cards from paid packs and claims committed
+    uint256 public mintCount;
     uint256 public nextId = 1;
+    uint256 public nextCommitId = 1;
+    // Fees of unopened packs, held back from withdraw() until the pack is opened
+    uint256 public pendingMintFees;
+
+    // Blocks between commit and the block whose hash seeds the card
+    uint256 public constant REVEAL_DELAY = 1;
+    // blockhash() only reaches back 256 blocks; after that a commit opens as its lowest possible roll
+    uint256 public constant REVEAL_WINDOW = 256;
+    // Same-rarity cards burned by fuse() to forge one card of the next rarity
+    uint256 public constant FUSION_SIZE = 3;
+    // Largest pack mintPack sells
+    uint8 public constant MAX_PACK_SIZE = 10;
+    // Packs this size or larger always contain at least one Rare or better card
+    uint8 public constant RARE_GUARANTEE_SIZE = 5;
+    // Default secondary-sale royalty (5%), paid to this contract and split by withdraw()
+    uint96 public constant DEFAULT_ROYALTY_BPS = 500;
 
     // Character types: 0=Warrior, 1=Mage, 2=Cavalry, 3=Prince
     enum CharacterType {
@@ -32,16 +56,71 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
     }
 
     // Gas-optimized struct: packed to minimize storage operations
+    // xp and level are appended so decoders of the original five fields keep working
     struct Card {
         uint16 power;     // 0-65535
         uint16 defense;   // 0-65535
         uint16 speed;     // 0-65535
         uint8 character;  // 0-3
         uint8 rarity;     // 0-4
+        uint32 xp;        // Total XP earned from won battle rounds
+        uint8 level;      // 1-MAX_LEVEL
     }
 
+    // Levelling: XP comes only from the BattleManager, each level adds a few stat points,
+    // and no stat can grow past the top of its rarity's mint range
+    uint8 public constant MAX_LEVEL = 10;
+    uint16 public constant POWER_PER_LEVEL = 3;
+    uint16 public constant DEFENSE_PER_LEVEL = 2;
+    uint16 public constant SPEED_PER_LEVEL = 1;
+    address public battleManager;
+    // Builds tokenURI metadata; deployed by the constructor to keep this contract under the size limit
+    CardRenderer public immutable renderer;
+
+    enum CommitStatus {
+        None,
+        Pending,
+        Revealed
+    }
+
+    struct MintCommit {
+        address owner;
+        uint64 revealBlock;
+        CommitStatus status;
+        uint8 fusedRarity; // 0 for a paid mint, otherwise the rarity a fusion forges
+        uint8 count;       // Cards minted on reveal (1 for single mints and fusions)
+        uint256 fee;       // MON paid at commit, released to withdraw() when the pack is opened
+    }
+
+    // ERC-4907 rental: the user can battle with a card until `expires` (unix time) without owning it
+    struct UserInfo {
+        address user;
+        uint64 expires;
+    }
+
+    bytes4 private constant _INTERFACE_ID_ERC4907 = 0xad092b5c;
+
     mapping(uint256 => Card) public cards;
-    mapping(address => uint256[]) private _ownedTokens;
+    mapping(uint256 => MintCommit) public mintCommits;
+    // ERC721Enumerable-style owner index: owner => position => token ID, and each token's position
+    mapping(address => mapping(uint256 => uint256)) private _ownedTokens;
+    mapping(uint256 => uint256) private _ownedTokensIndex;
+    // Cards escrowed by a pending fusion, burned on reveal
+    mapping(uint256 => uint256[]) private _fusionInputs;
+    mapping(uint256 => UserInfo) private _users;
+    // Owner-set pack prices by size; unset sizes cost mintFee per card
+    mapping(uint8 => uint256) private _packPrices;
+
+    // Allowlist claims: each address in the Merkle tree under claimRoot can claim one card at claimPrice
+    bytes32 public claimRoot;
+    uint256 public claimPrice;
+    // Claimed addresses per root, so a new giveaway list starts fresh
+    mapping(bytes32 => mapping(address => bool)) private _claimed;
+
+    // Withdrawal split: each payee gets shares / totalShares of withdrawn funds
+    address[] private _payees;
+    mapping(address => uint256) public shares;
+    uint256 public totalShares;
 
     // Events
     event CardMinted(
@@ -54,61 +133,223 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
         uint16 speed
     );
 
-    constructor() ERC721("MonadBattleCard", "MBC") Ownable(msg.sender) {}
+    event MintCommitted(
+        address indexed owner,
+        uint256 indexed commitId,
+        uint64 revealBlock
+    );
+
+    event MintRevealed(
+        address indexed owner,
+        uint256 indexed commitId,
+        uint256 indexed tokenId
+    );
+
+    event FusionCommitted(
+        address indexed owner,
+        uint256 indexed commitId,
+        uint256[] tokenIds,
+        uint8 rarity,
+        uint64 revealBlock
+    );
+
+    event BattleManagerUpdated(address indexed battleManager);
+
+    event MintFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    event MaxSupplyUpdated(uint256 maxSupply);
+
+    event PackPriceUpdated(uint8 count, uint256 price);
+
+    event ClaimUpdated(bytes32 root, uint256 price);
+
+    event MintClaimed(address indexed account, uint256 indexed commitId);
+
+    event RoyaltyUpdated(address indexed receiver, uint96 feeBps);
+
+    event PayeesUpdated(address[] payees, uint256[] shares);
+
+    event PaymentReleased(address indexed payee, uint256 amount);
+
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    event XpGained(uint256 indexed tokenId, uint32 amount, uint32 totalXp);
+
+    event LevelUp(
+        uint256 indexed tokenId,
+        uint8 level,
+        uint16 power,
+        uint16 defense,
+        uint16 speed
+    );
+
+    constructor() ERC721("MonadBattleCard", "MBC") Ownable(msg.sender) {
+        renderer = new CardRenderer();
+        _setDefaultRoyalty(address(this), DEFAULT_ROYALTY_BPS);
+        // 10% off a five-card pack
+        _packPrices[5] = 0.0045 ether;
+    }
 
     /**
-     * @notice Mint a new battle card for 0.001 MON
-     * @return tokenId The newly minted token ID
+     * @notice Royalties paid to the contract itself are withdrawn with the mint fees
      */
-    function mintCard() external payable nonReentrant returns (uint256) {
-        require(msg.value == MINT_FEE, "Incorrect mint fee");
+    receive() external payable {}
 
-        uint256 tokenId = nextId++;
-        _safeMint(msg.sender, tokenId);
-        _ownedTokens[msg.sender].push(tokenId);
-
-        // Generate pseudo-random seed
-        uint256 rand = uint256(
-            keccak256(
-                abi.encodePacked(
-                    block.timestamp,
-                    msg.sender,
-                    tokenId,
-                    blockhash(block.number - 1)
-                )
-            )
-        );
+    /**
+     * @notice Pay mintFee to commit to a sealed card pack
+     * @dev The card is rolled from the hash of a block that does not exist yet,
+     *      so nothing known at commit time can predict or steer the outcome
+     * @return commitId The pending mint ID to pass to revealMint
+     */
+    function commitMint() external payable nonReentrant whenNotPaused returns (uint256) {
+        require(msg.value == mintFee, "Incorrect mint fee");
+        return _commitPack(1);
+    }
 
-        // Determine rarity (0-99)
-        uint8 rarityVal = _determineRarity(rand % 100);
-        // Determine character type (0-3)
-        uint8 characterType = uint8((rand / 100) % 4);
+    /**
+     * @notice Pay packPrice(count) to commit to a sealed pack of several cards
+     * @dev Revealed like a single pack: one revealMint call mints every card in the pack,
+     *      and packs of RARE_GUARANTEE_SIZE or more always include a Rare or better
+     * @param count Number of cards, 1 to MAX_PACK_SIZE
+     * @return commitId The pending mint ID to pass to revealMint
+     */
+    function mintPack(uint8 count) external payable nonReentrant whenNotPaused returns (uint256) {
+        require(count > 0 && count <= MAX_PACK_SIZE, "Invalid pack size");
+        require(msg.value == packPrice(count), "Incorrect pack price");
+        return _commitPack(count);
+    }
 
-        // Generate stats based on rarity
-        (uint16 power, uint16 defense, uint16 speed) = _generateStats(
-            Rarity(rarityVal),
-            rand
-        );
+    /**
+     * @notice Claim one free or discounted sealed pack as an allowlisted address
+     * @dev Leaves are keccak256(bytes.concat(keccak256(abi.encode(account)))), as built by
+     *      script/build-claims.js. The pack is opened with revealMint like a bought one.
+     * @param proof Merkle proof of msg.sender under claimRoot
+     * @return commitId The pending mint ID to pass to revealMint
+     */
+    function claimMint(bytes32[] calldata proof) external payable nonReentrant whenNotPaused returns (uint256) {
+        bytes32 root = claimRoot;
+        require(root != bytes32(0), "Claims closed");
+        require(!_claimed[root][msg.sender], "Already claimed");
+        require(msg.value == claimPrice, "Incorrect claim price");
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender))));
+        require(MerkleProof.verify(proof, root, leaf), "Invalid proof");
 
-        cards[tokenId] = Card({
-            power: power,
-            defense: defense,
-            speed: speed,
-            character: characterType,
-            rarity: rarityVal
+        _claimed[root][msg.sender] = true;
+        uint256 commitId = _commitPack(1);
+        emit MintClaimed(msg.sender, commitId);
+        return commitId;
+    }
+
+    /**
+     * @notice Whether an address already claimed from the current allowlist
+     * @param account The address to check
+     */
+    function hasClaimed(address account) external view returns (bool) {
+        return _claimed[claimRoot][account];
+    }
+
+    /**
+     * @notice Price of a pack: the owner-set price for its size, or mintFee per card
+     * @param count Number of cards in the pack
+     */
+    function packPrice(uint8 count) public view returns (uint256) {
+        uint256 price = _packPrices[count];
+        return price > 0 ? price : mintFee * count;
+    }
+
+    /**
+     * @notice Fuse FUSION_SIZE cards of the same rarity into one card of the next rarity
+     * @dev The inputs are escrowed and a sealed commit is opened with revealMint like a paid
+     *      pack, so the forged card's stats can't be picked by choosing when to fuse.
+     *      The inputs are burned on reveal, even one after REVEAL_WINDOW.
+     * @param tokenIds The cards to fuse
+     * @return commitId The pending mint ID to pass to revealMint
+     */
+    function fuse(uint256[] calldata tokenIds) external nonReentrant whenNotPaused returns (uint256) {
+        require(tokenIds.length == FUSION_SIZE, "Wrong number of cards");
+
+        uint8 rarity = cards[tokenIds[0]].rarity;
+        require(rarity < uint8(Rarity.Mythic), "Already max rarity");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            // A duplicate ID fails here since the first copy is already escrowed
+            require(ownerOf(tokenIds[i]) == msg.sender, "Not owner");
+            require(cards[tokenIds[i]].rarity == rarity, "Rarity mismatch");
+            _transfer(msg.sender, address(this), tokenIds[i]);
+        }
+
+        uint256 commitId = nextCommitId++;
+        uint64 revealBlock = uint64(block.number + REVEAL_DELAY);
+        mintCommits[commitId] = MintCommit({
+            owner: msg.sender,
+            revealBlock: revealBlock,
+            status: CommitStatus.Pending,
+            fusedRarity: rarity + 1,
+            count: 1,
+            fee: 0
         });
+        _fusionInputs[commitId] = tokenIds;
 
-        emit CardMinted(
-            msg.sender,
-            tokenId,
-            characterType,
-            rarityVal,
-            power,
-            defense,
-            speed
-        );
+        emit FusionCommitted(msg.sender, commitId, tokenIds, rarity + 1, revealBlock);
+        return commitId;
+    }
+
+    /**
+     * @notice Open a sealed pack and mint its cards to the committer (anyone can call)
+     * @dev Permissionless so a committer cannot veto a bad roll by refusing to reveal;
+     *      uses _mint rather than _safeMint so a receiver hook cannot reject it either.
+     *      A commit opened after REVEAL_WINDOW, when its reveal block hash is gone, still mints:
+     *      every card is the lowest roll possible (Warriors with minimum stats, Common except for
+     *      the Rare guarantee of large packs and a fusion's fixed rarity), so sitting on a bad
+     *      roll never beats opening it.
+     * @param commitId The pending mint ID returned by commitMint, mintPack or fuse
+     * @return tokenId The first newly minted token ID (the rest follow consecutively)
+     */
+    function revealMint(uint256 commitId) external nonReentrant returns (uint256) {
+        MintCommit storage commit = mintCommits[commitId];
+        require(commit.status == CommitStatus.Pending, "Mint not pending");
+        require(block.number > commit.revealBlock, "Reveal too early");
+
+        bytes32 revealHash = blockhash(commit.revealBlock);
+        bool expired = revealHash == bytes32(0);
+
+        commit.status = CommitStatus.Revealed;
+        address minter = commit.owner;
+        if (commit.fusedRarity == 0) {
+            pendingMintFees -= commit.fee;
+        } else {
+            _burnFusionInputs(commitId);
+        }
 
-        return tokenId;
+        uint256 firstTokenId = nextId;
+        uint8 count = commit.count;
+        bool hasRare;
+        for (uint8 i = 0; i < count; i++) {
+            // A zero seed rolls Common (unless fused), Warrior and the bottom of every stat range
+            uint256 rand = expired ? 0 : _cardSeed(revealHash, commitId, minter, i);
+
+            // Determine rarity (0-99); a fusion always forges its fixed rarity
+            uint8 rarityVal = commit.fusedRarity == 0 ? _determineRarity(rand % 100) : commit.fusedRarity;
+            if (rarityVal >= uint8(Rarity.Rare)) {
+                hasRare = true;
+            } else if (i == count - 1 && count >= RARE_GUARANTEE_SIZE && !hasRare) {
+                // Nothing in a large pack rolled Rare or better, so its last card is upgraded
+                rarityVal = uint8(Rarity.Rare);
+            }
+
+            _mintRolledCard(minter, commitId, rarityVal, rand);
+        }
+
+        return firstTokenId;
+    }
+
+    /**
+     * @notice Get the cards escrowed by a fusion commit
+     * @param commitId The pending mint ID returned by fuse
+     * @return Array of token IDs (empty once revealed)
+     */
+    function getFusionInputs(uint256 commitId) external view returns (uint256[] memory) {
+        return _fusionInputs[commitId];
     }
 
     /**
@@ -121,12 +362,130 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Get all token IDs owned by an address (simplified for MVP)
+     * @notice Fully on-chain metadata: a base64 JSON data URI with an SVG image and OpenSea attributes
+     * @param tokenId The token ID to describe
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return renderer.tokenURI(tokenId, cards[tokenId]);
+    }
+
+    /**
+     * @notice Set the only contract allowed to grant XP
+     * @param _battleManager The BattleManager address
+     */
+    function setBattleManager(address _battleManager) external onlyOwner {
+        battleManager = _battleManager;
+        emit BattleManagerUpdated(_battleManager);
+    }
+
+    /**
+     * @notice Award XP to a card, levelling it up when it crosses a threshold
+     * @dev Only callable by the BattleManager. Each level adds POWER/DEFENSE/SPEED_PER_LEVEL,
+     *      clamped to the top of the card's rarity range.
+     * @param tokenId The card that earned XP
+     * @param amount XP to add
+     */
+    function grantXp(uint256 tokenId, uint32 amount) external {
+        require(msg.sender == battleManager, "Not battle manager");
+        _requireOwned(tokenId);
+
+        Card storage card = cards[tokenId];
+        card.xp += amount;
+        emit XpGained(tokenId, amount, card.xp);
+
+        (uint16 maxPower, uint16 maxDefense, uint16 maxSpeed) = _statCaps(Rarity(card.rarity));
+        while (card.level < MAX_LEVEL && card.xp >= xpForLevel(card.level + 1)) {
+            card.level++;
+            card.power = _min(card.power + POWER_PER_LEVEL, maxPower);
+            card.defense = _min(card.defense + DEFENSE_PER_LEVEL, maxDefense);
+            card.speed = _min(card.speed + SPEED_PER_LEVEL, maxSpeed);
+            emit LevelUp(tokenId, card.level, card.power, card.defense, card.speed);
+        }
+    }
+
+    /**
+     * @notice Rent a card out: `user` can battle with it until `expires` (ERC-4907)
+     * @dev An active rental can't be replaced or ended early, and the card can't change hands
+     *      until it expires except in and out of BattleManager escrow
+     * @param tokenId The card to lend
+     * @param user The borrower, or address(0) to clear an expired rental
+     * @param expires Unix timestamp the rental ends at
+     */
+    function setUser(uint256 tokenId, address user, uint64 expires) external {
+        require(_isAuthorized(ownerOf(tokenId), msg.sender, tokenId), "Not owner nor approved");
+        require(userOf(tokenId) == address(0), "Card already rented");
+        require(user == address(0) || expires > block.timestamp, "Invalid expiry");
+
+        _users[tokenId] = UserInfo({user: user, expires: expires});
+        emit UpdateUser(tokenId, user, expires);
+    }
+
+    /**
+     * @notice Current borrower of a card (address(0) if not rented or the rental expired)
+     * @param tokenId The token ID to query
+     */
+    function userOf(uint256 tokenId) public view returns (address) {
+        UserInfo storage info = _users[tokenId];
+        if (uint256(info.expires) >= block.timestamp) {
+            return info.user;
+        }
+        return address(0);
+    }
+
+    /**
+     * @notice When the current rental of a card ends
+     * @param tokenId The token ID to query
+     */
+    function userExpires(uint256 tokenId) external view returns (uint256) {
+        return _users[tokenId].expires;
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC2981) returns (bool) {
+        return interfaceId == _INTERFACE_ID_ERC4907 || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @notice Total XP needed to reach a level (level 1 needs none)
+     * @param level The target level
+     * @return Cumulative XP: 0, 50, 150, 300, 500, ...
+     */
+    function xpForLevel(uint8 level) public pure returns (uint32) {
+        if (level <= 1) return 0;
+        return 25 * uint32(level) * uint32(level - 1);
+    }
+
+    /**
+     * @notice Get the token ID at a position in an owner's token list
+     * @dev Positions change as tokens leave the list (swap-and-pop)
      * @param owner The owner address
-     * @return Array of token IDs
+     * @param index Position, below balanceOf(owner)
      */
-    function getOwnedTokens(address owner) external view returns (uint256[] memory) {
-        return _ownedTokens[owner];
+    function tokenOfOwnerByIndex(address owner, uint256 index) public view returns (uint256) {
+        require(index < balanceOf(owner), "Index out of bounds");
+        return _ownedTokens[owner][index];
+    }
+
+    /**
+     * @notice Get a page of the token IDs owned by an address
+     * @param owner The owner address
+     * @param offset Position of the first token to return
+     * @param limit Maximum number of tokens to return
+     * @return tokenIds Up to `limit` token IDs; empty once `offset` reaches the balance
+     */
+    function getOwnedTokens(address owner, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory tokenIds)
+    {
+        uint256 balance = balanceOf(owner);
+        if (offset >= balance) return new uint256[](0);
+        uint256 count = balance - offset < limit ? balance - offset : limit;
+
+        tokenIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tokenIds[i] = _ownedTokens[owner][offset + i];
+        }
     }
 
     /**
@@ -138,25 +497,151 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
         returns (address)
     {
         address from = _ownerOf(tokenId);
+
+        UserInfo storage rental = _users[tokenId];
+        if (from != to && rental.user != address(0)) {
+            if (to == address(0) || uint256(rental.expires) < block.timestamp) {
+                delete _users[tokenId];
+                emit UpdateUser(tokenId, address(0), 0);
+            } else {
+                // An active rental only moves in and out of battle escrow, so the borrower keeps it
+                require(from == battleManager || to == battleManager, "Card is rented");
+            }
+        }
         
-        if (from != address(0)) {
-            // Remove from old owner's list
-            uint256[] storage oldOwnerTokens = _ownedTokens[from];
-            for (uint256 i = 0; i < oldOwnerTokens.length; i++) {
-                if (oldOwnerTokens[i] == tokenId) {
-                    oldOwnerTokens[i] = oldOwnerTokens[oldOwnerTokens.length - 1];
-                    oldOwnerTokens.pop();
-                    break;
-                }
+        // The index is keyed by position, so it must be updated before balances change
+        if (from != to) {
+            if (from != address(0)) {
+                _removeTokenFromOwnerEnumeration(from, tokenId);
             }
+            if (to != address(0)) {
+                _ownedTokens[to][balanceOf(to)] = tokenId;
+                _ownedTokensIndex[tokenId] = balanceOf(to);
+            }
+        }
+
+        return super._update(to, tokenId, auth);
+    }
+
+    /**
+     * @notice Move the owner's last token into the removed token's position, in constant gas
+     */
+    function _removeTokenFromOwnerEnumeration(address from, uint256 tokenId) internal {
+        uint256 lastTokenIndex = balanceOf(from) - 1;
+        uint256 tokenIndex = _ownedTokensIndex[tokenId];
+
+        if (tokenIndex != lastTokenIndex) {
+            uint256 lastTokenId = _ownedTokens[from][lastTokenIndex];
+            _ownedTokens[from][tokenIndex] = lastTokenId;
+            _ownedTokensIndex[lastTokenId] = tokenIndex;
         }
 
-        if (to != address(0) && from != to) {
-            // Add to new owner's list
-            _ownedTokens[to].push(tokenId);
+        delete _ownedTokensIndex[tokenId];
+        delete _ownedTokens[from][lastTokenIndex];
+    }
+
+    /**
+     * @notice Burn the cards escrowed by a fusion commit
+     * @dev _burn runs through _update, which drops each card from the owner index
+     */
+    function _burnFusionInputs(uint256 commitId) internal {
+        uint256[] storage tokenIds = _fusionInputs[commitId];
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _burn(tokenIds[i]);
+            delete cards[tokenIds[i]];
         }
+        delete _fusionInputs[commitId];
+    }
 
-        return super._update(to, tokenId, auth);
+    /**
+     * @notice Let the BattleManager escrow a rented card for its user without the lender's approval
+     * @dev BattleManager only does this when the current user enters the card into a battle,
+     *      and always returns it to the lender afterwards
+     */
+    function _isAuthorized(address owner, address spender, uint256 tokenId)
+        internal
+        view
+        override
+        returns (bool)
+    {
+        return
+            super._isAuthorized(owner, spender, tokenId) ||
+            (spender != address(0) && spender == battleManager && userOf(tokenId) != address(0));
+    }
+
+    /**
+     * @notice Record a pack commit and hold its fee (if any) until reveal
+     */
+    function _commitPack(uint8 count) internal returns (uint256) {
+        require(maxSupply == 0 || mintCount + count <= maxSupply, "Max supply reached");
+
+        uint256 commitId = nextCommitId++;
+        mintCount += count;
+        pendingMintFees += msg.value;
+        uint64 revealBlock = uint64(block.number + REVEAL_DELAY);
+        mintCommits[commitId] = MintCommit({
+            owner: msg.sender,
+            revealBlock: revealBlock,
+            status: CommitStatus.Pending,
+            fusedRarity: 0,
+            count: count,
+            fee: msg.value
+        });
+
+        emit MintCommitted(msg.sender, commitId, revealBlock);
+        return commitId;
+    }
+
+    /**
+     * @notice Random seed for one card of a pack
+     * @dev The first card keeps the original single-card seed, so one-card packs roll as before
+     */
+    function _cardSeed(bytes32 revealHash, uint256 commitId, address minter, uint8 index)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (index == 0) {
+            return uint256(keccak256(abi.encodePacked(revealHash, commitId, minter)));
+        }
+        return uint256(keccak256(abi.encodePacked(revealHash, commitId, minter, index)));
+    }
+
+    /**
+     * @notice Mint the next token ID with a rolled character and stats for its rarity
+     */
+    function _mintRolledCard(address minter, uint256 commitId, uint8 rarityVal, uint256 rand) internal {
+        uint256 tokenId = nextId++;
+        // Determine character type (0-3)
+        uint8 characterType = uint8((rand / 100) % 4);
+
+        // Generate stats based on rarity
+        (uint16 power, uint16 defense, uint16 speed) = _generateStats(
+            Rarity(rarityVal),
+            rand
+        );
+
+        cards[tokenId] = Card({
+            power: power,
+            defense: defense,
+            speed: speed,
+            character: characterType,
+            rarity: rarityVal,
+            xp: 0,
+            level: 1
+        });
+        _mint(minter, tokenId);
+
+        emit MintRevealed(minter, commitId, tokenId);
+        emit CardMinted(
+            minter,
+            tokenId,
+            characterType,
+            rarityVal,
+            power,
+            defense,
+            speed
+        );
     }
 
     /**
@@ -214,13 +699,152 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Owner withdrawal function for collected mint fees
+     * @notice Highest stats a card of this rarity can level up to (the top of its mint range)
+     * @param rarity The rarity level
+     */
+    function _statCaps(Rarity rarity)
+        internal
+        pure
+        returns (uint16 power, uint16 defense, uint16 speed)
+    {
+        if (rarity == Rarity.Common) return (80, 60, 30);
+        if (rarity == Rarity.Rare) return (110, 90, 40);
+        if (rarity == Rarity.Epic) return (150, 120, 60);
+        if (rarity == Rarity.Legendary) return (210, 170, 90);
+        return (300, 250, 150);
+    }
+
+    function _min(uint16 a, uint16 b) internal pure returns (uint16) {
+        return a < b ? a : b;
+    }
+
+    /**
+     * @notice Stop new mint, pack, claim and fusion commits
+     * @dev Reveals and refunds of existing commits keep working while paused
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Set the fee for future packs; pending packs keep the fee they paid
+     * @param newFee Mint fee in MON (wei)
+     */
+    function setMintFee(uint256 newFee) external onlyOwner {
+        emit MintFeeUpdated(mintFee, newFee);
+        mintFee = newFee;
+    }
+
+    /**
+     * @notice Open an allowlist for claimMint, or close claims with a zero root
+     * @param root Merkle root from script/build-claims.js
+     * @param price What each claim costs in MON (wei); 0 for a free card
+     */
+    function setClaim(bytes32 root, uint256 price) external onlyOwner {
+        claimRoot = root;
+        claimPrice = price;
+        emit ClaimUpdated(root, price);
+    }
+
+    /**
+     * @notice Set a custom price for one pack size, or 0 to charge mintFee per card again
+     * @param count The pack size
+     * @param price Pack price in MON (wei)
+     */
+    function setPackPrice(uint8 count, uint256 price) external onlyOwner {
+        require(count > 0 && count <= MAX_PACK_SIZE, "Invalid pack size");
+        _packPrices[count] = price;
+        emit PackPriceUpdated(count, price);
+    }
+
+    /**
+     * @notice Cap the number of cards from paid packs, or 0 to remove the cap
+     * @param newMaxSupply The new cap, no lower than the cards already sold
+     */
+    function setMaxSupply(uint256 newMaxSupply) external onlyOwner {
+        require(newMaxSupply == 0 || newMaxSupply >= mintCount, "Below minted supply");
+        maxSupply = newMaxSupply;
+        emit MaxSupplyUpdated(newMaxSupply);
+    }
+
+    /**
+     * @notice Set the EIP-2981 royalty for every card
+     * @param receiver Where marketplaces should send royalties
+     * @param feeBps Royalty in basis points of the sale price
+     */
+    function setDefaultRoyalty(address receiver, uint96 feeBps) external onlyOwner {
+        _setDefaultRoyalty(receiver, feeBps);
+        emit RoyaltyUpdated(receiver, feeBps);
+    }
+
+    /**
+     * @notice Split future withdrawals between team addresses by share
+     * @dev An empty list sends withdrawals to the owner again
+     * @param payees The team addresses
+     * @param payeeShares Each payee's share, in any unit
+     */
+    function setPayees(address[] calldata payees, uint256[] calldata payeeShares) external onlyOwner {
+        require(payees.length == payeeShares.length, "Length mismatch");
+
+        for (uint256 i = 0; i < _payees.length; i++) {
+            delete shares[_payees[i]];
+        }
+        delete _payees;
+        totalShares = 0;
+
+        for (uint256 i = 0; i < payees.length; i++) {
+            require(payees[i] != address(0), "Invalid payee");
+            require(payeeShares[i] > 0, "Invalid shares");
+            require(shares[payees[i]] == 0, "Duplicate payee");
+            _payees.push(payees[i]);
+            shares[payees[i]] = payeeShares[i];
+            totalShares += payeeShares[i];
+        }
+
+        emit PayeesUpdated(payees, payeeShares);
+    }
+
+    /**
+     * @notice Get the withdrawal payees and their shares
+     */
+    function getPayees() external view returns (address[] memory payees, uint256[] memory payeeShares) {
+        payees = _payees;
+        payeeShares = new uint256[](payees.length);
+        for (uint256 i = 0; i < payees.length; i++) {
+            payeeShares[i] = shares[payees[i]];
+        }
+    }
+
+    /**
+     * @notice Withdraw collected mint fees and royalties to the payees (or the owner if none are set)
+     * @dev The last payee also receives the rounding dust
      */
     function withdraw() external onlyOwner nonReentrant {
-        uint256 balance = address(this).balance;
+        uint256 balance = address(this).balance - pendingMintFees;
         require(balance > 0, "No funds to withdraw");
-        (bool success, ) = payable(owner()).call{value: balance}("");
+
+        if (_payees.length == 0) {
+            _release(owner(), balance);
+            return;
+        }
+
+        uint256 remaining = balance;
+        for (uint256 i = 0; i < _payees.length; i++) {
+            address payee = _payees[i];
+            uint256 amount = i == _payees.length - 1 ? remaining : (balance * shares[payee]) / totalShares;
+            remaining -= amount;
+            _release(payee, amount);
+        }
+    }
+
+    function _release(address payee, uint256 amount) internal {
+        (bool success, ) = payable(payee).call{value: amount}("");
         require(success, "Withdrawal failed");
+        emit PaymentReleased(payee, amount);
     }
 
     /**
@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Battlecard.sol";
+
+/**
+ * @title CardRenderer
+ * @notice Builds BattleCard's on-chain JSON metadata and SVG card art
+ * @dev Stateless; split out of BattleCard so the card contract stays under the 24KB code size limit
+ */
+contract CardRenderer {
+    // Mirrors BattleCard.MAX_LEVEL
+    uint8 private constant MAX_LEVEL = 10;
+
+    /**
+     * @notice Fully on-chain metadata: a base64 JSON data URI with an SVG image and OpenSea attributes
+     * @param tokenId The token ID to describe
+     * @param card The card's current attributes
+     */
+    function tokenURI(uint256 tokenId, BattleCard.Card calldata card) external pure returns (string memory) {
+        string memory id = Strings.toString(tokenId);
+
+        string memory json = string.concat(
+            '{"name":"', _characterName(card.character), " #", id,
+            '","description":"A Monad Battle Card. Battle with it, level it up, fuse it or trade it.",',
+            '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(_cardSvg(id, card))),
+            '","attributes":', _cardAttributes(card), "}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    function _characterName(uint8 character) internal pure returns (string memory) {
+        string[4] memory names = ["Warrior", "Mage", "Cavalry", "Prince"];
+        return names[character];
+    }
+
+    function _rarityName(uint8 rarity) internal pure returns (string memory) {
+        string[5] memory names = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
+        return names[rarity];
+    }
+
+    /**
+     * @notice Frame color per rarity, matching RARITY_COLORS in the frontend's Card.jsx
+     */
+    function _rarityColor(uint8 rarity) internal pure returns (string memory) {
+        string[5] memory colors = ["#6b7280", "#3b82f6", "#a855f7", "#eab308", "#dc2626"];
+        return colors[rarity];
+    }
+
+    /**
+     * @notice Attributes array in the OpenSea metadata standard
+     */
+    function _cardAttributes(BattleCard.Card memory card) internal pure returns (string memory) {
+        return string.concat(
+            '[{"trait_type":"Character","value":"', _characterName(card.character),
+            '"},{"trait_type":"Rarity","value":"', _rarityName(card.rarity),
+            '"},{"trait_type":"Power","value":', Strings.toString(card.power),
+            '},{"trait_type":"Defense","value":', Strings.toString(card.defense),
+            '},{"trait_type":"Speed","value":', Strings.toString(card.speed),
+            '},{"display_type":"number","trait_type":"Level","value":', Strings.toString(card.level),
+            ',"max_value":', Strings.toString(MAX_LEVEL),
+            '},{"display_type":"number","trait_type":"XP","value":', Strings.toString(card.xp),
+            "}]"
+        );
+    }
+
+    /**
+     * @notice Card face: rarity-colored frame, character, token ID and stat bars scaled like Card.jsx
+     */
+    function _cardSvg(string memory id, BattleCard.Card memory card) internal pure returns (string memory) {
+        string[4] memory icons = [unicode"⚔️", unicode"🔮", unicode"🐴", unicode"👑"];
+        string memory color = _rarityColor(card.rarity);
+
+        string memory header = string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 500" font-family="sans-serif">',
+            '<rect width="350" height="500" rx="24" fill="#111827"/>',
+            '<rect x="6" y="6" width="338" height="488" rx="20" fill="#1f2937" stroke="', color, '" stroke-width="8"/>',
+            '<text x="28" y="46" font-size="16" font-weight="bold" fill="', color, '">', _rarityName(card.rarity),
+            '</text><text x="322" y="46" font-size="16" fill="#9ca3af" text-anchor="end">#', id, "</text>"
+        );
+        string memory portrait = string.concat(
+            '<circle cx="175" cy="150" r="60" fill="#374151"/>',
+            '<text x="175" y="172" font-size="56" text-anchor="middle">', icons[card.character], "</text>",
+            '<text x="175" y="252" font-size="28" font-weight="bold" fill="#ffffff" text-anchor="middle">',
+            _characterName(card.character),
+            '</text><text x="175" y="278" font-size="14" font-weight="bold" fill="#facc15" text-anchor="middle">Lv ',
+            Strings.toString(card.level), "</text>"
+        );
+        return string.concat(
+            header,
+            portrait,
+            _statBar("Power", card.power, 300, 320, "#ef4444"),
+            _statBar("Defense", card.defense, 250, 370, "#3b82f6"),
+            _statBar("Speed", card.speed, 150, 420, "#22c55e"),
+            "</svg>"
+        );
+    }
+
+    function _statBar(string memory label, uint16 value, uint256 max, uint256 y, string memory color)
+        internal
+        pure
+        returns (string memory)
+    {
+        string memory top = Strings.toString(y);
+        string memory barY = Strings.toString(y + 10);
+        uint256 width = value >= max ? 294 : (uint256(value) * 294) / max;
+        return string.concat(
+            '<text x="28" y="', top, '" font-size="14" fill="#d1d5db">', label,
+            '</text><text x="322" y="', top, '" font-size="14" font-weight="bold" fill="#ffffff" text-anchor="end">',
+            Strings.toString(value),
+            '</text><rect x="28" y="', barY, '" width="294" height="10" rx="5" fill="#374151"/>',
+            '<rect x="28" y="', barY, '" width="', Strings.toString(width), '" height="10" rx="5" fill="', color, '"/>'
+        );
+    }
+}
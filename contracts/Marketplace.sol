@@ -0,0 +1,342 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./Battlecard.sol";
+import "./BattleManager.sol";
+
+/**
+ * @title Marketplace
+ * @notice Fixed-price trading and MON offers for BattleCards
+ * @dev Listed cards are escrowed here until they are bought or delisted, so a listing
+ *      can never go stale by the seller transferring or battling with the card.
+ *      Offers escrow the bidder's MON instead and can target any card, listed or not.
+ *      Every sale pays the card's EIP-2981 royalty out of the price before the seller is paid.
+ */
+contract Marketplace is ReentrancyGuard {
+    BattleCard public immutable battleCard;
+    BattleManager public immutable battleManager;
+
+    struct Listing {
+        address seller;
+        uint256 price; // In wei; 0 means not listed
+    }
+
+    enum OfferStatus {
+        None,
+        Open,
+        Accepted,
+        Cancelled
+    }
+
+    struct Offer {
+        address bidder;
+        uint256 tokenId;
+        uint256 amount;    // Escrowed MON (wei)
+        uint256 expiresAt; // Last block the offer can be accepted
+        OfferStatus status;
+    }
+
+    // Longest an offer can stay open, in blocks
+    uint256 public constant MAX_OFFER_DURATION = 201600;
+
+    mapping(uint256 => Listing) public listings;
+
+    uint256 public nextOfferId;
+    mapping(uint256 => Offer) public offers;
+    // Offers on each token not yet accepted or cancelled, with 1-based positions (keyed by offer ID)
+    // for O(1) removal; expired ones stay until cleared with cancelOffer and are skipped by getOpenOffers
+    mapping(uint256 => uint256[]) private _tokenOffers;
+    mapping(uint256 => uint256) private _tokenOfferIndex;
+
+    // Listed token IDs, with 1-based positions for O(1) removal
+    uint256[] private _listedTokens;
+    mapping(uint256 => uint256) private _listedIndex;
+
+    // MON proceeds or refunds whose transfer failed, withdrawable by the recipient
+    mapping(address => uint256) public pendingPayouts;
+
+    // Events
+    event Listed(uint256 indexed tokenId, address indexed seller, uint256 price);
+
+    event Delisted(uint256 indexed tokenId, address indexed seller);
+
+    event PriceUpdated(uint256 indexed tokenId, uint256 oldPrice, uint256 newPrice);
+
+    event Sold(
+        uint256 indexed tokenId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price
+    );
+
+    event OfferMade(
+        uint256 indexed offerId,
+        uint256 indexed tokenId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 expiresAt
+    );
+
+    event OfferAccepted(
+        uint256 indexed offerId,
+        uint256 indexed tokenId,
+        address indexed seller,
+        address bidder,
+        uint256 amount
+    );
+
+    event OfferCancelled(uint256 indexed offerId, uint256 indexed tokenId, address indexed bidder);
+
+    event RoyaltyPaid(uint256 indexed tokenId, address indexed receiver, uint256 amount);
+
+    event PayoutDeferred(address indexed recipient, uint256 amount);
+
+    constructor(address _battleManagerAddress) {
+        battleManager = BattleManager(_battleManagerAddress);
+        battleCard = battleManager.battleCard();
+    }
+
+    /**
+     * @notice List a card for sale; the card is escrowed until sold or delisted
+     * @dev Requires prior approval of this contract for the token
+     * @param tokenId The card to sell
+     * @param price Asking price in MON (wei)
+     */
+    function list(uint256 tokenId, uint256 price) external nonReentrant {
+        require(price > 0, "Invalid price");
+        address owner = battleCard.ownerOf(tokenId);
+        require(owner != address(battleManager), "Card in battle");
+        require(owner == msg.sender, "Not owner");
+
+        battleCard.transferFrom(msg.sender, address(this), tokenId);
+        listings[tokenId] = Listing({seller: msg.sender, price: price});
+        _listedTokens.push(tokenId);
+        _listedIndex[tokenId] = _listedTokens.length;
+
+        emit Listed(tokenId, msg.sender, price);
+    }
+
+    /**
+     * @notice Cancel a listing and take the card back
+     * @param tokenId The listed card
+     */
+    function delist(uint256 tokenId) external nonReentrant {
+        Listing memory listing = listings[tokenId];
+        require(listing.price > 0, "Not listed");
+        require(listing.seller == msg.sender, "Not seller");
+
+        _removeListing(tokenId);
+        battleCard.transferFrom(address(this), msg.sender, tokenId);
+
+        emit Delisted(tokenId, msg.sender);
+    }
+
+    /**
+     * @notice Change the asking price of a listing
+     * @param tokenId The listed card
+     * @param newPrice New asking price in MON (wei)
+     */
+    function updatePrice(uint256 tokenId, uint256 newPrice) external {
+        Listing storage listing = listings[tokenId];
+        require(listing.price > 0, "Not listed");
+        require(listing.seller == msg.sender, "Not seller");
+        require(newPrice > 0, "Invalid price");
+
+        uint256 oldPrice = listing.price;
+        listing.price = newPrice;
+
+        emit PriceUpdated(tokenId, oldPrice, newPrice);
+    }
+
+    /**
+     * @notice Buy a listed card by paying exactly its price (msg.value)
+     * @param tokenId The listed card
+     */
+    function buy(uint256 tokenId) external payable nonReentrant {
+        Listing memory listing = listings[tokenId];
+        require(listing.price > 0, "Not listed");
+        require(listing.seller != msg.sender, "Cannot buy own listing");
+        require(msg.value == listing.price, "Wrong price");
+
+        _removeListing(tokenId);
+        battleCard.transferFrom(address(this), msg.sender, tokenId);
+        _paySale(tokenId, listing.seller, listing.price);
+
+        emit Sold(tokenId, listing.seller, msg.sender, listing.price);
+    }
+
+    /**
+     * @notice Offer MON (msg.value) for any card, escrowed until accepted or cancelled
+     * @param tokenId The card to bid on
+     * @param durationBlocks How many blocks the offer stays acceptable
+     * @return offerId The offer ID
+     */
+    function makeOffer(uint256 tokenId, uint256 durationBlocks) external payable nonReentrant returns (uint256) {
+        require(msg.value > 0, "Invalid amount");
+        require(durationBlocks > 0 && durationBlocks <= MAX_OFFER_DURATION, "Invalid duration");
+        require(_holderOf(tokenId) != msg.sender, "Cannot offer on own card");
+
+        uint256 offerId = nextOfferId++;
+        uint256 expiresAt = block.number + durationBlocks;
+        offers[offerId] = Offer({
+            bidder: msg.sender,
+            tokenId: tokenId,
+            amount: msg.value,
+            expiresAt: expiresAt,
+            status: OfferStatus.Open
+        });
+        _tokenOffers[tokenId].push(offerId);
+        _tokenOfferIndex[offerId] = _tokenOffers[tokenId].length;
+
+        emit OfferMade(offerId, tokenId, msg.sender, msg.value, expiresAt);
+        return offerId;
+    }
+
+    /**
+     * @notice Sell a card to an open offer; a listed card is delisted and sold from escrow
+     * @dev An unlisted card needs prior approval of this contract for the token
+     * @param offerId The offer to accept
+     */
+    function acceptOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.Open, "Offer not open");
+        require(block.number <= offer.expiresAt, "Offer expired");
+
+        uint256 tokenId = offer.tokenId;
+        require(_holderOf(tokenId) == msg.sender, "Not owner");
+
+        offer.status = OfferStatus.Accepted;
+        _removeTokenOffer(tokenId, offerId);
+        if (listings[tokenId].price > 0) {
+            _removeListing(tokenId);
+            battleCard.transferFrom(address(this), offer.bidder, tokenId);
+        } else {
+            battleCard.transferFrom(msg.sender, offer.bidder, tokenId);
+        }
+        _paySale(tokenId, msg.sender, offer.amount);
+
+        emit OfferAccepted(offerId, tokenId, msg.sender, offer.bidder, offer.amount);
+    }
+
+    /**
+     * @notice Withdraw an offer and refund its MON to the bidder
+     * @dev The bidder can cancel at any time; anyone can clear an expired offer
+     * @param offerId The offer to cancel
+     */
+    function cancelOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.Open, "Offer not open");
+        require(offer.bidder == msg.sender || block.number > offer.expiresAt, "Not bidder");
+
+        offer.status = OfferStatus.Cancelled;
+        _removeTokenOffer(offer.tokenId, offerId);
+        _sendValue(offer.bidder, offer.amount);
+
+        emit OfferCancelled(offerId, offer.tokenId, offer.bidder);
+    }
+
+    /**
+     * @notice Get the IDs of offers on a card that can still be accepted (order changes as offers close)
+     * @param tokenId The card
+     */
+    function getOpenOffers(uint256 tokenId) external view returns (uint256[] memory) {
+        uint256[] storage offerIds = _tokenOffers[tokenId];
+        uint256 count;
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            if (_isOpen(offerIds[i])) count++;
+        }
+
+        uint256[] memory open = new uint256[](count);
+        uint256 j;
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            if (_isOpen(offerIds[i])) open[j++] = offerIds[i];
+        }
+        return open;
+    }
+
+    /**
+     * @notice Withdraw proceeds or refunds that could not be sent directly
+     */
+    function withdrawPayout() external nonReentrant {
+        uint256 amount = pendingPayouts[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        pendingPayouts[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdraw failed");
+    }
+
+    /**
+     * @notice Get every listed token ID (order changes as listings are removed)
+     */
+    function getListedTokens() external view returns (uint256[] memory) {
+        return _listedTokens;
+    }
+
+    /**
+     * @notice The address that controls a card: its seller while listed, otherwise its owner
+     */
+    function _holderOf(uint256 tokenId) internal view returns (address) {
+        Listing storage listing = listings[tokenId];
+        if (listing.price > 0) return listing.seller;
+        return battleCard.ownerOf(tokenId);
+    }
+
+    function _isOpen(uint256 offerId) internal view returns (bool) {
+        Offer storage offer = offers[offerId];
+        return offer.status == OfferStatus.Open && block.number <= offer.expiresAt;
+    }
+
+    /**
+     * @notice Clear a listing and swap-and-pop it out of the listed token array
+     */
+    function _removeListing(uint256 tokenId) internal {
+        uint256 index = _listedIndex[tokenId] - 1;
+        uint256 lastTokenId = _listedTokens[_listedTokens.length - 1];
+        _listedTokens[index] = lastTokenId;
+        _listedIndex[lastTokenId] = index + 1;
+        _listedTokens.pop();
+
+        delete _listedIndex[tokenId];
+        delete listings[tokenId];
+    }
+
+    /**
+     * @notice Swap-and-pop a closed offer out of its token's offer array
+     */
+    function _removeTokenOffer(uint256 tokenId, uint256 offerId) internal {
+        uint256[] storage offerIds = _tokenOffers[tokenId];
+        uint256 index = _tokenOfferIndex[offerId] - 1;
+        uint256 lastOfferId = offerIds[offerIds.length - 1];
+        offerIds[index] = lastOfferId;
+        _tokenOfferIndex[lastOfferId] = index + 1;
+        offerIds.pop();
+
+        delete _tokenOfferIndex[offerId];
+    }
+
+    /**
+     * @notice Split a sale price between the card's royalty receiver and the seller
+     */
+    function _paySale(uint256 tokenId, address seller, uint256 price) internal {
+        (address receiver, uint256 royalty) = battleCard.royaltyInfo(tokenId, price);
+        if (royalty > 0 && receiver != address(0)) {
+            _sendValue(receiver, royalty);
+            emit RoyaltyPaid(tokenId, receiver, royalty);
+        } else {
+            royalty = 0;
+        }
+        _sendValue(seller, price - royalty);
+    }
+
+    /**
+     * @notice Pay a seller or refund a bidder, falling back to pendingPayouts if the transfer fails
+     */
+    function _sendValue(address recipient, uint256 amount) internal {
+        (bool success, ) = payable(recipient).call{value: amount}("");
+        if (!success) {
+            pendingPayouts[recipient] += amount;
+            emit PayoutDeferred(recipient, amount);
+        }
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Multicall3
+ * @notice Batches the frontend's view calls into a single eth_call
+ * @dev Only implements `aggregate3`, ABI-compatible with the canonical Multicall3 at
+ *      0xcA11bde05977b3631167028862bE2a173976CA11 that public chains already have.
+ *      script/deploy.js deploys this one on local Hardhat networks, which don't.
+ */
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @notice Run each call in order and collect its result
+     * @param calls Calls to make; one that fails without `allowFailure` reverts the batch
+     * @return returnData One result per call
+     */
+    function aggregate3(Call3[] calldata calls) external returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result({success: success, returnData: data});
+        }
+    }
+}
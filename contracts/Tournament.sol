@@ -0,0 +1,447 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./Battlecard.sol";
+import "./BattleManager.sol";
+
+/**
+ * @title Tournament
+ * @notice Single-elimination brackets with an entry fee, locked lineups and a prize pool
+ * @dev Flow: create -> register (escrow lineup + fee) -> seeded by Elo when full -> play rounds -> payout.
+ *      Matches use the same best-of-3 scoring as BattleManager, including its type advantage matrix.
+ */
+contract Tournament is Ownable, ReentrancyGuard {
+    BattleCard public immutable battleCard;
+    BattleManager public immutable battleManager;
+
+    enum TournamentStatus {
+        Registration,
+        InProgress,
+        Completed,
+        Cancelled
+    }
+
+    struct TournamentInfo {
+        string name;
+        uint256 entryFee;
+        uint8 size;         // Bracket size: 2, 4, 8 or 16 players
+        uint8 currentRound; // Index of the next round to play
+        TournamentStatus status;
+        uint256 registrationDeadline; // Last block to register
+        uint256 prizePool;
+        address champion;
+        address runnerUp;
+    }
+
+    uint8 public constant MAX_SIZE = 16;
+    // Runner-up's share of the prize pool in basis points; the champion takes the rest (70%)
+    uint16 public constant SECOND_PLACE_BPS = 3000;
+    // blockhash only reaches back this many blocks
+    uint256 public constant SEED_WINDOW = 256;
+
+    uint256 public tournamentCount;
+    mapping(uint256 => TournamentInfo) public tournaments;
+    mapping(uint256 => mapping(address => bool)) public registered;
+
+    mapping(uint256 => address[]) private _registrants;
+    mapping(uint256 => mapping(address => uint256[3])) private _lineups;
+    // Players still in each round: round 0 is the seeded bracket, pairs (0,1), (2,3), ... meet
+    mapping(uint256 => mapping(uint8 => address[])) private _rounds;
+
+    // Block whose hash seeds the coin-flip tiebreaks of the next round, committed to when the
+    // round becomes playable so the outcome is fixed before anyone can call playRound
+    mapping(uint256 => uint256) public roundSeedBlocks;
+
+    // MON payouts whose transfer failed, withdrawable by the recipient
+    mapping(address => uint256) public pendingPayouts;
+
+    // Events
+    event TournamentCreated(
+        uint256 indexed tournamentId,
+        string name,
+        uint256 entryFee,
+        uint8 size,
+        uint256 registrationDeadline
+    );
+
+    event PlayerRegistered(
+        uint256 indexed tournamentId,
+        address indexed player,
+        uint256[3] lineup
+    );
+
+    event TournamentStarted(uint256 indexed tournamentId, address[] bracket);
+
+    event MatchResolved(
+        uint256 indexed tournamentId,
+        uint8 indexed round,
+        uint8 matchIndex,
+        address winner,
+        address loser
+    );
+
+    event TournamentCompleted(
+        uint256 indexed tournamentId,
+        address indexed champion,
+        address indexed runnerUp,
+        uint256 prizePool
+    );
+
+    event TournamentCancelled(uint256 indexed tournamentId);
+
+    event RoundSeedCommitted(uint256 indexed tournamentId, uint8 indexed round, uint256 seedBlock);
+
+    event PrizePaid(
+        uint256 indexed tournamentId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event PayoutDeferred(address indexed recipient, uint256 amount);
+
+    constructor(address _battleManagerAddress) Ownable(msg.sender) {
+        battleManager = BattleManager(_battleManagerAddress);
+        battleCard = battleManager.battleCard();
+    }
+
+    /**
+     * @notice Open a new bracket for registration
+     * @param name Display name
+     * @param entryFee MON each player pays into the prize pool
+     * @param size Number of players (2, 4, 8 or 16)
+     * @param registrationBlocks How many blocks registration stays open
+     * @return tournamentId The tournament ID
+     */
+    function createTournament(
+        string calldata name,
+        uint256 entryFee,
+        uint8 size,
+        uint256 registrationBlocks
+    ) external onlyOwner returns (uint256) {
+        require(size >= 2 && size <= MAX_SIZE && (size & (size - 1)) == 0, "Invalid size");
+        require(registrationBlocks > 0, "Invalid registration period");
+
+        uint256 tournamentId = tournamentCount++;
+        TournamentInfo storage tournament = tournaments[tournamentId];
+        tournament.name = name;
+        tournament.entryFee = entryFee;
+        tournament.size = size;
+        tournament.registrationDeadline = block.number + registrationBlocks;
+
+        emit TournamentCreated(tournamentId, name, entryFee, size, tournament.registrationDeadline);
+        return tournamentId;
+    }
+
+    /**
+     * @notice Register with the entry fee (msg.value) and a 3-card lineup locked until elimination
+     * @dev The bracket is seeded and the tournament starts as soon as the last seat is taken
+     * @param tournamentId The tournament ID
+     * @param lineup Token IDs in the order they fight in every match
+     */
+    function register(uint256 tournamentId, uint256[3] calldata lineup) external payable nonReentrant {
+        TournamentInfo storage tournament = tournaments[tournamentId];
+        require(tournament.size > 0, "Tournament not found");
+        require(tournament.status == TournamentStatus.Registration, "Registration closed");
+        require(block.number <= tournament.registrationDeadline, "Registration closed");
+        require(!registered[tournamentId][msg.sender], "Already registered");
+        require(msg.value == tournament.entryFee, "Wrong entry fee");
+
+        // Validate ownership and escrow cards
+        for (uint256 i = 0; i < 3; i++) {
+            require(battleCard.ownerOf(lineup[i]) == msg.sender, "Not owner");
+            battleCard.transferFrom(msg.sender, address(this), lineup[i]);
+        }
+
+        registered[tournamentId][msg.sender] = true;
+        _lineups[tournamentId][msg.sender] = lineup;
+        _registrants[tournamentId].push(msg.sender);
+        tournament.prizePool += msg.value;
+
+        emit PlayerRegistered(tournamentId, msg.sender, lineup);
+
+        if (_registrants[tournamentId].length == tournament.size) {
+            _seedBracket(tournamentId);
+        }
+    }
+
+    /**
+     * @notice Play every match of the current round and advance the winners (anyone can call)
+     * @dev Losers get their lineup back immediately. After the final the prize pool is paid out.
+     *      Coin-flip tiebreaks are seeded from the hash of roundSeedBlocks, which is only known once
+     *      that block is mined and can't be re-rolled by the caller. If nobody plays the round
+     *      within SEED_WINDOW blocks the hash is unreadable, and this call commits to a new block
+     *      instead of playing.
+     * @param tournamentId The tournament ID
+     */
+    function playRound(uint256 tournamentId) external nonReentrant {
+        TournamentInfo storage tournament = tournaments[tournamentId];
+        require(tournament.status == TournamentStatus.InProgress, "Tournament not in progress");
+        uint8 round = tournament.currentRound;
+
+        uint256 seedBlock = roundSeedBlocks[tournamentId];
+        require(block.number > seedBlock, "Round seed not mined");
+        if (block.number > seedBlock + SEED_WINDOW) {
+            _commitRoundSeed(tournamentId, round);
+            return;
+        }
+        bytes32 seed = blockhash(seedBlock);
+
+        address[] storage players = _rounds[tournamentId][round];
+        address[] storage winners = _rounds[tournamentId][round + 1];
+
+        for (uint256 i = 0; i < players.length; i += 2) {
+            uint8 matchIndex = uint8(i / 2);
+            address first = players[i];
+            address second = players[i + 1];
+            bool firstWon = _playMatch(tournamentId, seed, round, matchIndex, first, second);
+            address winner = firstWon ? first : second;
+            address loser = firstWon ? second : first;
+
+            winners.push(winner);
+            _returnLineup(tournamentId, loser);
+            emit MatchResolved(tournamentId, round, matchIndex, winner, loser);
+
+            if (players.length == 2) {
+                tournament.champion = winner;
+                tournament.runnerUp = loser;
+            }
+        }
+        tournament.currentRound = round + 1;
+
+        if (winners.length == 1) {
+            _complete(tournamentId);
+        } else {
+            _commitRoundSeed(tournamentId, round + 1);
+        }
+    }
+
+    /**
+     * @notice Cancel a bracket that is still registering, refunding every fee and lineup
+     * @dev The owner can cancel at any time during registration; anyone can once the deadline
+     *      has passed without the bracket filling up
+     * @param tournamentId The tournament ID
+     */
+    function cancelTournament(uint256 tournamentId) external nonReentrant {
+        TournamentInfo storage tournament = tournaments[tournamentId];
+        require(tournament.size > 0, "Tournament not found");
+        require(tournament.status == TournamentStatus.Registration, "Registration closed");
+        require(
+            msg.sender == owner() || block.number > tournament.registrationDeadline,
+            "Registration still open"
+        );
+
+        tournament.status = TournamentStatus.Cancelled;
+        tournament.prizePool = 0;
+
+        address[] storage players = _registrants[tournamentId];
+        for (uint256 i = 0; i < players.length; i++) {
+            _returnLineup(tournamentId, players[i]);
+            if (tournament.entryFee > 0) {
+                _sendValue(tournamentId, players[i], tournament.entryFee);
+            }
+        }
+
+        emit TournamentCancelled(tournamentId);
+    }
+
+    /**
+     * @notice Withdraw MON payouts that could not be sent directly
+     */
+    function withdrawPayout() external nonReentrant {
+        uint256 amount = pendingPayouts[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        pendingPayouts[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdraw failed");
+    }
+
+    /**
+     * @notice Get the players registered for a tournament, in registration order
+     * @param tournamentId The tournament ID
+     */
+    function getRegistrants(uint256 tournamentId) external view returns (address[] memory) {
+        return _registrants[tournamentId];
+    }
+
+    /**
+     * @notice Get the players in a round; round 0 is the seeded bracket
+     * @param tournamentId The tournament ID
+     * @param round The round index
+     */
+    function getRound(uint256 tournamentId, uint8 round) external view returns (address[] memory) {
+        return _rounds[tournamentId][round];
+    }
+
+    /**
+     * @notice Get a player's locked lineup
+     * @param tournamentId The tournament ID
+     * @param player The player address
+     */
+    function getLineup(uint256 tournamentId, address player) external view returns (uint256[3] memory) {
+        return _lineups[tournamentId][player];
+    }
+
+    /**
+     * @dev Order registrants by BattleManager rating (registration order breaks ties) and place
+     *      them so seed 1 can only meet seed 2 in the final
+     */
+    function _seedBracket(uint256 tournamentId) internal {
+        TournamentInfo storage tournament = tournaments[tournamentId];
+        address[] memory players = _registrants[tournamentId];
+        uint256 count = players.length;
+
+        uint32[] memory ratings = new uint32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ratings[i] = battleManager.getPlayerStats(players[i]).rating;
+        }
+        // Stable insertion sort, highest rating first
+        for (uint256 i = 1; i < count; i++) {
+            address player = players[i];
+            uint32 rating = ratings[i];
+            uint256 j = i;
+            while (j > 0 && ratings[j - 1] < rating) {
+                players[j] = players[j - 1];
+                ratings[j] = ratings[j - 1];
+                j--;
+            }
+            players[j] = player;
+            ratings[j] = rating;
+        }
+
+        uint256[] memory order = _seedOrder(count);
+        address[] storage bracket = _rounds[tournamentId][0];
+        for (uint256 i = 0; i < count; i++) {
+            bracket.push(players[order[i] - 1]);
+        }
+
+        tournament.status = TournamentStatus.InProgress;
+        emit TournamentStarted(tournamentId, bracket);
+        _commitRoundSeed(tournamentId, 0);
+    }
+
+    /**
+     * @dev Commit the coin flips of `round` to the hash of the next block
+     */
+    function _commitRoundSeed(uint256 tournamentId, uint8 round) internal {
+        roundSeedBlocks[tournamentId] = block.number + 1;
+        emit RoundSeedCommitted(tournamentId, round, block.number + 1);
+    }
+
+    /**
+     * @dev Standard bracket positions: [1, 2] -> [1, 4, 2, 3] -> [1, 8, 4, 5, 2, 7, 3, 6] ...
+     */
+    function _seedOrder(uint256 size) internal pure returns (uint256[] memory order) {
+        order = new uint256[](1);
+        order[0] = 1;
+        for (uint256 length = 1; length < size; length *= 2) {
+            uint256[] memory next = new uint256[](length * 2);
+            for (uint256 i = 0; i < length; i++) {
+                next[i * 2] = order[i];
+                next[i * 2 + 1] = length * 2 + 1 - order[i];
+            }
+            order = next;
+        }
+    }
+
+    /**
+     * @dev Best of 3 between two locked lineups, scored like BattleManager.revealRound
+     * @return firstWon Whether the first player takes the match
+     */
+    function _playMatch(
+        uint256 tournamentId,
+        bytes32 seed,
+        uint8 round,
+        uint8 matchIndex,
+        address first,
+        address second
+    ) internal view returns (bool firstWon) {
+        uint256[3] storage firstLineup = _lineups[tournamentId][first];
+        uint256[3] storage secondLineup = _lineups[tournamentId][second];
+        uint8 firstWins;
+        uint8 secondWins;
+
+        for (uint8 i = 0; i < 3 && firstWins < 2 && secondWins < 2; i++) {
+            uint256 tiebreakSeed = uint256(
+                keccak256(abi.encodePacked(seed, tournamentId, round, matchIndex, i))
+            );
+            if (_firstTakesRound(firstLineup[i], secondLineup[i], tiebreakSeed)) {
+                firstWins++;
+            } else {
+                secondWins++;
+            }
+        }
+        return firstWins > secondWins;
+    }
+
+    /**
+     * @dev One card-vs-card round: higher score, then faster card, then rarer card, then coin flip
+     */
+    function _firstTakesRound(uint256 firstTokenId, uint256 secondTokenId, uint256 tiebreakSeed)
+        internal
+        view
+        returns (bool)
+    {
+        BattleCard.Card memory firstCard = battleCard.getCard(firstTokenId);
+        BattleCard.Card memory secondCard = battleCard.getCard(secondTokenId);
+
+        uint256 firstScore = _score(firstCard, secondCard);
+        uint256 secondScore = _score(secondCard, firstCard);
+        if (firstScore != secondScore) {
+            return firstScore > secondScore;
+        }
+        if (firstCard.speed != secondCard.speed) {
+            return firstCard.speed > secondCard.speed;
+        }
+        if (firstCard.rarity != secondCard.rarity) {
+            return firstCard.rarity > secondCard.rarity;
+        }
+        return tiebreakSeed % 2 == 0;
+    }
+
+    /**
+     * @dev (power + defense/2 + speed) scaled by the BattleManager type advantage
+     */
+    function _score(BattleCard.Card memory card, BattleCard.Card memory against) internal view returns (uint256) {
+        uint16 multiplier = battleManager.typeAdvantage(card.character, against.character);
+        return (uint256(card.power) + (uint256(card.defense) / 2) + uint256(card.speed)) * multiplier;
+    }
+
+    /**
+     * @dev Pay the finalists and return the champion's lineup
+     */
+    function _complete(uint256 tournamentId) internal {
+        TournamentInfo storage tournament = tournaments[tournamentId];
+        tournament.status = TournamentStatus.Completed;
+        _returnLineup(tournamentId, tournament.champion);
+
+        uint256 pool = tournament.prizePool;
+        if (pool > 0) {
+            uint256 secondPrize = (pool * SECOND_PLACE_BPS) / 10000;
+            _sendValue(tournamentId, tournament.champion, pool - secondPrize);
+            _sendValue(tournamentId, tournament.runnerUp, secondPrize);
+        }
+
+        emit TournamentCompleted(tournamentId, tournament.champion, tournament.runnerUp, pool);
+    }
+
+    function _returnLineup(uint256 tournamentId, address player) internal {
+        uint256[3] storage lineup = _lineups[tournamentId][player];
+        for (uint256 i = 0; i < 3; i++) {
+            battleCard.transferFrom(address(this), player, lineup[i]);
+        }
+    }
+
+    /**
+     * @dev Send MON, deferring to pendingPayouts if the recipient can't receive it
+     */
+    function _sendValue(uint256 tournamentId, address recipient, uint256 amount) internal {
+        (bool success, ) = payable(recipient).call{value: amount}("");
+        if (!success) {
+            pendingPayouts[recipient] += amount;
+            emit PayoutDeferred(recipient, amount);
+        }
+        emit PrizePaid(tournamentId, recipient, amount);
+    }
+}
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../Battlecard.sol";
+
+/**
+ * @title BattleCardHarness
+ * @notice Test-only BattleCard that can mint cards with chosen attributes
+ * @dev Lets the hardhat tests set up exact battle matchups instead of random rolls
+ */
+contract BattleCardHarness is BattleCard {
+    /**
+     * @notice Mint a card with fixed stats, bypassing commit-reveal
+     * @return tokenId The newly minted token ID
+     */
+    function mintWithStats(
+        address to,
+        uint16 power,
+        uint16 defense,
+        uint16 speed,
+        uint8 character,
+        uint8 rarity
+    ) public returns (uint256) {
+        uint256 tokenId = nextId++;
+        cards[tokenId] = Card({
+            power: power,
+            defense: defense,
+            speed: speed,
+            character: character,
+            rarity: rarity,
+            xp: 0,
+            level: 1
+        });
+        _mint(to, tokenId);
+        emit CardMinted(to, tokenId, character, rarity, power, defense, speed);
+        return tokenId;
+    }
+
+    /**
+     * @notice Overwrite a card's XP without levelling it, to make the next grantXp overflow
+     */
+    function setXp(uint256 tokenId, uint32 xp) external {
+        cards[tokenId].xp = xp;
+    }
+
+    /**
+     * @notice Mint `count` identical cards in one transaction, for large-collection gas benchmarks
+     */
+    function mintBatchWithStats(address to, uint256 count, uint16 power, uint8 character) external {
+        for (uint256 i = 0; i < count; i++) {
+            mintWithStats(to, power, 30, 10, character, 0);
+        }
+    }
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../Battlecard.sol";
+
+/**
+ * @title RarityCherryPicker
+ * @notice Test-only attacker that tries to keep only Mythic rolls
+ * @dev Used by the hardhat tests to show commit-reveal minting cannot be gamed
+ */
+contract RarityCherryPicker {
+    BattleCard public immutable battleCard;
+    uint256 public lastCommitId;
+
+    constructor(address _battleCardAddress) {
+        battleCard = BattleCard(payable(_battleCardAddress));
+    }
+
+    /**
+     * @notice Commit and reveal in one transaction, keeping the card only if it is Mythic
+     */
+    function mintMythicNow() external payable {
+        uint256 commitId = battleCard.commitMint{value: msg.value}();
+        _revealOrRevert(commitId);
+    }
+
+    /**
+     * @notice Commit to a sealed pack and remember its ID
+     */
+    function commit() external payable {
+        lastCommitId = battleCard.commitMint{value: msg.value}();
+    }
+
+    /**
+     * @notice Reveal a pending pack, reverting unless the roll is Mythic
+     * @param commitId The pending mint ID
+     */
+    function revealIfMythic(uint256 commitId) external {
+        _revealOrRevert(commitId);
+    }
+
+    /**
+     * @notice Refuse every safe transfer so a receiver hook veto can be tested
+     */
+    function onERC721Received(address, address, uint256, bytes calldata)
+        external
+        pure
+        returns (bytes4)
+    {
+        revert("Only Mythic accepted");
+    }
+
+    function _revealOrRevert(uint256 commitId) internal {
+        uint256 tokenId = battleCard.revealMint(commitId);
+        require(battleCard.getCard(tokenId).rarity == 4, "Not Mythic");
+    }
+
+    receive() external payable {}
+}
@@ -1,13 +1,24 @@
 import React, { useState, useEffect } from "react";
 import { BrowserRouter as Router, Routes, Route, Link, useLocation } from "react-router-dom";
 import ConnectWallet from "./components/ConnectWallet";
+import PauseBanner from "./components/PauseBanner";
+import Toasts from "./components/Toasts";
 import Collection from "./pages/Collection";
 import Battle from "./pages/Battle";
 import Home from "./pages/Home";
-import { getProvider } from "./lib/ethereum";
+import CardDetail from "./pages/CardDetail";
+import Leaderboard from "./pages/Leaderboard";
+import Market from "./pages/Market";
+import Tournaments from "./pages/Tournaments";
+import { getProvider, getPauseState } from "./lib/ethereum";
+import { resumePendingTxs } from "./lib/txManager";
+
+// How often to re-check the emergency pause switches
+const PAUSE_POLL_MS = 30000;
 
 function App() {
   const [account, setAccount] = useState("");
+  const [paused, setPaused] = useState({ cards: false, battles: false });
 
   useEffect(() => {
     checkConnection();
@@ -22,6 +33,26 @@ function App() {
     };
   }, []);
 
+  // Report on transactions that were still pending when the page was last closed
+  useEffect(() => {
+    resumePendingTxs(account);
+  }, [account]);
+
+  useEffect(() => {
+    if (!account) return;
+    loadPauseState();
+    const interval = setInterval(loadPauseState, PAUSE_POLL_MS);
+    return () => clearInterval(interval);
+  }, [account]);
+
+  const loadPauseState = async () => {
+    try {
+      setPaused(await getPauseState());
+    } catch (error) {
+      console.error("Error loading pause state:", error);
+    }
+  };
+
   const checkConnection = async () => {
     if (window.ethereum) {
       try {
@@ -54,11 +85,17 @@ function App() {
     <Router>
       <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
         <Nav account={account} onConnect={handleConnect} />
+        <PauseBanner paused={paused} />
         <Routes>
-          <Route path="/" element={<Home account={account} />} />
-          <Route path="/collection" element={<Collection account={account} />} />
-          <Route path="/battle" element={<Battle account={account} />} />
+          <Route path="/" element={<Home account={account} paused={paused} />} />
+          <Route path="/collection" element={<Collection account={account} paused={paused} />} />
+          <Route path="/battle" element={<Battle account={account} paused={paused} />} />
+          <Route path="/market" element={<Market account={account} />} />
+          <Route path="/cards/:tokenId" element={<CardDetail account={account} />} />
+          <Route path="/tournaments" element={<Tournaments account={account} />} />
+          <Route path="/leaderboard" element={<Leaderboard account={account} />} />
         </Routes>
+        <Toasts />
       </div>
     </Router>
   );
@@ -107,6 +144,36 @@ function Nav({ account, onConnect }) {
             >
               Battle
             </Link>
+            <Link
+              to="/market"
+              className={`px-4 py-2 rounded-lg font-semibold transition-colors ${
+                isActive("/market")
+                  ? "bg-blue-600 text-white"
+                  : "text-gray-300 hover:text-white"
+              }`}
+            >
+              Market
+            </Link>
+            <Link
+              to="/tournaments"
+              className={`px-4 py-2 rounded-lg font-semibold transition-colors ${
+                isActive("/tournaments")
+                  ? "bg-blue-600 text-white"
+                  : "text-gray-300 hover:text-white"
+              }`}
+            >
+              Tournaments
+            </Link>
+            <Link
+              to="/leaderboard"
+              className={`px-4 py-2 rounded-lg font-semibold transition-colors ${
+                isActive("/leaderboard")
+                  ? "bg-blue-600 text-white"
+                  : "text-gray-300 hover:text-white"
+              }`}
+            >
+              Leaderboard
+            </Link>
             <ConnectWallet account={account} onConnect={onConnect} />
           </div>
         </div>
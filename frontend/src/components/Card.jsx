@@ -1,7 +1,10 @@
 import React from "react";
+import { Link } from "react-router-dom";
+import { formatAddress } from "../lib/ethereum";
 
 const CHARACTER_NAMES = ["Warrior", "Mage", "Cavalry", "Prince"];
 const RARITY_NAMES = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
+// Keep in sync with CardRenderer._rarityColor, which frames the on-chain SVG
 const RARITY_COLORS = {
   0: "bg-gray-500",      // Common
   1: "bg-blue-500",      // Rare
@@ -10,6 +13,10 @@ const RARITY_COLORS = {
   4: "bg-red-600",       // Mythic
 };
 
+// Mirrors BattleCard.MAX_LEVEL and BattleCard.xpForLevel
+const MAX_LEVEL = 10;
+const xpForLevel = (level) => (level <= 1 ? 0 : 25 * level * (level - 1));
+
 const RARITY_TEXT_COLORS = {
   0: "text-gray-100",
   1: "text-blue-100",
@@ -18,7 +25,7 @@ const RARITY_TEXT_COLORS = {
   4: "text-red-100",
 };
 
-export default function Card({ card, tokenId, selected = false, onSelect, showStats = true }) {
+export default function Card({ card, tokenId, selected = false, onSelect, showStats = true, price, onBuy, onList }) {
   if (!card) return null;
 
   // Safely extract and convert values to numbers
@@ -27,6 +34,8 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
   const speed = Number(card.speed) || 0;
   const character = Number(card.character) || 0;
   const rarity = Number(card.rarity) || 0;
+  const xp = Number(card.xp) || 0;
+  const level = Number(card.level) || 1;
   
   const characterName = CHARACTER_NAMES[character] || "Unknown";
   const rarityName = RARITY_NAMES[rarity] || "Unknown";
@@ -59,7 +68,20 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
             {characterName === "Unknown" && "❓"}
           </div>
           <h3 className="text-lg font-bold text-white">{characterName}</h3>
-          {tokenId && <p className="text-xs text-gray-400">ID: {tokenId}</p>}
+          {tokenId && (
+            <Link
+              to={`/cards/${tokenId}`}
+              onClick={(e) => e.stopPropagation()}
+              className="text-xs text-gray-400 hover:text-white hover:underline"
+            >
+              ID: {tokenId}
+            </Link>
+          )}
+          <p className="text-xs font-semibold text-yellow-400 mt-1">Lv {level}</p>
+          {card.borrowed && <p className="text-xs font-semibold text-teal-400 mt-1">🤝 Borrowed</p>}
+          {card.rentedTo && (
+            <p className="text-xs font-semibold text-teal-400 mt-1">🤝 Lent to {formatAddress(card.rentedTo)}</p>
+          )}
         </div>
 
         {showStats && (
@@ -71,6 +93,9 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
               <StatBar label="Speed" value={speed} max={150} color="bg-green-500" />
             </div>
 
+            {/* XP Progress */}
+            <XpBar xp={xp} level={level} />
+
             {/* Total Score */}
             <div className="mt-4 pt-4 border-t border-gray-700">
               <p className="text-center text-sm text-gray-400">
@@ -80,6 +105,37 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
           </>
         )}
 
+        {/* Market Actions */}
+        {(onBuy || onList) && (
+          <div className="mt-4 space-y-2">
+            {onBuy && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onBuy();
+                }}
+                className="w-full bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold"
+              >
+                Buy{price ? ` for ${price} MON` : ""}
+              </button>
+            )}
+            {onList && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onList();
+                }}
+                className="w-full bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg font-semibold"
+              >
+                List for sale
+              </button>
+            )}
+          </div>
+        )}
+        {!onBuy && price && (
+          <p className="mt-4 text-center text-sm text-green-400 font-semibold">{price} MON</p>
+        )}
+
         {/* Selection Checkbox */}
         {onSelect && (
           <div className="absolute top-2 left-2">
@@ -117,3 +173,25 @@ function StatBar({ label, value, max, color }) {
     </div>
   );
 }
+
+function XpBar({ xp, level }) {
+  const isMax = level >= MAX_LEVEL;
+  const levelStart = xpForLevel(level);
+  const levelEnd = xpForLevel(level + 1);
+  const percentage = isMax ? 100 : Math.min(((xp - levelStart) / (levelEnd - levelStart)) * 100, 100);
+
+  return (
+    <div className="mt-3">
+      <div className="flex justify-between text-xs mb-1">
+        <span className="text-gray-400">XP</span>
+        <span className="text-white font-semibold">{isMax ? `${xp} (MAX)` : `${xp} / ${levelEnd}`}</span>
+      </div>
+      <div className="w-full bg-gray-700 rounded-full h-1.5 overflow-hidden">
+        <div
+          className="h-full bg-yellow-400 transition-all duration-300 rounded-full"
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+    </div>
+  );
+}
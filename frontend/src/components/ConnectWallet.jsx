@@ -1,5 +1,6 @@
 import React from "react";
 import { connectWallet } from "../lib/ethereum";
+import { notifyError } from "../lib/txManager";
 
 export default function ConnectWallet({ onConnect, account }) {
   const handleConnect = async () => {
@@ -8,7 +9,7 @@ export default function ConnectWallet({ onConnect, account }) {
       if (onConnect) onConnect(address);
     } catch (error) {
       console.error("Failed to connect wallet:", error);
-      alert(`Failed to connect wallet: ${error.message}`);
+      notifyError("Failed to connect wallet", error);
     }
   };
 
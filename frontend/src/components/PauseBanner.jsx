@@ -0,0 +1,20 @@
+import React from "react";
+
+export default function PauseBanner({ paused }) {
+  if (!paused.cards && !paused.battles) return null;
+
+  const blocked = [
+    paused.cards && "minting and fusion",
+    paused.battles && "creating and joining battles",
+  ].filter(Boolean);
+
+  return (
+    <div className="bg-yellow-500/20 border-b border-yellow-500 text-yellow-200">
+      <div className="container mx-auto px-4 py-3 text-sm">
+        <span className="font-semibold">⏸️ Emergency pause:</span> {blocked.join(" and ")}{" "}
+        {blocked.length > 1 ? "are" : "is"} temporarily disabled. Opening sealed packs, refunds, battles already
+        under way and withdrawals still work.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+import { useToasts, dismissToast, explorerTxUrl } from "../lib/txManager";
+
+const STYLES = {
+  pending: { icon: "⏳", className: "border-blue-500 bg-blue-500/20 text-blue-100" },
+  mined: { icon: "✅", className: "border-green-500 bg-green-500/20 text-green-100" },
+  success: { icon: "✅", className: "border-green-500 bg-green-500/20 text-green-100" },
+  replaced: { icon: "🔁", className: "border-yellow-500 bg-yellow-500/20 text-yellow-100" },
+  failed: { icon: "❌", className: "border-red-500 bg-red-500/20 text-red-100" },
+  error: { icon: "❌", className: "border-red-500 bg-red-500/20 text-red-100" },
+  info: { icon: "ℹ️", className: "border-gray-500 bg-gray-800/90 text-gray-100" },
+};
+
+export default function Toasts() {
+  const toasts = useToasts();
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex w-96 max-w-[calc(100vw-2rem)] flex-col gap-2">
+      {toasts.map((toast) => {
+        const style = STYLES[toast.kind] || STYLES.info;
+        return (
+          <div
+            key={toast.id}
+            role={toast.kind === "failed" || toast.kind === "error" ? "alert" : "status"}
+            className={`rounded-lg border px-4 py-3 shadow-lg backdrop-blur ${style.className}`}
+          >
+            <div className="flex items-start gap-3">
+              <span className={toast.kind === "pending" ? "animate-pulse" : ""}>{style.icon}</span>
+              <div className="min-w-0 flex-1 text-sm">
+                {toast.title && <div className="font-semibold">{toast.title}</div>}
+                <div className="break-words">{toast.message}</div>
+                {toast.hash && (
+                  <a
+                    href={explorerTxUrl(toast.hash)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-xs underline opacity-80 hover:opacity-100"
+                  >
+                    View on explorer ↗
+                  </a>
+                )}
+              </div>
+              <button
+                onClick={() => dismissToast(toast.id)}
+                className="text-lg leading-none opacity-60 hover:opacity-100"
+                aria-label="Dismiss"
+              >
+                ×
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
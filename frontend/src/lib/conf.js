@@ -43,6 +43,18 @@ function normalizeAddress(address) {
 const conf = {
     battleCardAddress: normalizeAddress(import.meta.env.VITE_BATTLE_CARD_ADDRESS || ""),
     battleManagerAddress: normalizeAddress(import.meta.env.VITE_BATTLE_MANAGER_ADDRESS || ""),
+    tournamentAddress: normalizeAddress(import.meta.env.VITE_TOURNAMENT_ADDRESS || ""),
+    marketplaceAddress: normalizeAddress(import.meta.env.VITE_MARKETPLACE_ADDRESS || ""),
+    // Canonical Multicall3; local Hardhat networks get their own from script/deploy.js
+    multicallAddress: normalizeAddress(
+        import.meta.env.VITE_MULTICALL_ADDRESS || "0xcA11bde05977b3631167028862bE2a173976CA11"
+    ),
+    // WebSocket RPC for live battle updates; when unset, events are polled through the wallet
+    wsRpcUrl: (import.meta.env.VITE_WS_RPC_URL || "").trim(),
+    // Event indexer (indexer/); when unset, history is read from chain logs
+    indexerUrl: (import.meta.env.VITE_INDEXER_URL || "").trim().replace(/\/+$/, ""),
+    // Block the contracts were deployed in; chain log reads never start earlier
+    deployBlock: Number(import.meta.env.VITE_DEPLOY_BLOCK || 0),
 };
 
 export default conf;
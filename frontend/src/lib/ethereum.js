@@ -1,5 +1,6 @@
 import { ethers } from "ethers";
 import conf from "./conf.js";
+import { fetchIndexer, queryEventsSince, DEPLOY_BLOCK } from "./indexer.js";
 
 // Helper to safely checksum an address
 function getChecksummedAddress(address) {
@@ -19,6 +20,9 @@ function getChecksummedAddress(address) {
 // The addresses from conf.js should already be checksummed, but we ensure it here too
 export const BATTLE_CARD_ADDRESS = getChecksummedAddress(conf.battleCardAddress);
 export const BATTLE_MANAGER_ADDRESS = getChecksummedAddress(conf.battleManagerAddress);
+export const TOURNAMENT_ADDRESS = getChecksummedAddress(conf.tournamentAddress);
+export const MARKETPLACE_ADDRESS = getChecksummedAddress(conf.marketplaceAddress);
+export const MULTICALL_ADDRESS = getChecksummedAddress(conf.multicallAddress);
 
 // Monad Blitz testnet configuration
 export const MONAD_BLITZ = {
@@ -35,9 +39,33 @@ export const MONAD_BLITZ = {
 
 // Contract ABIs (minimal for MVP)
 export const BATTLE_CARD_ABI = [
-  "function mintCard() external payable returns (uint256)",
-  "function getCard(uint256 tokenId) external view returns (tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity))",
-  "function getOwnedTokens(address owner) external view returns (uint256[])",
+  "function commitMint() external payable returns (uint256)",
+  "function revealMint(uint256 commitId) external returns (uint256)",
+  "function mintPack(uint8 count) external payable returns (uint256)",
+  "function packPrice(uint8 count) external view returns (uint256)",
+  "function claimMint(bytes32[] calldata proof) external payable returns (uint256)",
+  "function claimRoot() external view returns (bytes32)",
+  "function claimPrice() external view returns (uint256)",
+  "function hasClaimed(address account) external view returns (bool)",
+  "function MAX_PACK_SIZE() external view returns (uint8)",
+  "function RARE_GUARANTEE_SIZE() external view returns (uint8)",
+  "function mintCommits(uint256 commitId) external view returns (address owner, uint64 revealBlock, uint8 status, uint8 fusedRarity, uint8 count, uint256 fee)",
+  "function mintFee() external view returns (uint256)",
+  "function maxSupply() external view returns (uint256)",
+  "function mintCount() external view returns (uint256)",
+  "function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount)",
+  "function REVEAL_WINDOW() external view returns (uint256)",
+  "function fuse(uint256[] calldata tokenIds) external returns (uint256)",
+  "function getFusionInputs(uint256 commitId) external view returns (uint256[])",
+  "function FUSION_SIZE() external view returns (uint256)",
+  "function setUser(uint256 tokenId, address user, uint64 expires) external",
+  "function userOf(uint256 tokenId) external view returns (address)",
+  "function userExpires(uint256 tokenId) external view returns (uint256)",
+  "function getCard(uint256 tokenId) external view returns (tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity, uint32 xp, uint8 level))",
+  "function xpForLevel(uint8 level) external pure returns (uint32)",
+  "function MAX_LEVEL() external view returns (uint8)",
+  "function getOwnedTokens(address owner, uint256 offset, uint256 limit) external view returns (uint256[])",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256)",
   "function ownerOf(uint256 tokenId) external view returns (address)",
   "function balanceOf(address owner) external view returns (uint256)",
   "function approve(address to, uint256 tokenId) external",
@@ -45,22 +73,122 @@ export const BATTLE_CARD_ABI = [
   "function batchApprove(address to, uint256[] calldata tokenIds) external",
   "function transferFrom(address from, address to, uint256 tokenId) external",
   "function nextId() external view returns (uint256)",
+  "function paused() external view returns (bool)",
+  "function pause() external",
+  "function unpause() external",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
   "event CardMinted(address indexed owner, uint256 indexed tokenId, uint8 character, uint8 rarity, uint16 power, uint16 defense, uint16 speed)",
+  "event MintCommitted(address indexed owner, uint256 indexed commitId, uint64 revealBlock)",
+  "event MintRevealed(address indexed owner, uint256 indexed commitId, uint256 indexed tokenId)",
+  "event MintFeeUpdated(uint256 oldFee, uint256 newFee)",
+  "event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires)",
+  "event FusionCommitted(address indexed owner, uint256 indexed commitId, uint256[] tokenIds, uint8 rarity, uint64 revealBlock)",
+  "event XpGained(uint256 indexed tokenId, uint32 amount, uint32 totalXp)",
+  "event LevelUp(uint256 indexed tokenId, uint8 level, uint16 power, uint16 defense, uint16 speed)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
 ];
 
 export const BATTLE_MANAGER_ABI = [
-  "function createBattle(address opponent, uint256[3] calldata myCards) external returns (uint256)",
-  "function joinBattle(uint256 battleId, uint256[3] calldata opponentCards) external",
+  "function createBattle(address opponent, uint256[3] calldata myCards, bytes32 lineupHash) external payable returns (uint256)",
+  "function joinBattle(uint256 battleId, uint256[3] calldata opponentCards, bytes32 lineupHash) external payable",
+  "function revealLineup(uint256 battleId, uint256[3] calldata lineup, bytes32 salt) external",
+  "function forfeitUnrevealedLineup(uint256 battleId) external",
+  "function computeLineupHash(address player, uint256[3] calldata lineup, bytes32 salt) external pure returns (bytes32)",
+  "function lineups(uint256 battleId) external view returns (bytes32 starterHash, bytes32 opponentHash, bool starterRevealed, bool opponentRevealed, uint256 deadline)",
+  "function LINEUP_REVEAL_TIMEOUT() external view returns (uint256)",
   "function revealRound(uint256 battleId) external",
+  "function getPlayerStats(address player) external view returns (tuple(uint32 rating, uint32 wins, uint32 losses, uint32 draws))",
+  "function getPlayers() external view returns (address[])",
+  "function INITIAL_RATING() external view returns (uint32)",
   "function claimReward(uint256 battleId, uint8 prizeCardIndex) external",
   "function cancelBattle(uint256 battleId) external",
-  "function getBattle(uint256 battleId) external view returns (tuple(address starter, address opponent, uint256[3] starterCards, uint256[3] opponentCards, uint8 starterWins, uint8 opponentWins, uint8 currentRound, uint8 status, uint256 createdAt, address winner))",
+  "function getOpenBattles() external view returns (uint256[])",
+  "function BATTLE_TIMEOUT() external view returns (uint256)",
+  "function REVEAL_TIMEOUT() external view returns (uint256)",
+  "function resolveExpired(uint256 battleId) external",
+  "function getBattle(uint256 battleId) external view returns (tuple(address starter, address opponent, uint256[3] starterCards, uint256[3] opponentCards, uint8 starterWins, uint8 opponentWins, uint8 currentRound, uint8 status, uint256 createdAt, address winner, uint256 stake, uint16 feeBps, bool claimed, uint256 revealDeadline))",
+  "function protocolFeeBps() external view returns (uint16)",
+  "function treasury() external view returns (address)",
+  "function cardLenders(uint256 tokenId) external view returns (address)",
+  "function pendingPayouts(address account) external view returns (uint256)",
+  "function withdrawPayout() external",
   "function battleCard() external view returns (address)",
+  "function owner() external view returns (address)",
+  "function typeAdvantage(uint256 attacker, uint256 defender) external view returns (uint16)",
+  "function getTypeAdvantages() external view returns (uint16[4][4])",
+  "function setTypeAdvantage(uint8 attacker, uint8 defender, uint16 multiplier) external",
+  "function paused() external view returns (bool)",
+  "function pause() external",
+  "function unpause() external",
+  "function emergencyReturnCards(uint256 battleId) external",
   "event BattleCreated(uint256 indexed battleId, address indexed starter, address indexed opponent, uint256[3] starterCards)",
   "event BattleJoined(uint256 indexed battleId, address indexed opponent, uint256[3] opponentCards)",
-  "event RoundResolved(uint256 indexed battleId, uint8 indexed roundIndex, uint256 starterCardId, uint256 opponentCardId, bool starterWon)",
+  "event RoundResolved(uint256 indexed battleId, uint8 indexed roundIndex, uint256 starterCardId, uint256 opponentCardId, bool starterWon, uint16 starterMultiplier, uint16 opponentMultiplier, uint8 tieBreak)",
   "event BattleResolved(uint256 indexed battleId, address indexed winner)",
+  "event LineupRevealed(uint256 indexed battleId, address indexed player, uint256[3] lineup)",
+  "event LineupForfeited(uint256 indexed battleId, address indexed forfeiter)",
+  "event RatingUpdated(address indexed player, uint256 indexed battleId, uint32 oldRating, uint32 newRating)",
+  "event BattleExpired(uint256 indexed battleId, address indexed resolver)",
+  "event BattleCancelled(uint256 indexed battleId)",
   "event CardClaimed(uint256 indexed battleId, address indexed winner, uint256 indexed claimedTokenId)",
+  "event StakePaid(uint256 indexed battleId, address indexed recipient, uint256 amount)",
+  "event TypeAdvantageUpdated(uint8 indexed attacker, uint8 indexed defender, uint16 multiplier)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event CardReturned(uint256 indexed battleId, uint256 indexed tokenId, address indexed to)",
+  "event EmergencyReturned(uint256 indexed battleId)",
+];
+
+export const TOURNAMENT_ABI = [
+  "function createTournament(string calldata name, uint256 entryFee, uint8 size, uint256 registrationBlocks) external returns (uint256)",
+  "function register(uint256 tournamentId, uint256[3] calldata lineup) external payable",
+  "function playRound(uint256 tournamentId) external",
+  "function cancelTournament(uint256 tournamentId) external",
+  "function withdrawPayout() external",
+  "function tournamentCount() external view returns (uint256)",
+  "function tournaments(uint256 tournamentId) external view returns (string name, uint256 entryFee, uint8 size, uint8 currentRound, uint8 status, uint256 registrationDeadline, uint256 prizePool, address champion, address runnerUp)",
+  "function registered(uint256 tournamentId, address player) external view returns (bool)",
+  "function getRegistrants(uint256 tournamentId) external view returns (address[])",
+  "function getRound(uint256 tournamentId, uint8 round) external view returns (address[])",
+  "function getLineup(uint256 tournamentId, address player) external view returns (uint256[3])",
+  "function roundSeedBlocks(uint256 tournamentId) external view returns (uint256)",
+  "function pendingPayouts(address account) external view returns (uint256)",
+  "function owner() external view returns (address)",
+  "function SECOND_PLACE_BPS() external view returns (uint16)",
+  "event TournamentCreated(uint256 indexed tournamentId, string name, uint256 entryFee, uint8 size, uint256 registrationDeadline)",
+  "event PlayerRegistered(uint256 indexed tournamentId, address indexed player, uint256[3] lineup)",
+  "event TournamentStarted(uint256 indexed tournamentId, address[] bracket)",
+  "event MatchResolved(uint256 indexed tournamentId, uint8 indexed round, uint8 matchIndex, address winner, address loser)",
+  "event TournamentCompleted(uint256 indexed tournamentId, address indexed champion, address indexed runnerUp, uint256 prizePool)",
+  "event TournamentCancelled(uint256 indexed tournamentId)",
+  "event RoundSeedCommitted(uint256 indexed tournamentId, uint8 indexed round, uint256 seedBlock)",
+  "event PrizePaid(uint256 indexed tournamentId, address indexed recipient, uint256 amount)",
+];
+
+export const MARKETPLACE_ABI = [
+  "function list(uint256 tokenId, uint256 price) external",
+  "function delist(uint256 tokenId) external",
+  "function updatePrice(uint256 tokenId, uint256 newPrice) external",
+  "function buy(uint256 tokenId) external payable",
+  "function withdrawPayout() external",
+  "function listings(uint256 tokenId) external view returns (address seller, uint256 price)",
+  "function getListedTokens() external view returns (uint256[])",
+  "function makeOffer(uint256 tokenId, uint256 durationBlocks) external payable returns (uint256)",
+  "function acceptOffer(uint256 offerId) external",
+  "function cancelOffer(uint256 offerId) external",
+  "function offers(uint256 offerId) external view returns (address bidder, uint256 tokenId, uint256 amount, uint256 expiresAt, uint8 status)",
+  "function getOpenOffers(uint256 tokenId) external view returns (uint256[])",
+  "function nextOfferId() external view returns (uint256)",
+  "function MAX_OFFER_DURATION() external view returns (uint256)",
+  "function pendingPayouts(address account) external view returns (uint256)",
+  "event Listed(uint256 indexed tokenId, address indexed seller, uint256 price)",
+  "event Delisted(uint256 indexed tokenId, address indexed seller)",
+  "event PriceUpdated(uint256 indexed tokenId, uint256 oldPrice, uint256 newPrice)",
+  "event Sold(uint256 indexed tokenId, address indexed seller, address indexed buyer, uint256 price)",
+  "event OfferMade(uint256 indexed offerId, uint256 indexed tokenId, address indexed bidder, uint256 amount, uint256 expiresAt)",
+  "event OfferAccepted(uint256 indexed offerId, uint256 indexed tokenId, address indexed seller, address bidder, uint256 amount)",
+  "event OfferCancelled(uint256 indexed offerId, uint256 indexed tokenId, address indexed bidder)",
 ];
 
 // Helper to get provider
@@ -78,6 +206,85 @@ export const getSigner = async () => {
   return await provider.getSigner();
 };
 
+// Multicall3 batching: contract reads made in the same tick are sent as one aggregate3 eth_call
+const MULTICALL_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) returns (tuple(bool success, bytes returnData)[] returnData)",
+];
+const multicallInterface = new ethers.Interface(MULTICALL_ABI);
+// Reads per aggregate3 call, to stay well inside the node's eth_call gas limit
+const MAX_MULTICALL_BATCH = 100;
+
+let queuedReads = []; // {provider, tx, resolve, reject}
+let multicallDeployed = null; // Promise<boolean>, checked once per page load
+
+const isMulticallDeployed = (provider) => {
+  if (!multicallDeployed) {
+    multicallDeployed = MULTICALL_ADDRESS
+      ? provider
+          .getCode(MULTICALL_ADDRESS)
+          .then((code) => code !== "0x")
+          .catch(() => false)
+      : Promise.resolve(false);
+  }
+  return multicallDeployed;
+};
+
+const sendRead = ({ provider, tx, resolve, reject }) => provider.call(tx).then(resolve, reject);
+
+const sendReadBatch = async (batch) => {
+  try {
+    const calls = await Promise.all(batch.map(async ({ tx }) => [await ethers.resolveAddress(tx.to), true, tx.data]));
+    const data = multicallInterface.encodeFunctionData("aggregate3", [calls]);
+    const [results] = multicallInterface.decodeFunctionResult(
+      "aggregate3",
+      await batch[0].provider.call({ to: MULTICALL_ADDRESS, data })
+    );
+    results.forEach(({ success, returnData }, i) => {
+      // Re-send a reverted read on its own so the caller gets the usual decoded revert error
+      if (success) {
+        batch[i].resolve(returnData);
+      } else {
+        sendRead(batch[i]);
+      }
+    });
+  } catch (error) {
+    console.warn("Multicall batch failed, sending reads one by one:", error.message);
+    batch.forEach(sendRead);
+  }
+};
+
+const flushReads = async () => {
+  const reads = queuedReads;
+  queuedReads = [];
+  if (reads.length === 1 || !(await isMulticallDeployed(reads[0].provider))) {
+    reads.forEach(sendRead);
+    return;
+  }
+  for (let start = 0; start < reads.length; start += MAX_MULTICALL_BATCH) {
+    sendReadBatch(reads.slice(start, start + MAX_MULTICALL_BATCH));
+  }
+};
+
+// Contract runner that sends transactions from `signer` and queues view calls for the next multicall
+const batchingRunner = (signer) => ({
+  provider: signer.provider,
+  getAddress: () => signer.getAddress(),
+  resolveName: (name) => signer.resolveName(name),
+  estimateGas: (tx) => signer.estimateGas(tx),
+  sendTransaction: (tx) => signer.sendTransaction(tx),
+  call: (tx) =>
+    new Promise((resolve, reject) => {
+      const read = { provider: signer.provider, tx, resolve, reject };
+      // Reads pinned to a block can't share a batch
+      if (tx.blockTag != null) {
+        sendRead(read);
+        return;
+      }
+      queuedReads.push(read);
+      if (queuedReads.length === 1) setTimeout(flushReads, 0);
+    }),
+});
+
 // Helper to get contracts
 export const getBattleCardContract = async () => {
   const signer = await getSigner();
@@ -86,7 +293,7 @@ export const getBattleCardContract = async () => {
   try {
     // Ensure address is checksummed (EIP-55 format)
     const checksummedAddress = ethers.getAddress(String(BATTLE_CARD_ADDRESS).trim());
-    return new ethers.Contract(checksummedAddress, BATTLE_CARD_ABI, signer);
+    return new ethers.Contract(checksummedAddress, BATTLE_CARD_ABI, batchingRunner(signer));
   } catch (e) {
     console.error("Failed to checksum Battle Card address:", e.message);
     return null;
@@ -100,13 +307,41 @@ export const getBattleManagerContract = async () => {
   try {
     // Ensure address is checksummed (EIP-55 format)
     const checksummedAddress = ethers.getAddress(String(BATTLE_MANAGER_ADDRESS).trim());
-    return new ethers.Contract(checksummedAddress, BATTLE_MANAGER_ABI, signer);
+    return new ethers.Contract(checksummedAddress, BATTLE_MANAGER_ABI, batchingRunner(signer));
   } catch (e) {
     console.error("Failed to checksum Battle Manager address:", e.message);
     return null;
   }
 };
 
+export const getTournamentContract = async () => {
+  const signer = await getSigner();
+  if (!signer || !TOURNAMENT_ADDRESS) return null;
+
+  try {
+    // Ensure address is checksummed (EIP-55 format)
+    const checksummedAddress = ethers.getAddress(String(TOURNAMENT_ADDRESS).trim());
+    return new ethers.Contract(checksummedAddress, TOURNAMENT_ABI, batchingRunner(signer));
+  } catch (e) {
+    console.error("Failed to checksum Tournament address:", e.message);
+    return null;
+  }
+};
+
+export const getMarketplaceContract = async () => {
+  const signer = await getSigner();
+  if (!signer || !MARKETPLACE_ADDRESS) return null;
+
+  try {
+    // Ensure address is checksummed (EIP-55 format)
+    const checksummedAddress = ethers.getAddress(String(MARKETPLACE_ADDRESS).trim());
+    return new ethers.Contract(checksummedAddress, MARKETPLACE_ABI, batchingRunner(signer));
+  } catch (e) {
+    console.error("Failed to checksum Marketplace address:", e.message);
+    return null;
+  }
+};
+
 // Helper to check/add Monad Blitz network
 export const addMonadBlitzNetwork = async () => {
   if (!window.ethereum) {
@@ -156,6 +391,56 @@ export const connectWallet = async () => {
   }
 };
 
+// Page size for getOwnedTokens; one page stays well inside an eth_call gas limit
+const OWNED_TOKENS_PAGE_SIZE = 100;
+
+// Every token ID owned by `address`, read from the on-chain owner index a page at a time
+export const getOwnedTokenIds = async (battleCardContract, address) => {
+  const tokenIds = [];
+  for (let offset = 0; ; offset += OWNED_TOKENS_PAGE_SIZE) {
+    const page = await battleCardContract.getOwnedTokens(address, offset, OWNED_TOKENS_PAGE_SIZE);
+    tokenIds.push(...page.map((id) => id.toString()));
+    if (page.length < OWNED_TOKENS_PAGE_SIZE) return tokenIds;
+  }
+};
+
+// Token IDs currently rented to `address` (ERC-4907 user role), found via the indexer and UpdateUser events
+export const getBorrowedTokenIds = async (battleCardContract, address) => {
+  const indexed = await fetchIndexer(`/cards/${address}`);
+  const events = await queryEventsSince(
+    battleCardContract,
+    battleCardContract.filters.UpdateUser(null, address),
+    indexed ? indexed.indexedBlock + 1 : DEPLOY_BLOCK
+  );
+  const tokenIds = [
+    ...new Set([
+      ...(indexed ? indexed.borrowed.map((card) => card.tokenId) : []),
+      ...events.map((event) => event.args.tokenId.toString()),
+    ]),
+  ];
+  const borrowed = [];
+  for (const tokenId of tokenIds) {
+    const user = await battleCardContract.userOf(tokenId);
+    if (user.toLowerCase() === address.toLowerCase()) {
+      borrowed.push(tokenId);
+    }
+  }
+  return borrowed;
+};
+
+// Emergency pause switches: `cards` blocks minting and fusion, `battles` blocks creating and joining
+export const getPauseState = async () => {
+  const [battleCardContract, battleManagerContract] = await Promise.all([
+    getBattleCardContract(),
+    getBattleManagerContract(),
+  ]);
+  const [cards, battles] = await Promise.all([
+    battleCardContract ? battleCardContract.paused() : false,
+    battleManagerContract ? battleManagerContract.paused() : false,
+  ]);
+  return { cards, battles };
+};
+
 // Helper to format address
 export const formatAddress = (address) => {
   if (!address) return "";
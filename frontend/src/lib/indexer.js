@@ -0,0 +1,42 @@
+import conf from "./conf.js";
+
+export const INDEXER_URL = conf.indexerUrl;
+export const DEPLOY_BLOCK = conf.deployBlock;
+
+// Most blocks per eth_getLogs, to stay inside RPC range limits (the indexer's default batch size)
+const LOG_CHUNK_BLOCKS = 1000;
+
+/**
+ * GET `path` from the event indexer (see indexer/README). Resolves to null when no indexer is
+ * configured or the request fails, so callers can fall back to reading logs from the chain.
+ * Every response carries `indexedBlock`; events after that block are only on the chain so far.
+ */
+export const fetchIndexer = async (path) => {
+  if (!INDEXER_URL) return null;
+  try {
+    const response = await fetch(`${INDEXER_URL}${path}`);
+    if (!response.ok) {
+      // Unknown to the indexer (e.g. a battle newer than its last block) is an answer, not a failure
+      if (response.status !== 404) console.warn(`Indexer returned ${response.status} for ${path}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.warn(`Indexer unreachable, reading ${path} from the chain:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Events matching `filter` from `fromBlock` (the deployment block by default, and never earlier) to
+ * the head, read LOG_CHUNK_BLOCKS at a time. Empty when `fromBlock` is past the head, since the
+ * indexer can be a block or two ahead of the wallet's RPC.
+ */
+export const queryEventsSince = async (contract, filter, fromBlock = DEPLOY_BLOCK) => {
+  const latest = await contract.runner.provider.getBlockNumber();
+  const events = [];
+  for (let from = Math.max(fromBlock, DEPLOY_BLOCK); from <= latest; from += LOG_CHUNK_BLOCKS) {
+    events.push(...(await contract.queryFilter(filter, from, Math.min(from + LOG_CHUNK_BLOCKS - 1, latest))));
+  }
+  return events;
+};
@@ -0,0 +1,286 @@
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { getProvider, MONAD_BLITZ } from "./ethereum";
+
+// Sent but not yet mined transactions, kept across reloads so their outcome is still reported
+const PENDING_STORAGE_KEY = "monadBattle:pendingTxs";
+const MAX_TOASTS = 5;
+const SUCCESS_TOAST_MS = 6000;
+const ERROR_TOAST_MS = 12000;
+
+// Contract require() messages that need more than the contract says to be actionable
+const FRIENDLY_REVERTS = {
+  "Not the intended opponent": "This battle was opened for a different player.",
+  "Cannot join own battle": "You can't join a battle you started.",
+  "Battle not open": "Someone else already joined this battle, or it was cancelled.",
+  "Battle not found": "That battle doesn't exist.",
+  "Battle expired": "This battle expired before it was joined.",
+  "Battle not ready": "Both lineups have to be revealed before the next round.",
+  "Battle not resolved": "The battle isn't over yet.",
+  "All rounds complete": "Every round of this battle has already been revealed.",
+  "Round already revealed": "That round was just revealed by someone else.",
+  "Stake mismatch": "The stake changed; reload the battle and try again.",
+  "Not the winner": "Only the winner can claim a prize card.",
+  "Already claimed": "The prize has already been claimed.",
+  "Prize card is rented": "That card is rented out and can't be claimed; pick another one.",
+  "Card in battle": "One of these cards is escrowed in a battle.",
+  "Card is rented": "Rented cards can't be transferred until the rental ends.",
+  "Card already rented": "That card is already lent out.",
+  "Not owner": "You don't own one of these cards.",
+  "Not owner nor approved": "You don't own one of these cards.",
+  "Lineup mismatch": "The revealed lineup doesn't match the one you committed to.",
+  "Reveal too early": "The pack can be opened once the next block is mined.",
+  "Max supply reached": "Every card has been minted.",
+  "Incorrect pack price": "The pack price changed; reload and try again.",
+  "Incorrect mint fee": "The mint fee changed; reload and try again.",
+  "Offer expired": "That offer has expired.",
+  "Registration closed": "Registration for this tournament has closed.",
+  "Already registered": "You're already registered for this tournament.",
+  "Wrong entry fee": "The entry fee changed; reload and try again.",
+};
+
+// OpenZeppelin custom errors, which the frontend ABIs don't declare, by selector
+const CUSTOM_ERRORS = {
+  [ethers.id("EnforcedPause()").slice(0, 10)]: "This action is paused while the contracts are under maintenance.",
+  [ethers.id("ERC721InsufficientApproval(address,uint256)").slice(0, 10)]:
+    "The contract isn't approved to move one of these cards.",
+  [ethers.id("ERC721IncorrectOwner(address,uint256,address)").slice(0, 10)]: "You don't own one of these cards.",
+  [ethers.id("ERC721NonexistentToken(uint256)").slice(0, 10)]: "That card doesn't exist.",
+  [ethers.id("OwnableUnauthorizedAccount(address)").slice(0, 10)]: "Only the contract owner can do that.",
+};
+
+export const explorerTxUrl = (hash) => `${MONAD_BLITZ.blockExplorerUrls[0]}/tx/${hash}`;
+
+// Find revert data in the error, or in the RPC error ethers wrapped
+const findRevertData = (error) => {
+  for (let current = error; current; current = current.error || current.info?.error) {
+    const data = typeof current.data === "string" ? current.data : current.data?.data;
+    if (typeof data === "string" && data.length >= 10) return data;
+  }
+  return null;
+};
+
+/**
+ * A message worth showing a player for `error`: the contract's revert reason in friendlier words
+ * where one is known, otherwise the shortest description ethers or the wallet gave.
+ */
+export const decodeError = (error) => {
+  if (ethers.isError(error, "ACTION_REJECTED")) return "Rejected in your wallet.";
+  if (ethers.isError(error, "INSUFFICIENT_FUNDS")) return "Not enough MON to pay for this transaction.";
+
+  const reason = error?.reason || error?.revert?.args?.[0];
+  if (reason) return FRIENDLY_REVERTS[reason] || reason;
+
+  const data = findRevertData(error);
+  if (data) {
+    const selector = data.slice(0, 10);
+    if (CUSTOM_ERRORS[selector]) return CUSTOM_ERRORS[selector];
+    // Error(string), when ethers couldn't attach it as the reason
+    if (selector === "0x08c379a0") {
+      try {
+        const [message] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4));
+        return FRIENDLY_REVERTS[message] || message;
+      } catch {
+        // Fall through to the generic message
+      }
+    }
+  }
+
+  if (ethers.isError(error, "CALL_EXCEPTION")) return "The transaction reverted.";
+  return error?.shortMessage || error?.message || "Unknown error";
+};
+
+// --- Toast queue ---
+
+let toasts = [];
+let nextToastId = 1;
+const listeners = new Set();
+const dismissTimers = new Map();
+
+const emit = () => listeners.forEach((listener) => listener(toasts));
+
+export const dismissToast = (id) => {
+  clearTimeout(dismissTimers.get(id));
+  dismissTimers.delete(id);
+  toasts = toasts.filter((toast) => toast.id !== id);
+  emit();
+};
+
+// Pending transactions stay up until they settle; everything else fades after a while
+const scheduleDismiss = (toast) => {
+  clearTimeout(dismissTimers.get(toast.id));
+  if (toast.kind === "pending") return;
+  const delay = ["mined", "success", "info"].includes(toast.kind) ? SUCCESS_TOAST_MS : ERROR_TOAST_MS;
+  dismissTimers.set(
+    toast.id,
+    setTimeout(() => dismissToast(toast.id), delay)
+  );
+};
+
+const addToast = (toast) => {
+  const added = { id: nextToastId++, ...toast };
+  toasts = [...toasts, added];
+  // Past the limit, drop the oldest toast that isn't tracking a transaction
+  while (toasts.length > MAX_TOASTS) {
+    const oldest = toasts.find((existing) => existing.kind !== "pending") || toasts[0];
+    clearTimeout(dismissTimers.get(oldest.id));
+    dismissTimers.delete(oldest.id);
+    toasts = toasts.filter((existing) => existing !== oldest);
+  }
+  scheduleDismiss(added);
+  emit();
+  return added.id;
+};
+
+const updateToast = (id, changes) => {
+  toasts = toasts.map((toast) => (toast.id === id ? { ...toast, ...changes } : toast));
+  const updated = toasts.find((toast) => toast.id === id);
+  if (updated) scheduleDismiss(updated);
+  emit();
+};
+
+/**
+ * Show a message that isn't about a transaction. `kind` is "info", "success" or "error".
+ */
+export const notify = (message, kind = "info") => addToast({ kind, message });
+
+// Errors sendTx already showed, so the caller's catch block doesn't report them twice
+const reported = new WeakSet();
+
+/**
+ * Show `error` as "<title>: <reason>", unless sendTx already reported it
+ */
+export const notifyError = (title, error) => {
+  if (error && typeof error === "object" && reported.has(error)) return;
+  addToast({ kind: "error", title, message: decodeError(error) });
+};
+
+/**
+ * Toasts currently on screen, newest last
+ */
+export function useToasts() {
+  const [current, setCurrent] = useState(toasts);
+  useEffect(() => {
+    listeners.add(setCurrent);
+    setCurrent(toasts);
+    return () => listeners.delete(setCurrent);
+  }, []);
+  return current;
+}
+
+// --- Transactions ---
+
+const loadPending = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const savePending = (records) => localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(records));
+
+const forgetPending = (hash) => savePending(loadPending().filter((record) => record.hash !== hash));
+
+// Hashes this tab is already waiting on, so a resume doesn't follow them twice
+const following = new Set();
+
+// Wait for `tx` to be mined, moving its toast through mined, failed or replaced
+const follow = async (toastId, record, tx) => {
+  following.add(record.hash);
+  try {
+    const receipt = await tx.wait();
+    updateToast(toastId, { kind: "mined", message: "Confirmed", hash: receipt.hash });
+    return receipt;
+  } catch (error) {
+    if (ethers.isError(error, "TRANSACTION_REPLACED")) {
+      if (!error.cancelled) {
+        // Sped up in the wallet: same call at a higher gas price under a new hash, which can still revert
+        if (error.receipt.status === 1) {
+          updateToast(toastId, { kind: "mined", message: "Confirmed (sped up in your wallet)", hash: error.hash });
+          return error.receipt;
+        }
+        updateToast(toastId, { kind: "failed", message: "The sped-up transaction reverted.", hash: error.hash });
+      } else {
+        updateToast(toastId, { kind: "replaced", message: "Replaced by another transaction", hash: error.hash });
+      }
+    } else {
+      updateToast(toastId, { kind: "failed", message: decodeError(error) });
+    }
+    reported.add(error);
+    throw error;
+  } finally {
+    following.delete(record.hash);
+    forgetPending(record.hash);
+  }
+};
+
+/**
+ * Send a transaction and track it with a toast until it is mined, fails or is replaced.
+ * `send` submits it, e.g. `() => contract.claimReward(battleId, index)`. Resolves to the receipt
+ * (of the replacement, if the wallet sped it up and it succeeded) and rejects with an error that has already been
+ * shown to the player, so catch blocks only need to clean up; notifyError() skips it.
+ */
+export const sendTx = async (label, send) => {
+  const toastId = addToast({ kind: "pending", title: label, message: "Confirm in your wallet…" });
+  let tx;
+  try {
+    tx = await send();
+  } catch (error) {
+    // Rejected in the wallet, or reverted during gas estimation
+    const rejected = ethers.isError(error, "ACTION_REJECTED");
+    updateToast(toastId, { kind: rejected ? "info" : "failed", message: decodeError(error) });
+    reported.add(error);
+    throw error;
+  }
+
+  console.log(`📤 ${label}:`, tx.hash);
+  const record = {
+    hash: tx.hash,
+    label,
+    from: tx.from,
+    nonce: tx.nonce,
+    startBlock: await tx.provider.getBlockNumber(),
+  };
+  savePending([...loadPending(), record]);
+  updateToast(toastId, { message: "Pending…", hash: tx.hash });
+  return follow(toastId, record, tx);
+};
+
+/**
+ * Pick up transactions `account` sent before the page was last closed, and report how they ended
+ */
+export const resumePendingTxs = async (account) => {
+  const provider = getProvider();
+  if (!provider || !account) return;
+
+  const records = loadPending().filter(
+    (record) => record.from.toLowerCase() === account.toLowerCase() && !following.has(record.hash)
+  );
+  await Promise.all(
+    records.map(async (record) => {
+      const toastId = addToast({ kind: "pending", title: record.label, message: "Pending…", hash: record.hash });
+      try {
+        const tx = await provider.getTransaction(record.hash);
+        if (tx) {
+          // Watch from the block it was sent in, so a replacement mined meanwhile is still found
+          await follow(toastId, record, tx.replaceableTransaction(record.startBlock));
+          return;
+        }
+        // Unknown to the node: either its nonce went to another transaction or it was dropped
+        const nonce = await provider.getTransactionCount(record.from, "latest");
+        updateToast(toastId, {
+          kind: nonce > record.nonce ? "replaced" : "failed",
+          message: nonce > record.nonce ? "Replaced by another transaction" : "Dropped by the network",
+        });
+        forgetPending(record.hash);
+      } catch (error) {
+        // follow() has already updated the toast
+        if (!reported.has(error)) {
+          console.error(`Error resuming transaction ${record.hash}:`, error);
+          dismissToast(toastId);
+        }
+      }
+    })
+  );
+};
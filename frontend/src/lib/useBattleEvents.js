@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef } from "react";
+import { ethers } from "ethers";
+import conf from "./conf.js";
+import { getProvider, BATTLE_MANAGER_ADDRESS, BATTLE_MANAGER_ABI } from "./ethereum";
+
+// Everything that can change a battle once it exists
+const BATTLE_EVENTS = [
+  "BattleJoined",
+  "LineupRevealed",
+  "RoundResolved",
+  "BattleResolved",
+  "CardClaimed",
+  "BattleExpired",
+  "BattleCancelled",
+  "EmergencyReturned",
+];
+
+// How often the battle is reloaded when no kind of subscription works
+const FALLBACK_POLL_MS = 3000;
+const WEBSOCKET_TIMEOUT_MS = 5000;
+
+let webSocketProvider = null; // Promise<WebSocketProvider>, shared by every battle view
+
+// Connect once and check the socket answers before relying on it
+const getWebSocketProvider = () => {
+  if (!webSocketProvider) {
+    webSocketProvider = (async () => {
+      const provider = new ethers.WebSocketProvider(conf.wsRpcUrl);
+      try {
+        await Promise.race([
+          provider.getBlockNumber(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error("Connection timed out")), WEBSOCKET_TIMEOUT_MS)),
+        ]);
+        return provider;
+      } catch (error) {
+        provider.destroy();
+        throw error;
+      }
+    })().catch((error) => {
+      webSocketProvider = null;
+      throw error;
+    });
+  }
+  return webSocketProvider;
+};
+
+// ethers polls contract events on the wallet's provider through eth_newFilter, which some wallets reject
+const supportsFilters = async (provider) => {
+  try {
+    const filterId = await provider.send("eth_newFilter", [{ address: BATTLE_MANAGER_ADDRESS }]);
+    provider.send("eth_uninstallFilter", [filterId]).catch(() => {});
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Best available event source: a WebSocket RPC, then the wallet's filters, then nothing
+const connect = async () => {
+  if (conf.wsRpcUrl) {
+    try {
+      return { provider: await getWebSocketProvider(), transport: "websocket" };
+    } catch (error) {
+      console.warn("WebSocket RPC unavailable, using the wallet for battle events:", error.message);
+    }
+  }
+  const provider = getProvider();
+  if (provider && (await supportsFilters(provider))) {
+    return { provider, transport: "filter" };
+  }
+  return { provider: null, transport: "polling" };
+};
+
+/**
+ * Live updates for one battle: `onEvent(name, args)` for each BattleManager event about `battleId`
+ * and `onBlock(blockNumber)` for each new block. Subscribes over VITE_WS_RPC_URL when it is set,
+ * otherwise through the wallet, which ethers serves by polling a filter. `onReload()` runs once the
+ * subscription is live, to catch anything that happened while connecting; when the wallet supports
+ * neither kind of subscription it runs every few seconds instead.
+ * Returns the transport in use: "websocket", "filter", "polling" or null while connecting.
+ */
+export function useBattleEvents(battleId, { onEvent, onBlock, onReload }) {
+  const [transport, setTransport] = useState(null);
+  // Handlers close over the page's latest state, so read them through a ref instead of resubscribing
+  const handlersRef = useRef({ onEvent, onBlock, onReload });
+  handlersRef.current = { onEvent, onBlock, onReload };
+
+  useEffect(() => {
+    if (!/^\d+$/.test(battleId) || !BATTLE_MANAGER_ADDRESS) return;
+    let cancelled = false;
+    let unsubscribe = () => {};
+
+    const startPolling = () => {
+      const interval = setInterval(() => handlersRef.current.onReload(), FALLBACK_POLL_MS);
+      unsubscribe = () => clearInterval(interval);
+      setTransport("polling");
+    };
+
+    (async () => {
+      const { provider, transport: connected } = await connect();
+      if (cancelled) return;
+      if (!provider) {
+        startPolling();
+        return;
+      }
+
+      const contract = new ethers.Contract(BATTLE_MANAGER_ADDRESS, BATTLE_MANAGER_ABI, provider);
+      const subscriptions = BATTLE_EVENTS.map((name) => [
+        contract.filters[name](battleId),
+        // ethers passes the decoded arguments followed by the event payload
+        (...args) => handlersRef.current.onEvent(name, args[args.length - 1].args),
+      ]);
+      const handleBlock = (blockNumber) => handlersRef.current.onBlock(blockNumber);
+      unsubscribe = () => {
+        subscriptions.forEach(([filter, listener]) => contract.off(filter, listener));
+        provider.off("block", handleBlock);
+      };
+
+      try {
+        await Promise.all(subscriptions.map(([filter, listener]) => contract.on(filter, listener)));
+        await provider.on("block", handleBlock);
+      } catch (error) {
+        console.warn("Battle event subscription failed, polling instead:", error.message);
+        unsubscribe();
+        if (!cancelled) startPolling();
+        return;
+      }
+      if (cancelled) {
+        unsubscribe();
+        return;
+      }
+      setTransport(connected);
+      handlersRef.current.onReload();
+    })();
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [battleId]);
+
+  return transport;
+}
@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { ethers } from "ethers";
+import {
+  getBattleCardContract,
+  getBattleManagerContract,
+  getOwnedTokenIds,
+  getBorrowedTokenIds,
+  BATTLE_MANAGER_ADDRESS,
+} from "./ethereum";
+
+// Caches shared by every page for the life of the app. Each is evicted by the event that changes it:
+// card stats only move when a card gains XP, rentals on UpdateUser and ownership on Transfer.
+const statsCache = new Map(); // tokenId => card stats
+const rentalCache = new Map(); // tokenId => {user, expires}
+const ownedCache = new Map(); // lowercased account => owned token IDs
+
+// Store the promise so concurrent loads of the same key share one request
+const cached = (cache, key, load) => {
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      load().catch((error) => {
+        cache.delete(key);
+        throw error;
+      })
+    );
+  }
+  return cache.get(key);
+};
+
+// Mounted useOwnedCards hooks, told about every card event after the caches are evicted
+const listeners = new Set();
+let watching = null;
+
+// Subscribe once for the life of the app, as soon as anything reads the caches
+const watchCardEvents = () => {
+  if (!watching) {
+    watching = (async () => {
+      const contract = await getBattleCardContract();
+      if (!contract) {
+        watching = null;
+        return;
+      }
+      const notify = (change) => listeners.forEach((listener) => listener(change));
+      const onStatsChanged = (tokenId) => {
+        statsCache.delete(tokenId.toString());
+        notify({ accounts: [], tokenId });
+      };
+
+      await contract.on("Transfer", (from, to, tokenId) => {
+        ownedCache.delete(from.toLowerCase());
+        ownedCache.delete(to.toLowerCase());
+        notify({ accounts: [from, to], tokenId });
+      });
+      await contract.on("XpGained", onStatsChanged);
+      await contract.on("LevelUp", onStatsChanged);
+      await contract.on("UpdateUser", (tokenId, user) => {
+        rentalCache.delete(tokenId.toString());
+        notify({ accounts: [user], tokenId });
+      });
+    })().catch((error) => {
+      watching = null;
+      console.error("Error watching card events:", error);
+    });
+  }
+  return watching;
+};
+
+// Convert a BattleCard.getCard result into the shape <Card> renders
+export const parseCard = (tokenId, cardData) => ({
+  tokenId: tokenId.toString(),
+  power: Number(cardData.power) || 0,
+  defense: Number(cardData.defense) || 0,
+  speed: Number(cardData.speed) || 0,
+  character: Number(cardData.character) || 0,
+  rarity: Number(cardData.rarity) || 0,
+  xp: Number(cardData.xp) || 0,
+  level: Number(cardData.level) || 1,
+});
+
+// Stats for any card, fetched once and then served from the cache until the card gains XP
+export const getCardStats = (battleCardContract, tokenId) => {
+  watchCardEvents();
+  return cached(statsCache, tokenId.toString(), async () =>
+    parseCard(tokenId, await battleCardContract.getCard(tokenId))
+  );
+};
+
+const getRental = (battleCardContract, tokenId) =>
+  cached(rentalCache, tokenId.toString(), async () => {
+    const [user, expires] = await Promise.all([
+      battleCardContract.userOf(tokenId),
+      battleCardContract.userExpires(tokenId),
+    ]);
+    return { user, expires: Number(expires) };
+  });
+
+// Rentals end by time without an event, so check the expiry on every read
+const isRentalActive = (rental) => rental.user !== ethers.ZeroAddress && rental.expires * 1000 > Date.now();
+
+const loadOwnedCards = async (battleCardContract, account) => {
+  const tokenIds = await cached(ownedCache, account.toLowerCase(), () => getOwnedTokenIds(battleCardContract, account));
+  return Promise.all(
+    tokenIds.map(async (tokenId) => {
+      const [stats, rental] = await Promise.all([
+        getCardStats(battleCardContract, tokenId),
+        getRental(battleCardContract, tokenId),
+      ]);
+      const rented = isRentalActive(rental);
+      return { ...stats, rentedTo: rented ? rental.user : null, rentalExpires: rented ? rental.expires : 0 };
+    })
+  );
+};
+
+// Who lent a card out: its owner, unless the BattleManager holds it in a battle and records the lender itself
+const getLender = async (battleCardContract, tokenId) => {
+  const owner = await battleCardContract.ownerOf(tokenId);
+  if (owner.toLowerCase() !== BATTLE_MANAGER_ADDRESS.toLowerCase()) return { lender: owner, inBattle: false };
+  const managerContract = await getBattleManagerContract();
+  return { lender: await managerContract.cardLenders(tokenId), inBattle: true };
+};
+
+// Cards other players have lent `account` that are still within their rental window
+const loadBorrowedCards = async (battleCardContract, account) => {
+  const tokenIds = await getBorrowedTokenIds(battleCardContract, account);
+  return Promise.all(
+    tokenIds.map(async (tokenId) => {
+      const [stats, { lender, inBattle }, rental] = await Promise.all([
+        getCardStats(battleCardContract, tokenId),
+        getLender(battleCardContract, tokenId),
+        getRental(battleCardContract, tokenId),
+      ]);
+      return { ...stats, borrowed: true, lender, inBattle, rentalExpires: rental.expires };
+    })
+  );
+};
+
+/**
+ * Cards owned by and lent to `account`, kept up to date from BattleCard events.
+ * Call `refresh()` after your own transactions: it re-reads ownership and rentals straight away
+ * instead of waiting for the events to be polled.
+ */
+export function useOwnedCards(account) {
+  const [cards, setCards] = useState([]);
+  const [borrowedCards, setBorrowedCards] = useState([]); // {...card, lender, inBattle, rentalExpires}
+  const [loading, setLoading] = useState(false);
+  const tokenIdsRef = useRef(new Set()); // Every card on screen, to ignore events about other cards
+  const requestRef = useRef(0); // Drops the results of loads superseded by a newer one
+
+  const load = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!account) {
+      tokenIdsRef.current = new Set();
+      setCards([]);
+      setBorrowedCards([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) {
+        console.error("Contract not available");
+        return;
+      }
+
+      const [owned, borrowed] = await Promise.all([
+        loadOwnedCards(contract, account),
+        loadBorrowedCards(contract, account),
+      ]);
+      if (request !== requestRef.current) return;
+
+      console.log(`🃏 Loaded ${owned.length} owned and ${borrowed.length} borrowed cards`);
+      tokenIdsRef.current = new Set([...owned, ...borrowed].map((card) => card.tokenId));
+      setCards(owned);
+      setBorrowedCards(borrowed);
+    } catch (error) {
+      console.error("Error loading cards:", error);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [account]);
+
+  const refresh = useCallback(async () => {
+    if (account) ownedCache.delete(account.toLowerCase());
+    tokenIdsRef.current.forEach((tokenId) => rentalCache.delete(tokenId));
+    await load();
+  }, [account, load]);
+
+  useEffect(() => {
+    load();
+    if (!account) return;
+
+    const accountLower = account.toLowerCase();
+    const onChange = ({ accounts, tokenId }) => {
+      if (
+        accounts.some((address) => address.toLowerCase() === accountLower) ||
+        tokenIdsRef.current.has(tokenId.toString())
+      ) {
+        load();
+      }
+    };
+    listeners.add(onChange);
+    watchCardEvents();
+    return () => listeners.delete(onChange);
+  }, [account, load]);
+
+  return { cards, borrowedCards, loading, refresh };
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { ethers } from "ethers";
 import Card from "../components/Card";
 import {
@@ -6,7 +6,12 @@ import {
   getBattleManagerContract,
   getProvider,
   formatAddress,
+  BATTLE_MANAGER_ADDRESS,
 } from "../lib/ethereum";
+import { useOwnedCards, getCardStats } from "../lib/useOwnedCards";
+import { fetchIndexer, queryEventsSince, DEPLOY_BLOCK } from "../lib/indexer";
+import { useBattleEvents } from "../lib/useBattleEvents";
+import { sendTx, notify, notifyError, decodeError } from "../lib/txManager";
 
 const BATTLE_STATUS = {
   0: "Waiting for Opponent",
@@ -14,130 +19,102 @@ const BATTLE_STATUS = {
   2: "In Progress",
   3: "Resolved",
   4: "Cancelled",
+  5: "Expired",
 };
 
-export default function Battle({ account }) {
-  const [userCards, setUserCards] = useState([]);
+// Rule that decided an equal-score round (mirrors BattleManager.TieBreak)
+const TIE_BREAK = {
+  1: "faster card",
+  2: "higher rarity",
+  3: "coin flip",
+};
+
+// Type advantage multipliers are emitted in basis points (10000 = 1.00x)
+const MULTIPLIER_BASE = 10000;
+
+// Most recent battles shown in Battle History
+const HISTORY_LIMIT = 30;
+
+// Net MON a player won or lost in a battle (winner takes both stakes minus the protocol fee)
+const calculateNetStake = (battle, account) => {
+  const stake = BigInt(battle.stake || 0);
+  if (stake === 0n || battle.status !== 3) return 0n;
+  if (battle.winner === ethers.ZeroAddress) return 0n;
+  if (battle.winner.toLowerCase() === account.toLowerCase()) {
+    const fee = (stake * 2n * BigInt(battle.feeBps)) / 10000n;
+    return stake - fee;
+  }
+  return -stake;
+};
+
+const formatNetStake = (net) => `${net > 0n ? "+" : net < 0n ? "-" : ""}${ethers.formatEther(net < 0n ? -net : net)} MON`;
+
+// Round order is hidden behind a commitment until both sides have joined. The salt and order
+// are kept in localStorage keyed by commitment hash so the reveal can be sent automatically.
+const LINEUP_STORAGE_PREFIX = "monadBattle:lineup:";
+
+const computeLineupHash = (player, lineup, salt) =>
+  ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256[3]", "bytes32"], [player, lineup, salt])
+  );
+
+const commitLineup = (player, lineup) => {
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const hash = computeLineupHash(player, lineup, salt);
+  localStorage.setItem(LINEUP_STORAGE_PREFIX + hash, JSON.stringify({ lineup, salt }));
+  return hash;
+};
+
+const loadLineupSecret = (hash) => {
+  const stored = localStorage.getItem(LINEUP_STORAGE_PREFIX + hash);
+  return stored ? JSON.parse(stored) : null;
+};
+
+// Escrow lists cards in ascending ID order so it leaks nothing about the round order
+const sortCardIds = (cardIds) => [...cardIds].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+
+const formatMultiplier = (multiplier) => `×${(multiplier / MULTIPLIER_BASE).toFixed(2)}`;
+
+export default function Battle({ account, paused }) {
+  const { cards: ownedCards, borrowedCards, refresh: loadUserCards } = useOwnedCards(account);
+  // Borrowed cards can battle too, unless they are already escrowed in a battle
+  const userCards = [
+    ...ownedCards,
+    ...borrowedCards.filter((card) => !card.inBattle),
+  ];
   const [selectedCards, setSelectedCards] = useState([]);
-  const [mode, setMode] = useState("create"); // "create" or "join"
+  const [mode, setMode] = useState("create"); // "create", "join" or "lobby"
   const [opponentAddress, setOpponentAddress] = useState("");
+  const [openChallenge, setOpenChallenge] = useState(false); // Create with address(0) so anyone can join
+  const [stakeAmount, setStakeAmount] = useState(""); // Optional MON wager for new battles
+  const [openBattles, setOpenBattles] = useState([]); // Lobby entries with starter card thumbnails
   const [battleId, setBattleId] = useState("");
   const [battle, setBattle] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [currentBlock, setCurrentBlock] = useState(0); // Drives the reveal deadline countdown
+  const [lineupState, setLineupState] = useState(null); // Commit-reveal status of both round orders
+  const lineupRevealInFlight = useRef(null); // Battle ID whose lineup reveal is being sent
   const [battleCards, setBattleCards] = useState({}); // Maps tokenId to card data
-  const [revealedRounds, setRevealedRounds] = useState([]); // Array of {round, starterCard, opponentCard, starterWon}
+  const [revealedRounds, setRevealedRounds] = useState([]); // Array of {round, starterCard, opponentCard, starterWon, starterMultiplier, opponentMultiplier, tieBreak}
   const [historyMode, setHistoryMode] = useState(false); // Toggle between current battle and history
   const [battleHistory, setBattleHistory] = useState([]);
   const [historyFilter, setHistoryFilter] = useState("all"); // "all", "wins", "losses"
 
-  useEffect(() => {
-    if (account) {
-      loadUserCards();
-    }
-  }, [account]);
-
   useEffect(() => {
     if (battleId && account) {
       loadBattle();
-      // Poll battle data every 3 seconds to keep it updated
-      const interval = setInterval(() => {
-        loadBattle();
-      }, 3000);
-      return () => clearInterval(interval);
     }
   }, [battleId, account]);
 
-  const loadUserCards = async () => {
-    if (!account) return;
-    try {
-      const contract = await getBattleCardContract();
-      if (!contract) return;
-
-      // Debug: Check network and account
-      const provider = getProvider();
-      if (!provider) {
-        console.error("❌ Provider not available");
-        return;
-      }
-
-      const network = await provider.getNetwork();
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-      const signerLower = signerAddress.toLowerCase();
-      
-      console.log("🌐 Network:", {
-        chainId: network.chainId.toString(),
-        name: network.name,
-        account: account,
-        signerAddress: signerAddress,
-        match: account.toLowerCase() === signerLower,
-      });
-
-      // Get balance first (using signer address)
-      const balance = await contract.balanceOf(signerAddress);
-      console.log(`📊 Your balance: ${balance.toString()} cards`);
-
-      if (Number(balance) === 0) {
-        console.log("✅ No cards owned");
-        setUserCards([]);
-        return;
-      }
-
-      // Get next token ID to know the range
-      const nextId = await contract.nextId();
-      const nextIdNum = Number(nextId);
-      console.log(`📋 Next token ID: ${nextIdNum} (checking tokens 1-${nextIdNum - 1})`);
-
-      // Iterate through all possible token IDs and check ownership directly
-      // This uses ownerOf() as the source of truth, avoiding stale data from getOwnedTokens
-      const ownedCards = [];
-      
-      // Check tokens in batches to avoid too many calls at once
-      const batchSize = 10;
-      for (let startId = 1; startId < nextIdNum; startId += batchSize) {
-        const endId = Math.min(startId + batchSize, nextIdNum);
-        const batchPromises = [];
-        
-        for (let i = startId; i < endId; i++) {
-          batchPromises.push(
-            (async () => {
-              try {
-                // Check ownership directly - ownerOf is the source of truth
-                const owner = await contract.ownerOf(i);
-                if (owner.toLowerCase() === signerLower) {
-                  // This card is owned by the user
-                  const cardData = await contract.getCard(i);
-                  return {
-                    tokenId: i.toString(),
-                    power: Number(cardData.power) || 0,
-                    defense: Number(cardData.defense) || 0,
-                    speed: Number(cardData.speed) || 0,
-                    character: Number(cardData.character) || 0,
-                    rarity: Number(cardData.rarity) || 0,
-                  };
-                }
-              } catch (error) {
-                // Token doesn't exist or error checking - skip it
-                return null;
-              }
-              return null;
-            })()
-          );
-        }
-        
-        const batchResults = await Promise.all(batchPromises);
-        const validBatchCards = batchResults.filter((c) => c !== null);
-        ownedCards.push(...validBatchCards);
-        
-        console.log(`🔍 Checked tokens ${startId}-${endId - 1}, found ${validBatchCards.length} owned cards`);
-      }
-
-      console.log(`✅ Loaded ${ownedCards.length} cards you actually own (verified via ownerOf)`);
-      setUserCards(ownedCards);
-    } catch (error) {
-      console.error("❌ Error loading cards:", error);
-    }
-  };
+  // Keep the open battle current from its events instead of reloading it on a timer
+  const liveUpdates = useBattleEvents(account ? battleId : "", {
+    onEvent: (name, args) => applyBattleEvent(name, args),
+    onBlock: (blockNumber) => {
+      // Only the reveal deadline countdown needs the chain head
+      if (battle && (battle.status === 1 || battle.status === 2)) setCurrentBlock(blockNumber);
+    },
+    onReload: () => loadBattle(),
+  });
 
   const loadBattle = async () => {
     if (!battleId) return;
@@ -158,47 +135,196 @@ export default function Battle({ account }) {
         status: Number(battleData.status) || 0,
         winner: battleData.winner,
         createdAt: Number(battleData.createdAt) || 0,
+        stake: battleData.stake.toString(),
+        feeBps: Number(battleData.feeBps) || 0,
+        claimed: battleData.claimed,
+        revealDeadline: Number(battleData.revealDeadline) || 0,
       };
       setBattle(battleState);
+
+      // Track the chain head while rounds are still being revealed
+      let blockNumber = 0;
+      if (battleState.status === 1 || battleState.status === 2) {
+        const provider = getProvider();
+        if (provider) {
+          blockNumber = await provider.getBlockNumber();
+          setCurrentBlock(blockNumber);
+        }
+      }
+
+      // Round orders must be revealed before round 1
+      if (battleState.status === 1) {
+        const lineupData = await managerContract.lineups(battleId);
+        const lineups = {
+          starterHash: lineupData.starterHash,
+          opponentHash: lineupData.opponentHash,
+          starterRevealed: lineupData.starterRevealed,
+          opponentRevealed: lineupData.opponentRevealed,
+          deadline: Number(lineupData.deadline) || 0,
+        };
+        setLineupState(lineups);
+        await autoRevealLineup(managerContract, battleState, lineups, blockNumber);
+      } else {
+        setLineupState(null);
+      }
       
       // Load card data for this battle
       if (battleState.status >= 1 && battleState.status <= 3) {
         await loadBattleCards(battleState);
-        await loadRoundHistory(battleId);
+        await loadRoundHistory(battleId, battleState.createdAt);
       }
     } catch (error) {
       console.error("Error loading battle:", error);
     }
   };
 
+  // Apply a live event to the loaded battle. Joins, lineup reveals (which reorder the escrowed cards),
+  // cancellations and expiries move cards and lineups around, so those reload the whole battle instead.
+  const applyBattleEvent = (name, args) => {
+    console.log(`📡 Battle #${battleId}: ${name}`);
+    switch (name) {
+      case "RoundResolved": {
+        const round = {
+          round: Number(args.roundIndex),
+          starterCard: args.starterCardId.toString(),
+          opponentCard: args.opponentCardId.toString(),
+          starterWon: args.starterWon,
+          starterMultiplier: Number(args.starterMultiplier),
+          opponentMultiplier: Number(args.opponentMultiplier),
+          tieBreak: Number(args.tieBreak),
+        };
+        setRevealedRounds((prev) =>
+          prev.some((r) => r.round === round.round) ? prev : [...prev, round].sort((a, b) => a.round - b.round)
+        );
+        // Skip rounds the battle state already counts (e.g. from the reload after subscribing)
+        setBattle((prev) =>
+          prev && round.round === prev.currentRound
+            ? {
+                ...prev,
+                currentRound: prev.currentRound + 1,
+                starterWins: prev.starterWins + (round.starterWon ? 1 : 0),
+                opponentWins: prev.opponentWins + (round.starterWon ? 0 : 1),
+                status: Math.max(prev.status, 2),
+              }
+            : prev
+        );
+        break;
+      }
+      case "BattleResolved":
+        setBattle((prev) => prev && { ...prev, status: Math.max(prev.status, 3), winner: args.winner });
+        break;
+      case "CardClaimed":
+        setBattle((prev) => prev && { ...prev, claimed: true });
+        break;
+      default:
+        loadBattle();
+    }
+  };
+
+  // Send our lineup reveal as soon as the battle is joined, using the salt stored at commit time
+  const autoRevealLineup = async (managerContract, battleState, lineups, blockNumber) => {
+    const isStarter = battleState.starter.toLowerCase() === account.toLowerCase();
+    const isOpponent = battleState.opponent.toLowerCase() === account.toLowerCase();
+    if (!isStarter && !isOpponent) return;
+    if (isStarter ? lineups.starterRevealed : lineups.opponentRevealed) return;
+    if (blockNumber > lineups.deadline) return;
+    if (lineupRevealInFlight.current === battleId) return;
+
+    const secret = loadLineupSecret(isStarter ? lineups.starterHash : lineups.opponentHash);
+    if (!secret) {
+      console.warn("⚠️ Lineup secret not found on this device for battle", battleId);
+      return;
+    }
+
+    lineupRevealInFlight.current = battleId;
+    try {
+      console.log("🔓 Revealing lineup order:", secret.lineup);
+      await sendTx(`🔓 Reveal lineup for battle #${battleId}`, () =>
+        managerContract.revealLineup(battleId, secret.lineup, secret.salt)
+      );
+      console.log("✅ Lineup revealed");
+    } catch (error) {
+      console.error("Error revealing lineup:", error);
+    } finally {
+      lineupRevealInFlight.current = null;
+    }
+  };
+
+  const revealLineup = async () => {
+    if (!battleId || !battle || !lineupState) return;
+    const isStarter = battle.starter.toLowerCase() === account.toLowerCase();
+    const secret = loadLineupSecret(isStarter ? lineupState.starterHash : lineupState.opponentHash);
+    if (!secret) {
+      notify("Lineup secret not found on this device. Reveal from the browser you created or joined the battle with.", "error");
+      return;
+    }
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+
+      await sendTx(`🔓 Reveal lineup for battle #${battleId}`, () =>
+        managerContract.revealLineup(battleId, secret.lineup, secret.salt)
+      );
+      await loadBattle();
+    } catch (error) {
+      console.error("Error revealing lineup:", error);
+      notifyError("Failed to reveal lineup", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const forfeitUnrevealedLineup = async () => {
+    if (!battleId) return;
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+
+      const receipt = await sendTx(`Settle missed lineup reveal in battle #${battleId}`, () =>
+        managerContract.forfeitUnrevealedLineup(battleId)
+      );
+      console.log("⏱️ Missed lineup reveal settled. Transaction:", receipt.hash);
+
+      await loadBattle();
+      await loadUserCards();
+    } catch (error) {
+      console.error("Error settling missed lineup reveal:", error);
+      notifyError("Failed to settle battle", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const loadBattleCards = async (battleData) => {
     if (!battleData) return;
     
     try {
       const contract = await getBattleCardContract();
-      if (!contract) return;
+      const managerContract = await getBattleManagerContract();
+      if (!contract || !managerContract) return;
       
       const cards = {};
       const allCardIds = [...battleData.starterCards, ...battleData.opponentCards];
       
-      // Load all 6 cards
-      for (const cardId of allCardIds) {
-        if (cardId && cardId !== "0") {
-          try {
-            const cardData = await contract.getCard(cardId);
-            cards[cardId] = {
-              tokenId: cardId.toString(),
-              power: Number(cardData.power) || 0,
-              defense: Number(cardData.defense) || 0,
-              speed: Number(cardData.speed) || 0,
-              character: Number(cardData.character) || 0,
-              rarity: Number(cardData.rarity) || 0,
-            };
-          } catch (error) {
-            console.error(`Error loading card ${cardId}:`, error);
-          }
-        }
-      }
+      // Load all 6 cards at once so their reads share one multicall
+      await Promise.all(
+        allCardIds
+          .filter((cardId) => cardId && cardId !== "0")
+          .map(async (cardId) => {
+            try {
+              const [stats, lender] = await Promise.all([
+                getCardStats(contract, cardId),
+                managerContract.cardLenders(cardId),
+              ]);
+              // Rented cards always go back to their lender and can't be claimed as a prize
+              cards[cardId] = { ...stats, rented: lender !== ethers.ZeroAddress };
+            } catch (error) {
+              console.error(`Error loading card ${cardId}:`, error);
+            }
+          })
+      );
       
       setBattleCards(cards);
     } catch (error) {
@@ -206,23 +332,26 @@ export default function Battle({ account }) {
     }
   };
 
-  const loadRoundHistory = async (battleIdNum) => {
+  const loadRoundHistory = async (battleIdNum, createdAt) => {
     try {
       const managerContract = await getBattleManagerContract();
       if (!managerContract) return;
       
-      const provider = getProvider();
-      if (!provider) return;
-      
-      // Query RoundResolved events for this battle
+      // Rounds the indexer has seen, then RoundResolved events after its last block
+      // (or since the battle was created, without an indexer)
+      const indexed = await fetchIndexer(`/battles/${battleIdNum}`);
       const filter = managerContract.filters.RoundResolved(battleIdNum);
-      const events = await managerContract.queryFilter(filter);
+      const events = await queryEventsSince(managerContract, filter, indexed ? indexed.indexedBlock + 1 : createdAt);
       
-      const rounds = events.map((event) => ({
-        round: Number(event.args.roundIndex),
-        starterCard: event.args.starterCardId.toString(),
-        opponentCard: event.args.opponentCardId.toString(),
-        starterWon: event.args.starterWon,
+      const revealed = [...(indexed ? indexed.battle.rounds : []), ...events.map((event) => event.args)];
+      const rounds = revealed.map((round) => ({
+        round: Number(round.roundIndex),
+        starterCard: round.starterCardId.toString(),
+        opponentCard: round.opponentCardId.toString(),
+        starterWon: round.starterWon,
+        starterMultiplier: Number(round.starterMultiplier),
+        opponentMultiplier: Number(round.opponentMultiplier),
+        tieBreak: Number(round.tieBreak),
       }));
       
       // Sort by round number
@@ -238,39 +367,47 @@ export default function Battle({ account }) {
     const cardExists = userCards.some((card) => card.tokenId === tokenId);
     if (!cardExists) {
       console.warn(`Card #${tokenId} is not in your owned cards list. Cannot select.`);
-      alert(`Cannot select card #${tokenId}. Make sure you own this card.`);
+      notify(`Cannot select card #${tokenId}. Make sure you own this card.`, "error");
       return;
     }
 
-    setSelectedCards((prev) => {
-      if (prev.includes(tokenId)) {
-        return prev.filter((id) => id !== tokenId);
-      } else {
-        if (prev.length >= 3) {
-          alert("You can only select 3 cards for battle");
-          return prev;
-        }
-        return [...prev, tokenId];
-      }
-    });
+    if (!selectedCards.includes(tokenId) && selectedCards.length >= 3) {
+      notify("You can only select 3 cards for battle", "error");
+      return;
+    }
+    setSelectedCards((prev) => (prev.includes(tokenId) ? prev.filter((id) => id !== tokenId) : [...prev, tokenId]));
   };
 
   const createBattle = async () => {
-    if (!account || selectedCards.length !== 3 || !opponentAddress) {
-      alert("Please select exactly 3 cards and enter opponent address");
+    if (!account || selectedCards.length !== 3 || (!openChallenge && !opponentAddress)) {
+      notify("Please select exactly 3 cards and enter opponent address", "error");
       return;
     }
 
     setLoading(true);
     try {
-      // Validate and checksum the opponent address
-      let checksummedOpponentAddress;
-      try {
-        checksummedOpponentAddress = ethers.getAddress(opponentAddress);
-      } catch (e) {
-        alert(`Invalid opponent address: ${e.message}`);
-        setLoading(false);
-        return;
+      // Validate and checksum the opponent address (address(0) makes an open challenge)
+      let checksummedOpponentAddress = ethers.ZeroAddress;
+      if (!openChallenge) {
+        try {
+          checksummedOpponentAddress = ethers.getAddress(opponentAddress);
+        } catch (e) {
+          notify(`Invalid opponent address: ${e.shortMessage || e.message}`, "error");
+          setLoading(false);
+          return;
+        }
+      }
+
+      // Optional MON stake the opponent will have to match
+      let stakeWei = 0n;
+      if (stakeAmount) {
+        try {
+          stakeWei = ethers.parseEther(stakeAmount);
+        } catch (e) {
+          notify(`Invalid stake amount: ${e.shortMessage || e.message}`, "error");
+          setLoading(false);
+          return;
+        }
       }
 
       const battleCardContract = await getBattleCardContract();
@@ -302,6 +439,7 @@ export default function Battle({ account }) {
 
       // Verify ownership of selected cards first (for better error messages)
       const unownedCards = [];
+      const borrowedCardIds = [];
       const { BATTLE_MANAGER_ADDRESS } = await import("../lib/ethereum");
       const managerAddrCreate = BATTLE_MANAGER_ADDRESS?.toLowerCase();
       
@@ -314,6 +452,15 @@ export default function Battle({ account }) {
           
           console.log(`  Card #${cardId}: owner=${owner}, signer=${signerAddress}, match=${ownerLower === signerLower}`);
           
+          // A card rented to the signer counts as theirs for battling
+          if (ownerLower !== signerLower && ownerLower !== managerAddrCreate) {
+            const user = await battleCardContract.userOf(cardId);
+            if (user.toLowerCase() === signerLower) {
+              borrowedCardIds.push(cardId.toString());
+              continue;
+            }
+          }
+
           // Use signer address for verification (the one actually making the transaction)
           if (ownerLower !== signerLower) {
             // Check if card is in BattleManager escrow
@@ -362,6 +509,8 @@ export default function Battle({ account }) {
       const checksummedManagerCreate = ethers.getAddress(BATTLE_MANAGER_ADDRESS);
       
       for (const tokenId of cardIds) {
+        // Borrowed cards can't be approved by their user and don't need to be
+        if (borrowedCardIds.includes(tokenId.toString())) continue;
         try {
           const approvedAddress = await battleCardContract.getApproved(tokenId);
           const approvedLower = approvedAddress?.toLowerCase() || "";
@@ -383,17 +532,22 @@ export default function Battle({ account }) {
       // Only call batchApprove if approvals are needed
       if (approvalsNeeded.length > 0) {
         console.log(`📝 Approving ${approvalsNeeded.length} cards for BattleManager...`);
-        const approveTx = await battleCardContract.batchApprove(checksummedManagerCreate, approvalsNeeded);
-        await approveTx.wait();
+        await sendTx(`📝 Approve ${approvalsNeeded.length} card(s) for battle`, () =>
+          battleCardContract.batchApprove(checksummedManagerCreate, approvalsNeeded)
+        );
         console.log(`✅ Approved ${approvalsNeeded.length} cards`);
       } else {
         console.log(`✅ All cards already approved - saving gas!`);
       }
 
+      // Commit to the selection order as the round order; cards are escrowed in ID order
+      const lineupHash = commitLineup(signerAddress, cardIds);
+
       // Create battle with checksummed address
       // Now that BattleManager is approved, transferFrom will succeed
-      const tx = await managerContract.createBattle(checksummedOpponentAddress, cardIds);
-      const receipt = await tx.wait();
+      const receipt = await sendTx("⚔️ Create battle", () =>
+        managerContract.createBattle(checksummedOpponentAddress, sortCardIds(cardIds), lineupHash, { value: stakeWei })
+      );
 
       // Extract battle ID from events
       const event = receipt.logs.find(
@@ -407,43 +561,22 @@ export default function Battle({ account }) {
         setBattleId(newBattleId.toString());
         // Automatically load battle data after creation
         await loadBattle();
-        alert(`Battle created! Battle ID: ${newBattleId}`);
+        notify(`Battle created! Battle ID: ${newBattleId}`, "success");
       } else {
-        // Fallback: reload battle if event not found
-        setTimeout(() => loadBattle(), 2000);
+        // Fallback: the new battle still shows up in the history
+        notify("Battle created. Open it from your battle history.", "success");
+        await loadBattleHistory();
       }
     } catch (error) {
       console.error("❌ Error creating battle:", error);
-      
-      // Try to decode the revert reason if available
-      let errorMessage = error.message || "Unknown error";
-      
-      // Check for specific error patterns
-      if (error.reason) {
-        errorMessage = error.reason;
-      } else if (error.data) {
-        // Try to decode custom error data
-        try {
-          // The error data might contain encoded information
-          console.error("Error data:", error.data);
-          // Check if it's a "Not owner" error
-          if (error.data.toString().includes("177e802f") || error.message.includes("Not owner")) {
-            errorMessage = "One or more cards are not owned by you. Please select cards you actually own.";
-          }
-        } catch (e) {
-          console.error("Failed to decode error data:", e);
-        }
-      }
-      
-      // Check for common ownership errors
-      if (errorMessage.includes("Not owner") || errorMessage.includes("don't own") || errorMessage.includes("don't own")) {
-        // Clear selected cards and reload to refresh the list
+
+      // Ownership changed since the list loaded: refresh it so the stale cards can't be picked again
+      if (decodeError(error).includes("don't own")) {
         setSelectedCards([]);
         await loadUserCards();
-        alert(`Failed to create battle: ${errorMessage}\n\nYour card list has been refreshed. Please select only cards you own.`);
-      } else {
-        alert(`Failed to create battle: ${errorMessage}`);
+        notify("Your card list has been refreshed. Please select only cards you own.");
       }
+      notifyError("Failed to create battle", error);
     } finally {
       setLoading(false);
     }
@@ -451,7 +584,7 @@ export default function Battle({ account }) {
 
   const joinBattle = async () => {
     if (!account || selectedCards.length !== 3 || !battleId) {
-      alert("Please select exactly 3 cards and enter battle ID");
+      notify("Please select exactly 3 cards and enter battle ID", "error");
       return;
     }
 
@@ -487,6 +620,7 @@ export default function Battle({ account }) {
 
       // Verify ownership of selected cards first (for better error messages)
       const unownedCards = [];
+      const borrowedCardIds = [];
       const { BATTLE_MANAGER_ADDRESS } = await import("../lib/ethereum");
       const managerAddrCreate = BATTLE_MANAGER_ADDRESS?.toLowerCase();
       
@@ -499,6 +633,15 @@ export default function Battle({ account }) {
           
           console.log(`  Card #${cardId}: owner=${owner}, signer=${signerAddress}, match=${ownerLower === signerLower}`);
           
+          // A card rented to the signer counts as theirs for battling
+          if (ownerLower !== signerLower && ownerLower !== managerAddrCreate) {
+            const user = await battleCardContract.userOf(cardId);
+            if (user.toLowerCase() === signerLower) {
+              borrowedCardIds.push(cardId.toString());
+              continue;
+            }
+          }
+
           // Use signer address for verification (the one actually making the transaction)
           if (ownerLower !== signerLower) {
             // Check if card is in BattleManager escrow
@@ -547,6 +690,8 @@ export default function Battle({ account }) {
       const checksummedManagerJoin = ethers.getAddress(BATTLE_MANAGER_JOIN);
       
       for (const tokenId of cardIds) {
+        // Borrowed cards can't be approved by their user and don't need to be
+        if (borrowedCardIds.includes(tokenId.toString())) continue;
         try {
           const approvedAddress = await battleCardContract.getApproved(tokenId);
           const approvedLower = approvedAddress?.toLowerCase() || "";
@@ -568,8 +713,9 @@ export default function Battle({ account }) {
       // Only call batchApprove if approvals are needed
       if (approvalsNeeded.length > 0) {
         console.log(`📝 Approving ${approvalsNeeded.length} cards for BattleManager...`);
-        const approveTx = await battleCardContract.batchApprove(checksummedManagerJoin, approvalsNeeded);
-        await approveTx.wait();
+        await sendTx(`📝 Approve ${approvalsNeeded.length} card(s) for battle`, () =>
+          battleCardContract.batchApprove(checksummedManagerJoin, approvalsNeeded)
+        );
         console.log(`✅ Approved ${approvalsNeeded.length} cards`);
       } else {
         console.log(`✅ All cards already approved - saving gas!`);
@@ -578,36 +724,32 @@ export default function Battle({ account }) {
       // Convert battleId to number/string for the contract call
       const battleIdNum = typeof battleId === 'string' ? battleId : battleId.toString();
       
+      // Match the starter's stake (read fresh so a stale view can't send the wrong amount)
+      const { stake } = await managerContract.getBattle(battleIdNum);
+
+      // Commit to the selection order as the round order; cards are escrowed in ID order
+      const lineupHash = commitLineup(signerAddress, cardIds);
+
       // Join battle - contract expects uint256[3], ethers.js will convert our array
       // Now that BattleManager is approved, transferFrom will succeed
-      const tx = await managerContract.joinBattle(battleIdNum, cardIds);
-      await tx.wait();
+      await sendTx(`⚔️ Join battle #${battleIdNum}`, () =>
+        managerContract.joinBattle(battleIdNum, sortCardIds(cardIds), lineupHash, { value: stake })
+      );
 
-      alert("Battle joined successfully!");
       // Reload battle data to show the battle view
       await loadBattle();
       
       // Switch to showing the battle view (status should be ReadyToReveal now)
     } catch (error) {
       console.error("❌ Error joining battle:", error);
-      
-      // Try to decode the revert reason if available
-      let errorMessage = error.message || "Unknown error";
-      
-      // Check for specific error patterns
-      if (error.reason) {
-        errorMessage = error.reason;
-      }
-      
-      // Check for common ownership errors
-      if (errorMessage.includes("Not owner") || errorMessage.includes("don't own")) {
-        // Clear selected cards and reload to refresh the list
+
+      // Ownership changed since the list loaded: refresh it so the stale cards can't be picked again
+      if (decodeError(error).includes("don't own")) {
         setSelectedCards([]);
         await loadUserCards();
-        alert(`Failed to join battle: ${errorMessage}\n\nYour card list has been refreshed. Please select only cards you own.`);
-      } else {
-        alert(`Failed to join battle: ${errorMessage}`);
+        notify("Your card list has been refreshed. Please select only cards you own.");
       }
+      notifyError("Failed to join battle", error);
     } finally {
       setLoading(false);
     }
@@ -622,17 +764,39 @@ export default function Battle({ account }) {
 
       // Convert battleId to number if it's a string
       const battleIdNum = typeof battleId === 'string' ? battleId : battleId.toString();
-      const tx = await managerContract.revealRound(battleIdNum);
-      await tx.wait();
-      
-      // Wait a bit for state to propagate
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
+      await sendTx(`🎲 Reveal round ${(battle?.currentRound ?? 0) + 1} of battle #${battleIdNum}`, () =>
+        managerContract.revealRound(battleIdNum)
+      );
+
       // Reload battle data after revealing round
       await loadBattle();
     } catch (error) {
       console.error("Error revealing round:", error);
-      alert(`Failed to reveal round: ${error.message}`);
+      notifyError("Failed to reveal round", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resolveExpired = async () => {
+    if (!battleId) return;
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+
+      const battleIdNum = typeof battleId === 'string' ? battleId : battleId.toString();
+      const receipt = await sendTx(`⌛ Resolve expired battle #${battleIdNum}`, () =>
+        managerContract.resolveExpired(battleIdNum)
+      );
+      console.log("⌛ Expired battle resolved. Transaction:", receipt.hash);
+
+      notify("Battle expired. All cards and stakes have been returned to their owners.", "success");
+      await loadBattle();
+      await loadUserCards();
+    } catch (error) {
+      console.error("Error resolving expired battle:", error);
+      notifyError("Failed to resolve expired battle", error);
     } finally {
       setLoading(false);
     }
@@ -645,26 +809,21 @@ export default function Battle({ account }) {
       const managerContract = await getBattleManagerContract();
       if (!managerContract) throw new Error("Contract not available");
 
-      const tx = await managerContract.claimReward(battleId, prizeIndex);
-      const receipt = await tx.wait();
-      
+      const receipt = await sendTx(`🏆 Claim prize from battle #${battleId}`, () =>
+        managerContract.claimReward(battleId, prizeIndex)
+      );
       console.log("✅ Reward claimed! Transaction:", receipt.hash);
-      
-      // Wait longer for blockchain state to propagate (increased from 2s to 3s)
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
+
       // Store claimed card ID before clearing battle state
-      const claimedCardId = battle?.opponentCards?.[prizeIndex];
+      const loserCards = battle?.winner === battle?.starter ? battle?.opponentCards : battle?.starterCards;
+      const claimedCardId = loserCards?.[prizeIndex];
       
       // Clear battle state to hide battle view and force refresh
       setBattle(null);
       setBattleId("");
       setBattleCards({});
       setRevealedRounds([]);
-      
-      // Add explicit delay before reloading user cards to ensure blockchain state is updated
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
+
       // Reload user cards to reflect the transfer
       await loadUserCards();
       
@@ -686,10 +845,10 @@ export default function Battle({ account }) {
       }
       
       // Show success message and close battle view
-      alert("Reward claimed successfully! Your cards have been updated.");
+      notify("Reward claimed! Your cards have been updated.", "success");
     } catch (error) {
       console.error("Error claiming reward:", error);
-      alert(`Failed to claim reward: ${error.message}`);
+      notifyError("Failed to claim reward", error);
     } finally {
       setLoading(false);
     }
@@ -705,36 +864,24 @@ export default function Battle({ account }) {
       const provider = getProvider();
       if (!provider) return;
       
-      const userAddress = account.toLowerCase();
-      
-      // Query events where user is starter
-      const starterFilter = managerContract.filters.BattleCreated(null, null, null);
-      const starterEvents = await managerContract.queryFilter(starterFilter);
+      // The indexer lists battles up to its last block; newer ones (or all of them, without an indexer) come from logs
+      const indexed = await fetchIndexer(`/players/${account}/history?limit=${HISTORY_LIMIT}`);
+      const fromBlock = indexed ? indexed.indexedBlock + 1 : DEPLOY_BLOCK;
+      const [starterEvents, opponentEvents] = await Promise.all([
+        queryEventsSince(managerContract, managerContract.filters.BattleCreated(null, account), fromBlock),
+        queryEventsSince(managerContract, managerContract.filters.BattleJoined(null, account), fromBlock),
+      ]);
       
-      // Query events where user is opponent
-      const opponentFilter = managerContract.filters.BattleJoined(null, null);
-      const opponentEvents = await managerContract.queryFilter(opponentFilter);
-      
-      // Collect unique battle IDs
-      const battleIdSet = new Set();
-      
-      starterEvents.forEach(event => {
-        if (event.args.starter.toLowerCase() === userAddress) {
-          battleIdSet.add(event.args.battleId.toString());
-        }
-      });
-      
-      opponentEvents.forEach(event => {
-        if (event.args.opponent.toLowerCase() === userAddress) {
-          battleIdSet.add(event.args.battleId.toString());
-        }
-      });
+      // Collect unique battle IDs where the user is starter or opponent
+      const battleIdSet = new Set(indexed ? indexed.battles.map((battle) => battle.battleId) : []);
+      [...starterEvents, ...opponentEvents].forEach((event) => battleIdSet.add(event.args.battleId.toString()));
       
       // Load battle data for each battle
       const history = [];
       const battleCardContract = await getBattleCardContract();
       
-      for (const id of Array.from(battleIdSet)) {
+      // Every battle (and then every thumbnail) loads at once, so the reads share a few multicalls
+      await Promise.all(Array.from(battleIdSet).map(async (id) => {
         try {
           const battleData = await managerContract.getBattle(id);
           const battleState = {
@@ -749,41 +896,39 @@ export default function Battle({ account }) {
             status: Number(battleData.status) || 0,
             winner: battleData.winner,
             createdAt: Number(battleData.createdAt) || 0,
+            stake: battleData.stake.toString(),
+            feeBps: Number(battleData.feeBps) || 0,
+            claimed: battleData.claimed,
+            revealDeadline: Number(battleData.revealDeadline) || 0,
           };
           
           // Load card data for thumbnail display
           const cardThumbnails = {};
           const allCards = [...battleState.starterCards, ...battleState.opponentCards];
-          for (const cardId of allCards.slice(0, 6)) { // Limit to first 6 cards for performance
-            if (cardId && cardId !== "0") {
-              try {
-                const cardData = await battleCardContract.getCard(cardId);
-                cardThumbnails[cardId] = {
-                  tokenId: cardId.toString(),
-                  power: Number(cardData.power) || 0,
-                  defense: Number(cardData.defense) || 0,
-                  speed: Number(cardData.speed) || 0,
-                  character: Number(cardData.character) || 0,
-                  rarity: Number(cardData.rarity) || 0,
-                };
-              } catch (e) {
-                // Skip if card doesn't exist
-              }
-            }
-          }
+          await Promise.all(
+            allCards
+              .slice(0, 6) // Limit to first 6 cards for performance
+              .filter((cardId) => cardId && cardId !== "0")
+              .map(async (cardId) => {
+                try {
+                  cardThumbnails[cardId] = await getCardStats(battleCardContract, cardId);
+                } catch {
+                  // Skip if card doesn't exist
+                }
+              })
+          );
           
           battleState.cardThumbnails = cardThumbnails;
           history.push(battleState);
         } catch (error) {
           console.error(`Error loading battle ${id}:`, error);
         }
-      }
+      }));
       
       // Sort by createdAt (newest first)
       history.sort((a, b) => b.createdAt - a.createdAt);
       
-      // Limit to last 30 battles
-      setBattleHistory(history.slice(0, 30));
+      setBattleHistory(history.slice(0, HISTORY_LIMIT));
     } catch (error) {
       console.error("Error loading battle history:", error);
     } finally {
@@ -791,9 +936,65 @@ export default function Battle({ account }) {
     }
   };
 
-  const calculateBattleScore = (card) => {
+  const loadOpenBattles = async () => {
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      const battleCardContract = await getBattleCardContract();
+      if (!managerContract || !battleCardContract) return;
+
+      const provider = getProvider();
+      if (!provider) return;
+
+      const [openIds, timeout, currentBlock] = await Promise.all([
+        managerContract.getOpenBattles(),
+        managerContract.BATTLE_TIMEOUT(),
+        provider.getBlockNumber(),
+      ]);
+
+      const lobby = [];
+      await Promise.all(openIds.map(async (id) => {
+        try {
+          const battleData = await managerContract.getBattle(id);
+          const expiresAt = Number(battleData.createdAt) + Number(timeout);
+          // Expired challenges stay listed on-chain until the starter cancels them
+          if (Number(battleData.status) !== 0 || currentBlock > expiresAt) return;
+
+          const starterCards = battleData.starterCards.map((cid) => cid.toString());
+          const cardThumbnails = {};
+          await Promise.all(
+            starterCards.map(async (cardId) => {
+              cardThumbnails[cardId] = await getCardStats(battleCardContract, cardId);
+            })
+          );
+
+          lobby.push({
+            battleId: id.toString(),
+            starter: battleData.starter,
+            starterCards,
+            cardThumbnails,
+            stake: battleData.stake.toString(),
+            blocksLeft: expiresAt - currentBlock,
+          });
+        } catch (error) {
+          console.error(`Error loading open battle ${id}:`, error);
+        }
+      }));
+
+      // Newest challenges first
+      lobby.sort((a, b) => Number(b.battleId) - Number(a.battleId));
+      setOpenBattles(lobby);
+    } catch (error) {
+      console.error("Error loading open battles:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const calculateBattleScore = (card, multiplier = MULTIPLIER_BASE) => {
     if (!card) return 0;
-    return Number(card.power) + Math.floor(Number(card.defense) / 2) + Number(card.speed);
+    const baseScore = Number(card.power) + Math.floor(Number(card.defense) / 2) + Number(card.speed);
+    return (baseScore * multiplier) / MULTIPLIER_BASE;
   };
 
   if (!account) {
@@ -840,6 +1041,21 @@ export default function Battle({ account }) {
         >
           Join Challenge
         </button>
+        <button
+          onClick={async () => {
+            setMode("lobby");
+            setSelectedCards([]);
+            setHistoryMode(false);
+            await loadOpenBattles();
+          }}
+          className={`px-6 py-2 rounded-lg font-semibold transition-colors ${
+            mode === "lobby" && !historyMode
+              ? "bg-blue-600 text-white"
+              : "bg-gray-700 text-gray-300"
+          }`}
+        >
+          Lobby
+        </button>
         <button
           onClick={async () => {
             setHistoryMode(true);
@@ -863,20 +1079,49 @@ export default function Battle({ account }) {
         <div className="bg-gray-800 rounded-lg p-6 mb-6">
           <h2 className="text-xl font-bold text-white mb-4">Create New Battle</h2>
           <div className="space-y-4">
+            <label className="flex items-center gap-2 text-gray-300">
+              <input
+                type="checkbox"
+                checked={openChallenge}
+                onChange={(e) => setOpenChallenge(e.target.checked)}
+              />
+              Open challenge — anyone can accept it from the Lobby
+            </label>
+            {!openChallenge && (
+              <div>
+                <label className="block text-gray-300 mb-2">Opponent Address</label>
+                <input
+                  type="text"
+                  value={opponentAddress}
+                  onChange={(e) => setOpponentAddress(e.target.value)}
+                  placeholder="0x..."
+                  className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg"
+                />
+              </div>
+            )}
             <div>
-              <label className="block text-gray-300 mb-2">Opponent Address</label>
+              <label className="block text-gray-300 mb-2">Stake (MON, optional)</label>
               <input
-                type="text"
-                value={opponentAddress}
-                onChange={(e) => setOpponentAddress(e.target.value)}
-                placeholder="0x..."
+                type="number"
+                min="0"
+                step="0.001"
+                value={stakeAmount}
+                onChange={(e) => setStakeAmount(e.target.value)}
+                placeholder="0"
                 className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg"
               />
+              <p className="text-xs text-gray-500 mt-1">
+                Your opponent must match it to join. The winner takes the pot; draws and cancellations are refunded.
+              </p>
             </div>
             <div>
               <label className="block text-gray-300 mb-2">
                 Select 3 Cards ({selectedCards.length}/3)
               </label>
+              <p className="text-xs text-gray-500 mb-2">
+                Pick cards in the order they should fight. The order stays hidden until your opponent has joined.
+                {selectedCards.length > 0 && ` Round order: ${selectedCards.map((id) => `#${id}`).join(" → ")}`}
+              </p>
               <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
                 {userCards.map((card) => (
                   <Card
@@ -892,7 +1137,7 @@ export default function Battle({ account }) {
             </div>
             <button
               onClick={createBattle}
-              disabled={loading || selectedCards.length !== 3 || !opponentAddress}
+              disabled={loading || paused.battles || selectedCards.length !== 3 || (!openChallenge && !opponentAddress)}
               className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
             >
               {loading ? "Creating..." : "Create Battle"}
@@ -931,14 +1176,27 @@ export default function Battle({ account }) {
                   <strong>Starter:</strong> {formatAddress(battle.starter)}
                 </p>
                 <p className="text-gray-300">
-                  <strong>Opponent:</strong> {formatAddress(battle.opponent)}
+                  <strong>Opponent:</strong>{" "}
+                  {battle.opponent === ethers.ZeroAddress ? "Open challenge" : formatAddress(battle.opponent)}
                 </p>
-                {Number(battle.status) === 0 && battle.opponent.toLowerCase() === account.toLowerCase() && (
+                {BigInt(battle.stake) > 0n && (
+                  <p className="text-gray-300">
+                    <strong>Stake to match:</strong> {ethers.formatEther(battle.stake)} MON
+                  </p>
+                )}
+                {Number(battle.status) === 0 &&
+                  (battle.opponent.toLowerCase() === account.toLowerCase() ||
+                    (battle.opponent === ethers.ZeroAddress &&
+                      battle.starter.toLowerCase() !== account.toLowerCase())) && (
                   <>
                     <div className="mt-4">
                       <label className="block text-gray-300 mb-2">
                         Select Your 3 Cards ({selectedCards.length}/3)
                       </label>
+                      <p className="text-xs text-gray-500 mb-2">
+                        Pick cards in the order they should fight. The order stays hidden until both lineups are revealed.
+                        {selectedCards.length > 0 && ` Round order: ${selectedCards.map((id) => `#${id}`).join(" → ")}`}
+                      </p>
                       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
                         {userCards.map((card) => (
                           <Card
@@ -954,10 +1212,14 @@ export default function Battle({ account }) {
                     </div>
                     <button
                       onClick={joinBattle}
-                      disabled={loading || selectedCards.length !== 3}
+                      disabled={loading || paused.battles || selectedCards.length !== 3}
                       className="mt-4 bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
                     >
-                      {loading ? "Joining..." : "Join Battle"}
+                      {loading
+                        ? "Joining..."
+                        : BigInt(battle.stake) > 0n
+                        ? `Join Battle — ${ethers.formatEther(battle.stake)} MON`
+                        : "Join Battle"}
                     </button>
                   </>
                 )}
@@ -967,10 +1229,85 @@ export default function Battle({ account }) {
         </div>
       )}
 
-      {/* Battle View - Show when battle status is ReadyToReveal (1), InProgress (2), or Resolved (3) */}
-      {!historyMode && battle && battleId && Number(battle.status) >= 1 && Number(battle.status) <= 3 && (
+      {/* Lobby Mode */}
+      {mode === "lobby" && !historyMode && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold text-white">Open Challenges</h2>
+            <button
+              onClick={loadOpenBattles}
+              disabled={loading}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-600"
+            >
+              {loading ? "Loading..." : "Refresh"}
+            </button>
+          </div>
+
+          {!loading && openBattles.length === 0 && (
+            <div className="text-center py-8">
+              <p className="text-gray-400">No open challenges right now. Create one and it will show up here!</p>
+            </div>
+          )}
+
+          <div className="space-y-4">
+            {openBattles.map((openBattle) => {
+              const isOwn = openBattle.starter.toLowerCase() === account.toLowerCase();
+              return (
+                <div key={openBattle.battleId} className="bg-gray-900 rounded-lg p-4 border border-gray-700">
+                  <div className="flex justify-between items-start mb-3">
+                    <div>
+                      <h3 className="text-lg font-bold text-white mb-1">Battle #{openBattle.battleId}</h3>
+                      <p className="text-sm text-gray-400">
+                        Starter: {isOwn ? "You" : formatAddress(openBattle.starter)}
+                      </p>
+                      {BigInt(openBattle.stake) > 0n && (
+                        <p className="text-sm text-yellow-400">Stake: {ethers.formatEther(openBattle.stake)} MON</p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-1">Expires in {openBattle.blocksLeft} blocks</p>
+                    </div>
+                    {!isOwn && (
+                      <button
+                        onClick={() => {
+                          setMode("join");
+                          setSelectedCards([]);
+                          setBattleId(openBattle.battleId);
+                        }}
+                        className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold"
+                      >
+                        Accept Challenge
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-400 mb-2">Starter's cards:</p>
+                  <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+                    {openBattle.starterCards.map((cardId) => (
+                      <Card
+                        key={cardId}
+                        card={openBattle.cardThumbnails[cardId]}
+                        tokenId={cardId}
+                        showStats={false}
+                        onSelect={null}
+                      />
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Battle View - Show when battle status is ReadyToReveal (1), InProgress (2), Resolved (3) or Expired (5) */}
+      {!historyMode && battle && battleId && ((Number(battle.status) >= 1 && Number(battle.status) <= 3) || Number(battle.status) === 5) && (
         <div className="bg-gray-800 rounded-lg p-6">
-          <h2 className="text-2xl font-bold text-white mb-4">Battle #{battleId}</h2>
+          <h2 className="text-2xl font-bold text-white mb-4">
+            Battle #{battleId}
+            {liveUpdates && (
+              <span className="ml-3 text-xs font-normal text-gray-400 align-middle">
+                {liveUpdates === "polling" ? "⏳ Refreshing every few seconds" : "🟢 Live"}
+              </span>
+            )}
+          </h2>
           
           {/* Debug info - remove in production */}
           {process.env.NODE_ENV === 'development' && (
@@ -988,6 +1325,22 @@ export default function Battle({ account }) {
             <p className="text-gray-300 mb-2">
               <strong>Current Round:</strong> {Number(battle.currentRound)} / 3
             </p>
+            {BigInt(battle.stake) > 0n && (
+              <p className="text-gray-300 mb-2">
+                <strong>Pot:</strong> {ethers.formatEther(BigInt(battle.stake) * 2n)} MON
+                {battle.feeBps > 0 && (
+                  <span className="text-gray-500 text-sm"> ({battle.feeBps / 100}% protocol fee)</span>
+                )}
+              </p>
+            )}
+            {(Number(battle.status) === 1 || Number(battle.status) === 2) && battle.revealDeadline > 0 && currentBlock > 0 && (
+              <p className={`mb-2 ${currentBlock > battle.revealDeadline ? "text-red-400" : "text-gray-300"}`}>
+                <strong>Reveal Deadline:</strong>{" "}
+                {currentBlock > battle.revealDeadline
+                  ? "Passed — anyone can resolve this battle as expired"
+                  : `${battle.revealDeadline - currentBlock} blocks left (block ${battle.revealDeadline})`}
+              </p>
+            )}
           </div>
           
           {/* Battle Cards Grid - Show only revealed round cards */}
@@ -1155,8 +1508,8 @@ export default function Battle({ account }) {
                 {revealedRounds.map((round, idx) => {
                   const starterCard = battleCards[round.starterCard];
                   const opponentCard = battleCards[round.opponentCard];
-                  const starterScore = starterCard ? calculateBattleScore(starterCard) : 0;
-                  const opponentScore = opponentCard ? calculateBattleScore(opponentCard) : 0;
+                  const starterScore = starterCard ? calculateBattleScore(starterCard, round.starterMultiplier) : 0;
+                  const opponentScore = opponentCard ? calculateBattleScore(opponentCard, round.opponentMultiplier) : 0;
                   
                   return (
                     <div key={idx} className="border border-gray-700 rounded-lg p-3">
@@ -1169,6 +1522,7 @@ export default function Battle({ account }) {
                               <Card card={starterCard} tokenId={round.starterCard} showStats={true} onSelect={null} />
                               <p className="text-xs text-center mt-1 text-gray-400">
                                 Score: {starterScore}
+                                <MultiplierBadge multiplier={round.starterMultiplier} />
                               </p>
                             </>
                           ) : (
@@ -1182,6 +1536,7 @@ export default function Battle({ account }) {
                               <Card card={opponentCard} tokenId={round.opponentCard} showStats={true} onSelect={null} />
                               <p className="text-xs text-center mt-1 text-gray-400">
                                 Score: {opponentScore}
+                                <MultiplierBadge multiplier={round.opponentMultiplier} />
                               </p>
                             </>
                           ) : (
@@ -1196,6 +1551,11 @@ export default function Battle({ account }) {
                           <span className="text-red-400">Opponent Wins! 🎉</span>
                         )}
                       </p>
+                      {round.tieBreak > 0 && (
+                        <p className="text-center mt-1 text-xs text-yellow-400">
+                          ⚖️ Tie round — decided by {TIE_BREAK[round.tieBreak] || "tiebreak"}
+                        </p>
+                      )}
                     </div>
                   );
                 })}
@@ -1213,8 +1573,51 @@ export default function Battle({ account }) {
             </div>
           )}
 
+          {/* Lineup Reveal - both round orders must be opened before round 1 */}
+          {Number(battle.status) === 1 && lineupState && !(lineupState.starterRevealed && lineupState.opponentRevealed) && (() => {
+            const isStarter = battle.starter.toLowerCase() === account.toLowerCase();
+            const isOpponent = battle.opponent.toLowerCase() === account.toLowerCase();
+            const myRevealed = isStarter ? lineupState.starterRevealed : lineupState.opponentRevealed;
+            const deadlinePassed = currentBlock > lineupState.deadline;
+            return (
+              <div className="bg-gray-900 rounded-lg p-4 mb-4">
+                <h3 className="text-lg font-bold text-white mb-3">Lineup Reveal</h3>
+                <p className="text-gray-300 text-sm">
+                  Starter: {lineupState.starterRevealed ? "✅ revealed" : "⏳ waiting"}
+                </p>
+                <p className="text-gray-300 text-sm mb-2">
+                  Opponent: {lineupState.opponentRevealed ? "✅ revealed" : "⏳ waiting"}
+                </p>
+                <p className={`text-sm mb-3 ${deadlinePassed ? "text-red-400" : "text-gray-400"}`}>
+                  {deadlinePassed
+                    ? "Lineup deadline passed — a side that didn't reveal forfeits the battle"
+                    : `${Math.max(lineupState.deadline - currentBlock, 0)} blocks left to reveal (your reveal is sent automatically)`}
+                </p>
+                {(isStarter || isOpponent) && !myRevealed && !deadlinePassed && (
+                  <button
+                    onClick={revealLineup}
+                    disabled={loading}
+                    className="bg-yellow-600 hover:bg-yellow-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                  >
+                    {loading ? "Revealing..." : "Reveal My Lineup"}
+                  </button>
+                )}
+                {deadlinePassed && (
+                  <button
+                    onClick={forfeitUnrevealedLineup}
+                    disabled={loading}
+                    className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                  >
+                    {loading ? "Settling..." : "Settle Missed Reveal"}
+                  </button>
+                )}
+              </div>
+            );
+          })()}
+
           {/* Reveal Rounds */}
-          {Number(battle.status) < 3 && Number(battle.currentRound) < 3 && (
+          {Number(battle.status) < 3 && Number(battle.currentRound) < 3 && !(currentBlock > battle.revealDeadline) &&
+            !(Number(battle.status) === 1 && lineupState && !(lineupState.starterRevealed && lineupState.opponentRevealed)) && (
             <div className="mb-4">
               <button
                 onClick={revealRound}
@@ -1229,6 +1632,32 @@ export default function Battle({ account }) {
             </div>
           )}
 
+          {/* Reveal deadline passed - unlock everything */}
+          {Number(battle.status) < 3 && battle.revealDeadline > 0 && currentBlock > battle.revealDeadline && (
+            <div className="mb-4">
+              <button
+                onClick={resolveExpired}
+                disabled={loading}
+                className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {loading ? "Resolving..." : "Resolve Expired Battle"}
+              </button>
+              <p className="text-gray-400 text-sm mt-2">
+                Rounds were not revealed in time. Resolving returns every card and stake to its owner.
+              </p>
+            </div>
+          )}
+
+          {/* Battle Expired */}
+          {Number(battle.status) === 5 && (
+            <div className="bg-gray-900 rounded-lg p-4">
+              <p className="text-xl font-bold text-white mb-2">⌛ Battle Expired</p>
+              <p className="text-gray-400">
+                The reveal deadline passed before the battle finished. All cards and stakes were returned.
+              </p>
+            </div>
+          )}
+
           {/* Battle Resolved */}
           {Number(battle.status) === 3 && (
             <div className="bg-gray-900 rounded-lg p-4">
@@ -1243,7 +1672,7 @@ export default function Battle({ account }) {
                 <div className="mt-4">
                   <p className="text-gray-300 mb-3 font-semibold">Select a prize card to claim:</p>
                   <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
-                    {battle.opponentCards.map((cardId, index) => {
+                    {(battle.winner === battle.starter ? battle.opponentCards : battle.starterCards).map((cardId, index) => {
                       if (!cardId || cardId === "0") return null;
                       const card = battleCards[cardId];
                       if (!card) {
@@ -1253,6 +1682,14 @@ export default function Battle({ account }) {
                           </div>
                         );
                       }
+                      if (card.rented) {
+                        return (
+                          <div key={index} className="opacity-50">
+                            <Card card={card} tokenId={cardId} showStats={true} onSelect={null} />
+                            <p className="mt-2 text-center text-sm text-gray-400">Rented card – returns to its lender</p>
+                          </div>
+                        );
+                      }
                       return (
                         <div
                           key={index}
@@ -1281,6 +1718,23 @@ export default function Battle({ account }) {
                       );
                     })}
                   </div>
+                  {(battle.winner === battle.starter ? battle.opponentCards : battle.starterCards).every(
+                    (cardId) => battleCards[cardId]?.rented
+                  ) && (
+                    <div className="mb-4">
+                      <p className="text-gray-400 text-sm mb-2">
+                        Your opponent only played rented cards, so there is no card prize. Claim to get your cards
+                        {battle.stake !== "0" ? " and the pot" : ""} back.
+                      </p>
+                      <button
+                        onClick={() => claimReward(0)}
+                        disabled={loading}
+                        className="w-full bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-600 disabled:cursor-not-allowed"
+                      >
+                        {loading ? "Claiming..." : "Claim Reward"}
+                      </button>
+                    </div>
+                  )}
                   <button
                     onClick={async () => {
                       setLoading(true);
@@ -1289,10 +1743,10 @@ export default function Battle({ account }) {
                           loadUserCards(),
                           loadBattle()
                         ]);
-                        alert("Cards refreshed!");
+                        notify("Cards refreshed!", "success");
                       } catch (error) {
                         console.error("Error refreshing cards:", error);
-                        alert("Failed to refresh cards");
+                        notifyError("Failed to refresh cards", error);
                       } finally {
                         setLoading(false);
                       }
@@ -1313,7 +1767,18 @@ export default function Battle({ account }) {
       {historyMode && (
         <div className="bg-gray-800 rounded-lg p-6">
           <div className="flex justify-between items-center mb-6">
-            <h2 className="text-2xl font-bold text-white">Battle History</h2>
+            <div>
+              <h2 className="text-2xl font-bold text-white">Battle History</h2>
+              {(() => {
+                const totalNet = battleHistory.reduce((sum, b) => sum + calculateNetStake(b, account), 0n);
+                if (totalNet === 0n) return null;
+                return (
+                  <p className={`text-sm font-semibold ${totalNet > 0n ? "text-green-400" : "text-red-400"}`}>
+                    Net wagers: {formatNetStake(totalNet)}
+                  </p>
+                );
+              })()}
+            </div>
             <div className="flex gap-2">
               <button
                 onClick={() => setHistoryFilter("all")}
@@ -1385,6 +1850,7 @@ export default function Battle({ account }) {
                   const opponentAddress = isStarter ? battle.opponent : battle.starter;
                   const isWinner = battle.winner.toLowerCase() === account.toLowerCase();
                   const isDraw = battle.winner === "0x0000000000000000000000000000000000000000";
+                  const netStake = calculateNetStake(battle, account);
 
                   return (
                     <div
@@ -1404,7 +1870,7 @@ export default function Battle({ account }) {
                             Battle #{battle.battleId}
                           </h3>
                           <p className="text-sm text-gray-400">
-                            Opponent: {formatAddress(opponentAddress)}
+                            Opponent: {opponentAddress === ethers.ZeroAddress ? "Open challenge" : formatAddress(opponentAddress)}
                           </p>
                           <p className="text-xs text-gray-500 mt-1">
                             Block: {battle.createdAt}
@@ -1425,6 +1891,15 @@ export default function Battle({ account }) {
                           <p className="text-xs text-gray-400 mt-1">
                             {BATTLE_STATUS[battle.status] || `Status ${battle.status}`}
                           </p>
+                          {BigInt(battle.stake) > 0n && (
+                            <p
+                              className={`text-xs font-semibold mt-1 ${
+                                netStake > 0n ? "text-green-400" : netStake < 0n ? "text-red-400" : "text-gray-400"
+                              }`}
+                            >
+                              {battle.status === 3 ? formatNetStake(netStake) : `Stake ${ethers.formatEther(battle.stake)} MON`}
+                            </p>
+                          )}
                         </div>
                       </div>
 
@@ -1477,3 +1952,22 @@ export default function Battle({ account }) {
     </div>
   );
 }
+
+function MultiplierBadge({ multiplier }) {
+  if (!multiplier) return null;
+
+  return (
+    <span
+      className={`ml-1 px-1.5 py-0.5 rounded font-semibold ${
+        multiplier > MULTIPLIER_BASE
+          ? "bg-green-600/30 text-green-300"
+          : multiplier < MULTIPLIER_BASE
+          ? "bg-red-600/30 text-red-300"
+          : "bg-gray-700 text-gray-300"
+      }`}
+      title="Character type advantage"
+    >
+      {formatMultiplier(multiplier)}
+    </span>
+  );
+}
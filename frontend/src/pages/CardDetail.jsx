@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { ethers } from "ethers";
+import Card from "../components/Card";
+import {
+  getBattleCardContract,
+  getMarketplaceContract,
+  getProvider,
+  formatAddress,
+  MARKETPLACE_ADDRESS,
+} from "../lib/ethereum";
+import { getCardStats } from "../lib/useOwnedCards";
+import { sendTx, notify, notifyError } from "../lib/txManager";
+
+// Default offer lifetime in blocks (roughly a day at 1 block/s)
+const DEFAULT_OFFER_BLOCKS = 86400;
+
+export default function CardDetail({ account }) {
+  const { tokenId } = useParams();
+  const [card, setCard] = useState(null);
+  const [holder, setHolder] = useState(""); // Seller while listed, otherwise the owner
+  const [listingPrice, setListingPrice] = useState(0n);
+  const [offers, setOffers] = useState([]); // Array of {offerId, bidder, amount, expiresAt}
+  const [currentBlock, setCurrentBlock] = useState(0);
+  const [offerAmount, setOfferAmount] = useState("");
+  const [offerBlocks, setOfferBlocks] = useState(DEFAULT_OFFER_BLOCKS);
+  const [loading, setLoading] = useState(false);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    if (account) {
+      loadCard();
+    }
+  }, [account, tokenId]);
+
+  const loadCard = async () => {
+    try {
+      const battleCardContract = await getBattleCardContract();
+      const marketplace = await getMarketplaceContract();
+      if (!battleCardContract || !marketplace) {
+        console.error("Contracts not available");
+        return;
+      }
+
+      let owner;
+      try {
+        owner = await battleCardContract.ownerOf(tokenId);
+      } catch {
+        // Never minted, or burned by a fusion
+        setNotFound(true);
+        return;
+      }
+      setNotFound(false);
+
+      setCard(await getCardStats(battleCardContract, tokenId));
+
+      const listing = await marketplace.listings(tokenId);
+      setListingPrice(listing.price);
+      setHolder(listing.price > 0n ? listing.seller : owner);
+
+      const provider = getProvider();
+      if (provider) {
+        setCurrentBlock(await provider.getBlockNumber());
+      }
+
+      const offerIds = await marketplace.getOpenOffers(tokenId);
+      const loaded = await Promise.all(
+        offerIds.map(async (id) => {
+          const offer = await marketplace.offers(id);
+          return {
+            offerId: id.toString(),
+            bidder: offer.bidder,
+            amount: offer.amount,
+            expiresAt: Number(offer.expiresAt),
+          };
+        })
+      );
+      // Best offer first
+      setOffers(loaded.sort((a, b) => (a.amount < b.amount ? 1 : a.amount > b.amount ? -1 : 0)));
+    } catch (error) {
+      console.error("Error loading card:", error);
+    }
+  };
+
+  const isHolder = holder && account && holder.toLowerCase() === account.toLowerCase();
+
+  const makeOffer = async () => {
+    let amount;
+    try {
+      amount = ethers.parseEther(offerAmount.trim());
+    } catch {
+      notify("Please enter a valid MON amount", "error");
+      return;
+    }
+    if (amount <= 0n) {
+      notify("Offer must be greater than 0", "error");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const marketplace = await getMarketplaceContract();
+      if (!marketplace) throw new Error("Contract not available");
+
+      await sendTx(`💰 Offer ${offerAmount.trim()} MON for card #${tokenId}`, () =>
+        marketplace.makeOffer(tokenId, Number(offerBlocks), { value: amount })
+      );
+      setOfferAmount("");
+      await loadCard();
+    } catch (error) {
+      console.error("Error making offer:", error);
+      notifyError("Failed to make offer", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const acceptOffer = async (offer) => {
+    if (!confirm(`Sell card #${tokenId} for ${ethers.formatEther(offer.amount)} MON?`)) return;
+
+    setLoading(true);
+    try {
+      const battleCardContract = await getBattleCardContract();
+      const marketplace = await getMarketplaceContract();
+      if (!battleCardContract || !marketplace) throw new Error("Contracts not available");
+
+      // A listed card is already escrowed; otherwise the Marketplace needs approval to move it
+      if (listingPrice === 0n) {
+        const marketplaceAddress = ethers.getAddress(MARKETPLACE_ADDRESS);
+        const approved = await battleCardContract.getApproved(tokenId);
+        if (approved.toLowerCase() !== marketplaceAddress.toLowerCase()) {
+          await sendTx(`Approve the Marketplace for card #${tokenId}`, () =>
+            battleCardContract.approve(marketplaceAddress, tokenId)
+          );
+        }
+      }
+
+      await sendTx(`Sell card #${tokenId} to ${formatAddress(offer.bidder)}`, () =>
+        marketplace.acceptOffer(offer.offerId)
+      );
+      await loadCard();
+    } catch (error) {
+      console.error("Error accepting offer:", error);
+      notifyError("Failed to accept offer", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelOffer = async (offerId) => {
+    setLoading(true);
+    try {
+      const marketplace = await getMarketplaceContract();
+      if (!marketplace) throw new Error("Contract not available");
+
+      await sendTx("Cancel offer", () => marketplace.cancelOffer(offerId));
+      notify("Offer cancelled and refunded.", "success");
+      await loadCard();
+    } catch (error) {
+      console.error("Error cancelling offer:", error);
+      notifyError("Failed to cancel offer", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400 text-lg">Please connect your wallet to view this card</p>
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400 text-lg">Card #{tokenId} doesn't exist.</p>
+      </div>
+    );
+  }
+
+  if (!card) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400">Loading card...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+        <div>
+          <Card card={card} tokenId={card.tokenId} showStats={true} />
+          <p className="text-sm text-gray-400 mt-3 text-center">
+            {listingPrice > 0n ? "Listed by" : "Owned by"} {isHolder ? "you" : formatAddress(holder)}
+          </p>
+          {listingPrice > 0n && (
+            <p className="text-sm text-green-400 mt-1 text-center">
+              For sale at {ethers.formatEther(listingPrice)} MON on the{" "}
+              <Link to="/market" className="underline hover:text-green-300">
+                Market
+              </Link>
+            </p>
+          )}
+        </div>
+
+        <div className="md:col-span-2 space-y-6">
+          {/* Open Offers */}
+          <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
+            <h2 className="text-xl font-bold text-white mb-4">💰 Open Offers</h2>
+            {offers.length === 0 ? (
+              <p className="text-gray-400">No open offers on this card.</p>
+            ) : (
+              <div className="space-y-2">
+                {offers.map((offer) => {
+                  const isBidder = offer.bidder.toLowerCase() === account.toLowerCase();
+                  return (
+                    <div
+                      key={offer.offerId}
+                      className="flex flex-wrap items-center justify-between gap-2 bg-gray-900 rounded-lg p-3"
+                    >
+                      <div>
+                        <p className="text-white font-semibold">{ethers.formatEther(offer.amount)} MON</p>
+                        <p className="text-xs text-gray-400">
+                          From {isBidder ? "you" : formatAddress(offer.bidder)} · expires in{" "}
+                          {Math.max(offer.expiresAt - currentBlock, 0)} blocks
+                        </p>
+                      </div>
+                      {isHolder && (
+                        <button
+                          onClick={() => acceptOffer(offer)}
+                          disabled={loading}
+                          className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50"
+                        >
+                          Accept
+                        </button>
+                      )}
+                      {isBidder && (
+                        <button
+                          onClick={() => cancelOffer(offer.offerId)}
+                          disabled={loading}
+                          className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Make Offer */}
+          {!isHolder && (
+            <div className="bg-gray-800 rounded-xl p-6 border border-gray-700">
+              <h2 className="text-xl font-bold text-white mb-2">Make an Offer</h2>
+              <p className="text-gray-400 text-sm mb-4">
+                Your MON is held by the Marketplace until the owner accepts or you cancel. Expired offers can be
+                cancelled for a full refund.
+              </p>
+              <div className="flex flex-wrap gap-4 items-end">
+                <div>
+                  <label className="block text-gray-300 text-sm mb-1">Amount (MON)</label>
+                  <input
+                    type="text"
+                    placeholder="0.1"
+                    value={offerAmount}
+                    onChange={(e) => setOfferAmount(e.target.value)}
+                    className="bg-gray-700 text-white rounded-lg px-3 py-2"
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-300 text-sm mb-1">Expires after (blocks)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={offerBlocks}
+                    onChange={(e) => setOfferBlocks(e.target.value)}
+                    className="bg-gray-700 text-white rounded-lg px-3 py-2"
+                  />
+                </div>
+                <button
+                  onClick={makeOffer}
+                  disabled={loading || !offerAmount}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-semibold disabled:opacity-50"
+                >
+                  {loading ? "Working..." : "Make Offer"}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
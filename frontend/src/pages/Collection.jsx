@@ -1,104 +1,164 @@
 import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { ethers } from "ethers";
 import Card from "../components/Card";
-import { getBattleCardContract, getProvider } from "../lib/ethereum";
+import {
+  getBattleCardContract,
+  getMarketplaceContract,
+  getProvider,
+  formatAddress,
+  MARKETPLACE_ADDRESS,
+} from "../lib/ethereum";
+import { useOwnedCards } from "../lib/useOwnedCards";
+import { sendTx, notify, notifyError } from "../lib/txManager";
+import { queryEventsSince } from "../lib/indexer";
 
-export default function Collection({ account }) {
-  const [cards, setCards] = useState([]);
+// Mirrors BattleCard.Rarity, BattleCard.CommitStatus and BattleCard.FUSION_SIZE
+const RARITY_NAMES = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
+const COMMIT_STATUS = {
+  PENDING: 1,
+};
+const FUSION_SIZE = 3;
+
+const formatExpiry = (expires) => new Date(expires * 1000).toLocaleString();
+
+export default function Collection({ account, paused }) {
+  const { cards, borrowedCards, loading: cardsLoading, refresh: loadCards } = useOwnedCards(account);
   const [loading, setLoading] = useState(false);
   const [selectedCards, setSelectedCards] = useState(new Set());
+  const [pendingFusions, setPendingFusions] = useState([]); // Array of {commitId, rarity, revealBlock, tokenIds}
+  const [currentBlock, setCurrentBlock] = useState(0);
+  const [revealWindow, setRevealWindow] = useState(256);
+  const [fusing, setFusing] = useState(false);
+  const [offersReceived, setOffersReceived] = useState([]); // Array of {offerId, tokenId, bidder, amount, expiresAt, listed}
+  const [borrower, setBorrower] = useState("");
+  const [lendHours, setLendHours] = useState(24);
+  const [lending, setLending] = useState(false);
 
   useEffect(() => {
     if (account) {
-      loadCards();
+      loadPendingFusions();
+    } else {
+      setPendingFusions([]);
     }
   }, [account]);
 
-  const loadCards = async () => {
-    if (!account) return;
-    setLoading(true);
+  useEffect(() => {
+    if (account) {
+      loadOffersReceived(cards.map((card) => card.tokenId), account.toLowerCase());
+    }
+  }, [account, cards]);
+
+  useEffect(() => {
+    if (pendingFusions.length === 0) return;
+    // Track the chain head so fused cards unlock once their reveal block is mined
+    const updateBlock = async () => {
+      const provider = getProvider();
+      if (!provider) return;
+      try {
+        setCurrentBlock(await provider.getBlockNumber());
+      } catch (error) {
+        console.error("Error reading block number:", error);
+      }
+    };
+    updateBlock();
+    const interval = setInterval(updateBlock, 3000);
+    return () => clearInterval(interval);
+  }, [pendingFusions.length]);
+
+  const loadPendingFusions = async () => {
     try {
       const contract = await getBattleCardContract();
-      if (!contract) {
-        console.error("Contract not available");
-        return;
-      }
+      if (!contract) return;
 
-      // Get signer address (the one making transactions)
-      const { getProvider } = await import("../lib/ethereum");
-      const provider = getProvider();
-      if (!provider) {
-        console.error("Provider not available");
-        return;
+      setRevealWindow(Number(await contract.REVEAL_WINDOW()));
+
+      const events = await queryEventsSince(contract, contract.filters.FusionCommitted(account));
+      const pending = [];
+      for (const event of events) {
+        const commitId = event.args.commitId.toString();
+        const commit = await contract.mintCommits(commitId);
+        if (Number(commit.status) === COMMIT_STATUS.PENDING) {
+          pending.push({
+            commitId,
+            rarity: Number(event.args.rarity),
+            revealBlock: Number(commit.revealBlock),
+            tokenIds: event.args.tokenIds.map((id) => id.toString()),
+          });
+        }
       }
+      setPendingFusions(pending);
+    } catch (error) {
+      console.error("Error loading pending fusions:", error);
+    }
+  };
 
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-      const signerLower = signerAddress.toLowerCase();
+  // Open offers on every card you hold, including ones escrowed in your Marketplace listings
+  const loadOffersReceived = async (ownedTokenIds, signerLower) => {
+    try {
+      const marketplace = await getMarketplaceContract();
+      if (!marketplace) return;
 
-      // Get balance first
-      const balance = await contract.balanceOf(signerAddress);
-      console.log(`📊 Your balance: ${balance.toString()} cards`);
+      const listedTokenIds = [];
+      for (const id of await marketplace.getListedTokens()) {
+        const listing = await marketplace.listings(id);
+        if (listing.seller.toLowerCase() === signerLower) {
+          listedTokenIds.push(id.toString());
+        }
+      }
 
-      if (Number(balance) === 0) {
-        setCards([]);
-        return;
+      const received = [];
+      for (const tokenId of [...ownedTokenIds, ...listedTokenIds]) {
+        const offerIds = await marketplace.getOpenOffers(tokenId);
+        for (const id of offerIds) {
+          const offer = await marketplace.offers(id);
+          received.push({
+            offerId: id.toString(),
+            tokenId,
+            bidder: offer.bidder,
+            amount: offer.amount,
+            expiresAt: Number(offer.expiresAt),
+            listed: listedTokenIds.includes(tokenId),
+          });
+        }
       }
+      // Best offer first
+      setOffersReceived(received.sort((a, b) => (a.amount < b.amount ? 1 : a.amount > b.amount ? -1 : 0)));
+    } catch (error) {
+      console.error("Error loading offers:", error);
+    }
+  };
+
+  const acceptOffer = async (offer) => {
+    if (!confirm(`Sell card #${offer.tokenId} for ${ethers.formatEther(offer.amount)} MON?`)) return;
 
-      // Get next token ID to know the range
-      const nextId = await contract.nextId();
-      const nextIdNum = Number(nextId);
-      console.log(`📋 Next token ID: ${nextIdNum} (checking tokens 1-${nextIdNum - 1})`);
-
-      // Iterate through all possible token IDs and check ownership directly
-      // This uses ownerOf() as the source of truth, avoiding stale data from getOwnedTokens
-      const ownedCards = [];
-      
-      // Check tokens in batches to avoid too many calls at once
-      const batchSize = 10;
-      for (let startId = 1; startId < nextIdNum; startId += batchSize) {
-        const endId = Math.min(startId + batchSize, nextIdNum);
-        const batchPromises = [];
-        
-        for (let i = startId; i < endId; i++) {
-          batchPromises.push(
-            (async () => {
-              try {
-                // Check ownership directly - ownerOf is the source of truth
-                const owner = await contract.ownerOf(i);
-                if (owner.toLowerCase() === signerLower) {
-                  // This card is owned by the user
-                  const cardData = await contract.getCard(i);
-                  return {
-                    tokenId: i.toString(),
-                    power: Number(cardData.power) || 0,
-                    defense: Number(cardData.defense) || 0,
-                    speed: Number(cardData.speed) || 0,
-                    character: Number(cardData.character) || 0,
-                    rarity: Number(cardData.rarity) || 0,
-                  };
-                }
-              } catch (error) {
-                // Token doesn't exist or error checking - skip it
-                return null;
-              }
-              return null;
-            })()
+    setLoading(true);
+    try {
+      const battleCardContract = await getBattleCardContract();
+      const marketplace = await getMarketplaceContract();
+      if (!battleCardContract || !marketplace) throw new Error("Contracts not available");
+
+      // A listed card is already escrowed; otherwise the Marketplace needs approval to move it
+      if (!offer.listed) {
+        const marketplaceAddress = ethers.getAddress(MARKETPLACE_ADDRESS);
+        const approved = await battleCardContract.getApproved(offer.tokenId);
+        if (approved.toLowerCase() !== marketplaceAddress.toLowerCase()) {
+          await sendTx(`Approve the Marketplace for card #${offer.tokenId}`, () =>
+            battleCardContract.approve(marketplaceAddress, offer.tokenId)
           );
         }
-        
-        const batchResults = await Promise.all(batchPromises);
-        const validBatchCards = batchResults.filter((c) => c !== null);
-        ownedCards.push(...validBatchCards);
       }
 
-      console.log(`✅ Loaded ${ownedCards.length} cards you actually own (verified via ownerOf)`);
-      setCards(ownedCards);
+      await sendTx(`Sell card #${offer.tokenId} to ${formatAddress(offer.bidder)}`, () =>
+        marketplace.acceptOffer(offer.offerId)
+      );
     } catch (error) {
-      console.error("Error loading cards:", error);
-      alert("Failed to load cards");
+      console.error("Error accepting offer:", error);
+      notifyError("Failed to accept offer", error);
     } finally {
       setLoading(false);
     }
+    await loadCards();
   };
 
   const toggleCardSelection = (tokenId) => {
@@ -107,7 +167,7 @@ export default function Collection({ account }) {
       newSelection.delete(tokenId);
     } else {
       if (newSelection.size >= 3) {
-        alert("You can only select up to 3 cards for battle");
+        notify("You can only select up to 3 cards for battle or fusion", "error");
         return;
       }
       newSelection.add(tokenId);
@@ -115,6 +175,177 @@ export default function Collection({ account }) {
     setSelectedCards(newSelection);
   };
 
+  const selectedCardData = cards.filter((card) => selectedCards.has(card.tokenId));
+  const fusionRarity = selectedCardData.length > 0 ? selectedCardData[0].rarity : null;
+  const fusionError =
+    selectedCardData.length !== FUSION_SIZE
+      ? `Select ${FUSION_SIZE} cards of the same rarity`
+      : selectedCardData.some((card) => card.rarity !== fusionRarity)
+      ? "All cards must share one rarity"
+      : fusionRarity >= RARITY_NAMES.length - 1
+      ? "Mythic cards can't be fused"
+      : null;
+
+  const fuseCards = async () => {
+    if (fusionError) {
+      notify(fusionError, "error");
+      return;
+    }
+    if (!confirm(`Burn ${FUSION_SIZE} ${RARITY_NAMES[fusionRarity]} cards to forge a ${RARITY_NAMES[fusionRarity + 1]} card?`)) {
+      return;
+    }
+
+    setFusing(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) throw new Error("Contract not available");
+
+      const tokenIds = Array.from(selectedCards);
+      const receipt = await sendTx(`🔥 Fuse cards #${tokenIds.join(", #")}`, () => contract.fuse(tokenIds));
+
+      const event = receipt.logs.find(
+        (log) => log.topics[0] === contract.interface.getEvent("FusionCommitted").topicHash
+      );
+      if (event) {
+        const parsed = contract.interface.parseLog(event);
+        setPendingFusions((prev) => [
+          ...prev,
+          {
+            commitId: parsed.args.commitId.toString(),
+            rarity: Number(parsed.args.rarity),
+            revealBlock: Number(parsed.args.revealBlock),
+            tokenIds,
+          },
+        ]);
+        setCurrentBlock(receipt.blockNumber);
+      } else {
+        await loadPendingFusions();
+      }
+
+      setSelectedCards(new Set());
+      await loadCards();
+    } catch (error) {
+      console.error("Error fusing cards:", error);
+      notifyError("Failed to fuse cards", error);
+    } finally {
+      setFusing(false);
+    }
+  };
+
+  const revealFusion = async (commitId) => {
+    setFusing(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) throw new Error("Contract not available");
+
+      const receipt = await sendTx(`Reveal fusion #${commitId}`, () => contract.revealMint(commitId));
+
+      const event = receipt.logs.find(
+        (log) => log.topics[0] === contract.interface.getEvent("CardMinted").topicHash
+      );
+      setPendingFusions((prev) => prev.filter((fusion) => fusion.commitId !== commitId));
+      if (event) {
+        const parsed = contract.interface.parseLog(event);
+        notify(`✨ Forged ${RARITY_NAMES[Number(parsed.args.rarity)]} card #${parsed.args.tokenId}!`, "success");
+      }
+      await loadCards();
+    } catch (error) {
+      console.error("Error revealing fusion:", error);
+      notifyError("Failed to reveal fused card", error);
+      await loadPendingFusions();
+    } finally {
+      setFusing(false);
+    }
+  };
+
+  const lendCards = async () => {
+    if (!ethers.isAddress(borrower.trim())) {
+      notify("Please enter a valid borrower address", "error");
+      return;
+    }
+    const hours = Number(lendHours);
+    if (!(hours > 0)) {
+      notify("Rental duration must be greater than 0", "error");
+      return;
+    }
+    const tokenIds = Array.from(selectedCards);
+    const unavailable = selectedCardData.find((card) => card.rentedTo);
+    if (unavailable) {
+      notify(`Card #${unavailable.tokenId} is already lent out`, "error");
+      return;
+    }
+
+    setLending(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) throw new Error("Contract not available");
+
+      const borrowerAddress = ethers.getAddress(borrower.trim());
+      const expires = Math.floor(Date.now() / 1000) + Math.floor(hours * 3600);
+      for (const tokenId of tokenIds) {
+        await sendTx(`🤝 Lend card #${tokenId} to ${formatAddress(borrowerAddress)}`, () =>
+          contract.setUser(tokenId, borrowerAddress, expires)
+        );
+      }
+
+      notify(`Lent ${tokenIds.length} card(s) to ${formatAddress(borrowerAddress)} until ${formatExpiry(expires)}`, "success");
+      setSelectedCards(new Set());
+      setBorrower("");
+    } catch (error) {
+      console.error("Error lending cards:", error);
+      notifyError("Failed to lend cards", error);
+    } finally {
+      setLending(false);
+    }
+    await loadCards();
+  };
+
+  const listCard = async (tokenId) => {
+    const priceInput = prompt(`Asking price for card #${tokenId} (MON):`);
+    if (!priceInput) return;
+
+    let price;
+    try {
+      price = ethers.parseEther(priceInput.trim());
+    } catch {
+      notify("Please enter a valid MON amount", "error");
+      return;
+    }
+    if (price <= 0n) {
+      notify("Price must be greater than 0", "error");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const battleCardContract = await getBattleCardContract();
+      const marketplace = await getMarketplaceContract();
+      if (!battleCardContract || !marketplace) throw new Error("Contracts not available");
+
+      // Listed cards are escrowed by the Marketplace until sold or delisted
+      const marketplaceAddress = ethers.getAddress(MARKETPLACE_ADDRESS);
+      const approved = await battleCardContract.getApproved(tokenId);
+      if (approved.toLowerCase() !== marketplaceAddress.toLowerCase()) {
+        await sendTx(`Approve the Marketplace for card #${tokenId}`, () =>
+          battleCardContract.approve(marketplaceAddress, tokenId)
+        );
+      }
+
+      await sendTx(`🏷️ List card #${tokenId} for ${priceInput.trim()} MON`, () => marketplace.list(tokenId, price));
+      setSelectedCards((prev) => {
+        const next = new Set(prev);
+        next.delete(tokenId);
+        return next;
+      });
+    } catch (error) {
+      console.error("Error listing card:", error);
+      notifyError("Failed to list card", error);
+    } finally {
+      setLoading(false);
+    }
+    await loadCards();
+  };
+
   if (!account) {
     return (
       <div className="text-center py-20">
@@ -130,13 +361,137 @@ export default function Collection({ account }) {
         <button
           onClick={loadCards}
           className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
-          disabled={loading}
+          disabled={loading || cardsLoading}
         >
-          {loading ? "Loading..." : "Refresh"}
+          {cardsLoading ? "Loading..." : "Refresh"}
         </button>
       </div>
 
-      {loading ? (
+      {/* Offers Received */}
+      {offersReceived.length > 0 && (
+        <div className="bg-gray-800 rounded-xl p-6 mb-6 border border-green-500/40">
+          <h2 className="text-xl font-bold text-white mb-4">💰 Offers Received</h2>
+          <div className="space-y-2">
+            {offersReceived.map((offer) => (
+              <div
+                key={offer.offerId}
+                className="flex flex-wrap items-center justify-between gap-2 bg-gray-900 rounded-lg p-3"
+              >
+                <div>
+                  <p className="text-white font-semibold">
+                    {ethers.formatEther(offer.amount)} MON for{" "}
+                    <Link to={`/cards/${offer.tokenId}`} className="underline hover:text-green-300">
+                      card #{offer.tokenId}
+                    </Link>
+                    {offer.listed && <span className="text-xs text-gray-400"> (listed)</span>}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    From {formatAddress(offer.bidder)} · expires at block {offer.expiresAt}
+                  </p>
+                </div>
+                <button
+                  onClick={() => acceptOffer(offer)}
+                  disabled={loading}
+                  className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50"
+                >
+                  Accept
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Fusion Workbench */}
+      <div className="bg-gray-800 rounded-xl p-6 mb-6 border border-orange-500/40">
+        <h2 className="text-xl font-bold text-white mb-2">🔥 Fusion Workbench</h2>
+        <p className="text-gray-400 text-sm mb-4">
+          Burn {FUSION_SIZE} cards of the same rarity to forge one card of the next rarity. The new card is
+          sealed until the next block, then revealed with fresh stats.
+        </p>
+        <div className="flex flex-wrap items-center gap-4">
+          <span className="text-gray-300">
+            {fusionError
+              ? fusionError
+              : `${FUSION_SIZE} ${RARITY_NAMES[fusionRarity]} → 1 ${RARITY_NAMES[fusionRarity + 1]}`}
+          </span>
+          <button
+            onClick={fuseCards}
+            disabled={fusing || paused.cards || fusionError !== null}
+            className="bg-gradient-to-r from-orange-600 to-red-600 hover:from-orange-700 hover:to-red-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {fusing ? "Working..." : "🔥 Fuse Selected"}
+          </button>
+        </div>
+
+        {pendingFusions.length > 0 && (
+          <div className="mt-4 space-y-2">
+            {pendingFusions.map((fusion) => {
+              // revealMint needs the reveal block mined; after the window it forges minimum stats
+              const ready = currentBlock > fusion.revealBlock;
+              const expired = currentBlock > fusion.revealBlock + revealWindow;
+              return (
+                <div
+                  key={fusion.commitId}
+                  className="flex flex-wrap items-center justify-between gap-2 bg-gray-900 rounded-lg p-3"
+                >
+                  <span className="text-gray-300 text-sm">
+                    Sealed {RARITY_NAMES[fusion.rarity]} from cards #{fusion.tokenIds.join(", #")}
+                    {expired && " (reveal window expired: forges minimum stats)"}
+                  </span>
+                  <button
+                    onClick={() => revealFusion(fusion.commitId)}
+                    disabled={fusing || !ready}
+                    className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-1 rounded-lg text-sm disabled:opacity-50"
+                  >
+                    {ready ? "✨ Reveal" : "⏳ Sealed"}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Lend Cards */}
+      <div className="bg-gray-800 rounded-xl p-6 mb-6 border border-teal-500/40">
+        <h2 className="text-xl font-bold text-white mb-2">🤝 Lend Cards</h2>
+        <p className="text-gray-400 text-sm mb-4">
+          Let another player battle with your selected cards for a while. You keep ownership: lent cards can't be sold
+          or won as prizes, and return to you after every battle.
+        </p>
+        <div className="flex flex-wrap gap-4 items-end">
+          <div>
+            <label className="block text-gray-300 text-sm mb-1">Borrower address</label>
+            <input
+              type="text"
+              placeholder="0x..."
+              value={borrower}
+              onChange={(e) => setBorrower(e.target.value)}
+              className="bg-gray-700 text-white rounded-lg px-3 py-2 w-96 max-w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm mb-1">Duration (hours)</label>
+            <input
+              type="number"
+              min="1"
+              value={lendHours}
+              onChange={(e) => setLendHours(e.target.value)}
+              className="bg-gray-700 text-white rounded-lg px-3 py-2 w-32"
+            />
+          </div>
+          <button
+            onClick={lendCards}
+            disabled={lending || selectedCards.size === 0 || !borrower}
+            className="bg-teal-600 hover:bg-teal-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {lending ? "Lending..." : `Lend Selected (${selectedCards.size})`}
+          </button>
+        </div>
+      </div>
+
+      {cardsLoading && cards.length === 0 ? (
         <div className="text-center py-20">
           <p className="text-gray-400">Loading your cards...</p>
         </div>
@@ -158,12 +513,34 @@ export default function Collection({ account }) {
                 tokenId={card.tokenId}
                 selected={selectedCards.has(card.tokenId)}
                 onSelect={() => toggleCardSelection(card.tokenId)}
+                onList={card.rentedTo ? undefined : () => listCard(card.tokenId)}
                 showStats={true}
               />
             ))}
           </div>
         </>
       )}
+
+      {borrowedCards.length > 0 && (
+        <div className="mt-12">
+          <h2 className="text-2xl font-bold text-white mb-2">🤝 Borrowed</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            Cards lent to you by other players. You can battle with them until the rental ends; they always go back to
+            their owner.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+            {borrowedCards.map((card) => (
+              <div key={card.tokenId}>
+                <Card card={card} tokenId={card.tokenId} showStats={true} />
+                <p className="text-xs text-gray-400 mt-2 text-center">
+                  From {formatAddress(card.lender)} · until {formatExpiry(card.rentalExpires)}
+                  {card.inBattle && " · in a battle"}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
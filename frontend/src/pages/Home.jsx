@@ -1,18 +1,140 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { ethers } from "ethers";
 import Card from "../components/Card";
 import ConnectionStatus from "../components/ConnectionStatus";
-import { getBattleCardContract } from "../lib/ethereum";
+import { getBattleCardContract, getProvider } from "../lib/ethereum";
+import { sendTx, notify, notifyError } from "../lib/txManager";
+import { queryEventsSince } from "../lib/indexer";
+// Built by script/build-claims.js; holds the allowlist root and each address's proof
+import claims from "../lib/claims.json";
 
-export default function Home({ account }) {
+// Mirrors BattleCard.CommitStatus and BattleCard.RARE_GUARANTEE_SIZE
+const COMMIT_STATUS = {
+  PENDING: 1,
+};
+const RARE_GUARANTEE_SIZE = 5;
+// Pack sizes offered on the page (BattleCard allows 1 to MAX_PACK_SIZE)
+const PACK_SIZES = [1, 3, 5, 10];
+// Delay between cards when a pack is opened
+const REVEAL_INTERVAL_MS = 700;
+
+export default function Home({ account, paused }) {
   const [loading, setLoading] = useState(false);
-  const [newCard, setNewCard] = useState(null);
+  const [openedCards, setOpenedCards] = useState([]); // Cards from the last opened pack, in mint order
+  const [revealedCount, setRevealedCount] = useState(0);
+  const [pendingMints, setPendingMints] = useState([]); // Array of {commitId, revealBlock, count}
+  const [currentBlock, setCurrentBlock] = useState(0);
+  const [revealWindow, setRevealWindow] = useState(256);
+  const [packSize, setPackSize] = useState(1);
+  const [packPrices, setPackPrices] = useState({}); // Pack size -> price in wei, read from the contract
+  const [supply, setSupply] = useState({ minted: 0, max: 0 }); // max 0 = uncapped
+  const [claim, setClaim] = useState(null); // {proof, price} while this account can claim
   const navigate = useNavigate();
 
+  useEffect(() => {
+    if (account) {
+      loadMintInfo();
+      loadClaim();
+      loadPendingMints();
+    } else {
+      setPendingMints([]);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (pendingMints.length === 0) return;
+    // Track the chain head so sealed packs unlock once their reveal block is mined
+    const updateBlock = async () => {
+      const provider = getProvider();
+      if (!provider) return;
+      try {
+        setCurrentBlock(await provider.getBlockNumber());
+      } catch (error) {
+        console.error("Error reading block number:", error);
+      }
+    };
+    updateBlock();
+    const interval = setInterval(updateBlock, 3000);
+    return () => clearInterval(interval);
+  }, [pendingMints.length]);
+
+  useEffect(() => {
+    if (revealedCount >= openedCards.length) return;
+    // Flip the opened pack's cards one at a time
+    const timeout = setTimeout(() => setRevealedCount((count) => count + 1), REVEAL_INTERVAL_MS);
+    return () => clearTimeout(timeout);
+  }, [revealedCount, openedCards.length]);
+
+  const loadMintInfo = async () => {
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) return;
+
+      const [prices, minted, max] = await Promise.all([
+        Promise.all(PACK_SIZES.map((size) => contract.packPrice(size))),
+        contract.mintCount(),
+        contract.maxSupply(),
+      ]);
+      setPackPrices(Object.fromEntries(PACK_SIZES.map((size, i) => [size, prices[i]])));
+      setSupply({ minted: Number(minted), max: Number(max) });
+    } catch (error) {
+      console.error("Error loading pack prices:", error);
+    }
+  };
+
+  // Eligible when the bundled proofs match the contract's current allowlist and this account hasn't claimed
+  const loadClaim = async () => {
+    setClaim(null);
+    const proof = claims.proofs[ethers.getAddress(account)];
+    if (!proof) return;
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) return;
+
+      const [root, price, claimed] = await Promise.all([
+        contract.claimRoot(),
+        contract.claimPrice(),
+        contract.hasClaimed(account),
+      ]);
+      if (root === claims.root && !claimed) {
+        setClaim({ proof, price });
+      }
+    } catch (error) {
+      console.error("Error checking claim eligibility:", error);
+    }
+  };
+
+  const loadPendingMints = async () => {
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) return;
+
+      setRevealWindow(Number(await contract.REVEAL_WINDOW()));
+
+      // Find every pack this account committed to, then keep the ones still sealed
+      const events = await queryEventsSince(contract, contract.filters.MintCommitted(account));
+      const pending = [];
+      for (const event of events) {
+        const commitId = event.args.commitId.toString();
+        const commit = await contract.mintCommits(commitId);
+        if (Number(commit.status) === COMMIT_STATUS.PENDING) {
+          pending.push({
+            commitId,
+            revealBlock: Number(commit.revealBlock),
+            count: Number(commit.count),
+          });
+        }
+      }
+      setPendingMints(pending);
+    } catch (error) {
+      console.error("Error loading pending mints:", error);
+    }
+  };
+
   const mintCard = async () => {
     if (!account) {
-      alert("Please connect your wallet first");
+      notify("Please connect your wallet first", "error");
       return;
     }
 
@@ -23,60 +145,123 @@ export default function Home({ account }) {
         throw new Error("Contract not available. Make sure contracts are deployed.");
       }
 
-      const mintFee = ethers.parseEther("0.001");
-      const tx = await contract.mintCard({ value: mintFee });
-      console.log("Minting transaction:", tx.hash);
+      // Read the price at send time in case the owner changed it since the page loaded
+      const fee = await contract.packPrice(packSize);
+      const receipt = await sendTx(`Mint a pack of ${packSize}`, () => contract.mintPack(packSize, { value: fee }));
       
-      // Wait for transaction
-      const receipt = await tx.wait();
-      
-      // Find CardMinted event to get token ID
+      // Find MintCommitted event to get the sealed pack
       const event = receipt.logs.find(
         (log) =>
-          log.topics[0] === contract.interface.getEvent("CardMinted").topicHash
+          log.topics[0] === contract.interface.getEvent("MintCommitted").topicHash
       );
 
       if (event) {
         const parsed = contract.interface.parseLog(event);
-        const tokenId = parsed.args.tokenId;
-        
-        // Fetch card data
-        const cardData = await contract.getCard(tokenId);
-        // Convert BigInt values to numbers for display
-        setNewCard({
-          tokenId: tokenId.toString(),
-          power: Number(cardData.power) || 0,
-          defense: Number(cardData.defense) || 0,
-          speed: Number(cardData.speed) || 0,
-          character: Number(cardData.character) || 0,
-          rarity: Number(cardData.rarity) || 0,
-        });
-        
-        alert(`✅ Card #${tokenId} minted successfully!`);
+        setPendingMints((prev) => [
+          ...prev,
+          {
+            commitId: parsed.args.commitId.toString(),
+            revealBlock: Number(parsed.args.revealBlock),
+            count: packSize,
+          },
+        ]);
+        setCurrentBlock(receipt.blockNumber);
       } else {
-        // Fallback: try to get the latest token ID
-        const nextId = await contract.nextId();
-        const tokenId = nextId - 1n;
-        const cardData = await contract.getCard(tokenId);
-        // Convert BigInt values to numbers for display
-        setNewCard({
-          tokenId: tokenId.toString(),
-          power: Number(cardData.power) || 0,
-          defense: Number(cardData.defense) || 0,
-          speed: Number(cardData.speed) || 0,
-          character: Number(cardData.character) || 0,
-          rarity: Number(cardData.rarity) || 0,
-        });
-        alert(`✅ Card #${tokenId} minted successfully!`);
+        await loadPendingMints();
       }
     } catch (error) {
       console.error("Error minting card:", error);
-      alert(`Failed to mint card: ${error.message}`);
+      notifyError("Failed to mint card", error);
     } finally {
       setLoading(false);
     }
+    await loadMintInfo();
   };
 
+  const claimCard = async () => {
+    setLoading(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) {
+        throw new Error("Contract not available. Make sure contracts are deployed.");
+      }
+
+      const receipt = await sendTx("Claim allowlist card", () => contract.claimMint(claim.proof, { value: claim.price }));
+
+      const event = receipt.logs.find(
+        (log) => log.topics[0] === contract.interface.getEvent("MintCommitted").topicHash
+      );
+      if (event) {
+        const parsed = contract.interface.parseLog(event);
+        setPendingMints((prev) => [
+          ...prev,
+          {
+            commitId: parsed.args.commitId.toString(),
+            revealBlock: Number(parsed.args.revealBlock),
+            count: 1,
+          },
+        ]);
+        setCurrentBlock(receipt.blockNumber);
+      } else {
+        await loadPendingMints();
+      }
+      setClaim(null);
+    } catch (error) {
+      console.error("Error claiming card:", error);
+      notifyError("Failed to claim card", error);
+    } finally {
+      setLoading(false);
+    }
+    await loadMintInfo();
+  };
+
+  const openPack = async (commitId) => {
+    setLoading(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) {
+        throw new Error("Contract not available. Make sure contracts are deployed.");
+      }
+
+      const receipt = await sendTx(`Open pack #${commitId}`, () => contract.revealMint(commitId));
+
+      // Every card of the pack is minted in this transaction, one CardMinted event each
+      const cardMintedTopic = contract.interface.getEvent("CardMinted").topicHash;
+      const minted = receipt.logs
+        .filter((log) => log.topics[0] === cardMintedTopic)
+        .map((log) => {
+          const parsed = contract.interface.parseLog(log);
+          // Convert BigInt values to numbers for display
+          return {
+            tokenId: parsed.args.tokenId.toString(),
+            power: Number(parsed.args.power) || 0,
+            defense: Number(parsed.args.defense) || 0,
+            speed: Number(parsed.args.speed) || 0,
+            character: Number(parsed.args.character) || 0,
+            rarity: Number(parsed.args.rarity) || 0,
+          };
+        });
+      setPendingMints((prev) => prev.filter((mint) => mint.commitId !== commitId));
+
+      if (minted.length > 0) {
+        console.log(`✅ Opened pack #${commitId}: cards #${minted.map((card) => card.tokenId).join(", #")}`);
+        setOpenedCards(minted);
+        setRevealedCount(0);
+      }
+    } catch (error) {
+      console.error("Error opening pack:", error);
+      notifyError("Failed to open pack", error);
+      await loadPendingMints();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const price = packPrices[packSize];
+  const priceLabel = price === undefined ? "..." : `${ethers.formatEther(price)} MON`;
+  const soldOut = supply.max > 0 && supply.minted + packSize > supply.max;
+  const packOpening = revealedCount < openedCards.length;
+
   return (
     <div className="container mx-auto px-4 py-12">
       <div className="text-center mb-12">
@@ -100,61 +285,148 @@ export default function Home({ account }) {
             🎴 Generate Your Battle Card
           </h2>
           <p className="text-gray-300 text-center mb-6">
-            Pay <span className="text-yellow-400 font-bold">0.001 MON</span> to mint a randomly-generated
-            battle card with unique stats and rarity!
+            Buy a sealed pack, then open it a block later to reveal randomly-generated battle cards with unique
+            stats and rarity! Packs of {RARE_GUARANTEE_SIZE} or more always include a Rare or better.
           </p>
 
+          {account && claim && (
+            <div className="bg-green-500/10 border border-green-500/60 rounded-lg p-4 mb-6 flex flex-wrap items-center justify-between gap-4">
+              <p className="text-green-300">
+                🎉 You're on the allowlist!{" "}
+                {claim.price === 0n
+                  ? "Claim a free sealed pack."
+                  : `Claim a sealed pack for ${ethers.formatEther(claim.price)} MON.`}
+              </p>
+              <button
+                onClick={claimCard}
+                disabled={loading || paused.cards}
+                className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                🎁 {claim.price === 0n ? "Claim free card" : "Claim card"}
+              </button>
+            </div>
+          )}
+
           {!account ? (
             <div className="text-center py-8">
               <p className="text-gray-400 mb-4">Please connect your wallet to mint a card</p>
             </div>
           ) : (
             <div className="text-center">
+              {supply.max > 0 && (
+                <p className="text-gray-400 text-sm mb-4">
+                  {supply.minted} / {supply.max} cards minted
+                </p>
+              )}
+              <div className="flex justify-center gap-3 mb-6">
+                {PACK_SIZES.map((size) => (
+                  <button
+                    key={size}
+                    onClick={() => setPackSize(size)}
+                    className={`px-4 py-2 rounded-lg border-2 text-sm font-semibold ${
+                      packSize === size
+                        ? "border-purple-500 bg-purple-500/20 text-white"
+                        : "border-gray-600 text-gray-300 hover:border-gray-400"
+                    }`}
+                  >
+                    {size === 1 ? "1 card" : `${size}-pack`}
+                    {packPrices[size] !== undefined && (
+                      <span className="block text-xs text-yellow-400">{ethers.formatEther(packPrices[size])} MON</span>
+                    )}
+                    {size >= RARE_GUARANTEE_SIZE && <span className="block text-xs text-blue-400">Rare+ guaranteed</span>}
+                  </button>
+                ))}
+              </div>
               <button
                 onClick={mintCard}
-                disabled={loading}
+                disabled={loading || soldOut || paused.cards || price === undefined}
                 className={`bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-bold py-4 px-8 rounded-lg text-lg shadow-lg transition-all transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none`}
               >
                 {loading ? (
                   <span className="flex items-center gap-2">
                     <span className="animate-spin">⚙️</span>
-                    Minting...
+                    Waiting for confirmation...
                   </span>
+                ) : soldOut ? (
+                  "Sold Out"
+                ) : paused.cards ? (
+                  "⏸️ Minting Paused"
                 ) : (
-                  "🎴 Generate Card — 0.001 MON"
+                  `🎴 ${packSize === 1 ? "Generate Card" : `Buy ${packSize}-Pack`} — ${priceLabel}`
                 )}
               </button>
             </div>
           )}
 
-          {/* Newly Minted Card */}
-          {newCard && (
+          {/* Sealed Packs */}
+          {pendingMints.length > 0 && (
+            <div className="mt-8">
+              <h3 className="text-xl font-bold text-white mb-4 text-center">🎁 Sealed Packs</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                {pendingMints.map((mint) => (
+                  <SealedPack
+                    key={mint.commitId}
+                    mint={mint}
+                    currentBlock={currentBlock}
+                    revealWindow={revealWindow}
+                    loading={loading}
+                    onOpen={() => openPack(mint.commitId)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Opened Pack */}
+          {openedCards.length > 0 && (
             <div className="mt-8">
               <div className="bg-green-500/20 border border-green-500 rounded-lg p-4 mb-4">
                 <p className="text-green-400 font-semibold text-center">
-                  ✨ New Card Minted! ✨
+                  {packOpening
+                    ? `✨ Opening pack... ${revealedCount} / ${openedCards.length}`
+                    : `✨ ${openedCards.length === 1 ? "New Card Minted!" : `${openedCards.length} New Cards Minted!`} ✨`}
                 </p>
               </div>
-              <div className="flex justify-center">
-                <div className="w-full max-w-sm">
-                  <Card card={newCard} tokenId={newCard.tokenId} showStats={true} />
-                </div>
+              <div className="flex flex-wrap justify-center gap-6">
+                {openedCards.map((card, i) => (
+                  <div key={card.tokenId} className="w-full max-w-xs">
+                    {i < revealedCount ? (
+                      <Card card={card} tokenId={card.tokenId} showStats={true} />
+                    ) : (
+                      <div className="h-full min-h-[20rem] bg-gradient-to-br from-purple-800 to-blue-900 rounded-xl border-2 border-purple-500/60 flex items-center justify-center text-6xl">
+                        🎴
+                      </div>
+                    )}
+                  </div>
+                ))}
               </div>
               <div className="mt-6 text-center">
-                <button
-                  onClick={() => navigate("/collection")}
-                  className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-semibold mr-4"
-                >
-                  View Collection
-                </button>
-                <button
-                  onClick={() => {
-                    setNewCard(null);
-                  }}
-                  className="bg-gray-600 hover:bg-gray-700 text-white px-6 py-2 rounded-lg font-semibold"
-                >
-                  Mint Another
-                </button>
+                {packOpening ? (
+                  <button
+                    onClick={() => setRevealedCount(openedCards.length)}
+                    className="bg-gray-600 hover:bg-gray-700 text-white px-6 py-2 rounded-lg font-semibold"
+                  >
+                    Reveal All
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => navigate("/collection")}
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-semibold mr-4"
+                    >
+                      View Collection
+                    </button>
+                    <button
+                      onClick={() => {
+                        setOpenedCards([]);
+                        setRevealedCount(0);
+                      }}
+                      className="bg-gray-600 hover:bg-gray-700 text-white px-6 py-2 rounded-lg font-semibold"
+                    >
+                      Mint Another
+                    </button>
+                  </>
+                )}
               </div>
             </div>
           )}
@@ -165,8 +437,8 @@ export default function Home({ account }) {
           <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
             <h3 className="text-xl font-bold text-white mb-2">🎲 Random Generation</h3>
             <p className="text-gray-300 text-sm">
-              Each card has randomly generated stats, character type, and rarity based on on-chain
-              randomness.
+              Each card has randomly generated stats, character type, and rarity, sealed at purchase
+              and rolled from a future block so nobody can pick their outcome.
             </p>
           </div>
           <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
@@ -186,3 +458,35 @@ export default function Home({ account }) {
     </div>
   );
 }
+
+function SealedPack({ mint, currentBlock, revealWindow, loading, onOpen }) {
+  // revealMint needs the reveal block mined; after the window it opens as the lowest possible roll
+  const ready = currentBlock > mint.revealBlock;
+  const expired = currentBlock > mint.revealBlock + revealWindow;
+
+  return (
+    <div className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl p-4 shadow-lg border-2 border-purple-500/60 text-center">
+      <div className="w-20 h-20 mx-auto mb-2 rounded-full bg-gradient-to-br from-purple-700 to-blue-700 flex items-center justify-center text-4xl">
+        🎁
+      </div>
+      <h4 className="text-lg font-bold text-white">Sealed Pack #{mint.commitId}</h4>
+      <p className="text-sm text-gray-300">
+        {mint.count} {mint.count === 1 ? "card" : "cards"}
+      </p>
+      <p className="text-xs text-gray-400 mb-3">
+        {expired
+          ? "Reveal window expired: opens as Common cards with minimum stats"
+          : ready
+          ? `Open before block ${mint.revealBlock + revealWindow}`
+          : `Sealing... waiting for block ${mint.revealBlock + 1}`}
+      </p>
+      <button
+        onClick={onOpen}
+        disabled={loading || !ready}
+        className="w-full bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {ready ? "✨ Open Pack" : "⏳ Sealed"}
+      </button>
+    </div>
+  );
+}
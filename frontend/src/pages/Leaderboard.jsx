@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from "react";
+import { getBattleManagerContract, formatAddress } from "../lib/ethereum";
+
+// Rank players by rating, then by wins for equal ratings
+const compareEntries = (a, b) => b.rating - a.rating || b.wins - a.wins;
+
+export default function Leaderboard({ account }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (account) {
+      loadLeaderboard();
+    }
+  }, [account]);
+
+  const loadLeaderboard = async () => {
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) {
+        console.error("Contract not available");
+        return;
+      }
+
+      const players = await managerContract.getPlayers();
+      console.log(`🏆 Loading ladder for ${players.length} players`);
+
+      const stats = await Promise.all(
+        players.map(async (player) => {
+          const playerStats = await managerContract.getPlayerStats(player);
+          return {
+            player,
+            rating: Number(playerStats.rating),
+            wins: Number(playerStats.wins),
+            losses: Number(playerStats.losses),
+            draws: Number(playerStats.draws),
+          };
+        })
+      );
+      setEntries(stats.sort(compareEntries));
+    } catch (error) {
+      console.error("Error loading leaderboard:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400 text-lg">Please connect your wallet to view the leaderboard</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-white">🏆 Leaderboard</h1>
+        <button
+          onClick={loadLeaderboard}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+          disabled={loading}
+        >
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      <p className="text-gray-400 text-sm mb-4">
+        Elo ratings start at 1200 and update on-chain every time a battle resolves.
+      </p>
+
+      {loading && entries.length === 0 ? (
+        <div className="text-center py-20">
+          <p className="text-gray-400">Loading leaderboard...</p>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-20">
+          <p className="text-gray-400 text-lg">No rated players yet. Finish a battle to get on the ladder!</p>
+        </div>
+      ) : (
+        <div className="bg-gray-800 rounded-lg overflow-hidden">
+          <table className="w-full text-left">
+            <thead className="bg-gray-900 text-gray-400 text-sm">
+              <tr>
+                <th className="px-4 py-3">Rank</th>
+                <th className="px-4 py-3">Player</th>
+                <th className="px-4 py-3 text-right">Rating</th>
+                <th className="px-4 py-3 text-right">Wins</th>
+                <th className="px-4 py-3 text-right">Losses</th>
+                <th className="px-4 py-3 text-right">Draws</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, index) => {
+                const isYou = entry.player.toLowerCase() === account.toLowerCase();
+                return (
+                  <tr
+                    key={entry.player}
+                    className={`border-t border-gray-700 ${isYou ? "bg-blue-900/40" : ""}`}
+                  >
+                    <td className="px-4 py-3 text-white font-bold">#{index + 1}</td>
+                    <td className="px-4 py-3 text-gray-300">
+                      {formatAddress(entry.player)}
+                      {isYou && <span className="ml-2 text-blue-400 text-sm font-semibold">(You)</span>}
+                    </td>
+                    <td className="px-4 py-3 text-right text-yellow-400 font-semibold">{entry.rating}</td>
+                    <td className="px-4 py-3 text-right text-green-400">{entry.wins}</td>
+                    <td className="px-4 py-3 text-right text-red-400">{entry.losses}</td>
+                    <td className="px-4 py-3 text-right text-gray-400">{entry.draws}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
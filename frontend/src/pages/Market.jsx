@@ -0,0 +1,302 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import Card from "../components/Card";
+import { getBattleCardContract, getMarketplaceContract, formatAddress } from "../lib/ethereum";
+import { getCardStats } from "../lib/useOwnedCards";
+import { sendTx, notify, notifyError } from "../lib/txManager";
+
+const CHARACTER_NAMES = ["Warrior", "Mage", "Cavalry", "Prince"];
+const RARITY_NAMES = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
+
+const EMPTY_FILTERS = {
+  rarity: "",
+  character: "",
+  minPower: "",
+  maxPower: "",
+  minDefense: "",
+  maxDefense: "",
+  minSpeed: "",
+  maxSpeed: "",
+};
+
+// Empty bounds are open-ended
+const inRange = (value, min, max) =>
+  (min === "" || value >= Number(min)) && (max === "" || value <= Number(max));
+
+export default function Market({ account }) {
+  const [listings, setListings] = useState([]); // Array of {tokenId, seller, price, ...card}
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sortBy, setSortBy] = useState("priceAsc");
+  const [loading, setLoading] = useState(false);
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    if (account) {
+      loadListings();
+    }
+  }, [account]);
+
+  const loadListings = async () => {
+    setLoading(true);
+    try {
+      const marketplace = await getMarketplaceContract();
+      const battleCardContract = await getBattleCardContract();
+      if (!marketplace || !battleCardContract) {
+        console.error("Marketplace contract not available");
+        return;
+      }
+
+      const tokenIds = await marketplace.getListedTokens();
+      const loaded = await Promise.all(
+        tokenIds.map(async (id) => {
+          const [listing, card] = await Promise.all([
+            marketplace.listings(id),
+            getCardStats(battleCardContract, id),
+          ]);
+          return { ...card, seller: listing.seller, price: listing.price };
+        })
+      );
+      console.log(`🏪 Loaded ${loaded.length} listings`);
+      setListings(loaded);
+    } catch (error) {
+      console.error("Error loading listings:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const buyCard = async (listing) => {
+    if (!confirm(`Buy card #${listing.tokenId} for ${ethers.formatEther(listing.price)} MON?`)) return;
+
+    setPending(true);
+    try {
+      const marketplace = await getMarketplaceContract();
+      if (!marketplace) throw new Error("Contract not available");
+
+      await sendTx(`🛒 Buy card #${listing.tokenId}`, () => marketplace.buy(listing.tokenId, { value: listing.price }));
+      notify(`Card #${listing.tokenId} is yours!`, "success");
+      await loadListings();
+    } catch (error) {
+      console.error("Error buying card:", error);
+      notifyError("Failed to buy card", error);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const delistCard = async (tokenId) => {
+    setPending(true);
+    try {
+      const marketplace = await getMarketplaceContract();
+      if (!marketplace) throw new Error("Contract not available");
+
+      await sendTx(`Delist card #${tokenId}`, () => marketplace.delist(tokenId));
+      notify(`Card #${tokenId} returned to your collection.`, "success");
+      await loadListings();
+    } catch (error) {
+      console.error("Error delisting card:", error);
+      notifyError("Failed to delist card", error);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const updatePrice = async (tokenId) => {
+    const priceInput = prompt(`New price for card #${tokenId} (MON):`);
+    if (!priceInput) return;
+
+    let price;
+    try {
+      price = ethers.parseEther(priceInput.trim());
+    } catch {
+      notify("Please enter a valid MON amount", "error");
+      return;
+    }
+
+    setPending(true);
+    try {
+      const marketplace = await getMarketplaceContract();
+      if (!marketplace) throw new Error("Contract not available");
+
+      await sendTx(`Reprice card #${tokenId} to ${priceInput.trim()} MON`, () => marketplace.updatePrice(tokenId, price));
+      await loadListings();
+    } catch (error) {
+      console.error("Error updating price:", error);
+      notifyError("Failed to update price", error);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const visibleListings = listings
+    .filter(
+      (listing) =>
+        (filters.rarity === "" || listing.rarity === Number(filters.rarity)) &&
+        (filters.character === "" || listing.character === Number(filters.character)) &&
+        inRange(listing.power, filters.minPower, filters.maxPower) &&
+        inRange(listing.defense, filters.minDefense, filters.maxDefense) &&
+        inRange(listing.speed, filters.minSpeed, filters.maxSpeed)
+    )
+    .sort((a, b) => {
+      if (sortBy === "priceDesc") return a.price < b.price ? 1 : a.price > b.price ? -1 : 0;
+      if (sortBy === "score") return b.power + b.defense + b.speed - (a.power + a.defense + a.speed);
+      return a.price > b.price ? 1 : a.price < b.price ? -1 : 0;
+    });
+
+  if (!account) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400 text-lg">Please connect your wallet to browse the market</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-white">🏪 Market</h1>
+        <button
+          onClick={loadListings}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+          disabled={loading}
+        >
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-gray-800 rounded-xl p-6 mb-6 border border-gray-700">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-gray-300 text-sm mb-1">Rarity</label>
+            <select
+              value={filters.rarity}
+              onChange={(e) => updateFilter("rarity", e.target.value)}
+              className="w-full bg-gray-700 text-white rounded-lg px-3 py-2"
+            >
+              <option value="">Any</option>
+              {RARITY_NAMES.map((name, i) => (
+                <option key={name} value={i}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm mb-1">Character</label>
+            <select
+              value={filters.character}
+              onChange={(e) => updateFilter("character", e.target.value)}
+              className="w-full bg-gray-700 text-white rounded-lg px-3 py-2"
+            >
+              <option value="">Any</option>
+              {CHARACTER_NAMES.map((name, i) => (
+                <option key={name} value={i}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm mb-1">Sort</label>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="w-full bg-gray-700 text-white rounded-lg px-3 py-2"
+            >
+              <option value="priceAsc">Price: low to high</option>
+              <option value="priceDesc">Price: high to low</option>
+              <option value="score">Total score</option>
+            </select>
+          </div>
+          {[
+            ["Power", "minPower", "maxPower"],
+            ["Defense", "minDefense", "maxDefense"],
+            ["Speed", "minSpeed", "maxSpeed"],
+          ].map(([label, minKey, maxKey]) => (
+            <div key={label}>
+              <label className="block text-gray-300 text-sm mb-1">{label}</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Min"
+                  value={filters[minKey]}
+                  onChange={(e) => updateFilter(minKey, e.target.value)}
+                  className="w-full bg-gray-700 text-white rounded-lg px-3 py-2"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Max"
+                  value={filters[maxKey]}
+                  onChange={(e) => updateFilter(maxKey, e.target.value)}
+                  className="w-full bg-gray-700 text-white rounded-lg px-3 py-2"
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setFilters(EMPTY_FILTERS)}
+          className="mt-4 text-sm text-gray-400 hover:text-white"
+        >
+          Clear filters
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-20">
+          <p className="text-gray-400">Loading listings...</p>
+        </div>
+      ) : visibleListings.length === 0 ? (
+        <div className="text-center py-20">
+          <p className="text-gray-400 text-lg">No cards for sale match these filters.</p>
+          <p className="text-gray-500 mt-2">List your own cards from the Collection page.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+          {visibleListings.map((listing) => {
+            const isMine = listing.seller.toLowerCase() === account.toLowerCase();
+            return (
+              <div key={listing.tokenId}>
+                <Card
+                  card={listing}
+                  tokenId={listing.tokenId}
+                  price={ethers.formatEther(listing.price)}
+                  onBuy={isMine || pending ? undefined : () => buyCard(listing)}
+                  showStats={true}
+                />
+                <p className="text-xs text-gray-400 mt-2 text-center">
+                  Seller: {isMine ? "You" : formatAddress(listing.seller)}
+                </p>
+                {isMine && (
+                  <div className="flex gap-2 mt-2">
+                    <button
+                      onClick={() => updatePrice(listing.tokenId)}
+                      disabled={pending}
+                      className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-sm disabled:opacity-50"
+                    >
+                      Change Price
+                    </button>
+                    <button
+                      onClick={() => delistCard(listing.tokenId)}
+                      disabled={pending}
+                      className="flex-1 bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded-lg text-sm disabled:opacity-50"
+                    >
+                      Delist
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
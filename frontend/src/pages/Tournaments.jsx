@@ -0,0 +1,517 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import Card from "../components/Card";
+import {
+  getBattleCardContract,
+  getTournamentContract,
+  getProvider,
+  formatAddress,
+  TOURNAMENT_ADDRESS,
+} from "../lib/ethereum";
+import { useOwnedCards } from "../lib/useOwnedCards";
+import { sendTx, notify, notifyError } from "../lib/txManager";
+
+// Mirrors Tournament.TournamentStatus
+const TOURNAMENT_STATUS = {
+  0: "Registration",
+  1: "In Progress",
+  2: "Completed",
+  3: "Cancelled",
+};
+
+const BRACKET_SIZES = [2, 4, 8, 16];
+
+// Round labels counted back from the final
+const roundName = (round, totalRounds) => {
+  const remaining = totalRounds - round;
+  if (remaining === 1) return "Final";
+  if (remaining === 2) return "Semifinals";
+  if (remaining === 3) return "Quarterfinals";
+  return `Round ${round + 1}`;
+};
+
+export default function Tournaments({ account }) {
+  const [tournaments, setTournaments] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [details, setDetails] = useState(null); // Selected tournament with registrants and bracket rounds
+  const { cards: userCards, refresh: loadUserCards } = useOwnedCards(account);
+  const [selectedCards, setSelectedCards] = useState([]);
+  const [currentBlock, setCurrentBlock] = useState(0);
+  const [isOwner, setIsOwner] = useState(false);
+  const [newTournament, setNewTournament] = useState({ name: "", entryFee: "", size: 8, registrationBlocks: 3600 });
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (account) {
+      loadTournaments();
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (selectedId === null || !account) return;
+    loadDetails(selectedId);
+    // Poll so the bracket fills in live as rounds are played
+    const interval = setInterval(() => {
+      loadDetails(selectedId);
+    }, 3000);
+    return () => clearInterval(interval);
+  }, [selectedId, account]);
+
+  const loadTournaments = async () => {
+    try {
+      const contract = await getTournamentContract();
+      if (!contract) {
+        console.error("Tournament contract not available");
+        return;
+      }
+
+      const owner = await contract.owner();
+      setIsOwner(owner.toLowerCase() === account.toLowerCase());
+
+      const count = Number(await contract.tournamentCount());
+      const list = await Promise.all(
+        Array.from({ length: count }, async (_, id) => {
+          const info = await contract.tournaments(id);
+          const registrants = await contract.getRegistrants(id);
+          return {
+            id,
+            name: info.name,
+            entryFee: info.entryFee,
+            size: Number(info.size),
+            status: Number(info.status),
+            prizePool: info.prizePool,
+            registered: registrants.length,
+          };
+        })
+      );
+      setTournaments(list.reverse()); // Newest first
+    } catch (error) {
+      console.error("Error loading tournaments:", error);
+    }
+  };
+
+  const loadDetails = async (tournamentId) => {
+    try {
+      const contract = await getTournamentContract();
+      if (!contract) return;
+
+      const provider = getProvider();
+      if (provider) {
+        setCurrentBlock(await provider.getBlockNumber());
+      }
+
+      const info = await contract.tournaments(tournamentId);
+      const size = Number(info.size);
+      const totalRounds = Math.log2(size);
+      const registrants = await contract.getRegistrants(tournamentId);
+      const seedBlock = Number(await contract.roundSeedBlocks(tournamentId));
+
+      // Round 0 is the seeded bracket; round totalRounds holds the champion
+      const rounds = [];
+      if (Number(info.status) !== 0) {
+        for (let round = 0; round <= totalRounds; round++) {
+          rounds.push(await contract.getRound(tournamentId, round));
+        }
+      }
+
+      setDetails({
+        id: tournamentId,
+        name: info.name,
+        entryFee: info.entryFee,
+        size,
+        totalRounds,
+        currentRound: Number(info.currentRound),
+        status: Number(info.status),
+        registrationDeadline: Number(info.registrationDeadline),
+        seedBlock,
+        prizePool: info.prizePool,
+        champion: info.champion,
+        runnerUp: info.runnerUp,
+        registrants,
+        rounds,
+      });
+    } catch (error) {
+      console.error("Error loading tournament:", error);
+    }
+  };
+
+  const toggleCardSelection = (tokenId) => {
+    if (!selectedCards.includes(tokenId) && selectedCards.length >= 3) {
+      notify("You can only select 3 cards for your lineup", "error");
+      return;
+    }
+    setSelectedCards((prev) => (prev.includes(tokenId) ? prev.filter((id) => id !== tokenId) : [...prev, tokenId]));
+  };
+
+  const createTournament = async () => {
+    if (!newTournament.name) {
+      notify("Please enter a tournament name", "error");
+      return;
+    }
+    setLoading(true);
+    try {
+      const contract = await getTournamentContract();
+      if (!contract) throw new Error("Contract not available");
+
+      const entryFee = newTournament.entryFee ? ethers.parseEther(newTournament.entryFee) : 0n;
+      await sendTx(`Create tournament "${newTournament.name}"`, () =>
+        contract.createTournament(
+          newTournament.name,
+          entryFee,
+          Number(newTournament.size),
+          Number(newTournament.registrationBlocks)
+        )
+      );
+      setNewTournament({ name: "", entryFee: "", size: 8, registrationBlocks: 3600 });
+      await loadTournaments();
+    } catch (error) {
+      console.error("Error creating tournament:", error);
+      notifyError("Failed to create tournament", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const register = async () => {
+    if (!details || selectedCards.length !== 3) {
+      notify("Please select exactly 3 cards", "error");
+      return;
+    }
+    setLoading(true);
+    try {
+      const battleCardContract = await getBattleCardContract();
+      const contract = await getTournamentContract();
+      if (!battleCardContract || !contract) throw new Error("Contracts not available");
+
+      // Lineups are escrowed by the Tournament contract until you're knocked out
+      const tournamentAddress = ethers.getAddress(TOURNAMENT_ADDRESS);
+      const approvalsNeeded = [];
+      for (const tokenId of selectedCards) {
+        const approved = await battleCardContract.getApproved(tokenId);
+        if (approved.toLowerCase() !== tournamentAddress.toLowerCase()) {
+          approvalsNeeded.push(tokenId);
+        }
+      }
+      if (approvalsNeeded.length > 0) {
+        console.log(`📝 Approving ${approvalsNeeded.length} cards for Tournament...`);
+        await sendTx(`Approve the Tournament for ${approvalsNeeded.length} card(s)`, () =>
+          battleCardContract.batchApprove(tournamentAddress, approvalsNeeded)
+        );
+      }
+
+      await sendTx(`Register for ${details.name}`, () =>
+        contract.register(details.id, selectedCards, { value: details.entryFee })
+      );
+      notify("Registered! Your lineup is locked until you're eliminated.", "success");
+      setSelectedCards([]);
+      await Promise.all([loadDetails(details.id), loadTournaments(), loadUserCards()]);
+    } catch (error) {
+      console.error("Error registering:", error);
+      notifyError("Failed to register", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const playRound = async () => {
+    if (!details) return;
+    setLoading(true);
+    try {
+      const contract = await getTournamentContract();
+      if (!contract) throw new Error("Contract not available");
+
+      await sendTx(`Play round of ${details.name}`, () => contract.playRound(details.id));
+      await Promise.all([loadDetails(details.id), loadTournaments(), loadUserCards()]);
+    } catch (error) {
+      console.error("Error playing round:", error);
+      notifyError("Failed to play round", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTournament = async () => {
+    if (!details) return;
+    setLoading(true);
+    try {
+      const contract = await getTournamentContract();
+      if (!contract) throw new Error("Contract not available");
+
+      await sendTx(`Cancel ${details.name}`, () => contract.cancelTournament(details.id));
+      notify("Tournament cancelled. Entry fees and lineups have been returned.", "success");
+      await Promise.all([loadDetails(details.id), loadTournaments(), loadUserCards()]);
+    } catch (error) {
+      console.error("Error cancelling tournament:", error);
+      notifyError("Failed to cancel tournament", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400 text-lg">Please connect your wallet to view tournaments</p>
+      </div>
+    );
+  }
+
+  if (!TOURNAMENT_ADDRESS) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400 text-lg">Tournaments are not configured. Set VITE_TOURNAMENT_ADDRESS in frontend/.env</p>
+      </div>
+    );
+  }
+
+  const isRegistered = details?.registrants.some((player) => player.toLowerCase() === account.toLowerCase());
+  const registrationOpen = details?.status === 0 && currentBlock <= details.registrationDeadline;
+  // A round's coin flips come from its seed block's hash, so it can be played once that block is mined
+  const roundReady = details?.status === 1 && currentBlock >= details.seedBlock;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-white">🏟️ Tournaments</h1>
+        <button
+          onClick={loadTournaments}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+          disabled={loading}
+        >
+          Refresh
+        </button>
+      </div>
+
+      {/* Create Tournament (owner only) */}
+      {isOwner && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-6">
+          <h2 className="text-xl font-bold text-white mb-4">Create Tournament</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <input
+              type="text"
+              value={newTournament.name}
+              onChange={(e) => setNewTournament({ ...newTournament, name: e.target.value })}
+              placeholder="Weekly Cup"
+              className="bg-gray-700 text-white px-4 py-2 rounded-lg"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.001"
+              value={newTournament.entryFee}
+              onChange={(e) => setNewTournament({ ...newTournament, entryFee: e.target.value })}
+              placeholder="Entry fee (MON)"
+              className="bg-gray-700 text-white px-4 py-2 rounded-lg"
+            />
+            <select
+              value={newTournament.size}
+              onChange={(e) => setNewTournament({ ...newTournament, size: e.target.value })}
+              className="bg-gray-700 text-white px-4 py-2 rounded-lg"
+            >
+              {BRACKET_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size} players
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={newTournament.registrationBlocks}
+              onChange={(e) => setNewTournament({ ...newTournament, registrationBlocks: e.target.value })}
+              placeholder="Registration blocks"
+              className="bg-gray-700 text-white px-4 py-2 rounded-lg"
+            />
+          </div>
+          <button
+            onClick={createTournament}
+            disabled={loading}
+            className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            {loading ? "Creating..." : "Create Tournament"}
+          </button>
+        </div>
+      )}
+
+      {/* Tournament List */}
+      {tournaments.length === 0 ? (
+        <div className="text-center py-10">
+          <p className="text-gray-400">No tournaments yet.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-8">
+          {tournaments.map((tournament) => (
+            <div
+              key={tournament.id}
+              onClick={() => setSelectedId(tournament.id)}
+              className={`bg-gray-800 rounded-lg p-4 cursor-pointer border transition-colors ${
+                selectedId === tournament.id ? "border-blue-500" : "border-gray-700 hover:bg-gray-700"
+              }`}
+            >
+              <div className="flex justify-between items-start mb-2">
+                <h3 className="text-lg font-bold text-white">{tournament.name}</h3>
+                <span className="text-xs text-gray-400">{TOURNAMENT_STATUS[tournament.status]}</span>
+              </div>
+              <p className="text-sm text-gray-300">
+                Players: {tournament.registered} / {tournament.size}
+              </p>
+              <p className="text-sm text-gray-300">Entry: {ethers.formatEther(tournament.entryFee)} MON</p>
+              <p className="text-sm text-yellow-400">Prize pool: {ethers.formatEther(tournament.prizePool)} MON</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Selected Tournament */}
+      {details && (
+        <div className="bg-gray-800 rounded-lg p-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h2 className="text-2xl font-bold text-white">{details.name}</h2>
+              <p className="text-gray-400 text-sm">
+                {TOURNAMENT_STATUS[details.status]} · {details.registrants.length}/{details.size} players · Prize pool{" "}
+                {ethers.formatEther(details.prizePool)} MON (70% / 30%)
+              </p>
+              {details.status === 0 && (
+                <p className="text-gray-400 text-sm">
+                  {registrationOpen
+                    ? `Registration closes in ${details.registrationDeadline - currentBlock} blocks`
+                    : "Registration closed without filling the bracket"}
+                </p>
+              )}
+            </div>
+            <div className="flex gap-2">
+              {details.status === 1 && (
+                <button
+                  onClick={playRound}
+                  disabled={loading || !roundReady}
+                  className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  {loading
+                    ? "Playing..."
+                    : roundReady
+                    ? `Play ${roundName(details.currentRound, details.totalRounds)}`
+                    : "Waiting for seed block..."}
+                </button>
+              )}
+              {details.status === 0 && (isOwner || !registrationOpen) && (
+                <button
+                  onClick={cancelTournament}
+                  disabled={loading}
+                  className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  Cancel &amp; Refund
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Champion */}
+          {details.status === 2 && (
+            <div className="bg-gray-900 rounded-lg p-4 mb-4">
+              <p className="text-xl font-bold text-yellow-400">
+                🏆 Champion: {details.champion.toLowerCase() === account.toLowerCase() ? "You!" : formatAddress(details.champion)}
+              </p>
+              <p className="text-gray-300">
+                🥈 Runner-up: {details.runnerUp.toLowerCase() === account.toLowerCase() ? "You" : formatAddress(details.runnerUp)}
+              </p>
+            </div>
+          )}
+
+          {/* Registration */}
+          {registrationOpen && !isRegistered && (
+            <div className="bg-gray-900 rounded-lg p-4 mb-4">
+              <h3 className="text-lg font-bold text-white mb-2">
+                Register ({selectedCards.length}/3) — {ethers.formatEther(details.entryFee)} MON
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Pick cards in the order they fight. Your lineup is locked for every match until you're eliminated.
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 mb-4">
+                {userCards.map((card) => (
+                  <Card
+                    key={card.tokenId}
+                    card={card}
+                    tokenId={card.tokenId}
+                    selected={selectedCards.includes(card.tokenId)}
+                    onSelect={() => toggleCardSelection(card.tokenId)}
+                    showStats={true}
+                  />
+                ))}
+              </div>
+              <button
+                onClick={register}
+                disabled={loading || selectedCards.length !== 3}
+                className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {loading ? "Registering..." : "Register"}
+              </button>
+            </div>
+          )}
+          {details.status === 0 && isRegistered && (
+            <p className="text-green-400 mb-4">✅ You're registered. The bracket is seeded by rating once it fills up.</p>
+          )}
+
+          {/* Registrants while the bracket fills */}
+          {details.status === 0 && details.registrants.length > 0 && (
+            <div className="bg-gray-900 rounded-lg p-4">
+              <h3 className="text-lg font-bold text-white mb-2">Registered Players</h3>
+              <div className="flex flex-wrap gap-2">
+                {details.registrants.map((player) => (
+                  <span key={player} className="bg-gray-700 text-gray-300 text-sm px-3 py-1 rounded-full">
+                    {formatAddress(player)}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Bracket */}
+          {details.rounds.length > 0 && (
+            <div className="overflow-x-auto">
+              <div className="flex gap-6 min-w-max">
+                {details.rounds.slice(0, details.totalRounds).map((players, round) => {
+                  const winners = details.rounds[round + 1] || [];
+                  const matches = [];
+                  for (let i = 0; i < details.size / 2 ** round; i += 2) {
+                    matches.push([players[i], players[i + 1]]);
+                  }
+                  return (
+                    <div key={round} className="flex flex-col justify-around gap-4 w-56">
+                      <h3 className="text-center text-gray-400 font-semibold">
+                        {roundName(round, details.totalRounds)}
+                      </h3>
+                      {matches.map(([first, second], matchIndex) => {
+                        const winner = winners[matchIndex];
+                        return (
+                          <div key={matchIndex} className="bg-gray-900 rounded-lg border border-gray-700">
+                            {[first, second].map((player, slot) => {
+                              const won = winner && player && winner === player;
+                              const lost = winner && player && winner !== player;
+                              const isYou = player && player.toLowerCase() === account.toLowerCase();
+                              return (
+                                <div
+                                  key={slot}
+                                  className={`px-3 py-2 text-sm flex justify-between ${
+                                    slot === 0 ? "border-b border-gray-700" : ""
+                                  } ${won ? "text-green-400 font-semibold" : lost ? "text-gray-500 line-through" : "text-gray-300"}`}
+                                >
+                                  <span>{player ? formatAddress(player) : "TBD"}</span>
+                                  {isYou && <span className="text-blue-400">You</span>}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// Events the indexer follows. Mirrors the event declarations in contracts/Battlecard.sol and contracts/BattleManager.sol
+const BATTLE_CARD_EVENTS = [
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event CardMinted(address indexed owner, uint256 indexed tokenId, uint8 character, uint8 rarity, uint16 power, uint16 defense, uint16 speed)",
+  "event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires)",
+  "event XpGained(uint256 indexed tokenId, uint32 amount, uint32 totalXp)",
+  "event LevelUp(uint256 indexed tokenId, uint8 level, uint16 power, uint16 defense, uint16 speed)",
+];
+
+const BATTLE_MANAGER_EVENTS = [
+  "event BattleCreated(uint256 indexed battleId, address indexed starter, address indexed opponent, uint256[3] starterCards)",
+  "event BattleJoined(uint256 indexed battleId, address indexed opponent, uint256[3] opponentCards)",
+  "event LineupRevealed(uint256 indexed battleId, address indexed player, uint256[3] lineup)",
+  "event RoundResolved(uint256 indexed battleId, uint8 indexed roundIndex, uint256 starterCardId, uint256 opponentCardId, bool starterWon, uint16 starterMultiplier, uint16 opponentMultiplier, uint8 tieBreak)",
+  "event BattleResolved(uint256 indexed battleId, address indexed winner)",
+  "event BattleCancelled(uint256 indexed battleId)",
+  "event BattleExpired(uint256 indexed battleId, address indexed resolver)",
+  "event EmergencyReturned(uint256 indexed battleId)",
+  "event CardClaimed(uint256 indexed battleId, address indexed winner, uint256 indexed claimedTokenId)",
+  "event RatingUpdated(address indexed player, uint256 indexed battleId, uint32 oldRating, uint32 newRating)",
+];
+
+// Mirrors BattleManager.BattleStatus
+const BATTLE_STATUS = {
+  WaitingForOpponent: 0,
+  ReadyToReveal: 1,
+  InProgress: 2,
+  Resolved: 3,
+  Cancelled: 4,
+  Expired: 5,
+};
+
+module.exports = { BATTLE_CARD_EVENTS, BATTLE_MANAGER_EVENTS, BATTLE_STATUS };
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// One table per event, keyed by the log's position in the chain. Nothing is derived at write time,
+// so undoing a reorg is just deleting every row above the fork block.
+const EVENT_TABLES = {
+  transfers: "token_id INTEGER NOT NULL, from_address TEXT NOT NULL, to_address TEXT NOT NULL",
+  cards_minted:
+    "token_id INTEGER NOT NULL, owner TEXT NOT NULL, character INTEGER NOT NULL, rarity INTEGER NOT NULL, " +
+    "power INTEGER NOT NULL, defense INTEGER NOT NULL, speed INTEGER NOT NULL",
+  level_ups:
+    "token_id INTEGER NOT NULL, level INTEGER NOT NULL, power INTEGER NOT NULL, defense INTEGER NOT NULL, " +
+    "speed INTEGER NOT NULL",
+  xp_gains: "token_id INTEGER NOT NULL, total_xp INTEGER NOT NULL",
+  rentals: "token_id INTEGER NOT NULL, user TEXT NOT NULL, expires INTEGER NOT NULL",
+  battles_created:
+    "battle_id INTEGER NOT NULL, starter TEXT NOT NULL, opponent TEXT NOT NULL, starter_cards TEXT NOT NULL",
+  battles_joined: "battle_id INTEGER NOT NULL, opponent TEXT NOT NULL, opponent_cards TEXT NOT NULL",
+  lineups: "battle_id INTEGER NOT NULL, player TEXT NOT NULL, lineup TEXT NOT NULL",
+  rounds:
+    "battle_id INTEGER NOT NULL, round_index INTEGER NOT NULL, starter_card_id INTEGER NOT NULL, " +
+    "opponent_card_id INTEGER NOT NULL, starter_won INTEGER NOT NULL, starter_multiplier INTEGER NOT NULL, " +
+    "opponent_multiplier INTEGER NOT NULL, tie_break INTEGER NOT NULL",
+  // BattleResolved, BattleCancelled, EmergencyReturned and BattleExpired; status mirrors BattleManager.BattleStatus
+  battle_endings: "battle_id INTEGER NOT NULL, status INTEGER NOT NULL, winner TEXT",
+  claims: "battle_id INTEGER NOT NULL, winner TEXT NOT NULL, token_id INTEGER NOT NULL",
+  ratings: "player TEXT NOT NULL, battle_id INTEGER NOT NULL, old_rating INTEGER NOT NULL, new_rating INTEGER NOT NULL",
+};
+
+const INDEXES = [
+  "transfers (token_id, block_number, log_index)",
+  "transfers (to_address)",
+  "cards_minted (token_id)",
+  "level_ups (token_id, block_number, log_index)",
+  "xp_gains (token_id, block_number, log_index)",
+  "rentals (token_id, block_number, log_index)",
+  "rentals (user)",
+  "battles_created (battle_id)",
+  "battles_created (starter)",
+  "battles_joined (battle_id)",
+  "battles_joined (opponent)",
+  "lineups (battle_id)",
+  "rounds (battle_id)",
+  "battle_endings (battle_id)",
+  "claims (battle_id)",
+  "ratings (player, block_number, log_index)",
+];
+
+/**
+ * Open (and create if needed) the indexer database.
+ * Pass ":memory:" for a throwaway database.
+ */
+function openDatabase(filename) {
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+
+  db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)");
+  // Hashes of recently indexed blocks, compared against the chain to spot reorgs
+  db.exec("CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL)");
+  for (const [table, columns] of Object.entries(EVENT_TABLES)) {
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${table} (block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, ` +
+        `${columns}, PRIMARY KEY (block_number, log_index))`
+    );
+  }
+  INDEXES.forEach((index, i) => {
+    const table = index.split(" ")[0];
+    db.exec(`CREATE INDEX IF NOT EXISTS ${table}_${i} ON ${index}`);
+  });
+  return db;
+}
+
+/**
+ * Last block whose events are all stored, or null before the first batch
+ */
+function getIndexedBlock(db) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'indexed_block'").get();
+  return row ? Number(row.value) : null;
+}
+
+function setIndexedBlock(db, blockNumber) {
+  db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('indexed_block', ?)").run(String(blockNumber));
+}
+
+/**
+ * Insert one event row; `row` holds the table's columns besides block_number and log_index
+ */
+function insertEvent(db, table, log, row) {
+  const columns = ["block_number", "log_index", ...Object.keys(row)];
+  db.prepare(`INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`).run(
+    log.blockNumber,
+    log.index,
+    ...Object.values(row)
+  );
+}
+
+function saveBlockHash(db, number, hash) {
+  db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)").run(number, hash);
+}
+
+/**
+ * Stored block hashes, newest first
+ */
+function getBlockHashes(db) {
+  return db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+}
+
+/**
+ * Forget block hashes older than `blockNumber`, where reorgs are assumed never to reach.
+ * The newest of them is kept as a final block to fall back to if every newer one is replaced.
+ */
+function pruneBlockHashes(db, blockNumber) {
+  db.prepare("DELETE FROM blocks WHERE number < (SELECT MAX(number) FROM blocks WHERE number < ?)").run(blockNumber);
+}
+
+/**
+ * Drop everything indexed after `blockNumber`, the last block still on the canonical chain
+ */
+function rollbackTo(db, blockNumber) {
+  db.transaction(() => {
+    for (const table of Object.keys(EVENT_TABLES)) {
+      db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+    }
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+    setIndexedBlock(db, blockNumber);
+  })();
+}
+
+module.exports = {
+  openDatabase,
+  getIndexedBlock,
+  setIndexedBlock,
+  insertEvent,
+  saveBlockHash,
+  getBlockHashes,
+  pruneBlockHashes,
+  rollbackTo,
+};
@@ -0,0 +1,54 @@
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const { ethers } = require("ethers");
+const { openDatabase } = require("./db");
+const { createIndexer } = require("./indexer");
+const { createServer } = require("./server");
+
+const config = {
+  rpcUrl: process.env.RPC_URL || "https://testnet-rpc.monad.xyz",
+  battleCardAddress: process.env.BATTLE_CARD_ADDRESS,
+  battleManagerAddress: process.env.BATTLE_MANAGER_ADDRESS,
+  // Block the contracts were deployed in; nothing before it needs scanning
+  startBlock: Number(process.env.START_BLOCK || 0),
+  dbPath: process.env.DB_PATH || path.join(__dirname, "..", "data", "indexer.db"),
+  port: Number(process.env.PORT || 4000),
+  pollIntervalMs: Number(process.env.POLL_INTERVAL_MS || 2000),
+  batchSize: Number(process.env.BATCH_SIZE || 1000),
+  reorgDepth: Number(process.env.REORG_DEPTH || 64),
+};
+
+function main() {
+  if (!ethers.isAddress(config.battleCardAddress) || !ethers.isAddress(config.battleManagerAddress)) {
+    console.error("Set BATTLE_CARD_ADDRESS and BATTLE_MANAGER_ADDRESS in indexer/.env");
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = openDatabase(config.dbPath);
+  const indexer = createIndexer({
+    db,
+    provider: new ethers.JsonRpcProvider(config.rpcUrl),
+    battleCardAddress: config.battleCardAddress,
+    battleManagerAddress: config.battleManagerAddress,
+    startBlock: config.startBlock,
+    batchSize: config.batchSize,
+    reorgDepth: config.reorgDepth,
+  });
+  const stop = indexer.start(config.pollIntervalMs);
+
+  const server = createServer(db);
+  server.listen(config.port, () => {
+    console.log(`🔎 Indexing ${config.rpcUrl} from block ${config.startBlock}`);
+    console.log(`📡 API listening on http://localhost:${config.port}`);
+  });
+
+  process.on("SIGINT", () => {
+    stop();
+    server.close();
+    db.close();
+    process.exit(0);
+  });
+}
+
+main();
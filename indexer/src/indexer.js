@@ -0,0 +1,244 @@
+const { ethers } = require("ethers");
+const { BATTLE_CARD_EVENTS, BATTLE_MANAGER_EVENTS, BATTLE_STATUS } = require("./abi");
+const {
+  getIndexedBlock,
+  setIndexedBlock,
+  insertEvent,
+  saveBlockHash,
+  getBlockHashes,
+  pruneBlockHashes,
+  rollbackTo,
+} = require("./db");
+
+const lower = (address) => address.toLowerCase();
+const cardIds = (ids) => JSON.stringify(ids.map((id) => id.toString()));
+
+// The row each event adds; events without a handler are skipped
+const HANDLERS = {
+  Transfer: (db, log, { from, to, tokenId }) =>
+    insertEvent(db, "transfers", log, {
+      token_id: Number(tokenId),
+      from_address: lower(from),
+      to_address: lower(to),
+    }),
+  CardMinted: (db, log, { owner, tokenId, character, rarity, power, defense, speed }) =>
+    insertEvent(db, "cards_minted", log, {
+      token_id: Number(tokenId),
+      owner: lower(owner),
+      character: Number(character),
+      rarity: Number(rarity),
+      power: Number(power),
+      defense: Number(defense),
+      speed: Number(speed),
+    }),
+  UpdateUser: (db, log, { tokenId, user, expires }) =>
+    insertEvent(db, "rentals", log, { token_id: Number(tokenId), user: lower(user), expires: Number(expires) }),
+  XpGained: (db, log, { tokenId, totalXp }) =>
+    insertEvent(db, "xp_gains", log, { token_id: Number(tokenId), total_xp: Number(totalXp) }),
+  LevelUp: (db, log, { tokenId, level, power, defense, speed }) =>
+    insertEvent(db, "level_ups", log, {
+      token_id: Number(tokenId),
+      level: Number(level),
+      power: Number(power),
+      defense: Number(defense),
+      speed: Number(speed),
+    }),
+  BattleCreated: (db, log, { battleId, starter, opponent, starterCards }) =>
+    insertEvent(db, "battles_created", log, {
+      battle_id: Number(battleId),
+      starter: lower(starter),
+      opponent: lower(opponent),
+      starter_cards: cardIds(starterCards),
+    }),
+  BattleJoined: (db, log, { battleId, opponent, opponentCards }) =>
+    insertEvent(db, "battles_joined", log, {
+      battle_id: Number(battleId),
+      opponent: lower(opponent),
+      opponent_cards: cardIds(opponentCards),
+    }),
+  LineupRevealed: (db, log, { battleId, player, lineup }) =>
+    insertEvent(db, "lineups", log, {
+      battle_id: Number(battleId),
+      player: lower(player),
+      lineup: cardIds(lineup),
+    }),
+  RoundResolved: (db, log, args) =>
+    insertEvent(db, "rounds", log, {
+      battle_id: Number(args.battleId),
+      round_index: Number(args.roundIndex),
+      starter_card_id: Number(args.starterCardId),
+      opponent_card_id: Number(args.opponentCardId),
+      starter_won: args.starterWon ? 1 : 0,
+      starter_multiplier: Number(args.starterMultiplier),
+      opponent_multiplier: Number(args.opponentMultiplier),
+      tie_break: Number(args.tieBreak),
+    }),
+  BattleResolved: (db, log, { battleId, winner }) =>
+    insertEvent(db, "battle_endings", log, {
+      battle_id: Number(battleId),
+      status: BATTLE_STATUS.Resolved,
+      winner: lower(winner),
+    }),
+  BattleCancelled: (db, log, { battleId }) =>
+    insertEvent(db, "battle_endings", log, {
+      battle_id: Number(battleId),
+      status: BATTLE_STATUS.Cancelled,
+      winner: null,
+    }),
+  EmergencyReturned: (db, log, { battleId }) =>
+    insertEvent(db, "battle_endings", log, {
+      battle_id: Number(battleId),
+      status: BATTLE_STATUS.Cancelled,
+      winner: null,
+    }),
+  BattleExpired: (db, log, { battleId }) =>
+    insertEvent(db, "battle_endings", log, {
+      battle_id: Number(battleId),
+      status: BATTLE_STATUS.Expired,
+      winner: null,
+    }),
+  CardClaimed: (db, log, { battleId, winner, claimedTokenId }) =>
+    insertEvent(db, "claims", log, {
+      battle_id: Number(battleId),
+      winner: lower(winner),
+      token_id: Number(claimedTokenId),
+    }),
+  RatingUpdated: (db, log, { player, battleId, oldRating, newRating }) =>
+    insertEvent(db, "ratings", log, {
+      player: lower(player),
+      battle_id: Number(battleId),
+      old_rating: Number(oldRating),
+      new_rating: Number(newRating),
+    }),
+};
+
+/**
+ * Follow BattleCard and BattleManager events into `db`.
+ * Each batch is written in one transaction together with the hash of its last block. Before every
+ * sync the newest stored hash is checked against the chain; after a reorg the indexer walks back to
+ * the newest block both agree on, deletes everything above it and indexes the new blocks from there.
+ *
+ * @param {object} options
+ * @param {import("better-sqlite3").Database} options.db Database from openDatabase
+ * @param {import("ethers").Provider} options.provider
+ * @param {string} options.battleCardAddress
+ * @param {string} options.battleManagerAddress
+ * @param {number} [options.startBlock] First block to index, normally the deployment block
+ * @param {number} [options.batchSize] Most blocks per eth_getLogs, to stay inside RPC range limits
+ * @param {number} [options.reorgDepth] Blocks behind the head that can still be replaced
+ */
+function createIndexer({
+  db,
+  provider,
+  battleCardAddress,
+  battleManagerAddress,
+  startBlock = 0,
+  batchSize = 1000,
+  reorgDepth = 64,
+}) {
+  const interfaces = {
+    [lower(battleCardAddress)]: new ethers.Interface(BATTLE_CARD_EVENTS),
+    [lower(battleManagerAddress)]: new ethers.Interface(BATTLE_MANAGER_EVENTS),
+  };
+  const addresses = Object.keys(interfaces);
+
+  // Refuse a database built for other contracts instead of mixing their events together
+  const contracts = addresses.join(",");
+  const stored = db.prepare("SELECT value FROM meta WHERE key = 'contracts'").get();
+  if (stored && stored.value !== contracts) {
+    throw new Error("Database was built for other contracts; point DB_PATH at a new file");
+  }
+  db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('contracts', ?)").run(contracts);
+
+  const blockHash = async (number) => {
+    const block = await provider.getBlock(number);
+    return block ? block.hash : null;
+  };
+
+  // Roll back to the newest stored block that is still on the chain
+  async function checkForReorg() {
+    const hashes = getBlockHashes(db);
+    for (const { number, hash } of hashes) {
+      if ((await blockHash(number)) === hash) {
+        if (number !== hashes[0].number) {
+          console.warn(`⚠️ Reorg detected: rolling back from block ${hashes[0].number} to ${number}`);
+          rollbackTo(db, number);
+        }
+        return;
+      }
+    }
+    if (hashes.length > 0) {
+      throw new Error(`Reorg deeper than ${reorgDepth} blocks; delete the database to re-index`);
+    }
+  }
+
+  async function indexRange(fromBlock, toBlock, head) {
+    const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock });
+    const toHash = await blockHash(toBlock);
+
+    // A reorg between the two calls could mix logs from the old chain with the new toBlock hash,
+    // so logs from blocks that can still be replaced must match the chain as it is now
+    const recent = new Map();
+    logs
+      .filter((log) => log.blockNumber > head - reorgDepth)
+      .forEach((log) => recent.set(log.blockNumber, log.blockHash));
+    const current = await Promise.all(
+      [...recent.keys()].map((number) => (number === toBlock ? toHash : blockHash(number)))
+    );
+    if (!toHash || [...recent.values()].some((hash, i) => hash !== current[i])) {
+      throw new Error(`Chain reorganised while reading blocks ${fromBlock}-${toBlock}`);
+    }
+
+    db.transaction(() => {
+      for (const log of logs) {
+        const parsed = interfaces[lower(log.address)].parseLog(log);
+        const handler = parsed && HANDLERS[parsed.name];
+        if (handler) handler(db, log, parsed.args);
+      }
+      saveBlockHash(db, toBlock, toHash);
+      setIndexedBlock(db, toBlock);
+      pruneBlockHashes(db, head - reorgDepth);
+    })();
+    return logs.length;
+  }
+
+  /**
+   * Index every block up to the current head; returns how many events were read
+   */
+  async function sync() {
+    await checkForReorg();
+    const head = await provider.getBlockNumber();
+    const indexed = getIndexedBlock(db);
+    let events = 0;
+    for (let from = (indexed === null ? startBlock - 1 : indexed) + 1; from <= head; from += batchSize) {
+      events += await indexRange(from, Math.min(from + batchSize - 1, head), head);
+    }
+    return events;
+  }
+
+  /**
+   * Sync now and then every `pollIntervalMs`; returns a function that stops polling
+   */
+  function start(pollIntervalMs) {
+    let stopped = false;
+    let timer;
+    const poll = async () => {
+      try {
+        const events = await sync();
+        if (events > 0) console.log(`📦 Indexed ${events} events up to block ${getIndexedBlock(db)}`);
+      } catch (error) {
+        console.error("Indexing failed, retrying:", error.message);
+      }
+      if (!stopped) timer = setTimeout(poll, pollIntervalMs);
+    };
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  return { sync, start };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,151 @@
+const { ethers } = require("ethers");
+const { BATTLE_STATUS } = require("./abi");
+
+// True for the newest row of `table` about the same token as `alias`
+const isLatest = (table, alias) =>
+  `NOT EXISTS (SELECT 1 FROM ${table} newer WHERE newer.token_id = ${alias}.token_id ` +
+  `AND (newer.block_number, newer.log_index) > (${alias}.block_number, ${alias}.log_index))`;
+
+/**
+ * Cards `owner` holds now, with their current stats, and cards rented to them that haven't expired
+ */
+function getCards(db, owner, now = Math.floor(Date.now() / 1000)) {
+  const cards = db
+    .prepare(
+      `SELECT t.token_id, m.character, m.rarity,
+              COALESCE(l.power, m.power) AS power,
+              COALESCE(l.defense, m.defense) AS defense,
+              COALESCE(l.speed, m.speed) AS speed,
+              COALESCE(x.total_xp, 0) AS xp,
+              COALESCE(l.level, 1) AS level
+       FROM transfers t
+       LEFT JOIN cards_minted m ON m.token_id = t.token_id
+       LEFT JOIN level_ups l ON l.token_id = t.token_id AND ${isLatest("level_ups", "l")}
+       LEFT JOIN xp_gains x ON x.token_id = t.token_id AND ${isLatest("xp_gains", "x")}
+       WHERE t.to_address = ? AND ${isLatest("transfers", "t")}
+       ORDER BY t.token_id`
+    )
+    .all(owner);
+
+  const borrowed = db
+    .prepare(
+      `SELECT r.token_id, r.expires FROM rentals r
+       WHERE r.user = ? AND r.expires > ? AND ${isLatest("rentals", "r")}
+       ORDER BY r.token_id`
+    )
+    .all(owner, now);
+
+  return {
+    cards: cards.map(({ token_id, ...stats }) => ({ tokenId: String(token_id), ...stats })),
+    borrowed: borrowed.map(({ token_id, expires }) => ({ tokenId: String(token_id), expires })),
+  };
+}
+
+/**
+ * A battle as BattleManager.getBattle would describe it, plus its revealed rounds; null if unknown
+ */
+function getBattle(db, battleId) {
+  const created = db.prepare("SELECT * FROM battles_created WHERE battle_id = ?").get(battleId);
+  if (!created) return null;
+  const joined = db.prepare("SELECT * FROM battles_joined WHERE battle_id = ?").get(battleId);
+  const endings = db.prepare("SELECT status, winner FROM battle_endings WHERE battle_id = ?").all(battleId);
+  const claim = db.prepare("SELECT token_id FROM claims WHERE battle_id = ?").get(battleId);
+  // Cards are escrowed in ascending order; once a side reveals, BattleManager holds them in fight order
+  const lineups = new Map(
+    db
+      .prepare("SELECT player, lineup FROM lineups WHERE battle_id = ?")
+      .all(battleId)
+      .map((row) => [row.player, JSON.parse(row.lineup)])
+  );
+  const rounds = db
+    .prepare("SELECT * FROM rounds WHERE battle_id = ? ORDER BY round_index")
+    .all(battleId)
+    .map((round) => ({
+      roundIndex: round.round_index,
+      starterCardId: String(round.starter_card_id),
+      opponentCardId: String(round.opponent_card_id),
+      starterWon: round.starter_won === 1,
+      starterMultiplier: round.starter_multiplier,
+      opponentMultiplier: round.opponent_multiplier,
+      tieBreak: round.tie_break,
+    }));
+
+  // Statuses only move forward, so the highest ending wins
+  let status = joined ? BATTLE_STATUS.ReadyToReveal : BATTLE_STATUS.WaitingForOpponent;
+  if (rounds.length > 0) status = BATTLE_STATUS.InProgress;
+  if (endings.length > 0) status = Math.max(...endings.map((ending) => ending.status));
+  const resolved = endings.find((ending) => ending.winner);
+
+  return {
+    battleId: String(battleId),
+    starter: created.starter,
+    opponent: joined ? joined.opponent : created.opponent,
+    starterCards: lineups.get(created.starter) || JSON.parse(created.starter_cards),
+    opponentCards: joined ? lineups.get(joined.opponent) || JSON.parse(joined.opponent_cards) : ["0", "0", "0"],
+    status,
+    winner: resolved ? resolved.winner : ethers.ZeroAddress,
+    createdBlock: created.block_number,
+    joinedBlock: joined ? joined.block_number : null,
+    claimedTokenId: claim ? String(claim.token_id) : null,
+    rounds,
+  };
+}
+
+/**
+ * Battles `player` started or joined, newest first, with their current rating (null before their first result)
+ */
+function getPlayerHistory(db, player, offset, limit) {
+  const played = `SELECT battle_id FROM battles_created WHERE starter = @player
+                  UNION SELECT battle_id FROM battles_joined WHERE opponent = @player`;
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM (${played})`).get({ player });
+  const battleIds = db
+    .prepare(`${played} ORDER BY battle_id DESC LIMIT @limit OFFSET @offset`)
+    .all({ player, limit, offset })
+    .map((row) => row.battle_id);
+  const rating = db
+    .prepare("SELECT new_rating FROM ratings WHERE player = ? ORDER BY block_number DESC, log_index DESC LIMIT 1")
+    .get(player);
+
+  return {
+    rating: rating ? rating.new_rating : null,
+    total,
+    battles: battleIds.map((battleId) => getBattle(db, battleId)),
+  };
+}
+
+/**
+ * Game-wide totals
+ */
+function getStats(db) {
+  const count = (sql, ...params) => db.prepare(`SELECT COUNT(*) AS n FROM ${sql}`).get(...params).n;
+
+  const battlesByStatus = {};
+  db.prepare(
+    `SELECT status, COUNT(*) AS n FROM (SELECT MAX(status) AS status FROM battle_endings GROUP BY battle_id)
+     GROUP BY status`
+  )
+    .all()
+    .forEach(({ status, n }) => (battlesByStatus[status] = n));
+
+  return {
+    cards: {
+      minted: count("cards_minted"),
+      burned: count("transfers WHERE to_address = ?", ethers.ZeroAddress),
+      holders: count(
+        `(SELECT DISTINCT to_address FROM transfers t WHERE to_address != ? AND ${isLatest("transfers", "t")})`,
+        ethers.ZeroAddress
+      ),
+    },
+    battles: {
+      created: count("battles_created"),
+      joined: count("battles_joined"),
+      resolved: battlesByStatus[BATTLE_STATUS.Resolved] || 0,
+      cancelled: battlesByStatus[BATTLE_STATUS.Cancelled] || 0,
+      expired: battlesByStatus[BATTLE_STATUS.Expired] || 0,
+    },
+    rounds: count("rounds"),
+    players: count("(SELECT starter FROM battles_created UNION SELECT opponent FROM battles_joined)"),
+  };
+}
+
+module.exports = { getCards, getBattle, getPlayerHistory, getStats };
@@ -0,0 +1,92 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { getIndexedBlock } = require("./db");
+const { getCards, getBattle, getPlayerHistory, getStats } = require("./queries");
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const parseAddress = (value) => {
+  if (!ethers.isAddress(value)) throw new HttpError(400, "Invalid address");
+  return value.toLowerCase();
+};
+
+const parseCount = (value, fallback, max) => {
+  if (value === null) return fallback;
+  if (!/^\d+$/.test(value)) throw new HttpError(400, "Invalid pagination");
+  return Math.min(Number(value), max);
+};
+
+// Each route returns the response body; every body also carries the last indexed block, so clients
+// can read anything newer straight from the chain
+const ROUTES = [
+  [
+    /^\/cards\/([^/]+)$/,
+    (db, [param]) => {
+      const owner = parseAddress(param);
+      return { owner, ...getCards(db, owner) };
+    },
+  ],
+  [
+    /^\/battles\/(\d+)$/,
+    (db, [battleId]) => {
+      const battle = getBattle(db, Number(battleId));
+      if (!battle) throw new HttpError(404, "Battle not found");
+      return { battle };
+    },
+  ],
+  [
+    /^\/players\/([^/]+)\/history$/,
+    (db, [param], query) => {
+      const player = parseAddress(param);
+      const offset = parseCount(query.get("offset"), 0, Number.MAX_SAFE_INTEGER);
+      const limit = parseCount(query.get("limit"), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      return { player, ...getPlayerHistory(db, player, offset, limit) };
+    },
+  ],
+  [/^\/stats$/, (db) => getStats(db)],
+];
+
+/**
+ * HTTP server for the indexed data. Read-only, JSON, and open to any origin so the frontend can call it.
+ */
+function createServer(db) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "GET") {
+      send(405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      try {
+        send(200, { indexedBlock: getIndexedBlock(db), ...handler(db, match.slice(1), url.searchParams) });
+      } catch (error) {
+        if (error instanceof HttpError) {
+          send(error.status, { error: error.message });
+        } else {
+          console.error(`Error serving ${url.pathname}:`, error);
+          send(500, { error: "Internal error" });
+        }
+      }
+      return;
+    }
+    send(404, { error: "Not found" });
+  });
+}
+
+module.exports = { createServer };
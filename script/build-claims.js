@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Where the Home page looks for proofs
+const DEFAULT_OUTPUT = path.join(__dirname, "..", "frontend", "src", "lib", "claims.json");
+
+// Same leaf as BattleCard.claimMint: keccak256(bytes.concat(keccak256(abi.encode(account))))
+function leafHash(address) {
+  return ethers.keccak256(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [address])));
+}
+
+// MerkleProof.verify hashes each pair in sorted order
+function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase()
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build the claim tree for a list of addresses.
+ * Returns { root, proofs } with proofs keyed by checksummed address.
+ */
+function buildClaims(addresses) {
+  const accounts = [...new Set(addresses.map((address) => ethers.getAddress(address)))];
+  if (accounts.length === 0) {
+    throw new Error("No addresses to build a claim tree from");
+  }
+
+  const leaves = accounts.map((account) => ({ account, hash: leafHash(account) }));
+  leaves.sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0));
+
+  // layers[0] holds the leaves, the last layer holds the root; an odd node moves up unpaired
+  const layers = [leaves.map((leaf) => leaf.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  leaves.forEach((leaf, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index >>= 1;
+    }
+    proofs[leaf.account] = proof;
+  });
+
+  return { root: layers[layers.length - 1][0], proofs };
+}
+
+// First column of each row; header and blank rows are skipped
+function readAddresses(csvPath) {
+  const addresses = [];
+  const lines = fs.readFileSync(csvPath, "utf8").split(/\r?\n/);
+  lines.forEach((line, i) => {
+    const value = line.split(",")[0].trim();
+    if (!value) return;
+    if (!ethers.isAddress(value)) {
+      if (i > 0) console.warn(`Skipping line ${i + 1}: "${value}" is not an address`);
+      return;
+    }
+    addresses.push(value);
+  });
+  return addresses;
+}
+
+function main() {
+  const [csvPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+  if (!csvPath) {
+    console.error("Usage: node script/build-claims.js <addresses.csv> [output.json]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const claims = buildClaims(readAddresses(csvPath));
+  fs.writeFileSync(outputPath, JSON.stringify(claims, null, 2) + "\n");
+
+  console.log(`Built claim tree for ${Object.keys(claims.proofs).length} addresses`);
+  console.log("Merkle root:", claims.root);
+  console.log("Proofs written to:", outputPath);
+  console.log("\nOpen claims on BattleCard with:");
+  console.log(`battleCard.setClaim("${claims.root}", 0)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildClaims, leafHash };
@@ -1,5 +1,13 @@
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
 
+// Allowlist bundled with the frontend, built by script/build-claims.js
+const CLAIMS_FILE = path.join(__dirname, "..", "frontend", "src", "lib", "claims.json");
+
+// Local networks have no canonical Multicall3, so the frontend's read batching needs its own
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with account:", deployer.address);
@@ -21,12 +29,63 @@ async function main() {
   const battleManagerAddress = await battleManager.getAddress();
   console.log("BattleManager deployed to:", battleManagerAddress);
 
+  // Only the BattleManager may grant card XP
+  await (await battleCard.setBattleManager(battleManagerAddress)).wait();
+  console.log("BattleCard XP granter set to BattleManager");
+
+  // Open free claims for the bundled allowlist, if one has been built
+  const { root } = JSON.parse(fs.readFileSync(CLAIMS_FILE, "utf8"));
+  if (root !== hre.ethers.ZeroHash) {
+    await (await battleCard.setClaim(root, 0)).wait();
+    console.log("Free claims opened for allowlist root:", root);
+  }
+
+  // Deploy Tournament
+  console.log("\nDeploying Tournament...");
+  const Tournament = await hre.ethers.getContractFactory("Tournament");
+  const tournament = await Tournament.deploy(battleManagerAddress);
+  await tournament.waitForDeployment();
+  const tournamentAddress = await tournament.getAddress();
+  console.log("Tournament deployed to:", tournamentAddress);
+
+  // Deploy Marketplace
+  console.log("\nDeploying Marketplace...");
+  const Marketplace = await hre.ethers.getContractFactory("Marketplace");
+  const marketplace = await Marketplace.deploy(battleManagerAddress);
+  await marketplace.waitForDeployment();
+  const marketplaceAddress = await marketplace.getAddress();
+  console.log("Marketplace deployed to:", marketplaceAddress);
+
+  // Where the frontend's log fallbacks and the indexer start reading events
+  const deployBlock = (await battleCard.deploymentTransaction().wait()).blockNumber;
+
+  let multicallAddress;
+  if (LOCAL_NETWORKS.includes(hre.network.name)) {
+    console.log("\nDeploying Multicall3...");
+    const Multicall3 = await hre.ethers.getContractFactory("Multicall3");
+    const multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+    multicallAddress = await multicall.getAddress();
+    console.log("Multicall3 deployed to:", multicallAddress);
+  }
+
   console.log("\n=== Deployment Summary ===");
   console.log("BattleCard:", battleCardAddress);
   console.log("BattleManager:", battleManagerAddress);
+  console.log("Tournament:", tournamentAddress);
+  console.log("Marketplace:", marketplaceAddress);
+  if (multicallAddress) console.log("Multicall3:", multicallAddress);
   console.log("\nAdd these addresses to your frontend .env file:");
-  console.log(`REACT_APP_BATTLE_CARD_ADDRESS=${battleCardAddress}`);
-  console.log(`REACT_APP_BATTLE_MANAGER_ADDRESS=${battleManagerAddress}`);
+  console.log(`VITE_BATTLE_CARD_ADDRESS=${battleCardAddress}`);
+  console.log(`VITE_BATTLE_MANAGER_ADDRESS=${battleManagerAddress}`);
+  console.log(`VITE_TOURNAMENT_ADDRESS=${tournamentAddress}`);
+  console.log(`VITE_MARKETPLACE_ADDRESS=${marketplaceAddress}`);
+  if (multicallAddress) console.log(`VITE_MULTICALL_ADDRESS=${multicallAddress}`);
+  console.log(`VITE_DEPLOY_BLOCK=${deployBlock}`);
+  console.log("\nAnd these to indexer/.env if you run the indexer:");
+  console.log(`BATTLE_CARD_ADDRESS=${battleCardAddress}`);
+  console.log(`BATTLE_MANAGER_ADDRESS=${battleManagerAddress}`);
+  console.log(`START_BLOCK=${deployBlock}`);
 }
 
 main()
@@ -1,5 +1,82 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { buildClaims } = require("../script/build-claims");
+
+const MINT_FEE = ethers.parseEther("0.001");
+const REVEAL_WINDOW = 256;
+const LINEUP_SALT = ethers.id("lineup-salt");
+const LINEUP_REVEAL_TIMEOUT = 300;
+
+// Commit to a pack, wait for the reveal block, then open it. Returns the new token ID.
+async function mintCard(battleCard, signer) {
+  const commitId = await battleCard.nextCommitId();
+  await battleCard.connect(signer).commitMint({ value: MINT_FEE });
+  await mine(1);
+  const tokenId = await battleCard.nextId();
+  await battleCard.connect(signer).revealMint(commitId);
+  return tokenId;
+}
+
+// Reveal rounds until the battle resolves (it can end after two rounds)
+async function revealAll(battleManager, battleId) {
+  while ((await battleManager.getBattle(battleId)).status < 3n) {
+    await battleManager.revealRound(battleId);
+  }
+}
+
+// Same commitment as BattleManager.computeLineupHash
+function lineupHash(player, lineup, salt = LINEUP_SALT) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256[3]", "bytes32"], [player.address, lineup, salt])
+  );
+}
+
+// Escrowed cards must be listed in ascending order; the round order is committed separately
+function ascending(cards) {
+  return [...cards].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+}
+
+// Reveal both committed round orders so rounds can start
+async function revealLineups(battleManager, battleId, starter, starterLineup, opponent, opponentLineup) {
+  await battleManager.connect(starter).revealLineup(battleId, starterLineup, LINEUP_SALT);
+  await battleManager.connect(opponent).revealLineup(battleId, opponentLineup, LINEUP_SALT);
+}
+
+// Escrow both lineups into a new battle, reveal their order and return its ID
+async function setupBattle(battleCard, battleManager, starter, starterCards, opponent, opponentCards) {
+  const managerAddress = await battleManager.getAddress();
+  const battleId = await battleManager.battleCount();
+  await battleCard.connect(starter).batchApprove(managerAddress, starterCards);
+  await battleManager
+    .connect(starter)
+    .createBattle(opponent.address, ascending(starterCards), lineupHash(starter, starterCards));
+  await battleCard.connect(opponent).batchApprove(managerAddress, opponentCards);
+  await battleManager
+    .connect(opponent)
+    .joinBattle(battleId, ascending(opponentCards), lineupHash(opponent, opponentCards));
+  await revealLineups(battleManager, battleId, starter, starterCards, opponent, opponentCards);
+  return battleId;
+}
+
+// Recompute the roll revealMint will use, from the reveal block hash
+async function expectedRarity(battleCard, commitId) {
+  const commit = await battleCard.mintCommits(commitId);
+  const block = await ethers.provider.getBlock(Number(commit.revealBlock));
+  const rand = BigInt(
+    ethers.solidityPackedKeccak256(
+      ["bytes32", "uint256", "address"],
+      [block.hash, commitId, commit.owner]
+    )
+  );
+  const roll = rand % 100n;
+  if (roll < 60n) return 0n;
+  if (roll < 85n) return 1n;
+  if (roll < 95n) return 2n;
+  if (roll < 99n) return 3n;
+  return 4n;
+}
 
 describe("BattleCard", function () {
   let battleCard;
@@ -7,8 +84,6 @@ describe("BattleCard", function () {
   let user1;
   let user2;
 
-  const MINT_FEE = ethers.parseEther("0.001");
-
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
 
@@ -18,23 +93,48 @@ describe("BattleCard", function () {
   });
 
   describe("Minting", function () {
-    it("Should mint a card with correct fee", async function () {
-      await expect(battleCard.connect(user1).mintCard({ value: MINT_FEE }))
-        .to.emit(battleCard, "CardMinted")
-        .withArgs(user1.address, 1, ...ethers.getAddress(ethers.zeroPadValue("0x00", 20)));
-      
-      expect(await battleCard.ownerOf(1)).to.equal(user1.address);
-      expect(await battleCard.nextId()).to.equal(2n);
+    it("Should commit a mint with correct fee", async function () {
+      await expect(battleCard.connect(user1).commitMint({ value: MINT_FEE }))
+        .to.emit(battleCard, "MintCommitted")
+        .withArgs(user1.address, 1, anyValue);
+
+      const commit = await battleCard.mintCommits(1);
+      expect(commit.owner).to.equal(user1.address);
+      expect(commit.status).to.equal(1); // Pending
+      expect(await battleCard.nextCommitId()).to.equal(2n);
     });
 
     it("Should reject minting with incorrect fee", async function () {
       await expect(
-        battleCard.connect(user1).mintCard({ value: ethers.parseEther("0.0005") })
+        battleCard.connect(user1).commitMint({ value: ethers.parseEther("0.0005") })
       ).to.be.revertedWith("Incorrect mint fee");
     });
 
+    it("Should mint the card to the committer on reveal", async function () {
+      await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+      await mine(1);
+
+      await expect(battleCard.connect(user2).revealMint(1))
+        .to.emit(battleCard, "CardMinted")
+        .withArgs(user1.address, 1, anyValue, anyValue, anyValue, anyValue, anyValue);
+
+      expect(await battleCard.ownerOf(1)).to.equal(user1.address);
+      expect(await battleCard.nextId()).to.equal(2n);
+      expect((await battleCard.mintCommits(1)).status).to.equal(2); // Revealed
+    });
+
+    it("Should reject reveal before the reveal block is mined", async function () {
+      await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+      await expect(battleCard.revealMint(1)).to.be.revertedWith("Reveal too early");
+    });
+
+    it("Should reject revealing twice", async function () {
+      await mintCard(battleCard, user1);
+      await expect(battleCard.revealMint(1)).to.be.revertedWith("Mint not pending");
+    });
+
     it("Should generate card attributes", async function () {
-      await battleCard.connect(user1).mintCard({ value: MINT_FEE });
+      await mintCard(battleCard, user1);
       const card = await battleCard.getCard(1);
       
       expect(card.power).to.be.greaterThan(0);
@@ -45,20 +145,100 @@ describe("BattleCard", function () {
     });
 
     it("Should track owned tokens", async function () {
-      await battleCard.connect(user1).mintCard({ value: MINT_FEE });
-      await battleCard.connect(user1).mintCard({ value: MINT_FEE });
+      await mintCard(battleCard, user1);
+      await mintCard(battleCard, user1);
       
-      const tokens = await battleCard.getOwnedTokens(user1.address);
+      const tokens = await battleCard.getOwnedTokens(user1.address, 0, 100);
       expect(tokens.length).to.equal(2);
       expect(tokens[0]).to.equal(1n);
       expect(tokens[1]).to.equal(2n);
     });
   });
 
+  describe("Reveal window", function () {
+    it("Should open an expired pack as the lowest possible roll", async function () {
+      await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+      await mine(REVEAL_WINDOW + 2);
+
+      await expect(battleCard.connect(user2).revealMint(1))
+        .to.emit(battleCard, "CardMinted")
+        .withArgs(user1.address, 1, 0, 0, 50, 30, 10); // Common Warrior, bottom of every range
+      expect((await battleCard.mintCommits(1)).status).to.equal(2); // Revealed
+      expect(await battleCard.pendingMintFees()).to.equal(0);
+    });
+
+    it("Should not let a committer who never reveals reroll for free", async function () {
+      // The committer reads the roll from the reveal block hash and sits on it
+      await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+      await mine(1);
+      const rarity = await expectedRarity(battleCard, 1);
+      await mine(REVEAL_WINDOW + 1);
+
+      // There is no refund to take, and the pack still opens, never above its real roll
+      expect(battleCard.reclaimMintFee).to.equal(undefined);
+      await battleCard.connect(user2).revealMint(1);
+      const card = await battleCard.getCard(1);
+      expect(card.rarity).to.equal(0);
+      expect(card.rarity).to.be.at.most(rarity);
+      expect(await ethers.provider.getBalance(await battleCard.getAddress())).to.equal(MINT_FEE);
+    });
+
+    it("Should keep the Rare guarantee for expired large packs", async function () {
+      const price = await battleCard.packPrice(5);
+      await battleCard.connect(user1).mintPack(5, { value: price });
+      await mine(REVEAL_WINDOW + 2);
+
+      await battleCard.revealMint(1);
+      const rarities = [];
+      for (let tokenId = 1; tokenId <= 5; tokenId++) {
+        rarities.push(Number((await battleCard.getCard(tokenId)).rarity));
+      }
+      expect(rarities).to.deep.equal([0, 0, 0, 0, 1]);
+      expect((await battleCard.getCard(5)).power).to.equal(80);
+    });
+  });
+
+  describe("Rarity cherry-picking", function () {
+    let picker;
+
+    beforeEach(async function () {
+      const RarityCherryPicker = await ethers.getContractFactory("RarityCherryPicker");
+      picker = await RarityCherryPicker.deploy(await battleCard.getAddress());
+      await picker.waitForDeployment();
+    });
+
+    it("Should not let a contract roll and check rarity in one transaction", async function () {
+      await expect(picker.mintMythicNow({ value: MINT_FEE })).to.be.revertedWith("Reveal too early");
+    });
+
+    it("Should fix the roll at commit time so a rejected reveal cannot re-roll", async function () {
+      await picker.commit({ value: MINT_FEE });
+      const commitId = await picker.lastCommitId();
+      await mine(1);
+
+      const rarity = await expectedRarity(battleCard, commitId);
+      if (rarity !== 4n) {
+        await expect(picker.revealIfMythic(commitId)).to.be.revertedWith("Not Mythic");
+      }
+
+      // Anyone can open the pack, and the attacker gets the card it tried to refuse
+      await battleCard.connect(user1).revealMint(commitId);
+      expect(await battleCard.ownerOf(1)).to.equal(await picker.getAddress());
+      expect((await battleCard.getCard(1)).rarity).to.equal(rarity);
+    });
+
+    it("Should not let a receiver hook veto the minted card", async function () {
+      await picker.commit({ value: MINT_FEE });
+      await mine(1);
+      await expect(battleCard.connect(user1).revealMint(1)).to.emit(battleCard, "CardMinted");
+      expect(await battleCard.ownerOf(1)).to.equal(await picker.getAddress());
+    });
+  });
+
   describe("Withdrawal", function () {
     it("Should allow owner to withdraw mint fees", async function () {
-      await battleCard.connect(user1).mintCard({ value: MINT_FEE });
-      await battleCard.connect(user2).mintCard({ value: MINT_FEE });
+      await mintCard(battleCard, user1);
+      await mintCard(battleCard, user2);
       
       const balanceBefore = await ethers.provider.getBalance(owner.address);
       const tx = await battleCard.connect(owner).withdraw();
@@ -68,6 +248,428 @@ describe("BattleCard", function () {
       
       expect(balanceAfter).to.be.greaterThan(balanceBefore - gasUsed + MINT_FEE * 2n - ethers.parseEther("0.0001"));
     });
+
+    it("Should hold back fees of unrevealed mints", async function () {
+      await mintCard(battleCard, user1);
+      await battleCard.connect(user2).commitMint({ value: MINT_FEE });
+
+      await expect(battleCard.connect(owner).withdraw()).to.changeEtherBalance(owner, MINT_FEE);
+      expect(await ethers.provider.getBalance(await battleCard.getAddress())).to.equal(MINT_FEE);
+    });
+  });
+
+  describe("Card packs", function () {
+    // Rarities revealMint rolls for a pack before the Rare guarantee, from the reveal block hash
+    async function naturalRarities(commitId) {
+      const commit = await battleCard.mintCommits(commitId);
+      const block = await ethers.provider.getBlock(Number(commit.revealBlock));
+      const rarities = [];
+      for (let i = 0; i < Number(commit.count); i++) {
+        const seed =
+          i === 0
+            ? ethers.solidityPackedKeccak256(["bytes32", "uint256", "address"], [block.hash, commitId, commit.owner])
+            : ethers.solidityPackedKeccak256(
+                ["bytes32", "uint256", "address", "uint8"],
+                [block.hash, commitId, commit.owner, i]
+              );
+        const roll = BigInt(seed) % 100n;
+        rarities.push(roll < 60n ? 0 : roll < 85n ? 1 : roll < 95n ? 2 : roll < 99n ? 3 : 4);
+      }
+      return rarities;
+    }
+
+    it("Should price packs per card unless the owner sets a pack price", async function () {
+      expect(await battleCard.packPrice(1)).to.equal(MINT_FEE);
+      expect(await battleCard.packPrice(3)).to.equal(MINT_FEE * 3n);
+      expect(await battleCard.packPrice(5)).to.equal(ethers.parseEther("0.0045"));
+
+      await expect(battleCard.connect(user1).setPackPrice(3, 1)).to.be.revertedWithCustomError(
+        battleCard,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(battleCard.setPackPrice(3, ethers.parseEther("0.0025")))
+        .to.emit(battleCard, "PackPriceUpdated")
+        .withArgs(3, ethers.parseEther("0.0025"));
+      expect(await battleCard.packPrice(3)).to.equal(ethers.parseEther("0.0025"));
+
+      await battleCard.setPackPrice(3, 0);
+      expect(await battleCard.packPrice(3)).to.equal(MINT_FEE * 3n);
+      await expect(battleCard.setPackPrice(11, 1)).to.be.revertedWith("Invalid pack size");
+    });
+
+    it("Should reject invalid sizes and wrong payments", async function () {
+      await expect(battleCard.connect(user1).mintPack(0)).to.be.revertedWith("Invalid pack size");
+      await expect(battleCard.connect(user1).mintPack(11, { value: MINT_FEE * 11n })).to.be.revertedWith(
+        "Invalid pack size"
+      );
+      await expect(battleCard.connect(user1).mintPack(3, { value: MINT_FEE })).to.be.revertedWith(
+        "Incorrect pack price"
+      );
+    });
+
+    it("Should mint every card of a pack in the reveal transaction", async function () {
+      const price = await battleCard.packPrice(3);
+      await battleCard.connect(user1).mintPack(3, { value: price });
+      expect(await battleCard.pendingMintFees()).to.equal(price);
+      await mine(1);
+
+      const reveal = await battleCard.connect(user2).revealMint(1);
+      const receipt = await reveal.wait();
+      const minted = receipt.logs
+        .map((log) => battleCard.interface.parseLog(log))
+        .filter((event) => event && event.name === "CardMinted");
+
+      expect(minted.map((event) => event.args.tokenId)).to.deep.equal([1n, 2n, 3n]);
+      expect(minted.every((event) => event.args.owner === user1.address)).to.equal(true);
+      expect(minted.map((event) => Number(event.args.rarity))).to.deep.equal(await naturalRarities(1));
+      expect(await battleCard.balanceOf(user1.address)).to.equal(3);
+      expect(await battleCard.pendingMintFees()).to.equal(0);
+    });
+
+    it("Should guarantee a Rare or better in large packs", async function () {
+      const price = await battleCard.packPrice(5);
+      // Keep buying until a pack rolls no Rare on its own (about 8% of packs)
+      let commitId;
+      let natural;
+      for (let attempt = 0; attempt < 300; attempt++) {
+        commitId = await battleCard.nextCommitId();
+        await battleCard.connect(user1).mintPack(5, { value: price });
+        await mine(1);
+        natural = await naturalRarities(commitId);
+        if (natural.every((rarity) => rarity === 0)) break;
+      }
+      expect(natural.every((rarity) => rarity === 0)).to.equal(true);
+
+      const firstId = await battleCard.nextId();
+      await battleCard.revealMint(commitId);
+      for (let i = 0n; i < 4n; i++) {
+        expect((await battleCard.getCard(firstId + i)).rarity).to.equal(0);
+      }
+      const upgraded = await battleCard.getCard(firstId + 4n);
+      expect(upgraded.rarity).to.equal(1);
+      expect(upgraded.power).to.be.within(80, 110);
+    });
+
+    it("Should count every card against the max supply", async function () {
+      await battleCard.setMaxSupply(4);
+      const price = await battleCard.packPrice(3);
+      await battleCard.connect(user1).mintPack(3, { value: price });
+      expect(await battleCard.mintCount()).to.equal(3);
+      await expect(battleCard.connect(user1).mintPack(2, { value: MINT_FEE * 2n })).to.be.revertedWith(
+        "Max supply reached"
+      );
+
+      // A pack opened after its reveal window still takes its slots
+      await mine(REVEAL_WINDOW + 1);
+      await battleCard.revealMint(1);
+      expect(await battleCard.mintCount()).to.equal(3);
+    });
+  });
+
+  describe("Allowlist claims", function () {
+    let claims;
+    let outsider;
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      outsider = signers[4];
+      claims = buildClaims([user1.address, user2.address, signers[3].address]);
+      await battleCard.setClaim(claims.root, 0);
+    });
+
+    it("Should let an allowlisted address claim a free sealed pack", async function () {
+      const commitId = await battleCard.nextCommitId();
+      await expect(battleCard.connect(user1).claimMint(claims.proofs[user1.address]))
+        .to.emit(battleCard, "MintClaimed")
+        .withArgs(user1.address, commitId);
+      expect(await battleCard.hasClaimed(user1.address)).to.equal(true);
+      expect(await battleCard.hasClaimed(user2.address)).to.equal(false);
+
+      await mine(1);
+      await battleCard.revealMint(commitId);
+      expect(await battleCard.ownerOf(1)).to.equal(user1.address);
+      expect(await battleCard.mintCount()).to.equal(1);
+    });
+
+    it("Should only allow one claim per address", async function () {
+      await battleCard.connect(user1).claimMint(claims.proofs[user1.address]);
+      await expect(battleCard.connect(user1).claimMint(claims.proofs[user1.address])).to.be.revertedWith(
+        "Already claimed"
+      );
+    });
+
+    it("Should reject addresses outside the allowlist and borrowed proofs", async function () {
+      await expect(battleCard.connect(outsider).claimMint([])).to.be.revertedWith("Invalid proof");
+      await expect(battleCard.connect(outsider).claimMint(claims.proofs[user1.address])).to.be.revertedWith(
+        "Invalid proof"
+      );
+    });
+
+    it("Should charge the discounted claim price when one is set", async function () {
+      const price = MINT_FEE / 2n;
+      await expect(battleCard.setClaim(claims.root, price)).to.emit(battleCard, "ClaimUpdated").withArgs(claims.root, price);
+
+      await expect(battleCard.connect(user1).claimMint(claims.proofs[user1.address])).to.be.revertedWith(
+        "Incorrect claim price"
+      );
+      await expect(
+        battleCard.connect(user1).claimMint(claims.proofs[user1.address], { value: price })
+      ).to.changeEtherBalance(battleCard, price);
+    });
+
+    it("Should close claims with a zero root and start fresh with a new list", async function () {
+      await battleCard.connect(user1).claimMint(claims.proofs[user1.address]);
+      await expect(battleCard.connect(user1).setClaim(ethers.ZeroHash, 0)).to.be.revertedWithCustomError(
+        battleCard,
+        "OwnableUnauthorizedAccount"
+      );
+
+      await battleCard.setClaim(ethers.ZeroHash, 0);
+      await expect(battleCard.connect(user2).claimMint(claims.proofs[user2.address])).to.be.revertedWith(
+        "Claims closed"
+      );
+
+      const nextClaims = buildClaims([user1.address]);
+      await battleCard.setClaim(nextClaims.root, 0);
+      expect(await battleCard.hasClaimed(user1.address)).to.equal(false);
+      await battleCard.connect(user1).claimMint(nextClaims.proofs[user1.address]);
+    });
+  });
+
+  describe("Mint economics", function () {
+    it("Should let the owner change the fee for future packs", async function () {
+      const newFee = ethers.parseEther("0.002");
+      await expect(battleCard.connect(user1).setMintFee(newFee))
+        .to.be.revertedWithCustomError(battleCard, "OwnableUnauthorizedAccount");
+      await expect(battleCard.setMintFee(newFee)).to.emit(battleCard, "MintFeeUpdated").withArgs(MINT_FEE, newFee);
+
+      expect(await battleCard.mintFee()).to.equal(newFee);
+      await expect(battleCard.connect(user1).commitMint({ value: MINT_FEE })).to.be.revertedWith("Incorrect mint fee");
+      await battleCard.connect(user1).commitMint({ value: newFee });
+    });
+
+    it("Should release the fee a pack paid, not the current one, when it opens", async function () {
+      await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+      await battleCard.setMintFee(ethers.parseEther("0.005"));
+      expect(await battleCard.pendingMintFees()).to.equal(MINT_FEE);
+      await mine(REVEAL_WINDOW + 1);
+
+      await battleCard.revealMint(1);
+      expect(await battleCard.pendingMintFees()).to.equal(0);
+    });
+
+    it("Should stop paid mints at the max supply", async function () {
+      await mintCard(battleCard, user1);
+      await expect(battleCard.setMaxSupply(2)).to.emit(battleCard, "MaxSupplyUpdated").withArgs(2);
+
+      await battleCard.connect(user2).commitMint({ value: MINT_FEE });
+      await expect(battleCard.connect(user2).commitMint({ value: MINT_FEE })).to.be.revertedWith("Max supply reached");
+      await expect(battleCard.setMaxSupply(1)).to.be.revertedWith("Below minted supply");
+
+      await battleCard.setMaxSupply(0);
+      await battleCard.connect(user2).commitMint({ value: MINT_FEE });
+    });
+
+    it("Should report EIP-2981 royalties to the contract by default", async function () {
+      const tokenId = await mintCard(battleCard, user1);
+      const salePrice = ethers.parseEther("1");
+
+      expect(await battleCard.supportsInterface("0x2a55205a")).to.equal(true);
+      const [receiver, royalty] = await battleCard.royaltyInfo(tokenId, salePrice);
+      expect(receiver).to.equal(await battleCard.getAddress());
+      expect(royalty).to.equal(salePrice / 20n);
+
+      await expect(battleCard.setDefaultRoyalty(user2.address, 250))
+        .to.emit(battleCard, "RoyaltyUpdated")
+        .withArgs(user2.address, 250);
+      expect(await battleCard.royaltyInfo(tokenId, salePrice)).to.deep.equal([user2.address, salePrice / 40n]);
+    });
+
+    it("Should split withdrawals between payees by share", async function () {
+      const payees = [user1.address, user2.address];
+      await expect(battleCard.setPayees(payees, [1, 3]))
+        .to.emit(battleCard, "PayeesUpdated")
+        .withArgs(payees, [1, 3]);
+      expect(await battleCard.getPayees()).to.deep.equal([payees, [1n, 3n]]);
+
+      for (let i = 0; i < 4; i++) {
+        await mintCard(battleCard, owner);
+      }
+      // Royalties sent straight to the contract are split with the fees
+      await owner.sendTransaction({ to: await battleCard.getAddress(), value: MINT_FEE * 4n });
+
+      const total = MINT_FEE * 8n;
+      await expect(battleCard.withdraw()).to.changeEtherBalances(
+        [user1, user2, battleCard],
+        [total / 4n, (total * 3n) / 4n, -total]
+      );
+    });
+
+    it("Should validate payees and fall back to the owner when cleared", async function () {
+      await expect(battleCard.setPayees([user1.address], [1, 2])).to.be.revertedWith("Length mismatch");
+      await expect(battleCard.setPayees([ethers.ZeroAddress], [1])).to.be.revertedWith("Invalid payee");
+      await expect(battleCard.setPayees([user1.address], [0])).to.be.revertedWith("Invalid shares");
+      await expect(battleCard.setPayees([user1.address, user1.address], [1, 1])).to.be.revertedWith("Duplicate payee");
+
+      await battleCard.setPayees([user1.address], [1]);
+      await battleCard.setPayees([], []);
+      expect(await battleCard.totalShares()).to.equal(0);
+      expect(await battleCard.shares(user1.address)).to.equal(0);
+
+      await mintCard(battleCard, user2);
+      await expect(battleCard.withdraw()).to.changeEtherBalances([owner, user1], [MINT_FEE, 0]);
+    });
+  });
+
+  describe("Token metadata", function () {
+    const CHARACTER_NAMES = ["Warrior", "Mage", "Cavalry", "Prince"];
+    const RARITY_NAMES = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
+    // Tailwind colors behind RARITY_COLORS in frontend/src/components/Card.jsx
+    const RARITY_HEX = ["#6b7280", "#3b82f6", "#a855f7", "#eab308", "#dc2626"];
+
+    function decodeDataUri(uri, mimeType) {
+      const prefix = `data:${mimeType};base64,`;
+      expect(uri.startsWith(prefix)).to.equal(true);
+      return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+    }
+
+    async function metadataOf(tokenId) {
+      return JSON.parse(decodeDataUri(await battleCard.tokenURI(tokenId), "application/json"));
+    }
+
+    function trait(metadata, name) {
+      return metadata.attributes.find((attribute) => attribute.trait_type === name).value;
+    }
+
+    it("Should return valid JSON metadata with OpenSea attributes", async function () {
+      const tokenId = await mintCard(battleCard, user1);
+      const card = await battleCard.getCard(tokenId);
+      const metadata = await metadataOf(tokenId);
+
+      expect(metadata).to.have.all.keys("name", "description", "image", "attributes");
+      expect(metadata.name).to.equal(`${CHARACTER_NAMES[Number(card.character)]} #${tokenId}`);
+      expect(metadata.description).to.be.a("string").that.is.not.empty;
+      expect(metadata.attributes).to.be.an("array").with.lengthOf(7);
+      for (const attribute of metadata.attributes) {
+        expect(attribute.trait_type).to.be.a("string");
+        expect(attribute.value).to.satisfy((value) => typeof value === "string" || Number.isInteger(value));
+      }
+
+      expect(trait(metadata, "Character")).to.equal(CHARACTER_NAMES[Number(card.character)]);
+      expect(trait(metadata, "Rarity")).to.equal(RARITY_NAMES[Number(card.rarity)]);
+      expect(trait(metadata, "Power")).to.equal(Number(card.power));
+      expect(trait(metadata, "Defense")).to.equal(Number(card.defense));
+      expect(trait(metadata, "Speed")).to.equal(Number(card.speed));
+      expect(trait(metadata, "Level")).to.equal(1);
+      expect(trait(metadata, "XP")).to.equal(0);
+    });
+
+    it("Should embed an SVG with the rarity frame, token ID and stats", async function () {
+      const tokenId = await mintCard(battleCard, user1);
+      const card = await battleCard.getCard(tokenId);
+      const svg = decodeDataUri((await metadataOf(tokenId)).image, "image/svg+xml");
+
+      expect(svg.startsWith("<svg")).to.equal(true);
+      expect(svg.endsWith("</svg>")).to.equal(true);
+      expect(svg).to.include(`stroke="${RARITY_HEX[Number(card.rarity)]}"`);
+      expect(svg).to.include(`>#${tokenId}<`);
+      expect(svg).to.include(`>${CHARACTER_NAMES[Number(card.character)]}<`);
+      for (const stat of [card.power, card.defense, card.speed]) {
+        expect(svg).to.include(`>${stat}<`);
+      }
+    });
+
+    it("Should reflect levels gained after minting", async function () {
+      const tokenId = await mintCard(battleCard, user1);
+      await battleCard.setBattleManager(owner.address);
+      await battleCard.grantXp(tokenId, 50);
+
+      const card = await battleCard.getCard(tokenId);
+      const metadata = await metadataOf(tokenId);
+      expect(trait(metadata, "Level")).to.equal(2);
+      expect(trait(metadata, "XP")).to.equal(50);
+      expect(trait(metadata, "Power")).to.equal(Number(card.power));
+      expect(decodeDataUri(metadata.image, "image/svg+xml")).to.include(">Lv 2<");
+    });
+
+    it("Should reject metadata for a token that doesn't exist", async function () {
+      await expect(battleCard.tokenURI(1)).to.be.revertedWithCustomError(battleCard, "ERC721NonexistentToken");
+    });
+  });
+});
+
+describe("BattleCard owner index", function () {
+  let battleCard;
+  let user1;
+  let user2;
+
+  beforeEach(async function () {
+    [, user1, user2] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+  });
+
+  it("Should swap the last token into a transferred token's position", async function () {
+    await battleCard.mintBatchWithStats(user1.address, 5, 100, 0);
+    await battleCard.connect(user1).transferFrom(user1.address, user2.address, 2);
+
+    expect(await battleCard.getOwnedTokens(user1.address, 0, 10)).to.deep.equal([1n, 5n, 3n, 4n]);
+    expect(await battleCard.tokenOfOwnerByIndex(user1.address, 1)).to.equal(5);
+    expect(await battleCard.tokenOfOwnerByIndex(user2.address, 0)).to.equal(2);
+    await expect(battleCard.tokenOfOwnerByIndex(user1.address, 4)).to.be.revertedWith("Index out of bounds");
+
+    // A self-transfer leaves the index alone
+    await battleCard.connect(user1).transferFrom(user1.address, user1.address, 5);
+    expect(await battleCard.getOwnedTokens(user1.address, 0, 10)).to.deep.equal([1n, 5n, 3n, 4n]);
+
+    await battleCard.connect(user1).transferFrom(user1.address, user2.address, 4);
+    await battleCard.connect(user2).transferFrom(user2.address, user1.address, 2);
+    expect(await battleCard.getOwnedTokens(user1.address, 0, 10)).to.deep.equal([1n, 5n, 3n, 2n]);
+    expect(await battleCard.getOwnedTokens(user2.address, 0, 10)).to.deep.equal([4n]);
+  });
+
+  it("Should page through an owner's tokens", async function () {
+    await battleCard.mintBatchWithStats(user1.address, 7, 100, 0);
+
+    expect(await battleCard.getOwnedTokens(user1.address, 0, 3)).to.deep.equal([1n, 2n, 3n]);
+    expect(await battleCard.getOwnedTokens(user1.address, 3, 3)).to.deep.equal([4n, 5n, 6n]);
+    expect(await battleCard.getOwnedTokens(user1.address, 6, 3)).to.deep.equal([7n]);
+    expect(await battleCard.getOwnedTokens(user1.address, 7, 3)).to.deep.equal([]);
+    expect(await battleCard.getOwnedTokens(user1.address, 2, 0)).to.deep.equal([]);
+    expect(await battleCard.getOwnedTokens(user2.address, 0, 3)).to.deep.equal([]);
+  });
+
+  describe("Gas benchmarks", function () {
+    this.timeout(300000);
+
+    // Mint in chunks to stay under the block gas limit
+    const MINT_CHUNK = 200;
+
+    it("Should keep transfer cost flat at 10, 100 and 1000 owned tokens", async function () {
+      const signers = await ethers.getSigners();
+      const gasBySize = {};
+
+      for (const [i, size] of [10, 100, 1000].entries()) {
+        const holder = signers[4 + i];
+        const recipient = signers[7 + i];
+        const firstId = await battleCard.nextId();
+        for (let minted = 0; minted < size; minted += MINT_CHUNK) {
+          await battleCard.mintBatchWithStats(holder.address, Math.min(MINT_CHUNK, size - minted), 100, 0);
+        }
+
+        // A token from the middle of the list, which the old linear scan had to search for
+        const tokenId = firstId + BigInt(size / 2);
+        const tx = await battleCard.connect(holder).transferFrom(holder.address, recipient.address, tokenId);
+        gasBySize[size] = (await tx.wait()).gasUsed;
+        expect(await battleCard.balanceOf(holder.address)).to.equal(size - 1);
+      }
+
+      // Only the calldata cost of the larger token IDs may differ
+      expect(gasBySize[100]).to.be.closeTo(gasBySize[10], 100n);
+      expect(gasBySize[1000]).to.be.closeTo(gasBySize[10], 100n);
+    });
   });
 });
 
@@ -78,8 +680,6 @@ describe("BattleManager", function () {
   let user1;
   let user2;
 
-  const MINT_FEE = ethers.parseEther("0.001");
-
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
 
@@ -92,10 +692,12 @@ describe("BattleManager", function () {
     battleManager = await BattleManager.deploy(battleCardAddress);
     await battleManager.waitForDeployment();
 
-    // Mint cards for testing
+    // Mint cards for testing: user1 owns 1-3, user2 owns 4-6
+    for (let i = 0; i < 3; i++) {
+      await mintCard(battleCard, user1);
+    }
     for (let i = 0; i < 3; i++) {
-      await battleCard.connect(user1).mintCard({ value: MINT_FEE });
-      await battleCard.connect(user2).mintCard({ value: MINT_FEE });
+      await mintCard(battleCard, user2);
     }
   });
 
@@ -104,7 +706,7 @@ describe("BattleManager", function () {
       const myCards = [1, 2, 3];
       await battleCard.connect(user1).batchApprove(await battleManager.getAddress(), myCards);
       
-      await expect(battleManager.connect(user1).createBattle(user2.address, myCards))
+      await expect(battleManager.connect(user1).createBattle(user2.address, myCards, lineupHash(user1, myCards)))
         .to.emit(battleManager, "BattleCreated");
       
       const battle = await battleManager.getBattle(0);
@@ -116,12 +718,12 @@ describe("BattleManager", function () {
     it("Should join a battle", async function () {
       const myCards = [1, 2, 3];
       await battleCard.connect(user1).batchApprove(await battleManager.getAddress(), myCards);
-      await battleManager.connect(user1).createBattle(user2.address, myCards);
+      await battleManager.connect(user1).createBattle(user2.address, myCards, lineupHash(user1, myCards));
       
       const opponentCards = [4, 5, 6];
       await battleCard.connect(user2).batchApprove(await battleManager.getAddress(), opponentCards);
       
-      await expect(battleManager.connect(user2).joinBattle(0, opponentCards))
+      await expect(battleManager.connect(user2).joinBattle(0, opponentCards, lineupHash(user2, opponentCards)))
         .to.emit(battleManager, "BattleJoined");
       
       const battle = await battleManager.getBattle(0);
@@ -131,16 +733,15 @@ describe("BattleManager", function () {
     it("Should resolve rounds and determine winner", async function () {
       const myCards = [1, 2, 3];
       await battleCard.connect(user1).batchApprove(await battleManager.getAddress(), myCards);
-      await battleManager.connect(user1).createBattle(user2.address, myCards);
+      await battleManager.connect(user1).createBattle(user2.address, myCards, lineupHash(user1, myCards));
       
       const opponentCards = [4, 5, 6];
       await battleCard.connect(user2).batchApprove(await battleManager.getAddress(), opponentCards);
-      await battleManager.connect(user2).joinBattle(0, opponentCards);
+      await battleManager.connect(user2).joinBattle(0, opponentCards, lineupHash(user2, opponentCards));
       
       // Reveal all rounds
-      for (let i = 0; i < 3; i++) {
-        await battleManager.revealRound(0);
-      }
+      await revealLineups(battleManager, 0, user1, myCards, user2, opponentCards);
+      await revealAll(battleManager, 0);
       
       const battle = await battleManager.getBattle(0);
       expect(battle.status).to.equal(3); // Resolved
@@ -150,25 +751,1376 @@ describe("BattleManager", function () {
     it("Should allow winner to claim reward", async function () {
       const myCards = [1, 2, 3];
       await battleCard.connect(user1).batchApprove(await battleManager.getAddress(), myCards);
-      await battleManager.connect(user1).createBattle(user2.address, myCards);
+      await battleManager.connect(user1).createBattle(user2.address, myCards, lineupHash(user1, myCards));
       
       const opponentCards = [4, 5, 6];
       await battleCard.connect(user2).batchApprove(await battleManager.getAddress(), opponentCards);
-      await battleManager.connect(user2).joinBattle(0, opponentCards);
+      await battleManager.connect(user2).joinBattle(0, opponentCards, lineupHash(user2, opponentCards));
       
       // Reveal all rounds
-      for (let i = 0; i < 3; i++) {
-        await battleManager.revealRound(0);
-      }
+      await revealLineups(battleManager, 0, user1, myCards, user2, opponentCards);
+      await revealAll(battleManager, 0);
       
       const battle = await battleManager.getBattle(0);
       const winner = battle.winner === user1.address ? user1 : user2;
       
       await battleManager.connect(winner).claimReward(0, 0);
       
-      // Check that prize card was transferred to winner
-      const prizeOwner = await battleCard.ownerOf(battle.opponentCards[0]);
+      // Check that the prize card was taken from the loser's lineup
+      const loserCards = winner === user1 ? battle.opponentCards : battle.starterCards;
+      const prizeOwner = await battleCard.ownerOf(loserCards[0]);
       expect(prizeOwner).to.equal(winner.address);
     });
   });
+
+  describe("Open Challenges", function () {
+    let user3;
+    let managerAddress;
+
+    beforeEach(async function () {
+      [, , , user3] = await ethers.getSigners();
+      managerAddress = await battleManager.getAddress();
+
+      // user3 owns 7-9
+      for (let i = 0; i < 3; i++) {
+        await mintCard(battleCard, user3);
+      }
+      await battleCard.connect(user1).batchApprove(managerAddress, [1, 2, 3]);
+      await battleManager.connect(user1).createBattle(ethers.ZeroAddress, [1, 2, 3], lineupHash(user1, [1, 2, 3]));
+    });
+
+    it("Should list an open challenge", async function () {
+      const battle = await battleManager.getBattle(0);
+      expect(battle.opponent).to.equal(ethers.ZeroAddress);
+      expect(await battleManager.getOpenBattles()).to.deep.equal([0n]);
+    });
+
+    it("Should let any wallet accept an open challenge", async function () {
+      await battleCard.connect(user3).batchApprove(managerAddress, [7, 8, 9]);
+      await expect(battleManager.connect(user3).joinBattle(0, [7, 8, 9], lineupHash(user3, [7, 8, 9])))
+        .to.emit(battleManager, "BattleJoined")
+        .withArgs(0, user3.address, [7, 8, 9]);
+
+      const battle = await battleManager.getBattle(0);
+      expect(battle.opponent).to.equal(user3.address);
+      expect(battle.status).to.equal(1); // ReadyToReveal
+      expect(await battleManager.getOpenBattles()).to.deep.equal([]);
+    });
+
+    it("Should not let a second wallet take a filled seat", async function () {
+      await battleCard.connect(user3).batchApprove(managerAddress, [7, 8, 9]);
+      await battleManager.connect(user3).joinBattle(0, [7, 8, 9], lineupHash(user3, [7, 8, 9]));
+
+      await battleCard.connect(user2).batchApprove(managerAddress, [4, 5, 6]);
+      await expect(battleManager.connect(user2).joinBattle(0, [4, 5, 6], lineupHash(user2, [4, 5, 6]))).to.be.revertedWith("Battle not open");
+    });
+
+    it("Should not let the starter accept their own challenge", async function () {
+      await expect(battleManager.connect(user1).joinBattle(0, [1, 2, 3], lineupHash(user1, [1, 2, 3]))).to.be.revertedWith("Cannot join own battle");
+    });
+
+    it("Should keep the rest of the list intact when one challenge is taken", async function () {
+      await battleCard.connect(user2).batchApprove(managerAddress, [4, 5, 6]);
+      await battleManager.connect(user2).createBattle(ethers.ZeroAddress, [4, 5, 6], lineupHash(user2, [4, 5, 6]));
+      expect(await battleManager.getOpenBattles()).to.deep.equal([0n, 1n]);
+
+      await battleCard.connect(user3).batchApprove(managerAddress, [7, 8, 9]);
+      await battleManager.connect(user3).joinBattle(0, [7, 8, 9], lineupHash(user3, [7, 8, 9]));
+      expect(await battleManager.getOpenBattles()).to.deep.equal([1n]);
+    });
+
+    it("Should drop a cancelled challenge from the list", async function () {
+      await mine(3601);
+      await battleManager.connect(user1).cancelBattle(0);
+      expect(await battleManager.getOpenBattles()).to.deep.equal([]);
+      expect(await battleCard.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it("Should still reject the wrong wallet on a targeted challenge", async function () {
+      await battleCard.connect(user2).batchApprove(managerAddress, [4, 5, 6]);
+      await battleManager.connect(user2).createBattle(user1.address, [4, 5, 6], lineupHash(user2, [4, 5, 6]));
+
+      await battleCard.connect(user3).batchApprove(managerAddress, [7, 8, 9]);
+      await expect(battleManager.connect(user3).joinBattle(1, [7, 8, 9], lineupHash(user3, [7, 8, 9]))).to.be.revertedWith("Not the intended opponent");
+      expect(await battleManager.getOpenBattles()).to.deep.equal([0n]);
+    });
+  });
+});
+
+describe("BattleManager round resolution", function () {
+  let battleCard;
+  let battleManager;
+  let owner;
+  let user1;
+  let user2;
+
+  const WARRIOR = 0;
+  const MAGE = 1;
+  const CAVALRY = 2;
+  const PRINCE = 3;
+
+  // BattleManager.TieBreak
+  const NO_TIE = 0;
+  const SPEED = 1;
+  const RARITY = 2;
+  const COIN_FLIP = 3;
+
+  // Mint a card with exact stats through the test harness (Common unless given)
+  async function mintWith(to, power, defense, speed, character, rarity = 0) {
+    await battleCard.mintWithStats(to.address, power, defense, speed, character, rarity);
+    return (await battleCard.nextId()) - 1n;
+  }
+
+  // Battle whose first round is the given pair, padded with filler cards
+  async function battleWithFirstRound(starterCardId, opponentCardId) {
+    const starterCards = [starterCardId, await mintWith(user1, 50, 30, 10, PRINCE), await mintWith(user1, 50, 30, 10, PRINCE)];
+    const opponentCards = [opponentCardId, await mintWith(user2, 50, 30, 10, PRINCE), await mintWith(user2, 50, 30, 10, PRINCE)];
+    return setupBattle(battleCard, battleManager, user1, starterCards, user2, opponentCards);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+  });
+
+  describe("Type advantage", function () {
+    it("Should start with the Cavalry > Mage > Warrior > Cavalry cycle", async function () {
+      const matrix = await battleManager.getTypeAdvantages();
+      expect(matrix[CAVALRY][MAGE]).to.equal(12500);
+      expect(matrix[MAGE][WARRIOR]).to.equal(12500);
+      expect(matrix[WARRIOR][CAVALRY]).to.equal(12500);
+      expect(matrix[MAGE][CAVALRY]).to.equal(10000);
+      expect(matrix[PRINCE][WARRIOR]).to.equal(10000);
+      expect(matrix[WARRIOR][WARRIOR]).to.equal(10000);
+    });
+
+    it("Should let a favoured type beat a stronger card and emit the multipliers", async function () {
+      // Mage base 80 + 40/2 + 20 = 120 (x1.25 = 150) vs Warrior base 100 + 40/2 + 20 = 140
+      const mage = await mintWith(user1, 80, 40, 20, MAGE);
+      const warrior = await mintWith(user2, 100, 40, 20, WARRIOR);
+      const battleId = await battleWithFirstRound(mage, warrior);
+
+      await expect(battleManager.revealRound(battleId))
+        .to.emit(battleManager, "RoundResolved")
+        .withArgs(battleId, 0, mage, warrior, true, 12500, 10000, NO_TIE);
+    });
+
+    it("Should apply owner-configured multipliers", async function () {
+      await expect(battleManager.connect(owner).setTypeAdvantage(PRINCE, WARRIOR, 20000))
+        .to.emit(battleManager, "TypeAdvantageUpdated")
+        .withArgs(PRINCE, WARRIOR, 20000);
+
+      const prince = await mintWith(user1, 60, 40, 20, PRINCE);
+      const warrior = await mintWith(user2, 150, 40, 20, WARRIOR);
+      const battleId = await battleWithFirstRound(prince, warrior);
+
+      await expect(battleManager.revealRound(battleId))
+        .to.emit(battleManager, "RoundResolved")
+        .withArgs(battleId, 0, prince, warrior, true, 20000, 10000, NO_TIE);
+    });
+
+    it("Should only let the owner configure the matrix", async function () {
+      await expect(battleManager.connect(user1).setTypeAdvantage(MAGE, WARRIOR, 15000))
+        .to.be.revertedWithCustomError(battleManager, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject invalid types and out-of-range multipliers", async function () {
+      await expect(battleManager.setTypeAdvantage(4, WARRIOR, 15000)).to.be.revertedWith("Invalid character type");
+      await expect(battleManager.setTypeAdvantage(MAGE, WARRIOR, 4999)).to.be.revertedWith("Multiplier out of range");
+      await expect(battleManager.setTypeAdvantage(MAGE, WARRIOR, 20001)).to.be.revertedWith("Multiplier out of range");
+    });
+  });
+
+  describe("Tie-breaking", function () {
+    it("Should give an equal-score round to the faster card", async function () {
+      // Both score 140; the opponent has more power but less speed
+      const starter = await mintWith(user1, 100, 40, 20, PRINCE);
+      const opponent = await mintWith(user2, 110, 40, 10, PRINCE);
+      const battleId = await battleWithFirstRound(starter, opponent);
+
+      await expect(battleManager.revealRound(battleId))
+        .to.emit(battleManager, "RoundResolved")
+        .withArgs(battleId, 0, starter, opponent, true, 10000, 10000, SPEED);
+    });
+
+    it("Should fall back to rarity when speed is also equal", async function () {
+      const starter = await mintWith(user1, 100, 40, 20, PRINCE, 0);
+      const opponent = await mintWith(user2, 100, 40, 20, PRINCE, 1);
+      const battleId = await battleWithFirstRound(starter, opponent);
+
+      await expect(battleManager.revealRound(battleId))
+        .to.emit(battleManager, "RoundResolved")
+        .withArgs(battleId, 0, starter, opponent, false, 10000, 10000, RARITY);
+    });
+
+    it("Should settle identical cards with a seeded coin flip", async function () {
+      const starter = await mintWith(user1, 100, 40, 20, MAGE, 2);
+      const opponent = await mintWith(user2, 100, 40, 20, MAGE, 2);
+      const battleId = await battleWithFirstRound(starter, opponent);
+
+      // Seeded from both revealed salts, so the block the reveal lands in makes no difference
+      const saltHash = (player) =>
+        BigInt(
+          ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [player.address, LINEUP_SALT]))
+        );
+      const battleSeed = ethers.toBeHex(saltHash(user1) ^ saltHash(user2), 32);
+      const seed = BigInt(
+        ethers.solidityPackedKeccak256(["bytes32", "uint256", "uint8"], [battleSeed, battleId, 0])
+      );
+      await mine(7);
+
+      await expect(battleManager.revealRound(battleId))
+        .to.emit(battleManager, "RoundResolved")
+        .withArgs(battleId, 0, starter, opponent, seed % 2n === 0n, 10000, 10000, COIN_FLIP);
+    });
+
+    it("Should count a tiebreak win toward the battle result", async function () {
+      const starterCards = [];
+      const opponentCards = [];
+      for (let i = 0; i < 3; i++) {
+        starterCards.push(await mintWith(user1, 100, 40, 20, PRINCE));
+        opponentCards.push(await mintWith(user2, 110, 40, 10, PRINCE));
+      }
+      const battleId = await setupBattle(battleCard, battleManager, user1, starterCards, user2, opponentCards);
+
+      await revealAll(battleManager, battleId);
+      const battle = await battleManager.getBattle(battleId);
+      expect(battle.starterWins).to.equal(2);
+      expect(battle.winner).to.equal(user1.address);
+    });
+  });
+});
+
+describe("BattleManager wagers", function () {
+  let battleCard;
+  let battleManager;
+  let owner;
+  let user1;
+  let user2;
+  let treasury;
+  let managerAddress;
+  let strongCards;
+  let weakCards;
+
+  const STAKE = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasury] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+    managerAddress = await battleManager.getAddress();
+
+    // user1 gets three strong Princes (1-3), user2 three weak ones (4-6), so user1 always wins
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user1.address, 200, 100, 50, 3, 0);
+    }
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, 0);
+    }
+    strongCards = [1, 2, 3];
+    weakCards = [4, 5, 6];
+    await battleCard.connect(user1).batchApprove(managerAddress, strongCards);
+    await battleCard.connect(user2).batchApprove(managerAddress, weakCards);
+  });
+
+  it("Should escrow a matched stake from both sides", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards), { value: STAKE });
+    await battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards), { value: STAKE });
+
+    expect((await battleManager.getBattle(0)).stake).to.equal(STAKE);
+    expect(await ethers.provider.getBalance(managerAddress)).to.equal(STAKE * 2n);
+  });
+
+  it("Should reject a join that does not match the stake", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards), { value: STAKE });
+    await expect(
+      battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards), { value: STAKE / 2n })
+    ).to.be.revertedWith("Stake mismatch");
+    await expect(battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards))).to.be.revertedWith("Stake mismatch");
+  });
+
+  it("Should pay the whole pot to the winner", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards), { value: STAKE });
+    await battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards), { value: STAKE });
+    await revealLineups(battleManager, 0, user1, strongCards, user2, weakCards);
+    await revealAll(battleManager, 0);
+
+    await expect(battleManager.connect(user1).claimReward(0, 0)).to.changeEtherBalances(
+      [user1, battleManager],
+      [STAKE * 2n, -STAKE * 2n]
+    );
+  });
+
+  it("Should not pay out twice", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards), { value: STAKE });
+    await battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards), { value: STAKE });
+    await revealLineups(battleManager, 0, user1, strongCards, user2, weakCards);
+    await revealAll(battleManager, 0);
+    await battleManager.connect(user1).claimReward(0, 0);
+
+    await expect(battleManager.connect(user1).claimReward(0, 1)).to.be.revertedWith("Already claimed");
+  });
+
+  it("Should take the protocol fee from the pot and send it to the treasury", async function () {
+    await battleManager.connect(owner).setProtocolFee(treasury.address, 250); // 2.5%
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards), { value: STAKE });
+    await battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards), { value: STAKE });
+    await revealLineups(battleManager, 0, user1, strongCards, user2, weakCards);
+    await revealAll(battleManager, 0);
+
+    const fee = (STAKE * 2n * 250n) / 10000n;
+    await expect(battleManager.connect(user1).claimReward(0, 0)).to.changeEtherBalance(user1, STAKE * 2n - fee);
+    expect(await battleManager.accruedProtocolFees()).to.equal(fee);
+
+    await expect(battleManager.withdrawProtocolFees())
+      .to.emit(battleManager, "ProtocolFeesWithdrawn")
+      .withArgs(treasury.address, fee);
+    expect(await battleManager.accruedProtocolFees()).to.equal(0);
+  });
+
+  it("Should keep the fee a battle was created with", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards), { value: STAKE });
+    await battleManager.connect(owner).setProtocolFee(treasury.address, 500);
+    await battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards), { value: STAKE });
+    await revealLineups(battleManager, 0, user1, strongCards, user2, weakCards);
+    await revealAll(battleManager, 0);
+
+    await expect(battleManager.connect(user1).claimReward(0, 0)).to.changeEtherBalance(user1, STAKE * 2n);
+  });
+
+  it("Should refund the starter's stake on cancel", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards), { value: STAKE });
+    await mine(3601);
+
+    await expect(battleManager.connect(user1).cancelBattle(0)).to.changeEtherBalance(user1, STAKE);
+  });
+
+  it("Should still run card-only battles without a stake", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, strongCards, lineupHash(user1, strongCards));
+    await battleManager.connect(user2).joinBattle(0, weakCards, lineupHash(user2, weakCards));
+    await revealLineups(battleManager, 0, user1, strongCards, user2, weakCards);
+    await revealAll(battleManager, 0);
+
+    await expect(battleManager.connect(user1).claimReward(0, 0)).to.not.emit(battleManager, "StakePaid");
+    expect(await battleCard.ownerOf(4)).to.equal(user1.address);
+  });
+
+  it("Should only let the owner set a bounded protocol fee", async function () {
+    await expect(battleManager.connect(user1).setProtocolFee(treasury.address, 100))
+      .to.be.revertedWithCustomError(battleManager, "OwnableUnauthorizedAccount");
+    await expect(battleManager.setProtocolFee(treasury.address, 501)).to.be.revertedWith("Fee too high");
+    await expect(battleManager.setProtocolFee(ethers.ZeroAddress, 100)).to.be.revertedWith("Invalid treasury");
+  });
+});
+
+describe("BattleManager reveal deadline", function () {
+  let battleCard;
+  let battleManager;
+  let user1;
+  let user2;
+  let user3;
+  let managerAddress;
+
+  const STAKE = ethers.parseEther("1");
+  const REVEAL_TIMEOUT = 3600;
+
+  beforeEach(async function () {
+    [, user1, user2, user3] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+    managerAddress = await battleManager.getAddress();
+
+    // user1 owns 1-3, user2 owns 4-6; user1's cards win every round
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user1.address, 200, 100, 50, 3, 0);
+    }
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, 0);
+    }
+    await battleCard.connect(user1).batchApprove(managerAddress, [1, 2, 3]);
+    await battleManager.connect(user1).createBattle(user2.address, [1, 2, 3], lineupHash(user1, [1, 2, 3]), { value: STAKE });
+    await battleCard.connect(user2).batchApprove(managerAddress, [4, 5, 6]);
+    await battleManager.connect(user2).joinBattle(0, [4, 5, 6], lineupHash(user2, [4, 5, 6]), { value: STAKE });
+    await revealLineups(battleManager, 0, user1, [1, 2, 3], user2, [4, 5, 6]);
+  });
+
+  it("Should set the reveal deadline when the opponent joins", async function () {
+    const battle = await battleManager.getBattle(0);
+    const [joined] = await battleManager.queryFilter(battleManager.filters.BattleJoined(0));
+    const joinBlock = joined.blockNumber;
+    expect(battle.revealDeadline).to.equal(BigInt(joinBlock + REVEAL_TIMEOUT));
+  });
+
+  it("Should not resolve a battle before its deadline", async function () {
+    await expect(battleManager.connect(user3).resolveExpired(0)).to.be.revertedWith("Reveal deadline not reached");
+  });
+
+  it("Should stop reveals after the deadline", async function () {
+    await mine(REVEAL_TIMEOUT + 1);
+    await expect(battleManager.revealRound(0)).to.be.revertedWith("Reveal deadline passed");
+  });
+
+  it("Should return every card and stake once the deadline passes", async function () {
+    await battleManager.revealRound(0);
+    await mine(REVEAL_TIMEOUT + 1);
+
+    await expect(battleManager.connect(user3).resolveExpired(0))
+      .to.emit(battleManager, "BattleExpired")
+      .withArgs(0, user3.address)
+      .and.to.emit(battleManager, "StakePaid");
+
+    const battle = await battleManager.getBattle(0);
+    expect(battle.status).to.equal(5); // Expired
+    for (const id of [1, 2, 3]) {
+      expect(await battleCard.ownerOf(id)).to.equal(user1.address);
+    }
+    for (const id of [4, 5, 6]) {
+      expect(await battleCard.ownerOf(id)).to.equal(user2.address);
+    }
+    expect(await ethers.provider.getBalance(managerAddress)).to.equal(0);
+  });
+
+  it("Should refund both stakes", async function () {
+    await mine(REVEAL_TIMEOUT + 1);
+    await expect(battleManager.connect(user3).resolveExpired(0)).to.changeEtherBalances(
+      [user1, user2],
+      [STAKE, STAKE]
+    );
+  });
+
+  it("Should not expire a battle that already resolved", async function () {
+    await revealAll(battleManager, 0);
+    await mine(REVEAL_TIMEOUT + 1);
+    await expect(battleManager.resolveExpired(0)).to.be.revertedWith("Battle not in progress");
+  });
+
+  it("Should not expire a battle twice", async function () {
+    await mine(REVEAL_TIMEOUT + 1);
+    await battleManager.resolveExpired(0);
+    await expect(battleManager.resolveExpired(0)).to.be.revertedWith("Battle not in progress");
+  });
+});
+
+describe("BattleManager hidden lineups", function () {
+  let battleCard;
+  let battleManager;
+  let user1;
+  let user2;
+  let user3;
+  let managerAddress;
+
+  const STAKE = ethers.parseEther("1");
+  const STARTER_ORDER = [3, 1, 2];
+  const OPPONENT_ORDER = [6, 4, 5];
+
+  beforeEach(async function () {
+    [, user1, user2, user3] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+    managerAddress = await battleManager.getAddress();
+
+    // user1 owns 1-3, user2 owns 4-6
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user1.address, 200, 100, 50, 3, 0);
+    }
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, 0);
+    }
+    await battleCard.connect(user1).batchApprove(managerAddress, [1, 2, 3]);
+    await battleCard.connect(user2).batchApprove(managerAddress, [4, 5, 6]);
+    await battleManager
+      .connect(user1)
+      .createBattle(user2.address, [1, 2, 3], lineupHash(user1, STARTER_ORDER), { value: STAKE });
+  });
+
+  async function join() {
+    await battleManager.connect(user2).joinBattle(0, [4, 5, 6], lineupHash(user2, OPPONENT_ORDER), { value: STAKE });
+  }
+
+  it("Should match the on-chain commitment", async function () {
+    expect(await battleManager.computeLineupHash(user1.address, STARTER_ORDER, LINEUP_SALT)).to.equal(
+      lineupHash(user1, STARTER_ORDER)
+    );
+  });
+
+  it("Should require escrowed cards in ascending order", async function () {
+    await expect(
+      battleManager.connect(user2).joinBattle(0, [5, 4, 6], lineupHash(user2, OPPONENT_ORDER), { value: STAKE })
+    ).to.be.revertedWith("Cards must be ascending");
+  });
+
+  it("Should require a lineup commitment", async function () {
+    await expect(
+      battleManager.connect(user2).joinBattle(0, [4, 5, 6], ethers.ZeroHash, { value: STAKE })
+    ).to.be.revertedWith("Missing lineup commitment");
+  });
+
+  it("Should not start rounds until both lineups are revealed", async function () {
+    await join();
+    await battleManager.connect(user1).revealLineup(0, STARTER_ORDER, LINEUP_SALT);
+    await expect(battleManager.revealRound(0)).to.be.revertedWith("Lineups not revealed");
+  });
+
+  it("Should fight rounds in the committed order", async function () {
+    await join();
+    await expect(battleManager.connect(user1).revealLineup(0, STARTER_ORDER, LINEUP_SALT))
+      .to.emit(battleManager, "LineupRevealed")
+      .withArgs(0, user1.address, STARTER_ORDER);
+    await battleManager.connect(user2).revealLineup(0, OPPONENT_ORDER, LINEUP_SALT);
+
+    const battle = await battleManager.getBattle(0);
+    expect(battle.starterCards).to.deep.equal(STARTER_ORDER.map(BigInt));
+    expect(battle.opponentCards).to.deep.equal(OPPONENT_ORDER.map(BigInt));
+    await expect(battleManager.revealRound(0))
+      .to.emit(battleManager, "RoundResolved")
+      .withArgs(0, 0, 3, 6, true, anyValue, anyValue, anyValue);
+  });
+
+  it("Should reject a reveal that does not match the commitment", async function () {
+    await join();
+    await expect(
+      battleManager.connect(user1).revealLineup(0, [1, 2, 3], LINEUP_SALT)
+    ).to.be.revertedWith("Lineup mismatch");
+    await expect(
+      battleManager.connect(user1).revealLineup(0, STARTER_ORDER, ethers.id("wrong salt"))
+    ).to.be.revertedWith("Lineup mismatch");
+    await expect(
+      battleManager.connect(user3).revealLineup(0, STARTER_ORDER, LINEUP_SALT)
+    ).to.be.revertedWith("Not a participant");
+  });
+
+  it("Should reject a committed lineup that swaps in other cards", async function () {
+    await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, 0); // #7
+    await battleManager.connect(user2).joinBattle(0, [4, 5, 6], lineupHash(user2, [7, 4, 5]), { value: STAKE });
+    await expect(
+      battleManager.connect(user2).revealLineup(0, [7, 4, 5], LINEUP_SALT)
+    ).to.be.revertedWith("Lineup card not escrowed");
+  });
+
+  it("Should only reveal once and before the deadline", async function () {
+    await join();
+    await battleManager.connect(user1).revealLineup(0, STARTER_ORDER, LINEUP_SALT);
+    await expect(
+      battleManager.connect(user1).revealLineup(0, STARTER_ORDER, LINEUP_SALT)
+    ).to.be.revertedWith("Lineup already revealed");
+
+    await mine(LINEUP_REVEAL_TIMEOUT + 1);
+    await expect(
+      battleManager.connect(user2).revealLineup(0, OPPONENT_ORDER, LINEUP_SALT)
+    ).to.be.revertedWith("Lineup deadline passed");
+  });
+
+  describe("Missed reveal", function () {
+    beforeEach(async function () {
+      await join();
+    });
+
+    it("Should not forfeit before the deadline", async function () {
+      await battleManager.connect(user1).revealLineup(0, STARTER_ORDER, LINEUP_SALT);
+      await expect(battleManager.forfeitUnrevealedLineup(0)).to.be.revertedWith("Lineup deadline not reached");
+    });
+
+    it("Should not forfeit once both lineups are revealed", async function () {
+      await revealLineups(battleManager, 0, user1, STARTER_ORDER, user2, OPPONENT_ORDER);
+      await mine(LINEUP_REVEAL_TIMEOUT + 1);
+      await expect(battleManager.forfeitUnrevealedLineup(0)).to.be.revertedWith("Lineups revealed");
+    });
+
+    it("Should award the battle to the side that revealed", async function () {
+      await battleManager.connect(user2).revealLineup(0, OPPONENT_ORDER, LINEUP_SALT);
+      await mine(LINEUP_REVEAL_TIMEOUT + 1);
+
+      await expect(battleManager.connect(user3).forfeitUnrevealedLineup(0))
+        .to.emit(battleManager, "LineupForfeited")
+        .withArgs(0, user1.address)
+        .and.to.emit(battleManager, "BattleResolved")
+        .withArgs(0, user2.address);
+
+      const battle = await battleManager.getBattle(0);
+      expect(battle.status).to.equal(3); // Resolved
+      expect(battle.winner).to.equal(user2.address);
+    });
+
+    it("Should let the forfeit winner take a card and the pot from the forfeiter", async function () {
+      await battleManager.connect(user2).revealLineup(0, OPPONENT_ORDER, LINEUP_SALT);
+      await mine(LINEUP_REVEAL_TIMEOUT + 1);
+      await battleManager.forfeitUnrevealedLineup(0);
+
+      await expect(battleManager.connect(user2).claimReward(0, 1)).to.changeEtherBalance(user2, STAKE * 2n);
+      expect(await battleCard.ownerOf(2)).to.equal(user2.address); // starter's escrowed [1, 2, 3]
+      for (const id of [1, 3]) {
+        expect(await battleCard.ownerOf(id)).to.equal(user1.address);
+      }
+      for (const id of [4, 5, 6]) {
+        expect(await battleCard.ownerOf(id)).to.equal(user2.address);
+      }
+    });
+
+    it("Should return everything when neither side revealed", async function () {
+      await mine(LINEUP_REVEAL_TIMEOUT + 1);
+
+      await expect(battleManager.forfeitUnrevealedLineup(0)).to.changeEtherBalances(
+        [user1, user2],
+        [STAKE, STAKE]
+      );
+      const battle = await battleManager.getBattle(0);
+      expect(battle.status).to.equal(5); // Expired
+      expect(await battleCard.ownerOf(1)).to.equal(user1.address);
+      expect(await battleCard.ownerOf(4)).to.equal(user2.address);
+    });
+  });
+});
+
+describe("BattleManager ladder", function () {
+  let battleCard;
+  let battleManager;
+  let user1;
+  let user2;
+  let user3;
+
+  // Three strong Princes for `to`, returned in mint order
+  async function strongLineup(to) {
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(to.address, 200, 100, 50, 3, 0);
+    }
+    const next = await battleCard.nextId();
+    return [next - 3n, next - 2n, next - 1n];
+  }
+
+  async function weakLineup(to) {
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(to.address, 50, 30, 10, 3, 0);
+    }
+    const next = await battleCard.nextId();
+    return [next - 3n, next - 2n, next - 1n];
+  }
+
+  // Starter wins a full battle against the opponent
+  async function starterWins(starter, opponent) {
+    const id = await setupBattle(
+      battleCard,
+      battleManager,
+      starter,
+      await strongLineup(starter),
+      opponent,
+      await weakLineup(opponent)
+    );
+    await revealAll(battleManager, id);
+    return id;
+  }
+
+  beforeEach(async function () {
+    [, user1, user2, user3] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+  });
+
+  it("Should report the starting rating for unrated players", async function () {
+    const stats = await battleManager.getPlayerStats(user1.address);
+    expect(stats.rating).to.equal(1200);
+    expect(stats.wins).to.equal(0);
+    expect(await battleManager.getPlayers()).to.deep.equal([]);
+  });
+
+  it("Should move equal ratings by half of K", async function () {
+    const id = await starterWins(user1, user2);
+
+    const events = await battleManager.queryFilter(battleManager.filters.RatingUpdated(null, id));
+    expect(events.map((e) => [e.args.player, e.args.oldRating, e.args.newRating])).to.deep.equal([
+      [user1.address, 1200n, 1216n],
+      [user2.address, 1200n, 1184n],
+    ]);
+
+    const winner = await battleManager.getPlayerStats(user1.address);
+    const loser = await battleManager.getPlayerStats(user2.address);
+    expect([winner.rating, winner.wins, winner.losses]).to.deep.equal([1216n, 1n, 0n]);
+    expect([loser.rating, loser.wins, loser.losses]).to.deep.equal([1184n, 0n, 1n]);
+    expect(await battleManager.getPlayers()).to.deep.equal([user1.address, user2.address]);
+  });
+
+  it("Should reward an upset more than an expected win", async function () {
+    await starterWins(user1, user2); // user1 1216
+    const favourite = await starterWins(user1, user3); // favourite user1 beats user3 (1200)
+    const upset = await starterWins(user3, user1); // then user3 beats user1
+
+    const gain = async (battleId, player) => {
+      const [event] = await battleManager.queryFilter(battleManager.filters.RatingUpdated(player.address, battleId));
+      return event.args.newRating - event.args.oldRating;
+    };
+    expect(await gain(favourite, user1)).to.equal(15n);
+    expect(await gain(upset, user3)).to.equal(18n);
+  });
+
+  it("Should keep ratings zero-sum", async function () {
+    await starterWins(user1, user2);
+    await starterWins(user1, user3);
+    await starterWins(user3, user2);
+
+    let total = 0n;
+    for (const player of await battleManager.getPlayers()) {
+      total += (await battleManager.getPlayerStats(player)).rating;
+    }
+    expect(total).to.equal(3600n);
+  });
+
+  it("Should rate a lineup forfeit as a loss", async function () {
+    const managerAddress = await battleManager.getAddress();
+    const starterCards = await strongLineup(user1);
+    const opponentCards = await weakLineup(user2);
+    await battleCard.connect(user1).batchApprove(managerAddress, starterCards);
+    await battleManager.connect(user1).createBattle(user2.address, starterCards, lineupHash(user1, starterCards));
+    await battleCard.connect(user2).batchApprove(managerAddress, opponentCards);
+    await battleManager.connect(user2).joinBattle(0, opponentCards, lineupHash(user2, opponentCards));
+    await battleManager.connect(user2).revealLineup(0, opponentCards, LINEUP_SALT);
+    await mine(LINEUP_REVEAL_TIMEOUT + 1);
+    await battleManager.forfeitUnrevealedLineup(0);
+
+    expect((await battleManager.getPlayerStats(user1.address)).losses).to.equal(1);
+    expect((await battleManager.getPlayerStats(user2.address)).rating).to.equal(1216);
+  });
+});
+
+describe("Card levelling", function () {
+  let battleCard;
+  let battleManager;
+  let owner;
+  let user1;
+  let user2;
+
+  const COMMON = 0;
+  const LEGENDARY = 3;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+  });
+
+  it("Should start cards at level 1 with no XP", async function () {
+    await battleCard.mintWithStats(user1.address, 60, 40, 20, 0, COMMON);
+    const card = await battleCard.getCard(1);
+    expect([card.power, card.defense, card.speed, card.character, card.rarity]).to.deep.equal([60n, 40n, 20n, 0n, 0n]);
+    expect(card.xp).to.equal(0);
+    expect(card.level).to.equal(1);
+  });
+
+  it("Should publish the XP curve", async function () {
+    const thresholds = [];
+    for (let level = 1; level <= 5; level++) {
+      thresholds.push(await battleCard.xpForLevel(level));
+    }
+    expect(thresholds).to.deep.equal([0n, 50n, 150n, 300n, 500n]);
+  });
+
+  it("Should only let the BattleManager grant XP", async function () {
+    await battleCard.mintWithStats(user1.address, 60, 40, 20, 0, COMMON);
+    await expect(battleCard.connect(user1).grantXp(1, 50)).to.be.revertedWith("Not battle manager");
+    await expect(battleCard.connect(user1).setBattleManager(user1.address))
+      .to.be.revertedWithCustomError(battleCard, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should give the winning card of each round XP", async function () {
+    await battleCard.setBattleManager(await battleManager.getAddress());
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user1.address, 200, 100, 50, 3, LEGENDARY);
+    }
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, COMMON);
+    }
+    const battleId = await setupBattle(battleCard, battleManager, user1, [1, 2, 3], user2, [4, 5, 6]);
+
+    await expect(battleManager.revealRound(battleId)).to.emit(battleCard, "XpGained").withArgs(1, 10, 10);
+    await battleManager.revealRound(battleId);
+
+    expect((await battleCard.getCard(2)).xp).to.equal(10);
+    expect((await battleCard.getCard(3)).xp).to.equal(0); // Battle ended after two rounds
+    expect((await battleCard.getCard(4)).xp).to.equal(0);
+  });
+
+  it("Should not settle a round when granting its XP fails", async function () {
+    await battleCard.setBattleManager(await battleManager.getAddress());
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user1.address, 200, 100, 50, 3, LEGENDARY);
+    }
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, COMMON);
+    }
+    const battleId = await setupBattle(battleCard, battleManager, user1, [1, 2, 3], user2, [4, 5, 6]);
+
+    // The grant overflows; like running it out of gas, that must undo the round instead of dropping the XP
+    await battleCard.setXp(1, 2 ** 32 - 1);
+    await expect(battleManager.revealRound(battleId)).to.be.revertedWithPanic(0x11);
+    expect((await battleManager.getBattle(battleId)).currentRound).to.equal(0);
+  });
+
+  it("Should still play battles for a card contract that hasn't registered the manager", async function () {
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user1.address, 200, 100, 50, 3, LEGENDARY);
+    }
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, COMMON);
+    }
+    const battleId = await setupBattle(battleCard, battleManager, user1, [1, 2, 3], user2, [4, 5, 6]);
+
+    await expect(battleManager.revealRound(battleId)).to.not.emit(battleCard, "XpGained");
+    expect((await battleCard.getCard(1)).xp).to.equal(0);
+  });
+
+  describe("Levelling up", function () {
+    beforeEach(async function () {
+      // Let the owner stand in for the BattleManager so XP can be granted directly
+      await battleCard.setBattleManager(owner.address);
+    });
+
+    it("Should add stats at each level threshold", async function () {
+      await battleCard.mintWithStats(user1.address, 60, 40, 20, 0, COMMON);
+
+      await battleCard.grantXp(1, 49);
+      expect((await battleCard.getCard(1)).level).to.equal(1);
+
+      await expect(battleCard.grantXp(1, 1))
+        .to.emit(battleCard, "LevelUp")
+        .withArgs(1, 2, 63, 42, 21);
+      const card = await battleCard.getCard(1);
+      expect([card.level, card.xp]).to.deep.equal([2n, 50n]);
+    });
+
+    it("Should apply several levels from one grant", async function () {
+      await battleCard.mintWithStats(user1.address, 60, 40, 20, 0, COMMON);
+      await battleCard.grantXp(1, 500);
+
+      const card = await battleCard.getCard(1);
+      expect(card.level).to.equal(5);
+      expect([card.power, card.defense, card.speed]).to.deep.equal([72n, 48n, 24n]);
+    });
+
+    it("Should never raise a stat past its rarity's cap", async function () {
+      await battleCard.mintWithStats(user1.address, 79, 59, 30, 0, COMMON);
+      await battleCard.grantXp(1, 150);
+
+      const card = await battleCard.getCard(1);
+      expect(card.level).to.equal(3);
+      expect([card.power, card.defense, card.speed]).to.deep.equal([80n, 60n, 30n]);
+    });
+
+    it("Should stop at the max level", async function () {
+      await battleCard.mintWithStats(user1.address, 150, 120, 50, 0, LEGENDARY);
+      await battleCard.grantXp(1, 100000);
+
+      const card = await battleCard.getCard(1);
+      expect(card.level).to.equal(10);
+      expect(card.xp).to.equal(100000);
+    });
+  });
+});
+
+describe("Card fusion", function () {
+  let battleCard;
+  let user1;
+  let user2;
+
+  const COMMON = 0;
+  const RARE = 1;
+  const MYTHIC = 4;
+
+  async function mintRarity(to, rarity, count = 3) {
+    for (let i = 0; i < count; i++) {
+      await battleCard.mintWithStats(to.address, 60, 40, 20, 0, rarity);
+    }
+  }
+
+  beforeEach(async function () {
+    [, user1, user2] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+  });
+
+  it("Should escrow the inputs and commit to the next rarity", async function () {
+    await mintRarity(user1, COMMON);
+
+    await expect(battleCard.connect(user1).fuse([1, 2, 3]))
+      .to.emit(battleCard, "FusionCommitted")
+      .withArgs(user1.address, 1, [1, 2, 3], RARE, anyValue);
+
+    const contractAddress = await battleCard.getAddress();
+    expect(await battleCard.ownerOf(1)).to.equal(contractAddress);
+    expect(await battleCard.getOwnedTokens(user1.address, 0, 100)).to.deep.equal([]);
+    expect(await battleCard.getFusionInputs(1)).to.deep.equal([1n, 2n, 3n]);
+    expect((await battleCard.mintCommits(1)).fusedRarity).to.equal(RARE);
+  });
+
+  it("Should burn the inputs and mint a card of the next rarity on reveal", async function () {
+    await mintRarity(user1, COMMON, 4);
+    await battleCard.connect(user1).fuse([1, 3, 4]);
+    await mine(1);
+
+    await expect(battleCard.connect(user2).revealMint(1))
+      .to.emit(battleCard, "CardMinted")
+      .withArgs(user1.address, 5, anyValue, RARE, anyValue, anyValue, anyValue);
+
+    const card = await battleCard.getCard(5);
+    expect(card.power).to.be.within(80, 110);
+    expect(card.defense).to.be.within(60, 90);
+    expect(card.speed).to.be.within(20, 40);
+    expect(card.level).to.equal(1);
+
+    await expect(battleCard.ownerOf(1)).to.be.revertedWithCustomError(battleCard, "ERC721NonexistentToken");
+    expect((await battleCard.getCard(1)).power).to.equal(0);
+    expect(await battleCard.balanceOf(user1.address)).to.equal(2);
+    expect(await battleCard.getOwnedTokens(user1.address, 0, 100)).to.deep.equal([2n, 5n]);
+    expect(await battleCard.getOwnedTokens(await battleCard.getAddress(), 0, 100)).to.deep.equal([]);
+  });
+
+  it("Should only fuse three owned cards of one rarity", async function () {
+    await mintRarity(user1, COMMON);
+    await mintRarity(user1, RARE, 1);
+    await mintRarity(user2, COMMON, 1);
+
+    await expect(battleCard.connect(user1).fuse([1, 2])).to.be.revertedWith("Wrong number of cards");
+    await expect(battleCard.connect(user1).fuse([1, 2, 4])).to.be.revertedWith("Rarity mismatch");
+    await expect(battleCard.connect(user1).fuse([1, 2, 5])).to.be.revertedWith("Not owner");
+    await expect(battleCard.connect(user1).fuse([1, 2, 2])).to.be.revertedWith("Not owner");
+  });
+
+  it("Should not fuse Mythic cards", async function () {
+    await mintRarity(user1, MYTHIC);
+    await expect(battleCard.connect(user1).fuse([1, 2, 3])).to.be.revertedWith("Already max rarity");
+  });
+
+  it("Should still forge a card when the fuser never reveals", async function () {
+    // The fuser reads the roll from the reveal block hash and waits out the window instead of revealing
+    await mintRarity(user1, COMMON);
+    await battleCard.connect(user1).fuse([1, 2, 3]);
+    await mine(REVEAL_WINDOW + 2);
+
+    expect(battleCard.reclaimFusion).to.equal(undefined);
+    await expect(battleCard.connect(user2).revealMint(1))
+      .to.emit(battleCard, "CardMinted")
+      .withArgs(user1.address, 4, 0, RARE, 80, 60, 20); // Warrior at the bottom of the Rare ranges
+
+    await expect(battleCard.ownerOf(1)).to.be.revertedWithCustomError(battleCard, "ERC721NonexistentToken");
+    expect(await battleCard.getOwnedTokens(user1.address, 0, 100)).to.deep.equal([4n]);
+    expect(await battleCard.getFusionInputs(1)).to.deep.equal([]);
+    expect((await battleCard.mintCommits(1)).status).to.equal(2); // Revealed
+  });
+});
+
+describe("Card rental", function () {
+  let battleCard;
+  let battleManager;
+  let lender;
+  let borrower;
+  let rival;
+  let managerAddress;
+
+  const RENTAL_SECONDS = 3600;
+
+  async function mintLineup(to, power) {
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(to.address, power, 30, 10, 3, 0);
+    }
+    const next = await battleCard.nextId();
+    return [next - 3n, next - 2n, next - 1n];
+  }
+
+  async function lend(tokenIds, to = borrower) {
+    const expires = (await time.latest()) + RENTAL_SECONDS;
+    for (const tokenId of tokenIds) {
+      await battleCard.connect(lender).setUser(tokenId, to.address, expires);
+    }
+    return expires;
+  }
+
+  // The rival starts a battle and the borrower joins with `borrowerCards`, which need not be their own
+  async function battleAgainstBorrower(rivalCards, borrowerCards) {
+    const battleId = await battleManager.battleCount();
+    await battleCard.connect(rival).batchApprove(managerAddress, rivalCards);
+    await battleManager.connect(rival).createBattle(borrower.address, rivalCards, lineupHash(rival, rivalCards));
+    await battleManager
+      .connect(borrower)
+      .joinBattle(battleId, ascending(borrowerCards), lineupHash(borrower, borrowerCards));
+    await revealLineups(battleManager, battleId, rival, rivalCards, borrower, borrowerCards);
+    await revealAll(battleManager, battleId);
+    return battleId;
+  }
+
+  beforeEach(async function () {
+    [, lender, borrower, rival] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+    managerAddress = await battleManager.getAddress();
+    await battleCard.setBattleManager(managerAddress);
+  });
+
+  describe("User role", function () {
+    it("Should expose the borrower until the rental expires", async function () {
+      const [tokenId] = await mintLineup(lender, 100);
+      const expires = await lend([tokenId]);
+
+      expect(await battleCard.userOf(tokenId)).to.equal(borrower.address);
+      expect(await battleCard.userExpires(tokenId)).to.equal(expires);
+      expect(await battleCard.supportsInterface("0xad092b5c")).to.equal(true);
+
+      await time.increase(RENTAL_SECONDS + 1);
+      expect(await battleCard.userOf(tokenId)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let the owner lend, and not over an active rental", async function () {
+      const [tokenId] = await mintLineup(lender, 100);
+      const expires = (await time.latest()) + RENTAL_SECONDS;
+
+      await expect(battleCard.connect(borrower).setUser(tokenId, borrower.address, expires))
+        .to.be.revertedWith("Not owner nor approved");
+      await expect(battleCard.connect(lender).setUser(tokenId, borrower.address, 1)).to.be.revertedWith("Invalid expiry");
+
+      await expect(battleCard.connect(lender).setUser(tokenId, borrower.address, expires))
+        .to.emit(battleCard, "UpdateUser")
+        .withArgs(tokenId, borrower.address, expires);
+      await expect(battleCard.connect(lender).setUser(tokenId, rival.address, expires))
+        .to.be.revertedWith("Card already rented");
+    });
+
+    it("Should lock a rented card to its owner until the rental ends", async function () {
+      const [tokenId] = await mintLineup(lender, 100);
+      await lend([tokenId]);
+
+      await expect(battleCard.connect(lender).transferFrom(lender.address, rival.address, tokenId))
+        .to.be.revertedWith("Card is rented");
+
+      await time.increase(RENTAL_SECONDS + 1);
+      await expect(battleCard.connect(lender).transferFrom(lender.address, rival.address, tokenId))
+        .to.emit(battleCard, "UpdateUser")
+        .withArgs(tokenId, ethers.ZeroAddress, 0);
+      expect(await battleCard.ownerOf(tokenId)).to.equal(rival.address);
+    });
+  });
+
+  describe("Battling with borrowed cards", function () {
+    it("Should escrow rented cards from the lender for their user only", async function () {
+      const borrowed = await mintLineup(lender, 100);
+      await lend(borrowed);
+
+      await expect(
+        battleManager.connect(rival).createBattle(borrower.address, borrowed, lineupHash(rival, borrowed))
+      ).to.be.revertedWith("Not owner");
+
+      await battleManager.connect(borrower).createBattle(rival.address, borrowed, lineupHash(borrower, borrowed));
+      expect(await battleCard.ownerOf(borrowed[0])).to.equal(managerAddress);
+      expect(await battleManager.cardLenders(borrowed[0])).to.equal(lender.address);
+      expect(await battleCard.userOf(borrowed[0])).to.equal(borrower.address);
+    });
+
+    it("Should not escrow a borrowed card that is already in a battle", async function () {
+      const borrowed = await mintLineup(lender, 100);
+      await lend(borrowed);
+      await battleManager.connect(borrower).createBattle(rival.address, borrowed, lineupHash(borrower, borrowed));
+
+      await expect(
+        battleManager.connect(borrower).createBattle(rival.address, borrowed, lineupHash(borrower, borrowed))
+      ).to.be.revertedWith("Card in battle");
+      expect(await battleManager.cardLenders(borrowed[0])).to.equal(lender.address);
+    });
+
+    it("Should not let a lender battle with a card rented out", async function () {
+      const lent = await mintLineup(lender, 100);
+      await lend(lent);
+      await battleCard.connect(lender).batchApprove(managerAddress, lent);
+
+      await expect(
+        battleManager.connect(lender).createBattle(rival.address, lent, lineupHash(lender, lent))
+      ).to.be.revertedWith("Card is rented");
+
+      // Once the rental ends the card is the lender's to battle with again
+      await time.increase(RENTAL_SECONDS + 1);
+      await battleManager.connect(lender).createBattle(rival.address, lent, lineupHash(lender, lent));
+      expect(await battleCard.ownerOf(lent[0])).to.equal(managerAddress);
+      expect(await battleManager.cardLenders(lent[0])).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should return borrowed cards to the lender when the borrower wins", async function () {
+      const borrowed = await mintLineup(lender, 200);
+      await lend(borrowed);
+      const rivalCards = await mintLineup(rival, 50);
+
+      const battleId = await battleAgainstBorrower(rivalCards, borrowed);
+      await battleManager.connect(borrower).claimReward(battleId, 0);
+
+      expect(await battleCard.ownerOf(borrowed[0])).to.equal(lender.address);
+      expect(await battleCard.ownerOf(rivalCards[0])).to.equal(borrower.address);
+      expect(await battleCard.userOf(borrowed[0])).to.equal(borrower.address); // Rental continues
+      expect(await battleManager.cardLenders(borrowed[0])).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should never give a rented card away as a prize", async function () {
+      const [owned] = await mintLineup(borrower, 50);
+      await battleCard.connect(borrower).approve(managerAddress, owned);
+      const borrowed = (await mintLineup(lender, 50)).slice(0, 2);
+      await lend(borrowed);
+      const rivalCards = await mintLineup(rival, 200);
+
+      const battleId = await battleAgainstBorrower(rivalCards, [owned, ...borrowed]);
+      const loserCards = (await battleManager.getBattle(battleId)).opponentCards;
+      const rentedIndex = loserCards.findIndex((id) => id === borrowed[0]);
+      const ownedIndex = loserCards.findIndex((id) => id === owned);
+
+      await expect(battleManager.connect(rival).claimReward(battleId, rentedIndex)).to.be.revertedWith("Prize card is rented");
+      await battleManager.connect(rival).claimReward(battleId, ownedIndex);
+
+      expect(await battleCard.ownerOf(owned)).to.equal(rival.address);
+      expect(await battleCard.ownerOf(borrowed[0])).to.equal(lender.address);
+      expect(await battleCard.ownerOf(borrowed[1])).to.equal(lender.address);
+    });
+
+    it("Should award no card when the loser only had rented cards", async function () {
+      const borrowed = await mintLineup(lender, 50);
+      await lend(borrowed);
+      const rivalCards = await mintLineup(rival, 200);
+
+      const battleId = await battleAgainstBorrower(rivalCards, borrowed);
+      await expect(battleManager.connect(rival).claimReward(battleId, 0))
+        .to.emit(battleManager, "CardClaimed")
+        .withArgs(battleId, rival.address, 0);
+
+      for (const tokenId of borrowed) {
+        expect(await battleCard.ownerOf(tokenId)).to.equal(lender.address);
+      }
+      expect(await battleCard.ownerOf(rivalCards[0])).to.equal(rival.address);
+    });
+  });
+});
+
+describe("Emergency pause", function () {
+  let battleCard;
+  let battleManager;
+  let owner;
+  let user1;
+  let user2;
+  let lender;
+  let managerAddress;
+
+  const STAKE = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [owner, user1, user2, lender] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+    managerAddress = await battleManager.getAddress();
+    await battleCard.setBattleManager(managerAddress);
+
+    // user1 gets three strong Princes (1-3), user2 three weak ones (4-6)
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user1.address, 200, 100, 50, 3, 0);
+    }
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(user2.address, 50, 30, 10, 3, 0);
+    }
+    await battleCard.connect(user1).batchApprove(managerAddress, [1, 2, 3]);
+    await battleCard.connect(user2).batchApprove(managerAddress, [4, 5, 6]);
+  });
+
+  it("Should only let the owner pause and unpause", async function () {
+    await expect(battleCard.connect(user1).pause()).to.be.revertedWithCustomError(battleCard, "OwnableUnauthorizedAccount");
+    await expect(battleManager.connect(user1).pause()).to.be.revertedWithCustomError(battleManager, "OwnableUnauthorizedAccount");
+
+    await expect(battleCard.pause()).to.emit(battleCard, "Paused").withArgs(owner.address);
+    await expect(battleManager.pause()).to.emit(battleManager, "Paused").withArgs(owner.address);
+    expect(await battleCard.paused()).to.equal(true);
+    expect(await battleManager.paused()).to.equal(true);
+
+    await expect(battleManager.connect(user1).unpause()).to.be.revertedWithCustomError(battleManager, "OwnableUnauthorizedAccount");
+    await battleManager.unpause();
+    expect(await battleManager.paused()).to.equal(false);
+  });
+
+  it("Should block new mints and fusions but still open sealed packs", async function () {
+    const commitId = await battleCard.nextCommitId();
+    await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+    await battleCard.pause();
+
+    await expect(battleCard.connect(user1).commitMint({ value: MINT_FEE })).to.be.revertedWithCustomError(battleCard, "EnforcedPause");
+    await expect(battleCard.connect(user1).mintPack(3, { value: MINT_FEE * 3n })).to.be.revertedWithCustomError(battleCard, "EnforcedPause");
+    await expect(battleCard.connect(user1).claimMint([])).to.be.revertedWithCustomError(battleCard, "EnforcedPause");
+    await expect(battleCard.connect(user1).fuse([1, 2, 3])).to.be.revertedWithCustomError(battleCard, "EnforcedPause");
+
+    await battleCard.connect(user1).revealMint(commitId);
+    expect(await battleCard.balanceOf(user1.address)).to.equal(4);
+
+    await battleCard.unpause();
+    await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+  });
+
+  it("Should still open an expired pack while paused", async function () {
+    const commitId = await battleCard.nextCommitId();
+    await battleCard.connect(user1).commitMint({ value: MINT_FEE });
+    await battleCard.pause();
+    await mine(REVEAL_WINDOW + 1);
+
+    await expect(battleCard.revealMint(commitId)).to.emit(battleCard, "CardMinted");
+  });
+
+  it("Should block creating and joining battles but not playing them", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, [1, 2, 3], lineupHash(user1, [1, 2, 3]));
+    await battleManager.pause();
+
+    await expect(
+      battleManager.connect(user2).createBattle(user1.address, [4, 5, 6], lineupHash(user2, [4, 5, 6]))
+    ).to.be.revertedWithCustomError(battleManager, "EnforcedPause");
+    await expect(
+      battleManager.connect(user2).joinBattle(0, [4, 5, 6], lineupHash(user2, [4, 5, 6]))
+    ).to.be.revertedWithCustomError(battleManager, "EnforcedPause");
+
+    await battleManager.unpause();
+    await battleManager.connect(user2).joinBattle(0, [4, 5, 6], lineupHash(user2, [4, 5, 6]));
+    await revealLineups(battleManager, 0, user1, [1, 2, 3], user2, [4, 5, 6]);
+    await battleManager.pause();
+    // The reveal deadline keeps running while paused, so a battle under way must be able to finish
+    await revealAll(battleManager, 0);
+    expect((await battleManager.getBattle(0)).winner).to.equal(user1.address);
+  });
+
+  it("Should still let winners claim while paused", async function () {
+    const battleId = await setupBattle(battleCard, battleManager, user1, [1, 2, 3], user2, [4, 5, 6]);
+    await revealAll(battleManager, battleId);
+    await battleManager.pause();
+
+    await battleManager.connect(user1).claimReward(battleId, 0);
+    expect(await battleCard.ownerOf(1)).to.equal(user1.address);
+  });
+
+  it("Should still let the starter cancel an expired battle while paused", async function () {
+    await battleManager.connect(user1).createBattle(user2.address, [1, 2, 3], lineupHash(user1, [1, 2, 3]), { value: STAKE });
+    await battleManager.pause();
+    await mine(3601);
+
+    await expect(battleManager.connect(user1).cancelBattle(0)).to.changeEtherBalance(user1, STAKE);
+    expect(await battleCard.ownerOf(1)).to.equal(user1.address);
+  });
+
+  describe("Emergency card return", function () {
+    it("Should only run for the owner while paused", async function () {
+      await battleManager.connect(user1).createBattle(user2.address, [1, 2, 3], lineupHash(user1, [1, 2, 3]));
+
+      await expect(battleManager.emergencyReturnCards(0)).to.be.revertedWithCustomError(battleManager, "ExpectedPause");
+      await battleManager.pause();
+      await expect(battleManager.connect(user1).emergencyReturnCards(0))
+        .to.be.revertedWithCustomError(battleManager, "OwnableUnauthorizedAccount");
+      await expect(battleManager.emergencyReturnCards(1)).to.be.revertedWith("Battle not found");
+    });
+
+    it("Should return every escrowed card and stake of a battle in progress", async function () {
+      const battleId = await battleManager.battleCount();
+      await battleManager.connect(user1).createBattle(user2.address, [1, 2, 3], lineupHash(user1, [1, 2, 3]), { value: STAKE });
+      await battleManager.connect(user2).joinBattle(battleId, [4, 5, 6], lineupHash(user2, [4, 5, 6]), { value: STAKE });
+      await revealLineups(battleManager, battleId, user1, [1, 2, 3], user2, [4, 5, 6]);
+      await battleManager.revealRound(battleId);
+      await battleManager.pause();
+
+      const tx = battleManager.emergencyReturnCards(battleId);
+      await expect(tx)
+        .to.emit(battleManager, "CardReturned")
+        .withArgs(battleId, 1, user1.address)
+        .and.to.emit(battleManager, "CardReturned")
+        .withArgs(battleId, 6, user2.address)
+        .and.to.emit(battleManager, "EmergencyReturned")
+        .withArgs(battleId);
+      await expect(tx).to.changeEtherBalances([user1, user2], [STAKE, STAKE]);
+
+      for (const tokenId of [1, 2, 3]) {
+        expect(await battleCard.ownerOf(tokenId)).to.equal(user1.address);
+      }
+      for (const tokenId of [4, 5, 6]) {
+        expect(await battleCard.ownerOf(tokenId)).to.equal(user2.address);
+      }
+      const battle = await battleManager.getBattle(battleId);
+      expect(battle.status).to.equal(4); // Cancelled
+      await expect(battleManager.emergencyReturnCards(battleId)).to.be.revertedWith("Nothing escrowed");
+    });
+
+    it("Should clear an open challenge and send rented cards to their lender", async function () {
+      for (let i = 0; i < 3; i++) {
+        await battleCard.mintWithStats(lender.address, 100, 30, 10, 3, 0);
+      }
+      const borrowed = [7, 8, 9];
+      const expires = (await time.latest()) + 3600;
+      for (const tokenId of borrowed) {
+        await battleCard.connect(lender).setUser(tokenId, user2.address, expires);
+      }
+      await battleManager
+        .connect(user2)
+        .createBattle(ethers.ZeroAddress, borrowed, lineupHash(user2, borrowed));
+      await battleManager.pause();
+
+      await expect(battleManager.emergencyReturnCards(0))
+        .to.emit(battleManager, "CardReturned")
+        .withArgs(0, 7, lender.address);
+
+      for (const tokenId of borrowed) {
+        expect(await battleCard.ownerOf(tokenId)).to.equal(lender.address);
+        expect(await battleManager.cardLenders(tokenId)).to.equal(ethers.ZeroAddress);
+      }
+      expect(await battleManager.getOpenBattles()).to.deep.equal([]);
+    });
+
+    it("Should leave a resolved battle to the winner's claim", async function () {
+      const battleId = await setupBattle(battleCard, battleManager, user1, [1, 2, 3], user2, [4, 5, 6]);
+      await revealAll(battleManager, battleId);
+      await battleManager.pause();
+
+      await expect(battleManager.emergencyReturnCards(battleId)).to.be.revertedWith("Battle resolved");
+      await battleManager.connect(user1).claimReward(battleId, 0);
+      expect(await battleCard.ownerOf(4)).to.equal(user1.address);
+      await expect(battleManager.emergencyReturnCards(battleId)).to.be.revertedWith("Battle resolved");
+    });
+  });
 });
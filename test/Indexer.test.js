@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { openDatabase } = require("../indexer/src/db");
+const { createIndexer } = require("../indexer/src/indexer");
+const { getCards, getBattle, getPlayerHistory, getStats } = require("../indexer/src/queries");
+const { createServer } = require("../indexer/src/server");
+
+const LINEUP_SALT = ethers.id("lineup-salt");
+
+// Same commitment as BattleManager.computeLineupHash
+function lineupHash(player, lineup) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "uint256[3]", "bytes32"],
+      [player.address, lineup, LINEUP_SALT]
+    )
+  );
+}
+
+describe("Indexer", function () {
+  let battleCard;
+  let battleManager;
+  let starter;
+  let opponent;
+  let other;
+  let db;
+  let indexer;
+
+  // Three cards of one type for `player`, returned in ascending ID order
+  async function mintLineup(player, power) {
+    const lineup = [];
+    for (let i = 0; i < 3; i++) {
+      lineup.push(await battleCard.nextId());
+      await battleCard.mintWithStats(player.address, power, 40, 20, 0, 0);
+    }
+    return lineup;
+  }
+
+  // Create, join and reveal a battle through to the end; returns its ID. Lineups default to escrow order.
+  async function playBattle(starterCards, opponentCards, starterLineup = starterCards, opponentLineup = opponentCards) {
+    const managerAddress = await battleManager.getAddress();
+    const battleId = await battleManager.battleCount();
+    await battleCard.connect(starter).batchApprove(managerAddress, starterCards);
+    await battleManager
+      .connect(starter)
+      .createBattle(opponent.address, starterCards, lineupHash(starter, starterLineup));
+    await battleCard.connect(opponent).batchApprove(managerAddress, opponentCards);
+    await battleManager.connect(opponent).joinBattle(battleId, opponentCards, lineupHash(opponent, opponentLineup));
+    await battleManager.connect(starter).revealLineup(battleId, starterLineup, LINEUP_SALT);
+    await battleManager.connect(opponent).revealLineup(battleId, opponentLineup, LINEUP_SALT);
+    while ((await battleManager.getBattle(battleId)).status < 3n) {
+      await battleManager.revealRound(battleId);
+    }
+    return battleId;
+  }
+
+  beforeEach(async function () {
+    [, starter, opponent, other] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+    await battleCard.setBattleManager(await battleManager.getAddress());
+
+    db = openDatabase(":memory:");
+    indexer = createIndexer({
+      db,
+      provider: ethers.provider,
+      battleCardAddress: await battleCard.getAddress(),
+      battleManagerAddress: await battleManager.getAddress(),
+      startBlock: battleCard.deploymentTransaction().blockNumber,
+      batchSize: 5, // Several eth_getLogs ranges per sync
+    });
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it("Should match the chain after a battle", async function () {
+    const starterCards = await mintLineup(starter, 100);
+    const opponentCards = await mintLineup(opponent, 10);
+    const battleId = await playBattle(starterCards, opponentCards);
+    await battleManager.connect(starter).claimReward(battleId, 0);
+    await indexer.sync();
+
+    const onChain = await battleManager.getBattle(battleId);
+    const battle = getBattle(db, Number(battleId));
+    expect(battle.starter).to.equal(starter.address.toLowerCase());
+    expect(battle.opponent).to.equal(opponent.address.toLowerCase());
+    expect(battle.starterCards).to.deep.equal(starterCards.map(String));
+    expect(battle.opponentCards).to.deep.equal(opponentCards.map(String));
+    expect(battle.status).to.equal(Number(onChain.status));
+    expect(battle.winner).to.equal(onChain.winner.toLowerCase());
+    expect(battle.claimedTokenId).to.equal(opponentCards[0].toString());
+    expect(battle.rounds.map((round) => round.starterWon)).to.deep.equal(
+      Array(Number(onChain.currentRound)).fill(true)
+    );
+
+    // The starter got their cards back plus the prize, with any XP they earned
+    const { cards } = getCards(db, starter.address.toLowerCase());
+    const expected = [...starterCards, opponentCards[0]];
+    expect(cards.map((card) => card.tokenId)).to.have.members(expected.map(String));
+    for (const card of cards) {
+      const stats = await battleCard.getCard(card.tokenId);
+      expect([card.power, card.xp, card.level]).to.deep.equal([
+        Number(stats.power),
+        Number(stats.xp),
+        Number(stats.level),
+      ]);
+    }
+
+    const history = getPlayerHistory(db, opponent.address.toLowerCase(), 0, 10);
+    expect(history.total).to.equal(1);
+    expect(history.battles[0].battleId).to.equal(battleId.toString());
+    const rating = await battleManager.getPlayerStats(opponent.address);
+    expect(history.rating).to.equal(Number(rating.rating));
+
+    const stats = getStats(db);
+    expect(stats.cards.minted).to.equal(6);
+    expect(stats.battles).to.deep.equal({ created: 1, joined: 1, resolved: 1, cancelled: 0, expired: 0 });
+    expect(stats.players).to.equal(2);
+  });
+
+  it("Should serve the revealed lineups instead of the escrow order", async function () {
+    const starterCards = await mintLineup(starter, 100);
+    const opponentCards = await mintLineup(opponent, 10);
+    const starterLineup = [starterCards[2], starterCards[0], starterCards[1]];
+    const opponentLineup = [opponentCards[1], opponentCards[2], opponentCards[0]];
+    const battleId = await playBattle(starterCards, opponentCards, starterLineup, opponentLineup);
+    await indexer.sync();
+
+    const onChain = await battleManager.getBattle(battleId);
+    const battle = getBattle(db, Number(battleId));
+    expect(battle.starterCards).to.deep.equal(onChain.starterCards.map(String));
+    expect(battle.opponentCards).to.deep.equal(onChain.opponentCards.map(String));
+    expect(battle.starterCards).to.deep.equal(starterLineup.map(String));
+    expect(battle.rounds.map((round) => round.opponentCardId)).to.deep.equal(
+      opponentLineup.slice(0, battle.rounds.length).map(String)
+    );
+  });
+
+  it("Should list unexpired rentals as borrowed", async function () {
+    const [tokenId] = await mintLineup(starter, 50);
+    const expires = (await time.latest()) + 3600;
+    await battleCard.connect(starter).setUser(tokenId, other.address, expires);
+    await indexer.sync();
+
+    expect(getCards(db, other.address.toLowerCase()).borrowed).to.deep.equal([
+      { tokenId: tokenId.toString(), expires },
+    ]);
+    expect(getCards(db, other.address.toLowerCase(), expires).borrowed).to.deep.equal([]);
+  });
+
+  it("Should drop events from blocks replaced by a reorg", async function () {
+    const [tokenId] = await mintLineup(starter, 50);
+    await indexer.sync();
+
+    // Index a transfer, then replace its block with one that sends the card elsewhere
+    const snapshot = await network.provider.send("evm_snapshot");
+    await battleCard.connect(starter).transferFrom(starter.address, other.address, tokenId);
+    await indexer.sync();
+    expect(getCards(db, other.address.toLowerCase()).cards).to.have.length(1);
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await battleCard.connect(starter).transferFrom(starter.address, opponent.address, tokenId);
+    await battleCard.mintWithStats(starter.address, 50, 40, 20, 0, 0);
+    await indexer.sync();
+
+    expect(getCards(db, other.address.toLowerCase()).cards).to.deep.equal([]);
+    expect(getCards(db, opponent.address.toLowerCase()).cards.map((card) => card.tokenId)).to.deep.equal([
+      tokenId.toString(),
+    ]);
+    expect(getStats(db).cards.minted).to.equal(4);
+  });
+
+  describe("API", function () {
+    let server;
+    let baseUrl;
+
+    beforeEach(async function () {
+      server = createServer(db);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should serve indexed data with the last indexed block", async function () {
+      await mintLineup(starter, 50);
+      await indexer.sync();
+
+      const response = await fetch(`${baseUrl}/cards/${starter.address}`);
+      expect(response.status).to.equal(200);
+      const body = await response.json();
+      expect(body.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(body.cards).to.have.length(3);
+
+      expect((await fetch(`${baseUrl}/stats`)).status).to.equal(200);
+      expect((await fetch(`${baseUrl}/players/${opponent.address}/history?limit=5`)).status).to.equal(200);
+    });
+
+    it("Should reject bad requests", async function () {
+      expect((await fetch(`${baseUrl}/cards/not-an-address`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/players/${starter.address}/history?limit=-1`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/battles/7`)).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/unknown`)).status).to.equal(404);
+    });
+  });
+});
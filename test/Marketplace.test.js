@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const PRICE = ethers.parseEther("0.5");
+const BID = ethers.parseEther("0.3");
+const OFFER_BLOCKS = 100;
+// BattleCard.DEFAULT_ROYALTY_BPS of each sale goes to the BattleCard contract
+const royaltyOf = (amount) => (amount * 500n) / 10000n;
+
+describe("Marketplace", function () {
+  let battleCard;
+  let battleManager;
+  let marketplace;
+  let seller;
+  let buyer;
+  let other;
+  let deployer;
+  let marketplaceAddress;
+
+  beforeEach(async function () {
+    [deployer, seller, buyer, other] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await Marketplace.deploy(await battleManager.getAddress());
+    await marketplace.waitForDeployment();
+    marketplaceAddress = await marketplace.getAddress();
+
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(seller.address, 60, 40, 20, i, 0);
+    }
+    await battleCard.connect(seller).batchApprove(marketplaceAddress, [1, 2, 3]);
+  });
+
+  describe("Listing", function () {
+    it("Should escrow a listed card", async function () {
+      await expect(marketplace.connect(seller).list(1, PRICE))
+        .to.emit(marketplace, "Listed")
+        .withArgs(1, seller.address, PRICE);
+
+      expect(await battleCard.ownerOf(1)).to.equal(marketplaceAddress);
+      const listing = await marketplace.listings(1);
+      expect([listing.seller, listing.price]).to.deep.equal([seller.address, PRICE]);
+      expect(await marketplace.getListedTokens()).to.deep.equal([1n]);
+    });
+
+    it("Should only list owned cards at a non-zero price", async function () {
+      await expect(marketplace.connect(seller).list(1, 0)).to.be.revertedWith("Invalid price");
+      await expect(marketplace.connect(other).list(1, PRICE)).to.be.revertedWith("Not owner");
+    });
+
+    it("Should not list cards escrowed in a battle", async function () {
+      const managerAddress = await battleManager.getAddress();
+      await battleCard.connect(seller).batchApprove(managerAddress, [1, 2, 3]);
+      await battleManager.connect(seller).createBattle(other.address, [1, 2, 3], ethers.id("lineup"));
+
+      await expect(marketplace.connect(seller).list(1, PRICE)).to.be.revertedWith("Card in battle");
+    });
+
+    it("Should let the seller update the price and delist", async function () {
+      await marketplace.connect(seller).list(1, PRICE);
+
+      await expect(marketplace.connect(other).updatePrice(1, 1)).to.be.revertedWith("Not seller");
+      await expect(marketplace.connect(seller).updatePrice(1, 0)).to.be.revertedWith("Invalid price");
+      await expect(marketplace.connect(seller).updatePrice(1, PRICE * 2n))
+        .to.emit(marketplace, "PriceUpdated")
+        .withArgs(1, PRICE, PRICE * 2n);
+
+      await expect(marketplace.connect(other).delist(1)).to.be.revertedWith("Not seller");
+      await expect(marketplace.connect(seller).delist(1)).to.emit(marketplace, "Delisted").withArgs(1, seller.address);
+      expect(await battleCard.ownerOf(1)).to.equal(seller.address);
+      expect((await marketplace.listings(1)).price).to.equal(0);
+      await expect(marketplace.connect(seller).delist(1)).to.be.revertedWith("Not listed");
+    });
+
+    it("Should keep the listed token index consistent", async function () {
+      for (const tokenId of [1, 2, 3]) {
+        await marketplace.connect(seller).list(tokenId, PRICE);
+      }
+      await marketplace.connect(seller).delist(1);
+      expect(await marketplace.getListedTokens()).to.deep.equal([3n, 2n]);
+
+      await marketplace.connect(buyer).buy(3, { value: PRICE });
+      expect(await marketplace.getListedTokens()).to.deep.equal([2n]);
+    });
+  });
+
+  describe("Buying", function () {
+    beforeEach(async function () {
+      await marketplace.connect(seller).list(1, PRICE);
+    });
+
+    it("Should transfer the card and pay the seller minus the royalty", async function () {
+      const royalty = royaltyOf(PRICE);
+      const purchase = marketplace.connect(buyer).buy(1, { value: PRICE });
+      await expect(purchase)
+        .to.emit(marketplace, "Sold")
+        .withArgs(1, seller.address, buyer.address, PRICE);
+      await expect(purchase)
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(1, await battleCard.getAddress(), royalty);
+      await expect(purchase).to.changeEtherBalances(
+        [seller, buyer, battleCard],
+        [PRICE - royalty, -PRICE, royalty]
+      );
+
+      expect(await battleCard.ownerOf(1)).to.equal(buyer.address);
+      expect(await marketplace.getListedTokens()).to.deep.equal([]);
+      await expect(marketplace.connect(other).buy(1, { value: PRICE })).to.be.revertedWith("Not listed");
+    });
+
+    it("Should follow the royalty configured on BattleCard", async function () {
+      await battleCard.connect(deployer).setDefaultRoyalty(other.address, 1000);
+      const royalty = PRICE / 10n;
+      await expect(marketplace.connect(buyer).buy(1, { value: PRICE })).to.changeEtherBalances(
+        [seller, other],
+        [PRICE - royalty, royalty]
+      );
+
+      await marketplace.connect(seller).list(2, PRICE);
+      await battleCard.connect(deployer).setDefaultRoyalty(other.address, 0);
+      const purchase = marketplace.connect(buyer).buy(2, { value: PRICE });
+      await expect(purchase).to.not.emit(marketplace, "RoyaltyPaid");
+      await expect(purchase).to.changeEtherBalance(seller, PRICE);
+    });
+
+    it("Should require the exact price", async function () {
+      await expect(marketplace.connect(buyer).buy(1, { value: PRICE - 1n })).to.be.revertedWith("Wrong price");
+      await expect(marketplace.connect(buyer).buy(1, { value: PRICE + 1n })).to.be.revertedWith("Wrong price");
+    });
+
+    it("Should not let sellers buy their own listing", async function () {
+      await expect(marketplace.connect(seller).buy(1, { value: PRICE })).to.be.revertedWith("Cannot buy own listing");
+    });
+  });
+
+  describe("Offers", function () {
+    it("Should escrow the bid", async function () {
+      const offer = marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS, { value: BID });
+      await expect(offer)
+        .to.emit(marketplace, "OfferMade")
+        .withArgs(0, 1, buyer.address, BID, anyValue);
+      await expect(offer).to.changeEtherBalance(marketplace, BID);
+
+      expect(await marketplace.getOpenOffers(1)).to.deep.equal([0n]);
+      expect((await marketplace.offers(0)).status).to.equal(1); // Open
+    });
+
+    it("Should reject empty, unbounded or self offers", async function () {
+      await expect(marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS)).to.be.revertedWith("Invalid amount");
+      await expect(marketplace.connect(buyer).makeOffer(1, 0, { value: BID })).to.be.revertedWith("Invalid duration");
+      await expect(marketplace.connect(buyer).makeOffer(1, 201601, { value: BID })).to.be.revertedWith("Invalid duration");
+      await expect(marketplace.connect(seller).makeOffer(1, OFFER_BLOCKS, { value: BID })).to.be.revertedWith("Cannot offer on own card");
+
+      await marketplace.connect(seller).list(1, PRICE);
+      await expect(marketplace.connect(seller).makeOffer(1, OFFER_BLOCKS, { value: BID })).to.be.revertedWith("Cannot offer on own card");
+    });
+
+    it("Should transfer the card and pay the owner on accept", async function () {
+      await marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS, { value: BID });
+      await expect(marketplace.connect(other).acceptOffer(0)).to.be.revertedWith("Not owner");
+
+      const accept = marketplace.connect(seller).acceptOffer(0);
+      await expect(accept)
+        .to.emit(marketplace, "OfferAccepted")
+        .withArgs(0, 1, seller.address, buyer.address, BID);
+      await expect(accept).to.changeEtherBalances(
+        [seller, marketplace, battleCard],
+        [BID - royaltyOf(BID), -BID, royaltyOf(BID)]
+      );
+
+      expect(await battleCard.ownerOf(1)).to.equal(buyer.address);
+      expect(await marketplace.getOpenOffers(1)).to.deep.equal([]);
+      await expect(marketplace.connect(buyer).acceptOffer(0)).to.be.revertedWith("Offer not open");
+    });
+
+    it("Should sell a listed card to an offer from escrow", async function () {
+      await marketplace.connect(seller).list(1, PRICE);
+      await marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS, { value: BID });
+
+      await marketplace.connect(seller).acceptOffer(0);
+      expect(await battleCard.ownerOf(1)).to.equal(buyer.address);
+      expect((await marketplace.listings(1)).price).to.equal(0);
+      expect(await marketplace.getListedTokens()).to.deep.equal([]);
+    });
+
+    it("Should let the bidder cancel for a refund", async function () {
+      await marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS, { value: BID });
+      await expect(marketplace.connect(other).cancelOffer(0)).to.be.revertedWith("Not bidder");
+
+      const cancel = marketplace.connect(buyer).cancelOffer(0);
+      await expect(cancel).to.emit(marketplace, "OfferCancelled").withArgs(0, 1, buyer.address);
+      await expect(cancel).to.changeEtherBalance(buyer, BID);
+      await expect(marketplace.connect(seller).acceptOffer(0)).to.be.revertedWith("Offer not open");
+    });
+
+    it("Should expire offers and let anyone refund them", async function () {
+      await marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS, { value: BID });
+      await mine(OFFER_BLOCKS + 1);
+
+      expect(await marketplace.getOpenOffers(1)).to.deep.equal([]);
+      await expect(marketplace.connect(seller).acceptOffer(0)).to.be.revertedWith("Offer expired");
+      await expect(marketplace.connect(other).cancelOffer(0)).to.changeEtherBalance(buyer, BID);
+    });
+
+    it("Should drop closed offers from the card's offer list", async function () {
+      await marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS, { value: BID });
+      await marketplace.connect(other).makeOffer(1, OFFER_BLOCKS, { value: BID });
+      await marketplace.connect(buyer).makeOffer(1, OFFER_BLOCKS, { value: BID });
+
+      // Swap-and-pop moves the newest offer into the cancelled one's place
+      await marketplace.connect(buyer).cancelOffer(0);
+      expect(await marketplace.getOpenOffers(1)).to.deep.equal([2n, 1n]);
+
+      await marketplace.connect(seller).acceptOffer(2);
+      expect(await marketplace.getOpenOffers(1)).to.deep.equal([1n]);
+
+      await marketplace.connect(other).cancelOffer(1);
+      expect(await marketplace.getOpenOffers(1)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Multicall3", function () {
+  let battleCard;
+  let multicall;
+  let user;
+  let battleCardAddress;
+
+  beforeEach(async function () {
+    [, user] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+    battleCardAddress = await battleCard.getAddress();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+
+    await battleCard.mintWithStats(user.address, 120, 80, 40, 2, 1);
+  });
+
+  it("Should batch several reads into one call", async function () {
+    const calls = [
+      [battleCardAddress, false, battleCard.interface.encodeFunctionData("ownerOf", [1])],
+      [battleCardAddress, false, battleCard.interface.encodeFunctionData("getCard", [1])],
+      [battleCardAddress, false, battleCard.interface.encodeFunctionData("balanceOf", [user.address])],
+    ];
+    const results = await multicall.aggregate3.staticCall(calls);
+
+    expect(results.map((result) => result.success)).to.deep.equal([true, true, true]);
+    expect(battleCard.interface.decodeFunctionResult("ownerOf", results[0].returnData)[0]).to.equal(user.address);
+    const [card] = battleCard.interface.decodeFunctionResult("getCard", results[1].returnData);
+    expect(card.power).to.equal(120);
+    expect(card.rarity).to.equal(1);
+    expect(battleCard.interface.decodeFunctionResult("balanceOf", results[2].returnData)[0]).to.equal(1);
+  });
+
+  it("Should report reverted reads only when failure is allowed", async function () {
+    const missingCard = battleCard.interface.encodeFunctionData("ownerOf", [99]);
+
+    const [ok, failed] = await multicall.aggregate3.staticCall([
+      [battleCardAddress, true, battleCard.interface.encodeFunctionData("ownerOf", [1])],
+      [battleCardAddress, true, missingCard],
+    ]);
+    expect(ok.success).to.equal(true);
+    expect(failed.success).to.equal(false);
+    expect(failed.returnData.slice(0, 10)).to.equal(battleCard.interface.getError("ERC721NonexistentToken").selector);
+
+    await expect(multicall.aggregate3.staticCall([[battleCardAddress, false, missingCard]])).to.be.revertedWith(
+      "Multicall3: call failed"
+    );
+  });
+});
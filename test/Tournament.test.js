@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const ENTRY_FEE = ethers.parseEther("1");
+const REGISTRATION_BLOCKS = 100;
+const PRINCE = 3;
+
+describe("Tournament", function () {
+  let battleCard;
+  let battleManager;
+  let tournament;
+  let owner;
+  let players;
+  let tournamentAddress;
+
+  // Three identical Princes for `player`; a higher power makes a stronger lineup
+  async function mintLineup(player, power) {
+    for (let i = 0; i < 3; i++) {
+      await battleCard.mintWithStats(player.address, power, 30, 10, PRINCE, 0);
+    }
+    const next = await battleCard.nextId();
+    return [next - 3n, next - 2n, next - 1n];
+  }
+
+  async function register(player, power, tournamentId = 0) {
+    const lineup = await mintLineup(player, power);
+    await battleCard.connect(player).batchApprove(tournamentAddress, lineup);
+    await tournament.connect(player).register(tournamentId, lineup, { value: ENTRY_FEE });
+    return lineup;
+  }
+
+  beforeEach(async function () {
+    [owner, ...players] = await ethers.getSigners();
+
+    const BattleCardHarness = await ethers.getContractFactory("BattleCardHarness");
+    battleCard = await BattleCardHarness.deploy();
+    await battleCard.waitForDeployment();
+
+    const BattleManager = await ethers.getContractFactory("BattleManager");
+    battleManager = await BattleManager.deploy(await battleCard.getAddress());
+    await battleManager.waitForDeployment();
+
+    const Tournament = await ethers.getContractFactory("Tournament");
+    tournament = await Tournament.deploy(await battleManager.getAddress());
+    await tournament.waitForDeployment();
+    tournamentAddress = await tournament.getAddress();
+
+    await tournament.createTournament("Weekly Cup", ENTRY_FEE, 4, REGISTRATION_BLOCKS);
+  });
+
+  describe("Registration", function () {
+    it("Should only let the owner create tournaments", async function () {
+      await expect(tournament.connect(players[0]).createTournament("Rogue Cup", 0, 4, 10))
+        .to.be.revertedWithCustomError(tournament, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject bracket sizes that are not a power of two", async function () {
+      await expect(tournament.createTournament("Odd Cup", 0, 6, 10)).to.be.revertedWith("Invalid size");
+      await expect(tournament.createTournament("Huge Cup", 0, 32, 10)).to.be.revertedWith("Invalid size");
+    });
+
+    it("Should escrow the lineup and entry fee", async function () {
+      const lineup = await mintLineup(players[0], 100);
+      await battleCard.connect(players[0]).batchApprove(tournamentAddress, lineup);
+
+      await expect(tournament.connect(players[0]).register(0, lineup, { value: ENTRY_FEE }))
+        .to.emit(tournament, "PlayerRegistered")
+        .withArgs(0, players[0].address, lineup);
+
+      expect(await battleCard.ownerOf(lineup[0])).to.equal(tournamentAddress);
+      expect(await tournament.getLineup(0, players[0].address)).to.deep.equal(lineup);
+      expect((await tournament.tournaments(0)).prizePool).to.equal(ENTRY_FEE);
+    });
+
+    it("Should require the exact entry fee and a single registration", async function () {
+      const lineup = await mintLineup(players[0], 100);
+      await battleCard.connect(players[0]).batchApprove(tournamentAddress, lineup);
+      await expect(tournament.connect(players[0]).register(0, lineup)).to.be.revertedWith("Wrong entry fee");
+
+      await tournament.connect(players[0]).register(0, lineup, { value: ENTRY_FEE });
+      await expect(register(players[0], 100)).to.be.revertedWith("Already registered");
+    });
+
+    it("Should close registration after the deadline", async function () {
+      await mine(REGISTRATION_BLOCKS + 1);
+      await expect(register(players[0], 100)).to.be.revertedWith("Registration closed");
+    });
+  });
+
+  describe("Bracket", function () {
+    it("Should seed by rating so the top seeds meet in the final", async function () {
+      // players[1] gets the best rating and players[0] the worst by playing a ladder battle
+      const managerAddress = await battleManager.getAddress();
+      const strong = await mintLineup(players[1], 200);
+      const weak = await mintLineup(players[0], 50);
+      const salt = ethers.id("salt");
+      const hash = (player, lineup) =>
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256[3]", "bytes32"], [player.address, lineup, salt])
+        );
+      await battleCard.connect(players[1]).batchApprove(managerAddress, strong);
+      await battleManager.connect(players[1]).createBattle(players[0].address, strong, hash(players[1], strong));
+      await battleCard.connect(players[0]).batchApprove(managerAddress, weak);
+      await battleManager.connect(players[0]).joinBattle(0, weak, hash(players[0], weak));
+      await battleManager.connect(players[1]).revealLineup(0, strong, salt);
+      await battleManager.connect(players[0]).revealLineup(0, weak, salt);
+      await battleManager.revealRound(0);
+      await battleManager.revealRound(0);
+
+      // Ratings: players[1] 1216, players[2] 1200, players[3] 1200, players[0] 1184
+      for (const player of players.slice(0, 4)) {
+        await register(player, 100);
+      }
+
+      // Seeds 1-4 sit at positions [1, 4, 2, 3]
+      expect(await tournament.getRound(0, 0)).to.deep.equal([
+        players[1].address,
+        players[0].address,
+        players[2].address,
+        players[3].address,
+      ]);
+      expect((await tournament.tournaments(0)).status).to.equal(1); // InProgress
+    });
+
+    it("Should start as soon as the bracket is full", async function () {
+      for (const player of players.slice(0, 3)) {
+        await register(player, 100);
+      }
+      const lineup = await mintLineup(players[3], 100);
+      await battleCard.connect(players[3]).batchApprove(tournamentAddress, lineup);
+      await expect(tournament.connect(players[3]).register(0, lineup, { value: ENTRY_FEE }))
+        .to.emit(tournament, "TournamentStarted");
+    });
+
+    it("Should advance winners and return losers' lineups each round", async function () {
+      const lineups = [];
+      for (const [i, player] of players.slice(0, 4).entries()) {
+        lineups.push(await register(player, 100 + i * 50)); // players[3] is strongest
+      }
+      // All ratings are equal, so the bracket keeps registration order: [p0, p3, p1, p2]
+      await mine(1); // The round's seed block
+      await expect(tournament.playRound(0))
+        .to.emit(tournament, "MatchResolved")
+        .withArgs(0, 0, 0, players[3].address, players[0].address);
+
+      expect(await tournament.getRound(0, 1)).to.deep.equal([players[3].address, players[2].address]);
+      expect(await battleCard.ownerOf(lineups[0][0])).to.equal(players[0].address);
+      expect(await battleCard.ownerOf(lineups[3][0])).to.equal(tournamentAddress);
+    });
+
+    it("Should pay the finalists and return the champion's lineup", async function () {
+      const lineups = [];
+      for (const [i, player] of players.slice(0, 4).entries()) {
+        lineups.push(await register(player, 100 + i * 50));
+      }
+      await mine(1);
+      await tournament.playRound(0);
+
+      const pool = ENTRY_FEE * 4n;
+      await mine(1);
+      const final = tournament.playRound(0);
+      await expect(final)
+        .to.emit(tournament, "TournamentCompleted")
+        .withArgs(0, players[3].address, players[2].address, pool);
+      await expect(final).to.changeEtherBalances(
+        [players[3], players[2]],
+        [(pool * 7000n) / 10000n, (pool * 3000n) / 10000n]
+      );
+
+      const info = await tournament.tournaments(0);
+      expect(info.status).to.equal(2); // Completed
+      expect(await battleCard.ownerOf(lineups[3][0])).to.equal(players[3].address);
+      expect(await ethers.provider.getBalance(tournamentAddress)).to.equal(0);
+      await expect(tournament.playRound(0)).to.be.revertedWith("Tournament not in progress");
+    });
+
+    it("Should only play a round once its seed block is mined", async function () {
+      for (const player of players.slice(0, 4)) {
+        await register(player, 100);
+      }
+      const seedBlock = await tournament.roundSeedBlocks(0);
+      expect(seedBlock).to.equal((await ethers.provider.getBlockNumber()) + 1);
+
+      // The next transaction lands in the seed block itself, whose hash it can't read yet
+      await expect(tournament.playRound(0)).to.be.revertedWith("Round seed not mined");
+      await tournament.playRound(0);
+      expect((await tournament.tournaments(0)).currentRound).to.equal(1);
+      expect(await tournament.roundSeedBlocks(0)).to.equal(await ethers.provider.getBlockNumber() + 1);
+    });
+
+    it("Should commit to a new seed block once the old hash is out of reach", async function () {
+      for (const player of players.slice(0, 4)) {
+        await register(player, 100);
+      }
+      await mine(300);
+
+      await expect(tournament.playRound(0))
+        .to.emit(tournament, "RoundSeedCommitted")
+        .withArgs(0, 0, (await ethers.provider.getBlockNumber()) + 2);
+      expect((await tournament.tournaments(0)).currentRound).to.equal(0);
+
+      await mine(1);
+      await expect(tournament.playRound(0)).to.emit(tournament, "MatchResolved");
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should refund everyone when the bracket doesn't fill", async function () {
+      const lineup = await register(players[0], 100);
+      await expect(tournament.connect(players[1]).cancelTournament(0)).to.be.revertedWith("Registration still open");
+
+      await mine(REGISTRATION_BLOCKS + 1);
+      await expect(tournament.connect(players[1]).cancelTournament(0)).to.changeEtherBalance(players[0], ENTRY_FEE);
+      expect(await battleCard.ownerOf(lineup[0])).to.equal(players[0].address);
+      expect((await tournament.tournaments(0)).status).to.equal(3); // Cancelled
+    });
+
+    it("Should let the owner cancel during registration", async function () {
+      await register(players[0], 100);
+      await expect(tournament.connect(owner).cancelTournament(0)).to.emit(tournament, "TournamentCancelled");
+    });
+
+    it("Should not cancel a tournament in progress", async function () {
+      for (const player of players.slice(0, 4)) {
+        await register(player, 100);
+      }
+      await expect(tournament.cancelTournament(0)).to.be.revertedWith("Registration closed");
+    });
+  });
+});